@@ -0,0 +1,14 @@
+import { analyzeForUser, authenticateAiRequest, readJsonBody, toErrorResponse } from '../../../lib/server/aiProxyServer';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// POST /api/ai/analyze - 시방서 본문을 서버의 AI 제공자로 분석합니다.
+export const POST = async (request) => {
+    try {
+        const requester = await authenticateAiRequest(request);
+        return Response.json(await analyzeForUser(requester, await readJsonBody(request)));
+    } catch (e) {
+        return toErrorResponse(e);
+    }
+};
@@ -0,0 +1,14 @@
+import { answerForUser, authenticateAiRequest, readJsonBody, toErrorResponse } from '../../../lib/server/aiProxyServer';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// POST /api/ai/answer - 근거 문서를 바탕으로 질문에 답합니다.
+export const POST = async (request) => {
+    try {
+        const requester = await authenticateAiRequest(request);
+        return Response.json(await answerForUser(requester, await readJsonBody(request)));
+    } catch (e) {
+        return toErrorResponse(e);
+    }
+};
@@ -0,0 +1,13 @@
+import { authenticateAiRequest, getStatusForUser, toErrorResponse } from '../../../lib/server/aiProxyServer';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/ai/status - 서버 AI 설정 여부와 요청한 사용자의 오늘 사용량을 알려줍니다. (키는 포함하지 않습니다)
+export const GET = async (request) => {
+    try {
+        return Response.json(getStatusForUser(await authenticateAiRequest(request)));
+    } catch (e) {
+        return toErrorResponse(e);
+    }
+};
@@ -0,0 +1,6 @@
+import { createSpecOpenApiDocument } from '../../../lib/server/specOpenApi';
+
+export const runtime = 'nodejs';
+
+// GET /api/v1/openapi.json - API 명세 (인증 없이 제공)
+export const GET = () => Response.json(createSpecOpenApiDocument());
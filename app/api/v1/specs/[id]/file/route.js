@@ -0,0 +1,14 @@
+import { authenticateApiRequest, getSpecFileResponse, toSpecApiErrorResponse } from '../../../../../lib/server/specApi';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/v1/specs/{id}/file - 원본 파일 내려받기
+export const GET = async (request, { params }) => {
+    try {
+        authenticateApiRequest(request, 'download');
+        return await getSpecFileResponse(params.id);
+    } catch (e) {
+        return toSpecApiErrorResponse(e);
+    }
+};
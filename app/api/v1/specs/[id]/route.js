@@ -0,0 +1,37 @@
+import {
+    authenticateApiRequest, deleteSpecForApi, getSpecForApi, readSpecApiJson, toSpecApiErrorResponse, updateSpecForApi,
+} from '../../../../lib/server/specApi';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/v1/specs/{id} - 시방서 한 건 조회
+export const GET = async (request, { params }) => {
+    try {
+        authenticateApiRequest(request, 'view');
+        return Response.json(await getSpecForApi(params.id));
+    } catch (e) {
+        return toSpecApiErrorResponse(e);
+    }
+};
+
+// PATCH /api/v1/specs/{id} - 요약, 키워드, 태그, 구조화 사양, 폴더 수정
+export const PATCH = async (request, { params }) => {
+    try {
+        const client = authenticateApiRequest(request, 'edit');
+        return Response.json(await updateSpecForApi(params.id, await readSpecApiJson(request), client));
+    } catch (e) {
+        return toSpecApiErrorResponse(e);
+    }
+};
+
+// DELETE /api/v1/specs/{id} - 휴지통으로 이동
+export const DELETE = async (request, { params }) => {
+    try {
+        const client = authenticateApiRequest(request, 'delete');
+        await deleteSpecForApi(params.id, client);
+        return new Response(null, { status: 204 });
+    } catch (e) {
+        return toSpecApiErrorResponse(e);
+    }
+};
@@ -0,0 +1,24 @@
+import { authenticateApiRequest, createSpecFromRequest, listSpecsForApi, toSpecApiErrorResponse } from '../../../lib/server/specApi';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/v1/specs - 시방서 목록 조회 및 검색 (페이지 단위)
+export const GET = async (request) => {
+    try {
+        authenticateApiRequest(request, 'view');
+        return Response.json(await listSpecsForApi(new URL(request.url).searchParams));
+    } catch (e) {
+        return toSpecApiErrorResponse(e);
+    }
+};
+
+// POST /api/v1/specs - 파일을 올려 분석한 뒤 새 시방서로 등록합니다. (multipart/form-data)
+export const POST = async (request) => {
+    try {
+        const client = authenticateApiRequest(request, 'upload');
+        return Response.json(await createSpecFromRequest(request, client), { status: 201 });
+    } catch (e) {
+        return toSpecApiErrorResponse(e);
+    }
+};
@@ -0,0 +1,251 @@
+// --- Accounts, Roles & Access Rules ---
+// 역할은 할 수 있는 작업을, 접근 규칙은 특정 고객사/폴더/시방서에 대해 볼 수 있는 사람을 정합니다.
+// 로컬 전용 모드에서는 계정과 접근 규칙을 브라우저(localStorage)에, 로그인 세션을 탭 단위(sessionStorage)로 보관합니다.
+// 클라우드 동기화를 쓰면 사용자는 Firestore 허용 목록(cloudAuth), 접근 규칙은 config/access 문서에 두고 보안 규칙이 적용합니다.
+
+import { fnv1a64 } from './fileHash';
+import { normalizeFolderPath } from './folders';
+
+const ACCOUNTS_STORAGE_KEY = 'forging_specs_accounts';
+const SESSION_STORAGE_KEY = 'forging_specs_session';
+
+export const ROLES = {
+    viewer: '열람자',
+    editor: '편집자',
+    admin: '관리자',
+};
+
+// view: 목록/요약/미리보기, download: 원본 내려받기, upload: 신규 등록·개정, edit: 메타데이터 수정,
+// delete: 휴지통으로 이동·복원, purge: 영구 삭제 및 보관 기간 설정, backup/restore: 전체 백업·복원,
+// audit: 감사 로그 열람, manage: 계정 및 접근 규칙 관리, inspect: 검사 측정값 입력 및 성적서 발행
+const ROLE_PERMISSIONS = {
+    viewer: ['view', 'download', 'inspect'],
+    editor: ['view', 'download', 'upload', 'edit', 'delete', 'inspect'],
+    admin: ['view', 'download', 'upload', 'edit', 'delete', 'purge', 'backup', 'restore', 'audit', 'manage', 'inspect'],
+};
+
+export const hasPermission = (user, permission) => Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
+
+export const RULE_SCOPES = {
+    customer: '고객사',
+    folder: '폴더',
+    spec: '개별 시방서',
+};
+
+// 규칙 대상에 포함되지 않은 사용자에게 허용할 수준
+export const OUTSIDER_ACCESS = {
+    none: '숨김',
+    read: '열람만 허용',
+};
+
+const normalizeValue = (value) => (value || '').trim().toLowerCase();
+
+const normalizeFolderKey = (value) => normalizeFolderPath(value).toLowerCase();
+
+const ruleMatchesSpec = (rule, spec) => {
+    const target = normalizeValue(rule.value);
+    if (!target) return false;
+    switch (rule.scope) {
+        case 'customer': return normalizeValue(spec.attributes?.customer) === target;
+        case 'folder': {
+            const folder = normalizeFolderKey(spec.filePath);
+            const folderTarget = normalizeFolderKey(rule.value);
+            return folder === folderTarget || folder.startsWith(`${folderTarget}/`);
+        }
+        case 'spec': return spec.id === rule.value;
+        default: return false;
+    }
+};
+
+const ACCESS_LEVELS = ['none', 'read', 'write'];
+const minAccess = (a, b) => (ACCESS_LEVELS.indexOf(a) <= ACCESS_LEVELS.indexOf(b) ? a : b);
+
+/**
+ * 사용자가 시방서에 대해 가진 접근 수준을 계산합니다. 관리자는 규칙과 관계없이 모두 접근할 수 있습니다.
+ * @returns {'none' | 'read' | 'write'}
+ */
+export const getSpecAccess = (user, spec, rules = []) => {
+    if (!user) return 'none';
+    if (user.role === 'admin') return 'write';
+    let access = hasPermission(user, 'edit') ? 'write' : 'read';
+    for (const rule of rules) {
+        if (!ruleMatchesSpec(rule, spec) || (rule.allowedUserIds || []).includes(user.id)) continue;
+        access = minAccess(access, rule.outsiderAccess === 'read' ? 'read' : 'none');
+    }
+    return access;
+};
+
+export const canViewSpec = (user, spec, rules) => getSpecAccess(user, spec, rules) !== 'none';
+
+// 시방서 단위 작업(edit/delete 등)은 역할 권한과 해당 시방서의 쓰기 권한이 모두 있어야 합니다.
+export const canModifySpec = (user, spec, rules, permission) =>
+    hasPermission(user, permission) && getSpecAccess(user, spec, rules) === 'write';
+
+// --- Security Rule Fields (클라우드 동기화) ---
+// 보안 규칙 언어에는 반복문이 없으므로, 규칙 목록과 함께 '대상 값 → { allowed, outsiderAccess }' 맵(index)을 저장하고
+// 시방서 문서마다 읽을 수 있는 사용자(readers)와 고칠 수 있는 사용자(writers)를 함께 기록합니다.
+// 보안 규칙은 readers로 읽기를 거르고, 쓰기 때는 두 목록이 index의 규칙을 벗어나지 않는지 검사합니다. ('*'는 모든 구성원)
+
+// 보안 규칙이 검사하는 폴더 규칙의 최대 깊이 (firestore.rules의 folderEntry 호출 수와 같아야 합니다)
+export const MAX_RULE_FOLDER_DEPTH = 6;
+
+const getRuleIndexKey = (rule) => {
+    if (rule.scope === 'spec') return rule.value || '';
+    if (rule.scope === 'folder') return normalizeFolderKey(rule.value);
+    return normalizeValue(rule.value);
+};
+
+/**
+ * config/access 문서에 저장할 규칙 맵을 만듭니다. 같은 대상에 규칙이 여러 개면 모두 만족해야 하므로
+ * 허용 사용자는 교집합, 그 외 사용자 접근은 더 좁은 쪽을 씁니다.
+ * @returns {{ customer: object, folder: object, spec: object }}
+ */
+export const buildAccessRuleIndex = (rules) => {
+    const index = { customer: {}, folder: {}, spec: {} };
+    rules.forEach(rule => {
+        const key = getRuleIndexKey(rule);
+        if (!key || !index[rule.scope]) return;
+        const entry = { allowed: [...new Set(rule.allowedUserIds || [])], outsiderAccess: rule.outsiderAccess === 'read' ? 'read' : 'none' };
+        const existing = index[rule.scope][key];
+        index[rule.scope][key] = existing
+            ? {
+                allowed: existing.allowed.filter(id => entry.allowed.includes(id)),
+                outsiderAccess: existing.outsiderAccess === 'read' && entry.outsiderAccess === 'read' ? 'read' : 'none',
+            }
+            : entry;
+    });
+    return index;
+};
+
+const intersectAllowed = (rules) => rules.reduce(
+    (ids, rule) => ids.filter(id => (rule.allowedUserIds || []).includes(id)),
+    [...new Set(rules[0].allowedUserIds || [])]
+);
+
+/**
+ * 시방서 문서에 함께 저장할 접근 필드를 계산합니다. 관리자는 목록과 관계없이 항상 접근할 수 있습니다.
+ * @returns {{ readers: string[], writers: string[] }}
+ */
+export const computeSpecAccessFields = (spec, rules = []) => {
+    const matching = rules.filter(rule => ruleMatchesSpec(rule, spec));
+    if (matching.length === 0) return { readers: ['*'], writers: ['*'] };
+    const hidden = matching.filter(rule => rule.outsiderAccess !== 'read');
+    return { readers: hidden.length > 0 ? intersectAllowed(hidden) : ['*'], writers: intersectAllowed(matching) };
+};
+
+export const isSameAccessFields = (a, b) => Boolean(a && b)
+    && a.readers.length === b.readers.length && a.readers.every((id, i) => b.readers[i] === id)
+    && a.writers.length === b.writers.length && a.writers.every((id, i) => b.writers[i] === id);
+
+// --- Accounts ---
+// 비밀번호는 WebCrypto PBKDF2(SHA-256)로 해시합니다. WebCrypto는 HTTPS(또는 localhost)에서만 제공되며,
+// 없으면 약한 해시로 대신하지 않고 오류를 냅니다.
+
+const PASSWORD_HASH_ALGORITHM = 'pbkdf2-sha256';
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+
+const getSubtleCrypto = () => {
+    if (typeof crypto === 'undefined' || !crypto.subtle || !crypto.getRandomValues) {
+        throw new Error("이 브라우저 연결에서는 암호화 기능을 쓸 수 없습니다. HTTPS(또는 localhost)로 접속해주세요.");
+    }
+    return crypto.subtle;
+};
+
+const derivePasswordHash = async (password, salt, iterations = PBKDF2_ITERATIONS) => {
+    const subtle = getSubtleCrypto();
+    const key = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations }, key, 256);
+    return `${PASSWORD_HASH_ALGORITHM}:${iterations}:${toHex(bits)}`;
+};
+
+const createSalt = () => {
+    getSubtleCrypto();
+    return toHex(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+};
+
+// 이전 버전이 저장한 해시('sha256:' 또는 'fnv1a64:')는 로그인할 때 한 번 확인하고 PBKDF2로 바꿉니다.
+const verifyLegacyPasswordHash = async (password, account) => {
+    const bytes = new TextEncoder().encode(`${account.salt}:${password}`);
+    if (account.passwordHash.startsWith('sha256:')) {
+        return account.passwordHash === `sha256:${toHex(await getSubtleCrypto().digest('SHA-256', bytes))}`;
+    }
+    return account.passwordHash === `fnv1a64:${fnv1a64(bytes)}`;
+};
+
+const verifyPassword = async (password, account) => {
+    const [algorithm, iterations] = (account.passwordHash || '').split(':');
+    if (algorithm !== PASSWORD_HASH_ALGORITHM) return verifyLegacyPasswordHash(password, account);
+    return (await derivePasswordHash(password, account.salt, Number(iterations))) === account.passwordHash;
+};
+
+/**
+ * 새 계정을 만듭니다. 비밀번호는 솔트와 함께 해시하여 저장합니다.
+ * @returns {Promise<{ id, name, role, salt, passwordHash, createdAt }>}
+ */
+export const createAccount = async ({ id, name, password, role }) => {
+    if (!name?.trim()) throw new Error("이름을 입력해주세요.");
+    if (!password || password.length < 4) throw new Error("비밀번호는 4자 이상이어야 합니다.");
+    if (!ROLES[role]) throw new Error(`알 수 없는 역할입니다: ${role}`);
+    const salt = createSalt();
+    return { id, name: name.trim(), role, salt, passwordHash: await derivePasswordHash(password, salt), createdAt: new Date().toISOString() };
+};
+
+export const setAccountPassword = async (account, password) => {
+    if (!password || password.length < 4) throw new Error("비밀번호는 4자 이상이어야 합니다.");
+    const salt = createSalt();
+    return { ...account, salt, passwordHash: await derivePasswordHash(password, salt) };
+};
+
+/**
+ * 이름과 비밀번호로 계정을 찾습니다. 일치하는 계정이 없으면 null을 반환합니다.
+ * 이전 형식의 해시로 저장된 계정은 새 해시로 바꾼 계정을 돌려주므로, 호출한 쪽에서 저장해야 합니다.
+ */
+export const authenticate = async (accounts, name, password) => {
+    const account = accounts.find(a => normalizeValue(a.name) === normalizeValue(name));
+    if (!account || !(await verifyPassword(password, account))) return null;
+    return account.passwordHash.startsWith(`${PASSWORD_HASH_ALGORITHM}:`) ? account : setAccountPassword(account, password);
+};
+
+export const findDuplicateAccountName = (accounts, name, exceptId) =>
+    accounts.find(a => a.id !== exceptId && normalizeValue(a.name) === normalizeValue(name)) || null;
+
+// 마지막 관리자의 역할 변경이나 삭제를 막습니다.
+export const isLastAdmin = (accounts, accountId) => {
+    const admins = accounts.filter(a => a.role === 'admin');
+    return admins.length === 1 && admins[0].id === accountId;
+};
+
+// 세션 정보에는 비밀번호 해시를 포함하지 않습니다.
+export const toSessionUser = (account) => (account ? { id: account.id, name: account.name, role: account.role } : null);
+
+// --- Persistence ---
+
+export const loadAccessSettings = () => {
+    if (typeof window === 'undefined') return { accounts: [], rules: [] };
+    try {
+        const stored = JSON.parse(localStorage.getItem(ACCOUNTS_STORAGE_KEY) || 'null');
+        return {
+            accounts: Array.isArray(stored?.accounts) ? stored.accounts : [],
+            rules: Array.isArray(stored?.rules) ? stored.rules : [],
+        };
+    } catch (e) {
+        console.error("Error parsing account settings:", e);
+        return { accounts: [], rules: [] };
+    }
+};
+
+export const saveAccessSettings = (settings) => {
+    if (typeof window === 'undefined') return;
+    localStorage.setItem(ACCOUNTS_STORAGE_KEY, JSON.stringify({ accounts: settings.accounts, rules: settings.rules }));
+};
+
+export const loadSessionUserId = () => (typeof window === 'undefined' ? null : sessionStorage.getItem(SESSION_STORAGE_KEY));
+
+export const saveSessionUserId = (userId) => {
+    if (typeof window === 'undefined') return;
+    if (userId) sessionStorage.setItem(SESSION_STORAGE_KEY, userId);
+    else sessionStorage.removeItem(SESSION_STORAGE_KEY);
+};
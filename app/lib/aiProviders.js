@@ -0,0 +1,227 @@
+// --- AI Providers ---
+// 시방서 분석(요약/키워드/정형 필드)과 질의응답에 쓸 제공자를 설정에 따라 만듭니다.
+// 제공자는 { id, label, isLocal, isFallback, analyze(item, { signal }), answerProvider } 형태이며,
+// 선택한 제공자의 설정이 불완전하면 네트워크 없이 동작하는 규칙 기반 추출기로 대신합니다.
+
+import { SPEC_ATTRIBUTES_RESPONSE_SCHEMA, createEmptyAttributes, normalizeSpecAttributes } from './specSchema';
+import { createGeminiAnswerProvider, createOpenAiAnswerProvider, parseJsonContent } from './specQa';
+import { extractSpecByRules } from './ruleExtractor';
+import { AI_PROXY_PATHS, requestAiProxy } from './aiProxy';
+
+const AI_SETTINGS_STORAGE_KEY = 'forging_specs_ai_settings';
+
+// 브라우저에서 고를 수 있는 제공자. Gemini는 API 키가 노출되지 않도록 서버 프록시(aiProxyServer)를 통해서만 호출합니다.
+export const AI_PROVIDERS = {
+    server: '서버 프록시 (API 키를 서버에만 보관)',
+    openai: 'OpenAI 호환 API (자체 호스팅 모델 등)',
+    rules: '규칙 기반 추출 (오프라인)',
+};
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// AI 요청 본문이 과도하게 커지지 않도록 추출 텍스트를 잘라서 전달합니다.
+const MAX_ANALYSIS_TEXT_LENGTH = 30000;
+
+const ANALYSIS_SYSTEM_PROMPT = `당신은 전문적인 '단조 시방서' 분석 전문가입니다.
+문서 내용을 요약하고 키워드를 뽑은 뒤, attributes 항목에 재질 등급, 단조 온도 범위, 열처리, 경도, 치수 공차, NDT 요구사항, 참조 규격(ASTM/ASME/KS/JIS/DIN 등), 고객사를 정리하세요.
+문서에 없는 값은 추측하지 말고 빈 문자열, 빈 배열 또는 null로 두세요.`;
+
+const ANALYSIS_RESPONSE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        summary: { type: "STRING" },
+        keywords: { type: "ARRAY", items: { type: "STRING" } },
+        attributes: SPEC_ATTRIBUTES_RESPONSE_SCHEMA,
+    },
+};
+
+// responseSchema를 지원하지 않는 엔드포인트에는 예시 JSON으로 형식을 알려줍니다.
+const ANALYSIS_JSON_EXAMPLE = JSON.stringify({ summary: '', keywords: [], attributes: createEmptyAttributes() });
+
+// 여러 번 적용해도 결과가 같으므로, 서버 프록시로 보내기 전에 잘라도 서버에서 만드는 프롬프트는 달라지지 않습니다.
+export const trimAnalysisText = (text) => (text && text.length > MAX_ANALYSIS_TEXT_LENGTH
+    ? `${text.slice(0, MAX_ANALYSIS_TEXT_LENGTH)}\n...(이하 생략)`
+    : text);
+
+const buildAnalysisContent = (item) => {
+    const parts = [];
+    if (item.extractedText) parts.push(`[문서 본문]\n${trimAnalysisText(item.extractedText)}`);
+    if (item.mockContent) parts.push(`[분석 힌트]\n${item.mockContent}`);
+    if (parts.length === 0) return `파일명: ${item.fileName}, 경로: ${item.filePath}, 타입: ${item.fileType}`;
+    return parts.join('\n\n');
+};
+
+const normalizeAnalysis = (result) => ({
+    summary: typeof result?.summary === 'string' ? result.summary.trim() : '',
+    keywords: Array.isArray(result?.keywords) ? result.keywords.filter(k => typeof k === 'string' && k.trim()).map(k => k.trim()) : [],
+    attributes: normalizeSpecAttributes(result?.attributes),
+});
+
+/**
+ * Gemini generateContent 주소(끝이 'key='인 접두어)를 만듭니다.
+ * apiUrl에 ':generateContent'까지 포함된 전체 주소를 넣으면(GEMINI_API_URL에 전체 주소를 지정한 경우) 그대로 사용합니다.
+ */
+export const getGeminiEndpoint = ({ apiUrl, model }) => {
+    if (apiUrl && apiUrl.includes(':generateContent')) return apiUrl;
+    const base = (apiUrl || GEMINI_BASE_URL).replace(/\/+$/, '');
+    return `${base}/models/${encodeURIComponent(model || DEFAULT_GEMINI_MODEL)}:generateContent?key=`;
+};
+
+// server.accessToken: 로컬 전용 모드에서 서버 프록시에 보낼 API 토큰 (클라우드 모드는 로그인 ID 토큰을 씁니다)
+export const createDefaultAiSettings = () => ({
+    provider: 'rules',
+    server: { accessToken: '' },
+    openai: { baseUrl: '', apiKey: '', model: '' },
+});
+
+// 서버 프록시의 실제 설정 여부는 fetchAiProxyStatus()로 확인합니다.
+export const isProviderConfigured = (settings) => {
+    switch (settings.provider) {
+        case 'server': return true;
+        case 'gemini': return Boolean(settings.gemini?.apiKey);
+        case 'openai': return Boolean(settings.openai?.baseUrl && settings.openai?.model);
+        case 'rules': return true;
+        default: return false;
+    }
+};
+
+// 서버 프록시 전용 (getServerAiSettings의 gemini 설정)
+const createGeminiProvider = (config, fetchImpl) => {
+    const endpoint = getGeminiEndpoint(config);
+    return {
+        analyze: async (item, { signal } = {}) => {
+            const response = await fetchImpl(`${endpoint}${config.apiKey}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    contents: [{ parts: [{ text: `파일명: ${item.fileName} 내용: ${buildAnalysisContent(item)}` }] }],
+                    systemInstruction: { parts: [{ text: ANALYSIS_SYSTEM_PROMPT }] },
+                    generationConfig: { responseMimeType: "application/json", responseSchema: ANALYSIS_RESPONSE_SCHEMA },
+                }),
+                signal,
+            });
+            const result = await response.json();
+            return JSON.parse(result.candidates?.[0]?.content?.parts?.[0]?.text);
+        },
+        answerProvider: createGeminiAnswerProvider({ apiUrl: endpoint, apiKey: config.apiKey, fetchImpl }),
+    };
+};
+
+const createOpenAiProvider = (config, fetchImpl) => ({
+    analyze: async (item, { signal } = {}) => {
+        const response = await fetchImpl(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}) },
+            body: JSON.stringify({
+                model: config.model,
+                temperature: 0,
+                response_format: { type: 'json_object' },
+                messages: [
+                    { role: 'system', content: `${ANALYSIS_SYSTEM_PROMPT}\n다음 JSON 형식으로만 답하세요: ${ANALYSIS_JSON_EXAMPLE}` },
+                    { role: 'user', content: `파일명: ${item.fileName} 내용: ${buildAnalysisContent(item)}` },
+                ],
+            }),
+            signal,
+        });
+        const result = await response.json();
+        return parseJsonContent(result.choices?.[0]?.message?.content);
+    },
+    answerProvider: createOpenAiAnswerProvider({ ...config, fetchImpl }),
+});
+
+// 서버 프록시: 키와 모델은 서버 환경 변수로 정하고, 같은 본문과 힌트의 결과는 서버에서 캐시합니다.
+// skipCache: 재분석처럼 캐시된 결과 대신 새로 분석해야 할 때 사용합니다.
+const createServerProvider = (getAccessToken) => ({
+    analyze: async (item, { signal } = {}) => requestAiProxy(AI_PROXY_PATHS.analyze, {
+        fileName: item.fileName,
+        filePath: item.filePath || '',
+        fileType: item.fileType || '',
+        extractedText: trimAnalysisText(item.extractedText) || null,
+        mockContent: item.mockContent || '',
+        skipCache: Boolean(item.skipCache),
+    }, { accessToken: await getAccessToken(), signal }),
+    answerProvider: {
+        name: 'server',
+        answer: async ({ question, sources }) => requestAiProxy(AI_PROXY_PATHS.answer, { question, sources }, { accessToken: await getAccessToken() }),
+    },
+});
+
+// 규칙 기반 추출기는 질의응답을 지원하지 않습니다. (answerProvider: null)
+const createRulesProvider = () => ({
+    analyze: async (item) => extractSpecByRules(item),
+    answerProvider: null,
+});
+
+/**
+ * 설정에 맞는 AI 제공자를 만듭니다.
+ * @param {object} settings loadAiSettings() 결과
+ * @param {{ fetchImpl?: Function, getAccessToken?: () => Promise<string | null> }} [options]
+ *   fetchImpl: 재시도 등을 처리하는 fetch 구현, getAccessToken: 서버 프록시 요청에 붙일 Bearer 토큰 (서버가 사용자를 확인합니다)
+ */
+export const createAiProvider = (settings, { fetchImpl = fetch, getAccessToken = async () => null } = {}) => {
+    const id = isProviderConfigured(settings) ? settings.provider : 'rules';
+    const isLocal = id === 'rules';
+    const impl = id === 'server'
+        ? createServerProvider(getAccessToken)
+        : id === 'gemini'
+        ? createGeminiProvider(settings.gemini, fetchImpl)
+        : id === 'openai'
+        ? createOpenAiProvider(settings.openai, fetchImpl)
+        : createRulesProvider();
+
+    const analyze = async (item, options = {}) => {
+        try {
+            return normalizeAnalysis(await impl.analyze(item, options));
+        } catch (e) {
+            // 취소와 서버 프록시의 코드가 붙은 오류는 그대로 전달합니다.
+            if (e.name === 'AbortError' || e.code) throw e;
+            // 분석 대기열이 요청 한도 초과(429)를 구분할 수 있도록 status를 유지합니다.
+            const error = new Error("AI 분석 실패: " + e.message, { cause: e });
+            error.status = e.status;
+            error.retryAfterMs = e.retryAfterMs;
+            throw error;
+        }
+    };
+
+    return {
+        id,
+        label: AI_PROVIDERS[id] || id,
+        model: id === 'gemini' ? settings.gemini.model || DEFAULT_GEMINI_MODEL : id === 'openai' ? settings.openai.model : '',
+        isLocal,
+        isFallback: id !== settings.provider,
+        analyze,
+        answerProvider: impl.answerProvider,
+    };
+};
+
+// --- Persistence ---
+
+export const hasSavedAiSettings = () => typeof window !== 'undefined' && localStorage.getItem(AI_SETTINGS_STORAGE_KEY) !== null;
+
+export const loadAiSettings = (defaults = createDefaultAiSettings()) => {
+    if (typeof window === 'undefined') return defaults;
+    try {
+        const stored = JSON.parse(localStorage.getItem(AI_SETTINGS_STORAGE_KEY) || 'null');
+        if (!stored) return defaults;
+        // 브라우저에서 Gemini를 직접 호출하던 이전 설정은 서버 프록시로 바꾸고, 저장된 API 키는 지웁니다.
+        if (stored.gemini) {
+            const { gemini, ...rest } = stored;
+            localStorage.setItem(AI_SETTINGS_STORAGE_KEY, JSON.stringify({ ...rest, provider: rest.provider === 'gemini' ? 'server' : rest.provider }));
+            return loadAiSettings(defaults);
+        }
+        return {
+            provider: AI_PROVIDERS[stored.provider] ? stored.provider : defaults.provider,
+            server: { ...defaults.server, ...(stored.server || {}) },
+            openai: { ...defaults.openai, ...(stored.openai || {}) },
+        };
+    } catch (e) {
+        console.error("Error parsing AI settings:", e);
+        return defaults;
+    }
+};
+
+export const saveAiSettings = (settings) => {
+    if (typeof window === 'undefined') return;
+    localStorage.setItem(AI_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
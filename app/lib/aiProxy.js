@@ -0,0 +1,67 @@
+// --- AI Proxy Protocol ---
+// 브라우저와 app/api/ai/* 라우트가 함께 쓰는 경로와 오류 코드입니다.
+// 요청에는 Authorization: Bearer <토큰>을 붙입니다. (클라우드 모드: 로그인 ID 토큰, 로컬 전용 모드: AI 설정에 입력한 API 토큰)
+// 서버는 오류를 { error: { code, message } } 형태로 돌려주고, 클라이언트는 code로 재시도 여부와 안내 문구를 정합니다.
+
+export const AI_PROXY_PATHS = {
+    analyze: '/api/ai/analyze',
+    answer: '/api/ai/answer',
+    status: '/api/ai/status',
+};
+
+export const AI_ERROR_CODES = {
+    INVALID_REQUEST: { status: 400, message: '요청 형식이 올바르지 않습니다.' },
+    UNAUTHENTICATED: { status: 401, message: '사용자를 확인하지 못했습니다. 다시 로그인하거나 AI 설정의 접근 토큰을 확인해주세요.' },
+    NOT_CONFIGURED: { status: 503, message: '서버에 AI 제공자가 설정되지 않았습니다.' },
+    QUOTA_EXCEEDED: { status: 429, message: '오늘 사용할 수 있는 AI 요청 수를 모두 사용했습니다.' },
+    RATE_LIMITED: { status: 429, message: 'AI 서비스의 요청 한도를 초과했습니다. 잠시 후 다시 시도합니다.' },
+    UPSTREAM_TIMEOUT: { status: 504, message: 'AI 서비스의 응답 시간이 초과되었습니다.' },
+    UPSTREAM_ERROR: { status: 502, message: 'AI 서비스에서 오류가 발생했습니다.' },
+    INVALID_RESPONSE: { status: 502, message: 'AI 응답을 해석하지 못했습니다.' },
+};
+
+/**
+ * 오류 코드가 붙은 Error를 만듭니다.
+ * @param {keyof AI_ERROR_CODES} code
+ * @param {{ detail?: string, retryAfterMs?: number }} [options] detail: 원인 설명(메시지 뒤에 덧붙임)
+ */
+export const createAiError = (code, { detail = '', retryAfterMs } = {}) => {
+    const definition = AI_ERROR_CODES[code] || AI_ERROR_CODES.UPSTREAM_ERROR;
+    const error = new Error(detail ? `${definition.message} (${detail})` : definition.message);
+    error.code = AI_ERROR_CODES[code] ? code : 'UPSTREAM_ERROR';
+    error.status = definition.status;
+    if (retryAfterMs) error.retryAfterMs = retryAfterMs;
+    return error;
+};
+
+// 사용량 초과는 기다려도 풀리지 않으므로 재시도 대상이 아닙니다.
+export const isRetryableAiError = (error) => error?.status === 429 && error.code !== 'QUOTA_EXCEEDED';
+
+const readAiErrorResponse = async (response) => {
+    const body = await response.json().catch(() => null);
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    const code = body?.error?.code || (response.status === 429 ? 'RATE_LIMITED' : 'UPSTREAM_ERROR');
+    const error = createAiError(code, { retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : undefined });
+    if (body?.error?.message) error.message = body.error.message;
+    return error;
+};
+
+/**
+ * 프록시 라우트에 JSON 요청을 보냅니다. 실패하면 code/status가 붙은 Error를 던집니다.
+ */
+export const requestAiProxy = async (path, body, { accessToken, signal, method = 'POST' } = {}) => {
+    const response = await fetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}) },
+        body: method === 'GET' ? undefined : JSON.stringify(body),
+        signal,
+    });
+    if (!response.ok) throw await readAiErrorResponse(response);
+    return response.json();
+};
+
+/**
+ * 서버 프록시 상태를 조회합니다.
+ * @returns {Promise<{ configured: boolean, provider: string, model: string, quota: { limit: number, used: number } }>}
+ */
+export const fetchAiProxyStatus = (accessToken) => requestAiProxy(AI_PROXY_PATHS.status, null, { accessToken, method: 'GET' });
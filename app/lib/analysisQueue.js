@@ -0,0 +1,218 @@
+// --- Analysis Job Queue ---
+// 업로드 항목의 AI 분석을 동시 처리 수와 분당 요청 수 안에서 순서대로 실행합니다.
+// 429(요청 한도 초과)를 받으면 대기열 전체가 잠시 멈췄다가 해당 작업을 앞에서부터 다시 시도합니다.
+
+import { isRetryableAiError } from './aiProxy';
+
+const QUEUE_STORAGE_KEY = 'forging_specs_analysis_queue';
+
+export const DEFAULT_QUEUE_SETTINGS = {
+    concurrency: 2,
+    ratePerMinute: 10,
+};
+export const MAX_QUEUE_CONCURRENCY = 5;
+
+// 429 재시도 횟수와 대기 시간 (Retry-After가 있으면 그 값을 우선합니다)
+const MAX_RATE_LIMIT_RETRIES = 5;
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 2 * 60 * 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+export const createAbortError = () => {
+    const error = new Error("작업이 취소되었습니다.");
+    error.name = 'AbortError';
+    return error;
+};
+
+export const throwIfAborted = (signal) => {
+    if (signal?.aborted) throw createAbortError();
+};
+
+const clampSettings = (settings) => ({
+    concurrency: Math.min(MAX_QUEUE_CONCURRENCY, Math.max(1, Math.round(Number(settings.concurrency)) || DEFAULT_QUEUE_SETTINGS.concurrency)),
+    // 0이면 분당 요청 수를 제한하지 않습니다.
+    ratePerMinute: Math.max(0, Math.round(Number(settings.ratePerMinute)) || 0),
+});
+
+/**
+ * 분석 작업 대기열을 만듭니다. 작업은 id로만 관리하며, 실제 처리 내용은 runJob이 정합니다.
+ * @param {object} options
+ * @param {(id: string, signal: AbortSignal) => Promise<any>} options.runJob 작업 하나를 실행하는 함수
+ * @param {(id: string, status: 'running' | 'retrying' | 'done' | 'error' | 'cancelled', payload?: any) => void} [options.onJobUpdate]
+ *   done: 결과, error: 오류, retrying: { retryAt, attempt }
+ * @param {(snapshot: object) => void} [options.onStateChange] 대기열 상태가 바뀔 때마다 getSnapshot() 결과로 호출됩니다.
+ * @param {{ concurrency: number, ratePerMinute: number }} [options.settings]
+ */
+export const createAnalysisQueue = ({ runJob, onJobUpdate, onStateChange, settings = DEFAULT_QUEUE_SETTINGS }) => {
+    let options = clampSettings(settings);
+    const pending = [];
+    const running = new Map();
+    const attempts = new Map();
+    const startTimes = [];
+    let paused = false;
+    let blockedUntil = 0;
+    let timer = null;
+    let disposed = false;
+    // 한 번의 분석 묶음(대기열이 비었다가 다시 채워질 때까지)에 대한 진행 현황
+    let stats = { total: 0, completed: 0, failed: 0, cancelled: 0 };
+
+    const getSnapshot = () => ({
+        paused,
+        pending: pending.length,
+        running: running.size,
+        blockedUntil: blockedUntil > Date.now() ? blockedUntil : 0,
+        ...stats,
+    });
+
+    const emit = () => onStateChange?.(getSnapshot());
+
+    const schedule = (delay) => {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            pump();
+        }, Math.max(0, delay));
+    };
+
+    const pump = () => {
+        if (disposed) return;
+        while (!paused && pending.length > 0 && running.size < options.concurrency) {
+            const now = Date.now();
+            if (now < blockedUntil) {
+                schedule(blockedUntil - now);
+                break;
+            }
+            while (startTimes.length > 0 && startTimes[0] <= now - RATE_WINDOW_MS) startTimes.shift();
+            if (options.ratePerMinute > 0 && startTimes.length >= options.ratePerMinute) {
+                schedule(startTimes[0] + RATE_WINDOW_MS - now);
+                break;
+            }
+            startTimes.push(now);
+            start(pending.shift());
+        }
+        emit();
+    };
+
+    const start = async (id) => {
+        const controller = new AbortController();
+        running.set(id, controller);
+        onJobUpdate?.(id, 'running');
+        try {
+            const result = await runJob(id, controller.signal);
+            if (controller.signal.aborted) return;
+            attempts.delete(id);
+            stats.completed++;
+            onJobUpdate?.(id, 'done', result);
+        } catch (error) {
+            if (controller.signal.aborted || isAbortError(error)) return;
+            const attempt = (attempts.get(id) || 0) + 1;
+            if (isRetryableAiError(error) && attempt <= MAX_RATE_LIMIT_RETRIES) {
+                attempts.set(id, attempt);
+                const delay = error.retryAfterMs || Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+                blockedUntil = Math.max(blockedUntil, Date.now() + delay);
+                pending.unshift(id);
+                onJobUpdate?.(id, 'retrying', { retryAt: blockedUntil, attempt });
+            } else {
+                attempts.delete(id);
+                stats.failed++;
+                onJobUpdate?.(id, 'error', error);
+            }
+        } finally {
+            if (running.get(id) === controller) running.delete(id);
+            pump();
+        }
+    };
+
+    const enqueue = (ids) => {
+        const newIds = ids.filter(id => !pending.includes(id) && !running.has(id));
+        if (newIds.length === 0) return;
+        if (pending.length === 0 && running.size === 0) stats = { total: 0, completed: 0, failed: 0, cancelled: 0 };
+        pending.push(...newIds);
+        stats.total += newIds.length;
+        pump();
+    };
+
+    // 대기 중인 작업은 목록에서 빼고, 실행 중인 작업은 AbortSignal로 중단합니다.
+    const cancel = (id) => {
+        const index = pending.indexOf(id);
+        const controller = running.get(id);
+        if (index === -1 && !controller) return;
+        if (index !== -1) pending.splice(index, 1);
+        if (controller) {
+            controller.abort();
+            running.delete(id);
+        }
+        attempts.delete(id);
+        stats.cancelled++;
+        onJobUpdate?.(id, 'cancelled');
+        pump();
+    };
+
+    // 일시정지하면 새 작업을 시작하지 않습니다. 이미 실행 중인 작업은 끝까지 진행합니다.
+    const pause = () => {
+        paused = true;
+        emit();
+    };
+
+    const resume = () => {
+        paused = false;
+        pump();
+    };
+
+    const updateSettings = (next) => {
+        options = clampSettings({ ...options, ...next });
+        pump();
+    };
+
+    const dispose = () => {
+        disposed = true;
+        clearTimeout(timer);
+        running.forEach(controller => controller.abort());
+        running.clear();
+        pending.length = 0;
+    };
+
+    return { enqueue, cancel, pause, resume, updateSettings, getSnapshot, dispose };
+};
+
+export const loadAnalysisQueueSettings = () => {
+    if (typeof window === 'undefined') return { ...DEFAULT_QUEUE_SETTINGS };
+    try {
+        const stored = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY) || 'null');
+        return clampSettings({ ...DEFAULT_QUEUE_SETTINGS, ...(stored?.settings || {}) });
+    } catch (e) {
+        return { ...DEFAULT_QUEUE_SETTINGS };
+    }
+};
+
+// 대기열 상태: 항목 순서와 일시정지 여부 (항목 내용과 파일은 IndexedDB에 저장합니다)
+export const loadAnalysisQueueState = () => {
+    if (typeof window === 'undefined') return { itemIds: [], paused: false };
+    try {
+        const stored = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY) || 'null');
+        return {
+            itemIds: Array.isArray(stored?.itemIds) ? stored.itemIds : [],
+            paused: Boolean(stored?.paused),
+        };
+    } catch (e) {
+        return { itemIds: [], paused: false };
+    }
+};
+
+// 주어진 값만 바꾸고 나머지는 저장된 값을 유지합니다.
+export const saveAnalysisQueueState = ({ settings, itemIds, paused }) => {
+    if (typeof window === 'undefined') return;
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY) || 'null') || {};
+    } catch (e) {
+        stored = {};
+    }
+    localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify({
+        settings: settings ? clampSettings(settings) : stored.settings,
+        itemIds: itemIds ?? stored.itemIds ?? [],
+        paused: paused ?? stored.paused ?? false,
+    }));
+};
@@ -0,0 +1,164 @@
+// --- Audit Log ---
+// 등록·가져오기·수정·다운로드·미리보기·삭제(휴지통 이동/복원/영구 삭제)·검사 기록·대장 내보내기 이력을 추가 전용으로 기록합니다.
+// 각 항목은 직전 항목의 해시(prevHash)를 포함하므로, 중간 항목이 바뀌거나 빠지면 verifyAuditChain()에서 드러납니다.
+
+import { hashFile } from './fileHash';
+
+export const AUDIT_ACTIONS = {
+    create: '등록',
+    revise: '개정',
+    replace: '교체',
+    import: '가져오기',
+    edit: '수정',
+    download: '다운로드',
+    preview: '미리보기',
+    delete: '삭제',
+    trash: '휴지통 이동',
+    untrash: '휴지통 복원',
+    purge: '영구 삭제',
+    backup: '백업',
+    inspect: '검사 기록',
+    export: '대장 내보내기',
+};
+
+// 전/후 비교에 남길 메타데이터 필드 (개정 이력 배열은 개정 수로 대체)
+const SNAPSHOT_FIELDS = ['fileName', 'fileType', 'filePath', 'summary', 'keywords', 'attributes', 'partIds', 'customerIds', 'contentHash', 'createdAt', 'updatedAt'];
+
+export const toAuditSnapshot = (spec) => {
+    if (!spec) return null;
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+        if (spec[field] !== undefined) snapshot[field] = spec[field];
+    });
+    snapshot.revisionCount = spec.revisions?.length || 1;
+    return snapshot;
+};
+
+const GENESIS_HASH = 'genesis';
+
+const hashEntry = (entry) => {
+    const { seq, hash, ...content } = entry;
+    return hashFile(new Blob([JSON.stringify(content)]));
+};
+
+/**
+ * 감사 로그 기록기를 만듭니다. 기록은 순서대로 직렬화되어 해시 체인이 어긋나지 않습니다.
+ * @param {object} options
+ * @param {(entry: object) => Promise<any>} options.appendEntry 저장소에 항목 하나를 추가하는 함수
+ * @param {() => Promise<Array>} options.loadEntries 저장된 전체 항목을 불러오는 함수
+ */
+export const createAuditLog = ({ appendEntry, loadEntries }) => {
+    let lastHash = null;
+    let queue = Promise.resolve();
+
+    const getLastHash = async () => {
+        if (lastHash === null) {
+            const entries = await loadEntries();
+            lastHash = entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH;
+        }
+        return lastHash;
+    };
+
+    /**
+     * @param {object} actor { id, name }
+     * @param {Array<{ action: string, specId?: string, fileName?: string, before?: object, after?: object, detail?: string }>} events
+     */
+    const record = (actor, events) => {
+        const timestamp = new Date().toISOString();
+        queue = queue.then(async () => {
+            for (const event of events) {
+                const entry = {
+                    timestamp,
+                    actorId: actor?.id || '',
+                    actorName: actor?.name || '',
+                    action: event.action,
+                    specId: event.specId || '',
+                    fileName: event.fileName || event.after?.fileName || event.before?.fileName || '',
+                    before: event.before || null,
+                    after: event.after || null,
+                    detail: event.detail || '',
+                    prevHash: await getLastHash(),
+                };
+                entry.hash = await hashEntry(entry);
+                await appendEntry(entry);
+                lastHash = entry.hash;
+            }
+        }).catch(err => {
+            // 저장에 실패하면 다음 기록 때 저장소에서 마지막 해시를 다시 읽습니다.
+            lastHash = null;
+            console.error("Audit log write failed", err);
+        });
+        return queue;
+    };
+
+    const list = async () => {
+        await queue;
+        return loadEntries();
+    };
+
+    return { record, list };
+};
+
+/**
+ * 해시 체인을 검증합니다.
+ * @returns {Promise<{ valid: boolean, brokenAt: number | null }>} brokenAt: 처음 어긋난 항목의 seq
+ */
+export const verifyAuditChain = async (entries) => {
+    let prevHash = GENESIS_HASH;
+    for (const entry of entries) {
+        if (entry.prevHash !== prevHash || await hashEntry(entry) !== entry.hash) {
+            return { valid: false, brokenAt: entry.seq ?? null };
+        }
+        prevHash = entry.hash;
+    }
+    return { valid: true, brokenAt: null };
+};
+
+export const createEmptyAuditFilters = () => ({ action: '', actor: '', query: '', dateFrom: '', dateTo: '' });
+
+export const filterAuditEntries = (entries, filters) => {
+    const query = filters.query.trim().toLowerCase();
+    return entries.filter(entry => {
+        if (filters.action && entry.action !== filters.action) return false;
+        if (filters.actor && entry.actorId !== filters.actor) return false;
+        const date = entry.timestamp.slice(0, 10);
+        if (filters.dateFrom && date < filters.dateFrom) return false;
+        if (filters.dateTo && date > filters.dateTo) return false;
+        if (query && !entry.specId.toLowerCase().includes(query) && !entry.fileName.toLowerCase().includes(query)) return false;
+        return true;
+    });
+};
+
+// 변경 전후에서 값이 달라진 필드 이름 목록
+export const getChangedFields = (entry) => {
+    if (!entry.before || !entry.after) return [];
+    const keys = new Set([...Object.keys(entry.before), ...Object.keys(entry.after)]);
+    return [...keys].filter(key => key !== 'updatedAt' && JSON.stringify(entry.before[key]) !== JSON.stringify(entry.after[key]));
+};
+
+const escapeCsv = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+    ['번호', e => e.seq],
+    ['일시(UTC)', e => e.timestamp],
+    ['사용자', e => e.actorName],
+    ['사용자 ID', e => e.actorId],
+    ['작업', e => AUDIT_ACTIONS[e.action] || e.action],
+    ['시방서 ID', e => e.specId],
+    ['파일명', e => e.fileName],
+    ['비고', e => e.detail],
+    ['변경 필드', e => getChangedFields(e).join(' ')],
+    ['변경 전', e => (e.before ? JSON.stringify(e.before) : '')],
+    ['변경 후', e => (e.after ? JSON.stringify(e.after) : '')],
+    ['해시', e => e.hash],
+];
+
+// 엑셀에서 한글이 깨지지 않도록 BOM을 붙입니다.
+export const auditEntriesToCsv = (entries) => {
+    const header = CSV_COLUMNS.map(([label]) => escapeCsv(label)).join(',');
+    const rows = entries.map(entry => CSV_COLUMNS.map(([, get]) => escapeCsv(get(entry))).join(','));
+    return '\uFEFF' + [header, ...rows].join('\r\n');
+};
@@ -0,0 +1,281 @@
+// --- Full Backup & Restore (zip) ---
+// 아카이브 구성:
+//   manifest.json        형식/버전, 항목 수, 각 파일의 경로·크기·SHA-256
+//   specs.json           시방서 메타데이터 배열 (localStorage와 동일한 형식)
+//   catalog.json         품번·고객사 목록 { customers, parts } (없으면 이전 버전의 백업)
+//   inspections.json     검사 기록 배열 (IndexedDB inspections 저장소, 없으면 이전 버전의 백업)
+//   files/<storageKey>   원본 파일 (모든 개정본)
+//   texts/<storageKey>.json  추출 본문
+
+import { getAllStorageKeys } from './revisions';
+import { hashFile, verifyFileHash } from './fileHash';
+import { findCustomerByName, findPartByNumber } from './parts';
+
+export const BACKUP_FORMAT = 'forging-spec-backup';
+export const BACKUP_VERSION = 1;
+
+const loadJSZip = async () => (await import('jszip')).default;
+
+// IndexedDB 키에 포함될 수 있는 문자를 zip 경로로 안전하게 변환합니다.
+const toEntryName = (storageKey) => encodeURIComponent(storageKey);
+
+/**
+ * 메타데이터와 모든 원본 파일/본문을 하나의 zip으로 묶습니다.
+ * @param {object} options
+ * @param {Array} options.specs
+ * @param {{ customers: Array, parts: Array }} options.catalog 품번·고객사 목록
+ * @param {Array} options.inspections 검사 기록
+ * @param {(key: string) => Promise<Blob | undefined>} options.loadFile
+ * @param {(key: string) => Promise<object | undefined>} options.loadText
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<{ blob: Blob, missingFiles: string[] }>}
+ */
+export const createBackupArchive = async ({ specs, catalog, inspections, loadFile, loadText, onProgress }) => {
+    const JSZip = await loadJSZip();
+    const zip = new JSZip();
+    const keys = specs.flatMap(spec => getAllStorageKeys(spec).map(key => ({ key, specId: spec.id })));
+    const files = [];
+    const texts = [];
+    const missingFiles = [];
+
+    for (let i = 0; i < keys.length; i++) {
+        const { key, specId } = keys[i];
+        const [blob, text] = await Promise.all([loadFile(key), loadText(key)]);
+        if (blob) {
+            const path = `files/${toEntryName(key)}`;
+            zip.file(path, await blob.arrayBuffer(), { binary: true });
+            files.push({ path, storageKey: key, specId, size: blob.size, type: blob.type || '', checksum: await hashFile(blob) });
+        } else {
+            missingFiles.push(key);
+        }
+        if (text) {
+            const path = `texts/${toEntryName(key)}.json`;
+            const json = JSON.stringify(text);
+            zip.file(path, json);
+            texts.push({ path, storageKey: key, specId, checksum: await hashFile(new Blob([json])) });
+        }
+        if (onProgress) onProgress(i + 1, keys.length);
+    }
+
+    const specsJson = JSON.stringify(specs, null, 2);
+    zip.file('specs.json', specsJson);
+    const catalogJson = JSON.stringify({ customers: catalog.customers, parts: catalog.parts }, null, 2);
+    zip.file('catalog.json', catalogJson);
+    const inspectionsJson = JSON.stringify(inspections);
+    zip.file('inspections.json', inspectionsJson);
+    zip.file('manifest.json', JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        specCount: specs.length,
+        specsChecksum: await hashFile(new Blob([specsJson])),
+        customerCount: catalog.customers.length,
+        partCount: catalog.parts.length,
+        catalogChecksum: await hashFile(new Blob([catalogJson])),
+        inspectionCount: inspections.length,
+        inspectionsChecksum: await hashFile(new Blob([inspectionsJson])),
+        files,
+        texts,
+        missingFiles,
+    }, null, 2));
+
+    const data = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+    return { blob: new Blob([data], { type: 'application/zip' }), missingFiles };
+};
+
+/**
+ * 백업 zip을 열어 매니페스트와 메타데이터를 검증합니다. 파일 체크섬은 복원 단계에서 확인합니다.
+ * 품번·고객사 목록이나 검사 기록이 없는 이전 백업이면 catalog는 null, inspections는 빈 배열입니다.
+ * @returns {Promise<{ manifest: object, specs: Array, catalog: { customers, parts } | null, inspections: Array, zip: object }>}
+ */
+export const openBackupArchive = async (file) => {
+    const JSZip = await loadJSZip();
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(await file.arrayBuffer());
+    } catch (e) {
+        throw new Error("zip 파일을 열 수 없습니다: " + e.message);
+    }
+
+    const manifestEntry = zip.file('manifest.json');
+    const specsEntry = zip.file('specs.json');
+    if (!manifestEntry || !specsEntry) throw new Error("백업 파일에 manifest.json 또는 specs.json이 없습니다.");
+
+    const manifest = JSON.parse(await manifestEntry.async('string'));
+    if (manifest.format !== BACKUP_FORMAT) throw new Error("이 앱에서 만든 백업 파일이 아닙니다.");
+    if (manifest.version > BACKUP_VERSION) throw new Error(`지원하지 않는 백업 버전입니다. (v${manifest.version})`);
+
+    const specsJson = await specsEntry.async('string');
+    if (manifest.specsChecksum && !await verifyFileHash(new Blob([specsJson]), manifest.specsChecksum)) {
+        throw new Error("specs.json 체크섬이 일치하지 않습니다. 파일이 손상되었을 수 있습니다.");
+    }
+    const specs = JSON.parse(specsJson);
+    if (!Array.isArray(specs) || specs.some(s => !s || typeof s.id !== 'string')) {
+        throw new Error("specs.json 형식이 올바르지 않습니다.");
+    }
+    return { manifest, specs, catalog: await readCatalogEntry(zip, manifest), inspections: await readInspectionsEntry(zip, manifest), zip };
+};
+
+const readInspectionsEntry = async (zip, manifest) => {
+    const entry = zip.file('inspections.json');
+    if (!entry) return [];
+    const json = await entry.async('string');
+    if (manifest.inspectionsChecksum && !await verifyFileHash(new Blob([json]), manifest.inspectionsChecksum)) {
+        throw new Error("inspections.json 체크섬이 일치하지 않습니다. 파일이 손상되었을 수 있습니다.");
+    }
+    const inspections = JSON.parse(json);
+    if (!Array.isArray(inspections) || inspections.some(r => !r || typeof r.id !== 'string' || typeof r.specId !== 'string')) {
+        throw new Error("inspections.json 형식이 올바르지 않습니다.");
+    }
+    return inspections;
+};
+
+const readCatalogEntry = async (zip, manifest) => {
+    const entry = zip.file('catalog.json');
+    if (!entry) return null;
+    const json = await entry.async('string');
+    if (manifest.catalogChecksum && !await verifyFileHash(new Blob([json]), manifest.catalogChecksum)) {
+        throw new Error("catalog.json 체크섬이 일치하지 않습니다. 파일이 손상되었을 수 있습니다.");
+    }
+    const catalog = JSON.parse(json);
+    if (!Array.isArray(catalog?.customers) || !Array.isArray(catalog?.parts)) throw new Error("catalog.json 형식이 올바르지 않습니다.");
+    return { customers: catalog.customers, parts: catalog.parts };
+};
+
+// 충돌 처리 방식
+export const RESTORE_STRATEGIES = {
+    skip: '기존 항목 유지 (건너뛰기)',
+    overwrite: '백업 항목으로 덮어쓰기',
+    duplicate: '새 ID로 모두 추가',
+};
+
+// 새 ID로 복사할 때 저장 키(spec.id, spec.id@rN)도 함께 바꿉니다.
+const remapStorageKey = (key, oldId, newId) => (key === oldId ? newId : key.startsWith(`${oldId}@`) ? newId + key.slice(oldId.length) : key);
+
+// 백업의 품번·고객사를 현재 목록에 합칩니다. ID가 같으면 덮어쓰기 방식일 때만 바꾸고,
+// ID는 다르지만 이름(품번)이 같은 항목은 기존 항목으로 보고 idMap(백업 ID → 기존 ID)에 기록합니다.
+const mergeCatalog = (existing, incoming, strategy) => {
+    const idMap = new Map();
+    const merged = { customers: [...existing.customers], parts: [...existing.parts] };
+    let added = 0;
+    const upsert = (list, entry, findSame) => {
+        const index = list.findIndex(item => item.id === entry.id);
+        if (index >= 0) {
+            if (strategy === 'overwrite') list[index] = entry;
+            return;
+        }
+        const same = findSame(entry);
+        if (same) {
+            idMap.set(entry.id, same.id);
+            return;
+        }
+        list.push(entry);
+        added++;
+    };
+    incoming.customers.forEach(customer => upsert(merged.customers, customer, c => findCustomerByName(merged, c.name)));
+    incoming.parts.forEach(part => upsert(
+        merged.parts,
+        part.customerId && idMap.has(part.customerId) ? { ...part, customerId: idMap.get(part.customerId) } : part,
+        p => findPartByNumber(merged, p.partNumber)
+    ));
+    return { catalog: merged, idMap, added };
+};
+
+const remapLinks = (spec, idMap) => {
+    if (idMap.size === 0) return spec;
+    const remap = (ids) => (ids ? [...new Set(ids.map(id => idMap.get(id) || id))] : ids);
+    return { ...spec, partIds: remap(spec.partIds), customerIds: remap(spec.customerIds) };
+};
+
+const remapSpecId = (spec, newId) => ({
+    ...spec,
+    id: newId,
+    revisions: spec.revisions?.map(rev => ({
+        ...rev,
+        id: rev.id === spec.id ? newId : rev.id,
+        storageKey: remapStorageKey(rev.storageKey, spec.id, newId),
+    })),
+});
+
+/**
+ * 백업을 복원합니다. 체크섬이 맞지 않는 파일은 저장하지 않고 failures에 기록합니다.
+ * @param {object} options
+ * @param {{ manifest, specs, catalog, inspections, zip }} options.backup openBackupArchive() 결과
+ * @param {Array} options.existingSpecs 현재 시방서 목록
+ * @param {{ customers: Array, parts: Array }} options.existingCatalog 현재 품번·고객사 목록
+ * @param {Array} options.existingInspections 현재 검사 기록. 검사 기록은 고치지 않으므로 같은 ID는 건너뜁니다.
+ * @param {'skip' | 'overwrite' | 'duplicate'} options.strategy 같은 ID가 있을 때의 처리 방식
+ * @param {() => string} options.createId 새 ID 생성 함수
+ * @returns {Promise<{ specs: Array, catalog: { customers, parts }, catalogAdded: number, inspectionsRestored: number, restored: number, skipped: number, failures: Array<{ storageKey, reason }> }>}
+ */
+export const restoreBackupArchive = async ({ backup, existingSpecs, existingCatalog, existingInspections, strategy, createId, saveFile, saveText, saveInspection, onProgress }) => {
+    const { manifest, specs: backupSpecs, zip } = backup;
+    const { catalog, idMap, added: catalogAdded } = backup.catalog
+        ? mergeCatalog(existingCatalog, backup.catalog, strategy)
+        : { catalog: existingCatalog, idMap: new Map(), added: 0 };
+    const existingIds = new Set(existingSpecs.map(s => s.id));
+    const filesByKey = new Map((manifest.files || []).map(f => [f.storageKey, f]));
+    const textsByKey = new Map((manifest.texts || []).map(t => [t.storageKey, t]));
+    const failures = [];
+    const restoredSpecs = [];
+    const duplicatedIds = new Map();
+    let skipped = 0;
+
+    for (let i = 0; i < backupSpecs.length; i++) {
+        const original = backupSpecs[i];
+        let spec = original;
+        if (existingIds.has(original.id)) {
+            if (strategy === 'skip') {
+                skipped++;
+                if (onProgress) onProgress(i + 1, backupSpecs.length);
+                continue;
+            }
+            if (strategy === 'duplicate') {
+                spec = remapSpecId(original, createId());
+                duplicatedIds.set(original.id, spec.id);
+            }
+        }
+
+        for (const key of getAllStorageKeys(original)) {
+            const targetKey = remapStorageKey(key, original.id, spec.id);
+            const fileEntry = filesByKey.get(key);
+            if (fileEntry) {
+                const bytes = await zip.file(fileEntry.path)?.async('uint8array');
+                const blob = bytes ? new Blob([bytes], fileEntry.type ? { type: fileEntry.type } : {}) : null;
+                if (!blob) failures.push({ storageKey: key, reason: '아카이브에 파일이 없습니다.' });
+                else if (!await verifyFileHash(blob, fileEntry.checksum)) failures.push({ storageKey: key, reason: '체크섬 불일치' });
+                else await saveFile(targetKey, blob);
+            }
+            const textEntry = textsByKey.get(key);
+            if (textEntry) {
+                const json = await zip.file(textEntry.path)?.async('string');
+                if (json && await verifyFileHash(new Blob([json]), textEntry.checksum)) await saveText(targetKey, JSON.parse(json));
+                else failures.push({ storageKey: key, reason: '본문 데이터 손상' });
+            }
+        }
+
+        restoredSpecs.push(remapLinks(spec, idMap));
+        if (onProgress) onProgress(i + 1, backupSpecs.length);
+    }
+
+    // 새 ID로 복사한 시방서의 검사 기록은 새 기록으로 복사하고, 나머지는 없는 기록만 추가합니다.
+    const existingInspectionIds = new Set(existingInspections.map(r => r.id));
+    let inspectionsRestored = 0;
+    for (const record of backup.inspections || []) {
+        const newSpecId = duplicatedIds.get(record.specId);
+        if (!newSpecId && existingInspectionIds.has(record.id)) continue;
+        await saveInspection(newSpecId ? { ...record, id: createId(), specId: newSpecId } : record);
+        inspectionsRestored++;
+    }
+
+    const restoredIds = new Set(restoredSpecs.map(s => s.id));
+    return {
+        specs: [...restoredSpecs, ...existingSpecs.filter(s => !restoredIds.has(s.id))],
+        catalog,
+        catalogAdded,
+        inspectionsRestored,
+        restored: restoredSpecs.length,
+        skipped,
+        failures,
+    };
+};
@@ -0,0 +1,150 @@
+// --- Bulk Download (zip) ---
+// 선택한 시방서의 최신 원본 파일을 저장된 폴더 구조 그대로 zip 하나로 묶습니다.
+// 원본이 없는 시방서는 분석 결과를 담은 텍스트 파일로 대신 넣습니다.
+// 원본은 자기 차례가 되었을 때만 읽어 조각 단위로 writer(저장할 파일)나 Blob 조각에 씁니다. 선택한 양이 많아도 한 번에 메모리에 올리는 것은 파일 조각 하나입니다.
+
+import { normalizeFolderPath } from './folders';
+
+const loadFflate = () => import('fflate');
+
+const ZIP_MIME_TYPE = 'application/zip';
+// writer가 없을 때 zip 조각을 모아 Blob으로 넘기는 단위. 작은 조각 수만 개가 쌓이지 않게 합니다.
+const BLOB_PART_BYTES = 8 * 1024 * 1024;
+
+const createBlobWriter = () => {
+    const parts = [];
+    let pending = [];
+    let pendingBytes = 0;
+    const flush = () => {
+        if (pending.length === 0) return;
+        parts.push(new Blob(pending));
+        pending = [];
+        pendingBytes = 0;
+    };
+    return {
+        write: (chunk) => {
+            pending.push(chunk);
+            pendingBytes += chunk.byteLength;
+            if (pendingBytes >= BLOB_PART_BYTES) flush();
+        },
+        toBlob: () => {
+            flush();
+            return new Blob(parts, { type: ZIP_MIME_TYPE });
+        },
+    };
+};
+
+// fflate Zip은 push하는 즉시 ondata로 조각을 내보냅니다. 조각을 모아 두었다가 push마다 순서대로 써서 다음 조각을 읽기 전에 비웁니다.
+const createZipStream = (Zip, write) => {
+    let queue = [];
+    let error = null;
+    const zip = new Zip((err, chunk) => {
+        if (err) error = err;
+        else if (chunk.length > 0) queue.push(chunk);
+    });
+    const drain = async () => {
+        if (error) throw error;
+        const chunks = queue;
+        queue = [];
+        for (const chunk of chunks) await write(chunk);
+    };
+    return { zip, drain };
+};
+
+// 압축하지 않고(STORE) 파일 하나를 zip에 넣습니다. Blob은 조각 단위로 읽습니다.
+const addZipEntry = async ({ zip, drain }, ZipPassThrough, path, data) => {
+    const entry = new ZipPassThrough(path);
+    zip.add(entry);
+    if (typeof data === 'string') {
+        entry.push(new TextEncoder().encode(data), true);
+        await drain();
+        return;
+    }
+    const reader = data.stream().getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        entry.push(value);
+        await drain();
+    }
+    entry.push(new Uint8Array(0), true);
+    await drain();
+};
+
+// Windows 탐색기에서 풀 수 없는 문자와 상위 폴더 참조는 zip 경로에 넣지 않습니다.
+const sanitizeSegment = (segment) => {
+    const cleaned = segment.replace(/[<>:"|?*\u0000-\u001f]/g, '_').replace(/[. ]+$/, '').trim();
+    return !cleaned || cleaned === '.' || cleaned === '..' ? '_' : cleaned;
+};
+
+const splitExtension = (name) => {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+};
+
+/**
+ * zip 안의 경로를 만듭니다. 같은 폴더에 같은 이름이 있으면 ' (2)'처럼 번호를 붙입니다.
+ * @param {string} folderPath 시방서의 filePath
+ * @param {string} fileName
+ * @param {Set<string>} usedPaths 이미 사용한 경로 (소문자, 이 함수가 추가합니다)
+ */
+export const createZipEntryPath = (folderPath, fileName, usedPaths) => {
+    const folder = normalizeFolderPath(folderPath).split('/').filter(Boolean).map(sanitizeSegment).join('/');
+    const [base, ext] = splitExtension(sanitizeSegment(fileName || 'unnamed'));
+    let path = folder ? `${folder}/${base}${ext}` : `${base}${ext}`;
+    for (let n = 2; usedPaths.has(path.toLowerCase()); n++) {
+        path = folder ? `${folder}/${base} (${n})${ext}` : `${base} (${n})${ext}`;
+    }
+    usedPaths.add(path.toLowerCase());
+    return path;
+};
+
+// 원본 파일 대신 내려받는 분석 결과 텍스트
+export const buildSpecSummaryText = (spec) => `=== 단조 시방서 분석 결과 ===\n\n` +
+    `파일명: ${spec.fileName}\n` +
+    `파일 유형: ${spec.fileType}\n` +
+    `등록일: ${new Date(spec.createdAt).toLocaleString()}\n\n` +
+    `[핵심 요약]\n${spec.summary}\n\n` +
+    `[주요 키워드]\n${spec.keywords ? spec.keywords.join(', ') : '없음'}`;
+
+/**
+ * 시방서들의 최신 원본 파일을 zip으로 묶습니다. 원본은 이미 압축된 형식이 많아 다시 압축하지 않고 저장만 합니다.
+ * zip64를 쓰지 않으므로 파일 하나와 zip 전체가 각각 4GB를 넘을 수 없습니다.
+ * @param {object} options
+ * @param {Array} options.specs
+ * @param {(key: string) => Promise<Blob | undefined>} options.loadFile
+ * @param {(done: number, total: number) => void} [options.onProgress] zip에 넣은 시방서 수
+ * @param {{ write: (chunk: Uint8Array) => Promise<void> | void }} [options.writer]
+ *   zip 조각을 받을 곳 (예: 파일 시스템 접근 API의 쓰기 스트림). 없으면 조각을 Blob으로 모아 돌려줍니다.
+ * @returns {Promise<{ blob: Blob | null, missing: Array<{ id: string, fileName: string, path: string }> }>} writer를 주면 blob은 null입니다.
+ */
+export const createSpecFilesArchive = async ({ specs, loadFile, onProgress, writer }) => {
+    const { Zip, ZipPassThrough } = await loadFflate();
+    const blobWriter = writer ? null : createBlobWriter();
+    const stream = createZipStream(Zip, (chunk) => (writer || blobWriter).write(chunk));
+    const usedPaths = new Set();
+    const missing = [];
+
+    for (let i = 0; i < specs.length; i++) {
+        const spec = specs[i];
+        const blob = await loadFile(spec.id);
+        if (blob) {
+            await addZipEntry(stream, ZipPassThrough, createZipEntryPath(spec.filePath, spec.fileName, usedPaths), blob);
+        } else {
+            const path = createZipEntryPath(spec.filePath, `[분석결과]_${spec.fileName}.txt`, usedPaths);
+            await addZipEntry(stream, ZipPassThrough, path, buildSpecSummaryText(spec));
+            missing.push({ id: spec.id, fileName: spec.fileName, path });
+        }
+        if (onProgress) onProgress(i + 1, specs.length);
+    }
+
+    if (missing.length > 0) {
+        const lines = missing.map(m => `- ${m.fileName} → ${m.path}`);
+        await addZipEntry(stream, ZipPassThrough, createZipEntryPath('', '_원본_누락_목록.txt', usedPaths),
+            `원본 파일을 찾을 수 없어 분석 결과 텍스트로 대신한 시방서 ${missing.length}건\n\n${lines.join('\n')}\n`);
+    }
+
+    stream.zip.end();
+    await stream.drain();
+    return { blob: blobWriter ? blobWriter.toBlob() : null, missing };
+};
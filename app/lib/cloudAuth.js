@@ -0,0 +1,200 @@
+// --- Cloud Sign-in & Members (Firebase Auth + Firestore) ---
+// 클라우드 동기화를 쓰는 배포에서는 브라우저의 로컬 계정 대신 Firebase 이메일/비밀번호 계정으로 로그인합니다.
+// 로그인한 계정은 이메일 인증을 마치고 Firestore `members/<이메일>` 허용 목록에 있어야 하며, 역할도 그 문서에서 읽습니다.
+// 허용 목록은 관리자만 고칠 수 있고, 보안 규칙(firestore.rules, storage.rules)이 같은 기준으로 데이터 접근을 막습니다.
+// 접근 규칙(고객사/폴더/시방서별 허용 사용자)도 `config/access` 문서에 두어 관리자만 바꿀 수 있습니다.
+
+import { ROLES, buildAccessRuleIndex } from './access';
+import { getFirebaseServices } from './cloudSync';
+
+export const MEMBERS_COLLECTION = 'members';
+export const CONFIG_COLLECTION = 'config';
+const ACCESS_CONFIG_DOC = 'access';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// 허용 목록 문서 ID와 사용자 ID로 쓰는 형태 (보안 규칙도 소문자 이메일로 찾습니다)
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-credential': '이메일 또는 비밀번호가 올바르지 않습니다.',
+    'auth/wrong-password': '이메일 또는 비밀번호가 올바르지 않습니다.',
+    'auth/user-not-found': '이메일 또는 비밀번호가 올바르지 않습니다.',
+    'auth/invalid-email': '이메일 형식이 올바르지 않습니다.',
+    'auth/email-already-in-use': '이미 가입된 이메일입니다. 로그인하세요.',
+    'auth/weak-password': `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다.`,
+    'auth/too-many-requests': '로그인 시도가 너무 많습니다. 잠시 후 다시 시도하세요.',
+    'auth/network-request-failed': '인증 서버에 연결할 수 없습니다.',
+};
+
+const toAuthError = (e) => (AUTH_ERROR_MESSAGES[e?.code] ? new Error(AUTH_ERROR_MESSAGES[e.code], { cause: e }) : e);
+
+// 허용 목록 문서 → 화면에서 쓰는 사용자 형태 { id, name, role, email }
+export const toCloudUser = (memberId, data) => ({
+    id: memberId,
+    email: memberId,
+    name: data.name || memberId,
+    role: ROLES[data.role] ? data.role : 'viewer',
+    createdAt: data.createdAt || null,
+});
+
+// 인증을 마쳤고 허용 목록에 있는 계정만 사용자로 돌려줍니다. 그렇지 않으면 로그아웃하고 이유를 담은 오류를 던집니다.
+const resolveMember = async (services, firebaseUser) => {
+    const { auth, firestore: f, db, authClient } = services;
+    if (!firebaseUser.emailVerified) {
+        await auth.signOut(authClient);
+        throw new Error("이메일 인증을 마친 뒤 다시 로그인하세요. 받은 편지함의 인증 메일을 확인하세요.");
+    }
+    const memberId = normalizeEmail(firebaseUser.email);
+    const snapshot = await f.getDoc(f.doc(db, MEMBERS_COLLECTION, memberId)).catch(() => null);
+    if (!snapshot || !snapshot.exists() || !ROLES[snapshot.data().role]) {
+        await auth.signOut(authClient);
+        throw new Error("허용 목록에 없는 계정입니다. 관리자에게 등록을 요청하세요.");
+    }
+    return toCloudUser(memberId, snapshot.data());
+};
+
+/**
+ * 이메일과 비밀번호로 로그인합니다. 로그인 상태는 탭 단위로 유지됩니다.
+ * @returns {Promise<{ id, email, name, role }>}
+ */
+export const signInToCloud = async (email, password) => {
+    const services = await getFirebaseServices();
+    const { auth, authClient } = services;
+    try {
+        await auth.setPersistence(authClient, auth.browserSessionPersistence);
+        const credential = await auth.signInWithEmailAndPassword(authClient, normalizeEmail(email), password);
+        return await resolveMember(services, credential.user);
+    } catch (e) {
+        throw toAuthError(e);
+    }
+};
+
+/**
+ * 새 계정을 만들고 인증 메일을 보냅니다. 데이터에 접근하려면 관리자가 허용 목록에 추가해야 합니다.
+ */
+export const registerCloudAccount = async (email, password) => {
+    const { auth, authClient } = await getFirebaseServices();
+    try {
+        const credential = await auth.createUserWithEmailAndPassword(authClient, normalizeEmail(email), password);
+        await auth.sendEmailVerification(credential.user);
+        await auth.signOut(authClient);
+    } catch (e) {
+        throw toAuthError(e);
+    }
+};
+
+// 새로고침한 탭에서 이전 로그인 상태를 복원합니다. 로그인하지 않았거나 허용 목록에서 빠졌으면 null입니다.
+export const restoreCloudSession = async () => {
+    const services = await getFirebaseServices();
+    const { authClient } = services;
+    await authClient.authStateReady();
+    if (!authClient.currentUser) return null;
+    try {
+        return await resolveMember(services, authClient.currentUser);
+    } catch (e) {
+        console.warn("Cloud session was not restored:", e.message);
+        return null;
+    }
+};
+
+// 서버 라우트(AI 프록시 등)에 보낼 ID 토큰. 서버가 토큰과 허용 목록을 다시 확인합니다.
+export const getCloudIdToken = async () => {
+    const { authClient } = await getFirebaseServices();
+    return authClient.currentUser ? authClient.currentUser.getIdToken() : null;
+};
+
+export const signOutFromCloud = async () => {
+    const { auth, authClient } = await getFirebaseServices();
+    await auth.signOut(authClient);
+};
+
+export const sendCloudPasswordReset = async (email) => {
+    const { auth, authClient } = await getFirebaseServices();
+    try {
+        await auth.sendPasswordResetEmail(authClient, normalizeEmail(email));
+    } catch (e) {
+        throw toAuthError(e);
+    }
+};
+
+// --- Members (허용 목록) ---
+
+/**
+ * 허용 목록을 구독합니다. 보안 규칙상 관리자만 전체 목록을 읽을 수 있습니다.
+ * @param {(members: Array<{ id, email, name, role }>) => void} onChange
+ * @returns {Promise<() => void>} 구독 해제 함수
+ */
+export const listenToMembers = async (onChange, onError) => {
+    const { firestore: f, db } = await getFirebaseServices();
+    return f.onSnapshot(f.collection(db, MEMBERS_COLLECTION), (snapshot) => {
+        onChange(snapshot.docs.map(d => toCloudUser(d.id, d.data())).sort((a, b) => a.name.localeCompare(b.name)));
+    }, onError);
+};
+
+/**
+ * 로그인한 사용자의 허용 목록 문서를 구독합니다. 역할이 바뀌면 바로 반영하고, 목록에서 빠지면 null을 전달합니다.
+ */
+export const listenToOwnMember = async (memberId, onChange) => {
+    const { firestore: f, db } = await getFirebaseServices();
+    return f.onSnapshot(f.doc(db, MEMBERS_COLLECTION, memberId), (snapshot) => {
+        onChange(snapshot.exists() && ROLES[snapshot.data().role] ? toCloudUser(memberId, snapshot.data()) : null);
+    }, () => onChange(null));
+};
+
+const toMemberDoc = (account) => ({
+    name: account.name,
+    role: account.role,
+    createdAt: account.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+});
+
+const isSameMember = (a, b) => a.name === b.name && a.role === b.role;
+
+/**
+ * 화면에서 고친 사용자 목록을 허용 목록에 반영합니다. 바뀐 문서만 쓰고, 빠진 사용자는 지웁니다.
+ */
+export const saveMemberChanges = async (previous, next) => {
+    const { firestore: f, db } = await getFirebaseServices();
+    const batch = f.writeBatch(db);
+    const previousById = new Map(previous.map(m => [m.id, m]));
+    const nextIds = new Set(next.map(m => m.id));
+    next.forEach(account => {
+        const before = previousById.get(account.id);
+        if (!before || !isSameMember(before, account)) batch.set(f.doc(db, MEMBERS_COLLECTION, account.id), toMemberDoc(account));
+    });
+    previous.filter(m => !nextIds.has(m.id)).forEach(m => batch.delete(f.doc(db, MEMBERS_COLLECTION, m.id)));
+    await batch.commit();
+};
+
+// 허용 목록에 추가할 사용자. 비밀번호는 사용자가 직접 가입할 때 정합니다.
+export const createMemberAccount = ({ email, name, role }) => {
+    const memberId = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+$/.test(memberId)) throw new Error("이메일 형식이 올바르지 않습니다.");
+    if (!ROLES[role]) throw new Error(`알 수 없는 역할입니다: ${role}`);
+    return { id: memberId, email: memberId, name: (name || '').trim() || memberId, role, createdAt: new Date().toISOString() };
+};
+
+// --- Access Rules (config/access) ---
+
+/**
+ * 접근 규칙을 구독합니다. 문서가 아직 없으면 빈 규칙 목록을 전달합니다.
+ * @param {(rules: Array) => void} onChange
+ * @returns {Promise<() => void>} 구독 해제 함수
+ */
+export const listenToAccessRules = async (onChange, onError) => {
+    const { firestore: f, db } = await getFirebaseServices();
+    return f.onSnapshot(f.doc(db, CONFIG_COLLECTION, ACCESS_CONFIG_DOC), (snapshot) => {
+        onChange(snapshot.exists() && Array.isArray(snapshot.data().rules) ? snapshot.data().rules : []);
+    }, onError);
+};
+
+// 규칙 목록과 보안 규칙이 검사하는 index를 함께 저장합니다. 보안 규칙상 관리자만 쓸 수 있습니다.
+export const saveAccessRules = async (rules) => {
+    const { firestore: f, db } = await getFirebaseServices();
+    await f.setDoc(f.doc(db, CONFIG_COLLECTION, ACCESS_CONFIG_DOC), {
+        rules,
+        index: buildAccessRuleIndex(rules),
+        updatedAt: new Date().toISOString(),
+    });
+};
@@ -0,0 +1,423 @@
+// --- Cloud Sync (Firebase: Firestore + Storage) ---
+// 로컬(localStorage + IndexedDB)이 항상 기준 데이터이며, Firebase 설정이 있을 때만 동기화합니다.
+//  - 메타데이터: Firestore `specs` 컬렉션 (문서 ID = spec.id, 삭제는 deleted: true 툼스톤)
+//  - 원본 파일: Storage `files/<storageKey>`, 추출 본문: Storage `texts/<storageKey>.json`
+//  - 충돌: 레코드 단위 최종 수정 우선(updatedAt || createdAt). 동기화 이후 로컬에서 바뀐 항목만 업로드합니다.
+//  - 접근: 문서마다 access { readers, writers }를 기록하고, 관리자가 아니면 읽을 수 있는 문서만 구독합니다.
+//  - 품번/고객사 목록: Firestore `config/catalog` 문서 하나 (문서 단위 최종 저장 우선)
+// 서버의 REST API(specStore)도 같은 컬렉션과 저장 경로를 읽고 씁니다.
+
+import { computeSpecAccessFields, isSameAccessFields } from './access';
+import { getAllStorageKeys } from './revisions';
+
+const SYNC_STATE_KEY = 'forging_specs_sync_state';
+export const SPECS_COLLECTION = 'specs';
+const CATALOG_DOC_PATH = ['config', 'catalog'];
+const PUSH_DEBOUNCE_MS = 1500;
+const RETRY_INTERVAL_MS = 60000;
+// 원격 문서에만 존재하는 동기화용 필드
+const REMOTE_ONLY_FIELDS = ['deleted', 'updatedBy', 'syncedAt', 'access'];
+
+/**
+ * 환경 변수에서 Firebase 설정을 읽습니다. 설정이 없으면 null (로컬 전용 모드).
+ * NEXT_PUBLIC_FIREBASE_EMULATOR_HOST가 있으면 에뮬레이터 스위트에 연결하며, 이때는 프로젝트 ID만 있어도 됩니다.
+ */
+export const getFirebaseConfig = () => {
+    const emulatorHost = process.env.NEXT_PUBLIC_FIREBASE_EMULATOR_HOST || '';
+    const config = {
+        apiKey: process.env.NEXT_PUBLIC_FIREBASE_API_KEY || (emulatorHost ? 'emulator-api-key' : ''),
+        authDomain: process.env.NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN,
+        projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID || (emulatorHost ? 'demo-forging-spec' : ''),
+        storageBucket: process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET || (emulatorHost ? 'demo-forging-spec.appspot.com' : ''),
+        appId: process.env.NEXT_PUBLIC_FIREBASE_APP_ID,
+    };
+    if (!config.apiKey || !config.projectId) return null;
+    return { config, emulatorHost };
+};
+
+export const isCloudSyncConfigured = () => getFirebaseConfig() !== null;
+
+let servicesPromise = null;
+
+/**
+ * Firebase SDK를 지연 로드하고 한 번만 초기화합니다. 로그인(cloudAuth)과 동기화가 같은 앱 인스턴스를 씁니다.
+ * @returns {Promise<{ auth, firestore, storage, db, bucket, authClient }>} firestore/storage/auth: SDK 모듈, authClient: Auth 인스턴스
+ */
+export const getFirebaseServices = () => {
+    if (!servicesPromise) {
+        servicesPromise = (async () => {
+            const settings = getFirebaseConfig();
+            const [appModule, firestoreModule, storageModule, authModule] = await Promise.all([
+                import('firebase/app'), import('firebase/firestore'), import('firebase/storage'), import('firebase/auth'),
+            ]);
+            const app = appModule.getApps()[0] || appModule.initializeApp(settings.config);
+            const db = firestoreModule.initializeFirestore(app, {
+                ignoreUndefinedProperties: true,
+                localCache: firestoreModule.persistentLocalCache(),
+            });
+            const bucket = storageModule.getStorage(app);
+            const authClient = authModule.getAuth(app);
+
+            if (settings.emulatorHost) {
+                firestoreModule.connectFirestoreEmulator(db, settings.emulatorHost, Number(process.env.NEXT_PUBLIC_FIRESTORE_EMULATOR_PORT || 8080));
+                storageModule.connectStorageEmulator(bucket, settings.emulatorHost, Number(process.env.NEXT_PUBLIC_STORAGE_EMULATOR_PORT || 9199));
+                authModule.connectAuthEmulator(authClient, `http://${settings.emulatorHost}:${process.env.NEXT_PUBLIC_AUTH_EMULATOR_PORT || 9099}`, { disableWarnings: true });
+            }
+            return { auth: authModule, firestore: firestoreModule, storage: storageModule, db, bucket, authClient };
+        })();
+        servicesPromise.catch(() => { servicesPromise = null; });
+    }
+    return servicesPromise;
+};
+
+export const getSpecVersion = (spec) => spec.updatedAt || spec.createdAt || '';
+
+const loadSyncState = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SYNC_STATE_KEY) || 'null');
+        return { synced: stored?.synced || {}, uploadedKeys: stored?.uploadedKeys || [] };
+    } catch (e) {
+        console.error("Error parsing sync state:", e);
+        return { synced: {}, uploadedKeys: [] };
+    }
+};
+
+const saveSyncState = (state) => localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+
+/**
+ * 마지막 동기화 이후 로컬에서 추가/수정/삭제된 항목을 계산합니다.
+ * @returns {{ upserts: Array, deletions: Array<{ id: string, keys: string[], access?: object }> }}
+ */
+export const computeLocalChanges = (specs, state) => {
+    const liveIds = new Set(specs.map(s => s.id));
+    const upserts = specs.filter(spec => state.synced[spec.id]?.version !== getSpecVersion(spec));
+    const deletions = Object.entries(state.synced)
+        .filter(([id]) => !liveIds.has(id))
+        .map(([id, entry]) => ({ id, keys: entry.keys || [id], access: entry.access }));
+    return { upserts, deletions };
+};
+
+export const toLocalSpec = (id, data) => {
+    const spec = { ...data, id };
+    REMOTE_ONLY_FIELDS.forEach(field => delete spec[field]);
+    return spec;
+};
+
+/**
+ * 원격 문서 변경분을 로컬 목록에 병합합니다. state(synced)를 함께 갱신합니다.
+ * @param {Array} localSpecs
+ * @param {Array<{ id: string, data?: object, revoked?: boolean }>} remoteDocs revoked: 더 이상 읽을 수 없게 된 문서
+ * @returns {{ specs: Array, changed: boolean, fetched: Array, removed: Array }}
+ *   fetched: 원본 파일을 내려받아야 하는 시방서, removed: 로컬에서 제거된 시방서
+ */
+export const mergeRemoteSpecs = (localSpecs, remoteDocs, state) => {
+    const byId = new Map(localSpecs.map(s => [s.id, s]));
+    const fetched = [];
+    const removed = [];
+    let changed = false;
+
+    remoteDocs.forEach(({ id, data, revoked }) => {
+        const local = byId.get(id);
+        const synced = state.synced[id];
+        // 접근 권한을 잃은 문서는 로컬 변경 여부와 관계없이 지웁니다. (올릴 수도 없습니다)
+        if (revoked) {
+            if (local) {
+                byId.delete(id);
+                removed.push(local);
+                changed = true;
+            }
+            delete state.synced[id];
+            return;
+        }
+        const remoteVersion = getSpecVersion(data);
+        const localVersion = local ? getSpecVersion(local) : null;
+        // 로컬에서 아직 업로드하지 않은 변경(수정 또는 삭제)이 있는지 여부
+        const localDirty = local ? synced?.version !== localVersion : Boolean(synced);
+
+        if (data.deleted) {
+            if (local && (!localDirty || remoteVersion >= localVersion)) {
+                byId.delete(id);
+                removed.push(local);
+                changed = true;
+            }
+            if (!local || !localDirty || remoteVersion >= localVersion) delete state.synced[id];
+            return;
+        }
+
+        // 내용은 그대로이고 접근 필드만 바뀐 경우(관리자의 규칙 변경)에도 기록해 둡니다.
+        if (synced && synced.version === remoteVersion) synced.access = data.access;
+        if (local && localDirty && localVersion > remoteVersion) return;
+        // 로컬에서 삭제했지만 원격에 그 이후의 수정이 없으면 삭제를 유지합니다.
+        if (!local && localDirty && remoteVersion <= synced.version) return;
+        if (local && !localDirty && localVersion === remoteVersion) return;
+
+        const spec = toLocalSpec(id, data);
+        byId.set(id, spec);
+        state.synced[id] = { version: remoteVersion, keys: getAllStorageKeys(spec), access: data.access };
+        fetched.push(spec);
+        changed = true;
+    });
+
+    if (!changed) return { specs: localSpecs, changed, fetched, removed };
+    // 기존 순서를 유지하고 새 항목은 앞에 추가합니다.
+    const localIds = new Set(localSpecs.map(s => s.id));
+    const added = [...byId.values()].filter(s => !localIds.has(s.id));
+    const kept = localSpecs.filter(s => byId.has(s.id)).map(s => byId.get(s.id));
+    return { specs: [...added, ...kept], changed, fetched, removed };
+};
+
+export const storagePath = (folder, key, suffix = '') => `${folder}/${encodeURIComponent(key)}${suffix}`;
+
+/**
+ * 동기화 엔진을 생성합니다. Firebase SDK는 start() 시점에 지연 로드됩니다.
+ * @param {object} options
+ * @param {() => Array} options.getSpecs 현재 로컬 시방서 목록
+ * @param {(specs: Array) => void} options.onSpecsMerged 원격 변경이 병합된 목록을 반영하는 콜백
+ * @param {(status: 'connecting' | 'synced' | 'syncing' | 'offline' | 'error', detail?: string) => void} options.onStatusChange
+ * @param {object} options.storage 로컬 IndexedDB 접근 함수 { loadFile, loadText, saveFile, saveText, deleteData }
+ * @param {string} options.userId 로그인한 구성원 ID(소문자 이메일)
+ * @param {() => boolean} options.isAdmin 관리자는 전체 문서를 구독하고, 규칙이 바뀌면 접근 필드를 다시 씁니다.
+ * @param {() => Array | null} options.getAccessRules config/access의 접근 규칙 (아직 읽지 못했으면 null)
+ */
+export const createCloudSync = ({ getSpecs, onSpecsMerged, onStatusChange, storage, userId, isAdmin, getAccessRules }) => {
+    const state = loadSyncState();
+    let sdk = null;
+    let unsubscribe = null;
+    let pushTimer = null;
+    let retryTimer = null;
+    let isPushing = false;
+    let pushAgain = false;
+
+    // 보안 규칙은 허용 목록에 있는 로그인 계정만 허용하므로, 로그인(cloudAuth.signInToCloud) 뒤에만 시작할 수 있습니다.
+    const init = async () => {
+        const services = await getFirebaseServices();
+        if (!services.authClient.currentUser) throw new Error("클라우드 계정으로 로그인해야 동기화할 수 있습니다.");
+        return services;
+    };
+
+    const uploadKey = async (key, force) => {
+        if (!force && state.uploadedKeys.includes(key)) return;
+        const { storage: s, bucket } = sdk;
+        const [blob, text] = await Promise.all([storage.loadFile(key), storage.loadText(key)]);
+        if (blob) await s.uploadBytes(s.ref(bucket, storagePath('files', key)), blob, { contentType: blob.type || undefined });
+        if (text) await s.uploadString(s.ref(bucket, storagePath('texts', key, '.json')), JSON.stringify(text), 'raw', { contentType: 'application/json' });
+        if (!state.uploadedKeys.includes(key)) state.uploadedKeys.push(key);
+    };
+
+    const deleteRemoteKey = async (key) => {
+        const { storage: s, bucket } = sdk;
+        await Promise.all([
+            s.deleteObject(s.ref(bucket, storagePath('files', key))).catch(() => {}),
+            s.deleteObject(s.ref(bucket, storagePath('texts', key, '.json'))).catch(() => {}),
+        ]);
+        state.uploadedKeys = state.uploadedKeys.filter(k => k !== key);
+    };
+
+    // 로컬에 없는 원본 파일/본문을 내려받습니다.
+    const downloadMissing = async (specs) => {
+        const { storage: s, bucket } = sdk;
+        for (const spec of specs) {
+            for (const key of getAllStorageKeys(spec)) {
+                try {
+                    if (!await storage.loadFile(key)) {
+                        const blob = await s.getBlob(s.ref(bucket, storagePath('files', key))).catch(() => null);
+                        if (blob) await storage.saveFile(key, blob);
+                    }
+                    if (spec.hasExtractedText && !await storage.loadText(key)) {
+                        const textBlob = await s.getBlob(s.ref(bucket, storagePath('texts', key, '.json'))).catch(() => null);
+                        if (textBlob) await storage.saveText(key, JSON.parse(await textBlob.text()));
+                    }
+                    if (!state.uploadedKeys.includes(key)) state.uploadedKeys.push(key);
+                } catch (e) {
+                    console.error(`[CloudSync] Download failed for ${key}`, e);
+                }
+            }
+        }
+        saveSyncState(state);
+    };
+
+    // 규칙이 바뀌어 접근 필드가 달라진 동기화 완료 항목 (관리자만 다시 씁니다. 아직 올리지 않은 항목은 업로드 때 계산합니다)
+    const findStaleAccess = (specs, rules) => (isAdmin() ? specs : [])
+        .filter(spec => state.synced[spec.id]?.version === getSpecVersion(spec))
+        .map(spec => ({ id: spec.id, access: computeSpecAccessFields(spec, rules) }))
+        .filter(({ id, access }) => !isSameAccessFields(state.synced[id].access, access));
+
+    const push = async () => {
+        // 접근 규칙을 읽기 전에는 접근 필드를 계산할 수 없으므로 올리지 않습니다. (규칙을 받으면 다시 예약됩니다)
+        const rules = getAccessRules();
+        if (!sdk || !rules) return;
+        if (isPushing) {
+            pushAgain = true;
+            return;
+        }
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            onStatusChange('offline');
+            return;
+        }
+
+        const specs = getSpecs();
+        const { upserts, deletions } = computeLocalChanges(specs, state);
+        const staleAccess = findStaleAccess(specs, rules);
+        if (upserts.length === 0 && deletions.length === 0 && staleAccess.length === 0) {
+            onStatusChange('synced');
+            return;
+        }
+
+        isPushing = true;
+        onStatusChange('syncing');
+        const { firestore: f, db } = sdk;
+        // 보안 규칙이 거부한 항목(권한 없음)은 건너뛰고 나머지를 계속 올립니다.
+        let deniedCount = 0;
+        const writeOrSkip = async (write) => {
+            try {
+                await write();
+            } catch (e) {
+                if (e.code !== 'permission-denied') throw e;
+                deniedCount++;
+            }
+        };
+        try {
+            for (const { id, access } of staleAccess) {
+                await writeOrSkip(async () => {
+                    await f.updateDoc(f.doc(db, SPECS_COLLECTION, id), { access });
+                    state.synced[id].access = access;
+                    saveSyncState(state);
+                });
+            }
+            for (const spec of upserts) {
+                await writeOrSkip(async () => {
+                    const keys = getAllStorageKeys(spec);
+                    const access = computeSpecAccessFields(spec, rules);
+                    // 현재 개정본(spec.id 키)은 교체/개정으로 내용이 바뀌었을 수 있으므로 항상 다시 올립니다.
+                    for (const key of keys) await uploadKey(key, key === spec.id);
+                    await f.setDoc(f.doc(db, SPECS_COLLECTION, spec.id), {
+                        ...spec,
+                        access,
+                        deleted: false,
+                        updatedBy: userId,
+                        syncedAt: f.serverTimestamp(),
+                    });
+                    state.synced[spec.id] = { version: getSpecVersion(spec), keys, access };
+                    saveSyncState(state);
+                });
+            }
+            for (const { id, keys, access } of deletions) {
+                await writeOrSkip(async () => {
+                    // 툼스톤도 이전 접근 필드를 유지해야 읽을 수 있던 사용자에게만 삭제가 전달됩니다.
+                    await f.setDoc(f.doc(db, SPECS_COLLECTION, id), {
+                        deleted: true,
+                        access,
+                        updatedAt: new Date().toISOString(),
+                        updatedBy: userId,
+                        syncedAt: f.serverTimestamp(),
+                    });
+                    await Promise.all(keys.map(deleteRemoteKey));
+                    delete state.synced[id];
+                    saveSyncState(state);
+                });
+            }
+            if (deniedCount > 0) onStatusChange('error', `권한이 없어 ${deniedCount}건을 올리지 못했습니다.`);
+            else onStatusChange('synced');
+        } catch (e) {
+            console.error("[CloudSync] Push failed", e);
+            onStatusChange('error', e.message);
+        } finally {
+            isPushing = false;
+            if (pushAgain) {
+                pushAgain = false;
+                schedulePush();
+            }
+        }
+    };
+
+    const schedulePush = () => {
+        clearTimeout(pushTimer);
+        pushTimer = setTimeout(push, PUSH_DEBOUNCE_MS);
+    };
+
+    const handleOnline = () => schedulePush();
+
+    const start = async () => {
+        onStatusChange('connecting');
+        try {
+            sdk = await init();
+        } catch (e) {
+            console.error("[CloudSync] Initialization failed", e);
+            onStatusChange('error', e.message);
+            return;
+        }
+
+        const { firestore: f, db } = sdk;
+        // 보안 규칙이 읽기를 허용하는 문서만 요청해야 하므로, 관리자가 아니면 readers에 '*' 또는 자신이 있는 문서만 구독합니다.
+        const specsRef = f.collection(db, SPECS_COLLECTION);
+        const source = isAdmin() ? specsRef : f.query(specsRef, f.where('access.readers', 'array-contains-any', ['*', userId]));
+        let reconciled = false;
+        unsubscribe = f.onSnapshot(source, { includeMetadataChanges: true }, (snapshot) => {
+            // 구독 결과에서 빠진 문서는 삭제되었거나 읽을 권한을 잃은 것입니다.
+            const remoteDocs = snapshot.docChanges()
+                .filter(change => !change.doc.metadata.hasPendingWrites)
+                .map(change => (change.type === 'removed'
+                    ? { id: change.doc.id, revoked: true }
+                    : { id: change.doc.id, data: change.doc.data() }));
+            // 앱을 닫아 둔 사이에 권한을 잃은 문서는 변경으로 오지 않으므로, 서버에서 받은 첫 결과와 한 번 대조합니다.
+            if (!reconciled && !snapshot.metadata.fromCache) {
+                reconciled = true;
+                const remoteIds = new Set(snapshot.docs.map(d => d.id));
+                Object.keys(state.synced)
+                    .filter(id => !remoteIds.has(id))
+                    .forEach(id => remoteDocs.push({ id, revoked: true }));
+            }
+            if (remoteDocs.length === 0) return;
+
+            const result = mergeRemoteSpecs(getSpecs(), remoteDocs, state);
+            saveSyncState(state);
+            if (!result.changed) return;
+            onSpecsMerged(result.specs);
+            result.removed.forEach(spec => getAllStorageKeys(spec).forEach(key => storage.deleteData(key)));
+            downloadMissing(result.fetched);
+        }, (error) => {
+            console.error("[CloudSync] Snapshot listener failed", error);
+            onStatusChange('error', error.message);
+        });
+
+        window.addEventListener('online', handleOnline);
+        retryTimer = setInterval(schedulePush, RETRY_INTERVAL_MS);
+        schedulePush();
+    };
+
+    const stop = () => {
+        if (unsubscribe) unsubscribe();
+        clearTimeout(pushTimer);
+        clearInterval(retryTimer);
+        if (typeof window !== 'undefined') window.removeEventListener('online', handleOnline);
+    };
+
+    return { start, stop, schedulePush };
+};
+
+// --- Part Catalog (config/catalog) ---
+
+/**
+ * 품번/고객사 목록을 구독합니다. 문서가 아직 없으면 null을 전달합니다.
+ * @param {(catalog: { customers: Array, parts: Array } | null) => void} onChange
+ * @returns {Promise<() => void>} 구독 해제 함수
+ */
+export const listenToPartCatalog = async (onChange, onError) => {
+    const { firestore: f, db } = await getFirebaseServices();
+    return f.onSnapshot(f.doc(db, ...CATALOG_DOC_PATH), (snapshot) => {
+        if (snapshot.metadata.hasPendingWrites) return;
+        const data = snapshot.exists() ? snapshot.data() : null;
+        onChange(data ? { customers: data.customers || [], parts: data.parts || [] } : null);
+    }, onError);
+};
+
+// 보안 규칙상 편집자와 관리자만 쓸 수 있습니다.
+export const savePartCatalogToCloud = async (catalog, userId) => {
+    const { firestore: f, db } = await getFirebaseServices();
+    await f.setDoc(f.doc(db, ...CATALOG_DOC_PATH), {
+        customers: catalog.customers,
+        parts: catalog.parts,
+        updatedAt: new Date().toISOString(),
+        updatedBy: userId,
+    });
+};
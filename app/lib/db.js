@@ -0,0 +1,168 @@
+// --- IndexedDB Helper Functions (For Binary File Storage) ---
+const DB_NAME = 'ForgingSpecManagerDB';
+const DB_VERSION = 10;
+export const STORE_NAME = 'files';
+// 원본 파일에서 추출한 본문 텍스트 ({ text, pages }) 저장소
+export const TEXT_STORE_NAME = 'texts';
+// 직렬화된 전문 검색 색인 저장소
+export const SEARCH_INDEX_STORE_NAME = 'searchIndex';
+const SEARCH_INDEX_KEY = 'default';
+// 감사 로그 (추가 전용, 자동 증가 키)
+export const AUDIT_LOG_STORE_NAME = 'auditLog';
+// 새로고침 후에도 이어서 분석할 수 있도록 저장한 업로드 대기열 항목과 그 원본 파일
+export const UPLOAD_QUEUE_STORE_NAME = 'uploadQueue';
+export const UPLOAD_QUEUE_FILE_STORE_NAME = 'uploadQueueFiles';
+// 히트 로트별 검사 기록 (적합성 성적서)
+export const INSPECTION_STORE_NAME = 'inspections';
+
+const ALL_STORES = [STORE_NAME, TEXT_STORE_NAME, SEARCH_INDEX_STORE_NAME, AUDIT_LOG_STORE_NAME, UPLOAD_QUEUE_STORE_NAME, UPLOAD_QUEUE_FILE_STORE_NAME, INSPECTION_STORE_NAME];
+const STORE_OPTIONS = {
+    [AUDIT_LOG_STORE_NAME]: { keyPath: 'seq', autoIncrement: true },
+};
+
+export const openDB = () => {
+    return new Promise((resolve, reject) => {
+        if (typeof window === 'undefined') return resolve(null);
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            ALL_STORES.forEach(name => {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, STORE_OPTIONS[name]);
+                }
+            });
+        };
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(event.target.error);
+    });
+};
+
+const putRecord = async (storeName, key, value) => {
+    const db = await openDB();
+    if (!db) return;
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.put(value, key);
+        request.onsuccess = () => resolve();
+        request.onerror = (e) => {
+            console.error(`[IndexedDB] Save Error for ${storeName}/${key}:`, e.target.error);
+            reject(e.target.error);
+        };
+    });
+};
+
+const getRecord = async (storeName, key) => {
+    const db = await openDB();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        const request = store.get(key);
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (e) => reject(e.target.error);
+    });
+};
+
+const deleteRecord = async (storeName, key) => {
+    const db = await openDB();
+    if (!db) return;
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.delete(key);
+        request.onsuccess = () => resolve();
+        request.onerror = (e) => reject(e.target.error);
+    });
+};
+
+export const saveFileToDB = async (id, file) => {
+    if (!file || !(file instanceof Blob)) {
+        console.warn(`[IndexedDB] Invalid file object for ID: ${id}`, file);
+        return;
+    }
+    return putRecord(STORE_NAME, id, file);
+};
+
+export const getFileFromDB = (id) => getRecord(STORE_NAME, id);
+
+export const deleteFileFromDB = (id) => deleteRecord(STORE_NAME, id);
+
+export const saveTextToDB = async (id, content) => {
+    if (!content || typeof content.text !== 'string') return;
+    return putRecord(TEXT_STORE_NAME, id, content);
+};
+
+export const getTextFromDB = (id) => getRecord(TEXT_STORE_NAME, id);
+
+export const deleteTextFromDB = (id) => deleteRecord(TEXT_STORE_NAME, id);
+
+// 시방서 한 건에 딸린 모든 바이너리/텍스트 데이터를 함께 제거합니다.
+export const deleteSpecDataFromDB = (id) => Promise.all([
+    deleteFileFromDB(id),
+    deleteTextFromDB(id),
+]);
+
+export const saveSearchIndexToDB = (data) => putRecord(SEARCH_INDEX_STORE_NAME, SEARCH_INDEX_KEY, data);
+
+export const getSearchIndexFromDB = () => getRecord(SEARCH_INDEX_STORE_NAME, SEARCH_INDEX_KEY);
+
+// 감사 로그는 추가와 조회만 제공합니다. 수정/삭제 함수는 의도적으로 두지 않습니다.
+export const appendAuditEntryToDB = async (entry) => {
+    const db = await openDB();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([AUDIT_LOG_STORE_NAME], 'readwrite');
+        const request = transaction.objectStore(AUDIT_LOG_STORE_NAME).add(entry);
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (e) => reject(e.target.error);
+    });
+};
+
+export const getAuditEntriesFromDB = async () => {
+    const db = await openDB();
+    if (!db) return [];
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([AUDIT_LOG_STORE_NAME], 'readonly');
+        const request = transaction.objectStore(AUDIT_LOG_STORE_NAME).getAll();
+        request.onsuccess = (event) => resolve(event.target.result || []);
+        request.onerror = (e) => reject(e.target.error);
+    });
+};
+
+// 대기열 항목은 상태가 바뀔 때마다 다시 저장하므로, 크기가 큰 원본 파일은 따로 한 번만 저장합니다.
+export const saveUploadQueueItemToDB = (item) => putRecord(UPLOAD_QUEUE_STORE_NAME, item.id, item);
+
+export const saveUploadQueueFileToDB = (id, file) => putRecord(UPLOAD_QUEUE_FILE_STORE_NAME, id, file);
+
+export const getUploadQueueFileFromDB = (id) => getRecord(UPLOAD_QUEUE_FILE_STORE_NAME, id);
+
+export const getUploadQueueItemsFromDB = async () => {
+    const db = await openDB();
+    if (!db) return [];
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([UPLOAD_QUEUE_STORE_NAME], 'readonly');
+        const request = transaction.objectStore(UPLOAD_QUEUE_STORE_NAME).getAll();
+        request.onsuccess = (event) => resolve(event.target.result || []);
+        request.onerror = (e) => reject(e.target.error);
+    });
+};
+
+export const deleteUploadQueueItemFromDB = (id) => Promise.all([
+    deleteRecord(UPLOAD_QUEUE_STORE_NAME, id),
+    deleteRecord(UPLOAD_QUEUE_FILE_STORE_NAME, id),
+]);
+
+// 검사 기록은 성적서의 근거이므로 저장과 조회만 제공합니다.
+export const saveInspectionToDB = (record) => putRecord(INSPECTION_STORE_NAME, record.id, record);
+
+export const getInspectionsFromDB = async (specId) => {
+    const db = await openDB();
+    if (!db) return [];
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([INSPECTION_STORE_NAME], 'readonly');
+        const request = transaction.objectStore(INSPECTION_STORE_NAME).getAll();
+        request.onsuccess = (event) => resolve((event.target.result || []).filter(r => !specId || r.specId === specId));
+        request.onerror = (e) => reject(e.target.error);
+    });
+};
@@ -0,0 +1,70 @@
+// --- Faceted Filtering ---
+// 같은 패싯 안에서 선택한 값들은 OR, 서로 다른 패싯 사이는 AND로 결합합니다.
+// 각 값의 개수는 "해당 패싯을 제외한 나머지 조건"을 적용한 결과로 계산합니다.
+
+const ROOT_FOLDER_LABEL = '(최상위)';
+
+export const FACET_DEFINITIONS = [
+    { key: 'fileType', label: '파일 유형', getValues: (spec) => [spec.fileType || 'ETC'] },
+    { key: 'folder', label: '폴더', getValues: (spec) => [spec.filePath || ROOT_FOLDER_LABEL] },
+    { key: 'keyword', label: '키워드', getValues: (spec) => spec.keywords || [] },
+    { key: 'tag', label: '태그', getValues: (spec) => spec.tags || [] },
+    { key: 'materialGrade', label: '재질', getValues: (spec) => (spec.attributes?.materialGrade ? [spec.attributes.materialGrade] : []) },
+    { key: 'standards', label: '참조 규격', getValues: (spec) => spec.attributes?.standards || [] },
+    { key: 'ndtRequirements', label: 'NDT', getValues: (spec) => spec.attributes?.ndtRequirements || [] },
+    { key: 'customer', label: '고객사', getValues: (spec) => (spec.attributes?.customer ? [spec.attributes.customer] : []) },
+];
+
+export const createEmptyFacetFilters = () => ({ values: {}, dateFrom: '', dateTo: '' });
+
+export const countActiveFacetFilters = (filters) =>
+    Object.values(filters.values).reduce((sum, selected) => sum + selected.length, 0) +
+    (filters.dateFrom ? 1 : 0) + (filters.dateTo ? 1 : 0);
+
+// dateFrom/dateTo는 'YYYY-MM-DD' 형식이며 양 끝 날짜를 포함합니다.
+const matchesDateRange = (spec, filters) => {
+    if (!filters.dateFrom && !filters.dateTo) return true;
+    const created = new Date(spec.createdAt).getTime();
+    if (filters.dateFrom && created < new Date(`${filters.dateFrom}T00:00:00`).getTime()) return false;
+    if (filters.dateTo && created > new Date(`${filters.dateTo}T23:59:59.999`).getTime()) return false;
+    return true;
+};
+
+const matchesFacets = (spec, filters, excludeKey = null) => FACET_DEFINITIONS.every(facet => {
+    if (facet.key === excludeKey) return true;
+    const selected = filters.values[facet.key];
+    if (!selected || selected.length === 0) return true;
+    const values = facet.getValues(spec);
+    return selected.some(v => values.includes(v));
+});
+
+export const applyFacetFilters = (specs, filters) =>
+    specs.filter(spec => matchesDateRange(spec, filters) && matchesFacets(spec, filters));
+
+/**
+ * 패싯별 값과 개수를 계산합니다. 선택된 값은 개수가 0이어도 목록에 남깁니다.
+ * @returns {Array<{ key: string, label: string, values: Array<{ value: string, count: number }> }>}
+ */
+export const computeFacetCounts = (specs, filters) => FACET_DEFINITIONS.map(facet => {
+    const counts = new Map();
+    specs.forEach(spec => {
+        if (!matchesDateRange(spec, filters) || !matchesFacets(spec, filters, facet.key)) return;
+        new Set(facet.getValues(spec)).forEach(value => {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+    });
+    (filters.values[facet.key] || []).forEach(value => {
+        if (!counts.has(value)) counts.set(value, 0);
+    });
+
+    const values = [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    return { key: facet.key, label: facet.label, values };
+});
+
+export const toggleFacetValue = (filters, key, value) => {
+    const selected = filters.values[key] || [];
+    const next = selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+    return { ...filters, values: { ...filters.values, [key]: next } };
+};
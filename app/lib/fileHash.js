@@ -0,0 +1,140 @@
+// --- File Content Hashing & Duplicate Detection ---
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+
+// crypto.subtle은 HTTPS(또는 localhost)에서만 제공되므로, 사내망 HTTP 접속 시에는 FNV-1a로 대체합니다.
+export const fnv1a64 = (bytes) => {
+    let hash = 0xcbf29ce484222325n;
+    const prime = 0x100000001b3n;
+    const mask = 0xffffffffffffffffn;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= BigInt(bytes[i]);
+        hash = (hash * prime) & mask;
+    }
+    return hash.toString(16).padStart(16, '0');
+};
+
+// crypto.subtle이 없는 HTTP 접속에서도 SHA-256 체크섬(백업 등)을 검증할 수 있도록 쓰는 순수 JS 구현 (FIPS 180-4)
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+export const sha256 = (bytes) => {
+    const bitLength = bytes.length * 8;
+    const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(padded.length - 4, bitLength >>> 0);
+
+    const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            hh = g; g = f; f = e; e = (d + t1) | 0;
+            d = c; c = b; b = a; a = (t1 + t2) | 0;
+        }
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+    }
+    return Array.from(h, v => v.toString(16).padStart(8, '0')).join('');
+};
+
+/**
+ * 파일 바이트의 해시를 "알고리즘:16진수" 형식으로 반환합니다.
+ * @returns {Promise<string>} 예: "sha256:9f86d0..."
+ */
+export const hashFile = async (file) => {
+    const buffer = await file.arrayBuffer();
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+        return `sha256:${toHex(await crypto.subtle.digest('SHA-256', buffer))}`;
+    }
+    return `fnv1a64:${fnv1a64(new Uint8Array(buffer))}`;
+};
+
+/**
+ * 저장된 해시가 가리키는 알고리즘으로 다시 계산해 비교합니다.
+ * HTTPS에서 만든 sha256 체크섬을 HTTP 접속 PC에서 검증하거나 그 반대인 경우에도 같은 결과를 냅니다.
+ * @param {Blob} file
+ * @param {string} expected "sha256:..." 또는 "fnv1a64:..."
+ */
+export const verifyFileHash = async (file, expected) => {
+    const [algorithm, digest] = String(expected || '').split(':');
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (algorithm === 'sha256') {
+        const actual = typeof crypto !== 'undefined' && crypto.subtle ? toHex(await crypto.subtle.digest('SHA-256', bytes)) : sha256(bytes);
+        return actual === digest;
+    }
+    if (algorithm === 'fnv1a64') return fnv1a64(bytes) === digest;
+    return false;
+};
+
+// 현재 파일 및 모든 개정본의 해시와 비교합니다.
+export const findSpecByContentHash = (specs, hash) => {
+    if (!hash) return null;
+    return specs.find(spec =>
+        spec.contentHash === hash || (spec.revisions || []).some(rev => rev.contentHash === hash)
+    ) || null;
+};
+
+// 확장자, 개정 표기(rev/ver/v2, (1) 등), 구분 기호를 제거해 이름을 비교 가능한 형태로 만듭니다.
+export const normalizeNameForComparison = (fileName) => (fileName || '')
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, '')
+    .replace(/\(\d+\)|\b(rev|ver|v)\.?\s*[a-z0-9]{1,3}\b|(사본|복사본|최종|수정)/g, '')
+    .replace(/[\s_\-.()[\]]+/g, '');
+
+const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+};
+
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+/**
+ * 이름이 비슷한(완전히 같지는 않은) 기존 시방서를 찾습니다.
+ * @returns {Array<{ id: string, fileName: string }>}
+ */
+export const findNearDuplicateNames = (specs, fileName, { limit = 3 } = {}) => {
+    const target = normalizeNameForComparison(fileName);
+    const exact = (fileName || '').trim().toLowerCase();
+    if (!target) return [];
+    return specs
+        .filter(spec => (spec.fileName || '').trim().toLowerCase() !== exact)
+        .map(spec => {
+            const candidate = normalizeNameForComparison(spec.fileName);
+            if (!candidate) return null;
+            const similarity = 1 - levenshtein(target, candidate) / Math.max(target.length, candidate.length);
+            return similarity >= NAME_SIMILARITY_THRESHOLD ? { id: spec.id, fileName: spec.fileName, similarity } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit)
+        .map(({ id, fileName: name }) => ({ id, fileName: name }));
+};
@@ -0,0 +1,77 @@
+// --- Folder Hierarchy ---
+// 폴더는 별도 레코드 없이 spec.filePath('상위/하위' 형식, 최상위는 '')로만 표현됩니다.
+// 폴더를 옮기거나 이름을 바꾸면 해당 경로로 시작하는 모든 시방서의 filePath를 고칩니다.
+
+export const ROOT_FOLDER_PATH = '';
+
+// 입력된 경로를 '상위/하위' 형식으로 정리합니다. ('\\' 구분자 허용, 빈 구간 제거)
+export const normalizeFolderPath = (input) => (input || '')
+    .split(/[/\\]+/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join('/');
+
+export const isValidFolderPath = (path) => !path.split('/').some(part => part === '.' || part === '..');
+
+export const getFolderName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// path가 ''이면 최상위에 바로 있는 시방서만, 그 밖에는 하위 폴더까지 포함합니다.
+export const isInFolder = (spec, path) => {
+    const filePath = spec.filePath || '';
+    if (path === ROOT_FOLDER_PATH) return filePath === '';
+    return filePath === path || filePath.startsWith(`${path}/`);
+};
+
+/**
+ * 시방서 목록으로 폴더 트리를 만듭니다.
+ * @returns {{ name: string, path: string, count: number, totalCount: number, children: Array }} 최상위 노드
+ *   count: 해당 폴더에 바로 있는 시방서 수, totalCount: 하위 폴더 포함
+ */
+export const buildFolderTree = (specs) => {
+    const root = { name: '', path: ROOT_FOLDER_PATH, count: 0, totalCount: 0, children: [] };
+    const nodes = new Map([[ROOT_FOLDER_PATH, root]]);
+
+    const ensureNode = (path) => {
+        if (nodes.has(path)) return nodes.get(path);
+        const parentPath = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : ROOT_FOLDER_PATH;
+        const parent = ensureNode(parentPath);
+        const node = { name: getFolderName(path), path, count: 0, totalCount: 0, children: [] };
+        parent.children.push(node);
+        nodes.set(path, node);
+        return node;
+    };
+
+    specs.forEach(spec => {
+        const path = spec.filePath || ROOT_FOLDER_PATH;
+        ensureNode(path).count++;
+        root.totalCount++;
+        let current = path;
+        while (current) {
+            nodes.get(current).totalCount++;
+            current = current.includes('/') ? current.slice(0, current.lastIndexOf('/')) : ROOT_FOLDER_PATH;
+        }
+    });
+
+    const sortChildren = (node) => {
+        node.children.sort((a, b) => a.name.localeCompare(b.name));
+        node.children.forEach(sortChildren);
+    };
+    sortChildren(root);
+    return root;
+};
+
+export const listFolderPaths = (specs) =>
+    [...new Set(specs.flatMap(spec => {
+        const parts = (spec.filePath || '').split('/').filter(Boolean);
+        return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+    }))].sort();
+
+// from 폴더(하위 포함)에 속한 경로를 to 아래로 옮긴 경로로 바꿉니다. 해당하지 않으면 그대로 반환합니다.
+export const replaceFolderPrefix = (filePath, from, to) => {
+    if (filePath === from) return to;
+    if (filePath.startsWith(`${from}/`)) return normalizeFolderPath(`${to}/${filePath.slice(from.length + 1)}`);
+    return filePath;
+};
+
+// 폴더를 자기 자신의 하위 폴더로 옮기는 경우
+export const isDescendantPath = (path, ancestor) => path === ancestor || path.startsWith(`${ancestor}/`);
@@ -0,0 +1,227 @@
+// --- Requirement Checklist & Conformance Inspection ---
+// 시방서의 정형 필드(재질, 단조 온도, 열처리, 경도, 치수 공차, NDT)를 검사 항목과 합격 기준으로 바꾸고,
+// 히트 로트별로 입력한 측정값을 판정해 적합성 성적서를 만듭니다.
+// 검사 항목 종류
+//  - range  : 숫자 측정값이 min~max 안에 있으면 합격 (한쪽 끝은 비어 있을 수 있음)
+//  - match  : 입력값이 기준값과 같으면 합격 (대소문자, 공백 무시)
+//  - confirm: 작업자가 합격(ok)/불합격(ng)을 직접 선택
+
+import { normalizeSpecAttributes } from './specSchema';
+import { getCurrentRevisionNumber } from './revisions';
+import { escapeHtml } from './printDocument';
+
+export const INSPECTION_VERDICTS = {
+    pass: '합격',
+    fail: '불합격',
+    incomplete: '미완료',
+};
+
+export const ITEM_STATUS_LABELS = {
+    pass: '합격',
+    fail: '불합격',
+    pending: '미입력',
+    invalid: '숫자 아님',
+};
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+const HARDNESS_UNIT_PATTERN = /\b(HBW|HBS|HB|HRC|HRB|HV\d*)\b/i;
+const RANGE_SEPARATOR = '\\s*(?:~|–|-|to)\\s*';
+// 'ASTM E10-18', 'NACE MR0175-2015', 'ISO 6506-1:2014' 같은 규격 번호는 숫자 범위로 읽지 않도록 먼저 지웁니다.
+const STANDARD_REFERENCE_PATTERN = /\b(?:ASTM|ASME|NACE|API|ISO|EN|DIN|JIS|KS|BS|MSS|SAE|AMS)\b[\s-]*(?:[A-Z]{1,3}\s*)?[\dA-Z.]*\d[\dA-Z.]*(?:[-:/][\dA-Z.]+)*/gi;
+const MAX_PATTERN = new RegExp(`(?:max(?:imum)?\\.?|≤|<=|최대)\\s*${NUMBER}|${NUMBER}\\s*(?:[A-Za-z]+\\s*)?(?:이하|max(?:imum)?\\b)`, 'i');
+const MIN_PATTERN = new RegExp(`(?:min(?:imum)?\\.?|≥|>=|최소)\\s*${NUMBER}|${NUMBER}\\s*(?:[A-Za-z]+\\s*)?(?:이상|min(?:imum)?\\b)`, 'i');
+const TOLERANCE_PATTERN = new RegExp(`${NUMBER}\\s*(?:mm)?\\s*±\\s*${NUMBER}`);
+const LENGTH_UNIT_PATTERN = /(mm|㎜|in|inch|μm|㎛)/i;
+
+const toNumber = (value) => Number.parseFloat(value);
+const firstNumber = (match) => toNumber(match.slice(1).find(v => v !== undefined));
+
+// 범위는 단위 바로 앞이나 뒤에 있을 때만 인정합니다. ('HRC 28~32', '170-229 HBW')
+const matchUnitRange = (text, unitPattern) => {
+    const before = text.match(new RegExp(`${unitPattern.source}\\s*${NUMBER}${RANGE_SEPARATOR}${NUMBER}`, 'i'));
+    if (before) return [before[2], before[3]];
+    const after = text.match(new RegExp(`${NUMBER}${RANGE_SEPARATOR}${NUMBER}\\s*${unitPattern.source}`, 'i'));
+    return after ? [after[1], after[2]] : null;
+};
+
+/**
+ * '경도 요구사항' 같은 문장에서 숫자 범위를 읽습니다. 범위를 알 수 없으면 null을 반환하며, 체크리스트는 확인 항목으로 대신합니다.
+ * 예: 'HB 187 이하' → 최대 187, 'HRC 28~32' → 28~32, 'max 22 HRC' → 최대 22, '170-229 HBW' → 170~229,
+ *     'HB 187 이하 (ASTM E10-18)' → 최대 187, 'HRC 22 max per NACE MR0175-2015' → 최대 22, 'ASTM A370-22에 따름' → null
+ * @returns {{ min: number | null, max: number | null, unit: string } | null}
+ */
+export const parseNumericRequirement = (rawText, unitPattern = HARDNESS_UNIT_PATTERN) => {
+    if (!rawText) return null;
+    const text = rawText.replace(STANDARD_REFERENCE_PATTERN, ' ');
+    const unit = (text.match(unitPattern)?.[1] || '').toUpperCase();
+    const range = matchUnitRange(text, unitPattern);
+    if (range) {
+        const [a, b] = range.map(toNumber);
+        return { min: Math.min(a, b), max: Math.max(a, b), unit };
+    }
+    const max = text.match(MAX_PATTERN);
+    const min = text.match(MIN_PATTERN);
+    if (!max && !min) return null;
+    return { min: min ? firstNumber(min) : null, max: max ? firstNumber(max) : null, unit };
+};
+
+// '외경 Ø100 ±0.5mm'처럼 기준 치수와 ± 공차가 함께 있으면 허용 범위로 바꿉니다.
+export const parseToleranceRequirement = (text) => {
+    const match = (text || '').match(TOLERANCE_PATTERN);
+    if (!match) return null;
+    const nominal = toNumber(match[1]);
+    const tolerance = Math.abs(toNumber(match[2]));
+    const round = (value) => Math.round(value * 1e6) / 1e6;
+    return { min: round(nominal - tolerance), max: round(nominal + tolerance), unit: text.match(LENGTH_UNIT_PATTERN)?.[1] || 'mm' };
+};
+
+export const formatCriterion = (item) => {
+    if (item.kind === 'range') {
+        const unit = item.unit ? ` ${item.unit}` : '';
+        if (item.min !== null && item.max !== null) return `${item.min} ~ ${item.max}${unit}`;
+        if (item.min !== null) return `${item.min}${unit} 이상`;
+        return `${item.max}${unit} 이하`;
+    }
+    if (item.kind === 'match') return `${item.expected} 와 일치`;
+    return item.criterion || '요구사항 충족';
+};
+
+const createItem = (createId, category, label, fields) => ({ id: createId(), category, label, ...fields });
+
+/**
+ * 시방서의 요구사항으로 검사 체크리스트를 만듭니다. 숫자로 판정할 수 없는 요구사항은 확인(confirm) 항목이 됩니다.
+ * @param {object} spec
+ * @param {() => string} createId
+ * @returns {Array<{ id, category, label, kind: 'range' | 'match' | 'confirm', min?, max?, unit?, expected?, criterion?: string }>}
+ */
+export const buildChecklistFromSpec = (spec, createId) => {
+    const attrs = normalizeSpecAttributes(spec.attributes);
+    const items = [];
+
+    if (attrs.materialGrade) {
+        items.push(createItem(createId, '재질', '재질 등급 (밀시트)', { kind: 'match', expected: attrs.materialGrade }));
+    }
+    const temperature = attrs.forgingTemperature;
+    if (temperature.min !== null || temperature.max !== null) {
+        items.push(createItem(createId, '단조', '단조 온도', { kind: 'range', min: temperature.min, max: temperature.max, unit: temperature.unit }));
+    }
+    if (attrs.heatTreatment) {
+        items.push(createItem(createId, '열처리', '열처리 조건', { kind: 'confirm', criterion: attrs.heatTreatment }));
+    }
+    if (attrs.hardness) {
+        const range = parseNumericRequirement(attrs.hardness);
+        items.push(range
+            ? createItem(createId, '경도', '경도', { kind: 'range', ...range, criterion: attrs.hardness })
+            : createItem(createId, '경도', '경도', { kind: 'confirm', criterion: attrs.hardness }));
+    }
+    attrs.dimensionalTolerances.forEach(text => {
+        const range = parseToleranceRequirement(text);
+        items.push(range
+            ? createItem(createId, '치수', text, { kind: 'range', ...range, criterion: text })
+            : createItem(createId, '치수', text, { kind: 'confirm', criterion: text }));
+    });
+    attrs.ndtRequirements.forEach(text => {
+        items.push(createItem(createId, 'NDT', text, { kind: 'confirm', criterion: text }));
+    });
+    return items;
+};
+
+const normalizeText = (value) => String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * 측정값 하나를 판정합니다. confirm 항목의 값은 'ok' 또는 'ng'입니다.
+ * @returns {'pass' | 'fail' | 'pending' | 'invalid'}
+ */
+export const evaluateChecklistItem = (item, value) => {
+    const raw = String(value ?? '').trim();
+    if (!raw) return 'pending';
+    if (item.kind === 'range') {
+        const num = Number(raw.replace(/,/g, ''));
+        if (!Number.isFinite(num)) return 'invalid';
+        if (item.min !== null && num < item.min) return 'fail';
+        if (item.max !== null && num > item.max) return 'fail';
+        return 'pass';
+    }
+    if (item.kind === 'match') return normalizeText(raw) === normalizeText(item.expected) ? 'pass' : 'fail';
+    return raw === 'ok' ? 'pass' : raw === 'ng' ? 'fail' : 'pending';
+};
+
+/**
+ * 체크리스트 전체를 판정합니다. 불합격이 하나라도 있으면 불합격, 미입력이 있으면 미완료입니다.
+ * @param {Object<string, string>} values 항목 id → 측정값
+ */
+export const summarizeInspection = (items, values) => {
+    const statuses = items.map(item => evaluateChecklistItem(item, values[item.id]));
+    const passed = statuses.filter(s => s === 'pass').length;
+    const failed = statuses.filter(s => s === 'fail').length;
+    const pending = statuses.length - passed - failed;
+    const verdict = failed > 0 ? 'fail' : pending > 0 || items.length === 0 ? 'incomplete' : 'pass';
+    return { total: items.length, passed, failed, pending, verdict };
+};
+
+/**
+ * 저장할 검사 기록을 만듭니다. 체크리스트와 판정 결과를 그대로 복사해 두므로, 나중에 시방서가 개정되어도 기록은 바뀌지 않습니다.
+ */
+export const createInspectionRecord = ({ id, spec, heatLot, inspector, items, values, notes = {}, remarks = '', inspectedAt = new Date().toISOString() }) => {
+    const summary = summarizeInspection(items, values);
+    return {
+        id,
+        specId: spec.id,
+        specFileName: spec.fileName,
+        specRevision: getCurrentRevisionNumber(spec),
+        heatLot: heatLot.trim(),
+        inspector,
+        inspectedAt,
+        remarks: remarks.trim(),
+        items: items.map(item => ({
+            ...item,
+            value: String(values[item.id] ?? '').trim(),
+            note: (notes[item.id] || '').trim(),
+            status: evaluateChecklistItem(item, values[item.id]),
+        })),
+        ...summary,
+    };
+};
+
+const formatMeasuredValue = (item) => {
+    if (item.kind === 'confirm') return item.value === 'ok' ? '적합' : item.value === 'ng' ? '부적합' : '';
+    return item.value;
+};
+
+/**
+ * 인쇄용 적합성 성적서 본문 HTML을 만듭니다. (openPrintWindow로 띄웁니다)
+ */
+export const buildConformanceReportHtml = (record, { title = '단조품 검사 성적서' } = {}) => {
+    const rows = record.items.map((item, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td>${escapeHtml(item.category)}</td>
+            <td>${escapeHtml(item.label)}</td>
+            <td>${escapeHtml(formatCriterion(item))}</td>
+            <td>${escapeHtml(formatMeasuredValue(item))}${item.kind === 'range' && item.value && item.unit ? ` ${escapeHtml(item.unit)}` : ''}</td>
+            <td class="${item.status === 'pass' ? 'pass' : item.status === 'fail' ? 'fail' : 'pending'}">${escapeHtml(ITEM_STATUS_LABELS[item.status])}</td>
+            <td>${escapeHtml(item.note)}</td>
+        </tr>`).join('');
+    const verdictClass = record.verdict === 'pass' ? 'pass' : record.verdict === 'fail' ? 'fail' : 'pending';
+
+    return `
+        <h1>${escapeHtml(title)}</h1>
+        <div class="meta">성적서 번호 ${escapeHtml(record.id)}</div>
+        <table>
+            <tr><th style="width: 18%">적용 시방서</th><td>${escapeHtml(record.specFileName)} (Rev.${escapeHtml(record.specRevision)})</td></tr>
+            <tr><th>히트 로트</th><td>${escapeHtml(record.heatLot)}</td></tr>
+            <tr><th>검사일시</th><td>${escapeHtml(new Date(record.inspectedAt).toLocaleString())}</td></tr>
+            <tr><th>검사자</th><td>${escapeHtml(record.inspector)}</td></tr>
+            <tr><th>종합 판정</th><td class="${verdictClass}">${escapeHtml(INSPECTION_VERDICTS[record.verdict])} (합격 ${record.passed} / 불합격 ${record.failed} / 미입력 ${record.pending}, 전체 ${record.total})</td></tr>
+        </table>
+        <h2>검사 항목</h2>
+        <table>
+            <thead><tr><th style="width: 4%">No.</th><th style="width: 9%">구분</th><th>항목</th><th>합격 기준</th><th style="width: 13%">측정값</th><th style="width: 8%">판정</th><th style="width: 16%">비고</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${record.remarks ? `<h2>특기 사항</h2><p>${escapeHtml(record.remarks).replace(/\n/g, '<br>')}</p>` : ''}
+        <table class="signatures">
+            <tr><th style="width: 33%">검사</th><th style="width: 33%">검토</th><th>승인</th></tr>
+            <tr><td></td><td></td><td></td></tr>
+        </table>`;
+};
@@ -0,0 +1,178 @@
+// --- Customers & Parts ---
+// 고객사와 품번은 시방서와 별도로 관리하는 기준 정보이며 브라우저(localStorage)에 저장됩니다.
+// 시방서는 spec.partIds, spec.customerIds로 여러 품번·고객사에 연결됩니다. (다대다)
+// 고객사에 직접 연결된 시방서는 그 고객사의 모든 품번에 적용되는 공통 시방서로 봅니다.
+
+const PARTS_STORAGE_KEY = 'forging_specs_parts';
+
+export const createEmptyPartCatalog = () => ({ customers: [], parts: [] });
+
+const normalizeKey = (value) => (value || '').trim().toLowerCase();
+
+export const findCustomerByName = (catalog, name) =>
+    catalog.customers.find(c => normalizeKey(c.name) === normalizeKey(name)) || null;
+
+export const findPartByNumber = (catalog, partNumber) =>
+    catalog.parts.find(p => normalizeKey(p.partNumber) === normalizeKey(partNumber)) || null;
+
+export const getCustomerName = (catalog, customerId) => catalog.customers.find(c => c.id === customerId)?.name || '';
+
+// 품번, 품명, 도면번호, 고객사명 중 하나라도 검색어를 포함하면 일치합니다.
+export const searchParts = (catalog, query) => {
+    const q = normalizeKey(query);
+    if (!q) return catalog.parts;
+    return catalog.parts.filter(part =>
+        [part.partNumber, part.name, part.drawingNumber, getCustomerName(catalog, part.customerId)].some(v => normalizeKey(v).includes(q))
+    );
+};
+
+/**
+ * 품번에 적용되는 시방서 목록입니다. 품번에 직접 연결된 시방서와 고객사 공통 시방서를 함께 돌려줍니다.
+ * @returns {Array<{ spec: object, via: 'part' | 'customer' }>}
+ */
+export const getSpecsForPart = (part, specs) => specs
+    .map(spec => {
+        if ((spec.partIds || []).includes(part.id)) return { spec, via: 'part' };
+        if (part.customerId && (spec.customerIds || []).includes(part.customerId)) return { spec, via: 'customer' };
+        return null;
+    })
+    .filter(Boolean);
+
+// 시방서에 직접 연결된 고객사와, 연결된 품번의 고객사 이름 (중복 제외)
+export const getLinkedCustomerNames = (catalog, spec) => {
+    const customerIds = new Set(spec.customerIds || []);
+    catalog.parts.filter(part => (spec.partIds || []).includes(part.id) && part.customerId).forEach(part => customerIds.add(part.customerId));
+    return [...customerIds].map(id => getCustomerName(catalog, id)).filter(Boolean);
+};
+
+export const countLinkedSpecs = (specs, field, id) => specs.filter(spec => (spec[field] || []).includes(id)).length;
+
+/**
+ * 고객사를 이름으로 찾고, 없으면 새로 만듭니다.
+ * @returns {{ catalog: object, customer: object | null }} 이름이 비어 있으면 customer는 null
+ */
+export const ensureCustomer = (catalog, name, createId, now = new Date().toISOString()) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return { catalog, customer: null };
+    const existing = findCustomerByName(catalog, trimmed);
+    if (existing) return { catalog, customer: existing };
+    const customer = { id: createId(), name: trimmed, createdAt: now };
+    return { catalog: { ...catalog, customers: [...catalog.customers, customer] }, customer };
+};
+
+// --- Part Master Import (CSV/엑셀) ---
+
+// 머리글 이름(대소문자, 공백 무시) → 필드
+const PART_COLUMN_ALIASES = {
+    partNumber: ['품번', '부품번호', '품목번호', 'partnumber', 'partno', 'part#', 'p/n', 'pn'],
+    name: ['품명', '부품명', '품목명', 'partname', 'name', 'description'],
+    drawingNumber: ['도면번호', '도번', 'drawingnumber', 'drawingno', 'dwgno', 'drawing'],
+    customer: ['고객사', '고객', '발주처', 'customer', 'client'],
+};
+
+export const PART_COLUMN_LABELS = {
+    partNumber: '품번',
+    name: '품명',
+    drawingNumber: '도면번호',
+    customer: '고객사',
+};
+
+const normalizeHeader = (value) => (value || '').toLowerCase().replace(/[\s_.-]/g, '');
+
+/**
+ * 품목 마스터 표(첫 행은 머리글)를 품번 항목으로 바꿉니다. 품번 열은 반드시 있어야 합니다.
+ * @param {string[][]} rows
+ * @returns {{ entries: Array<{ row: number, partNumber, name, drawingNumber, customer }>, errors: string[], columns: string[] }}
+ *   row: 원본 파일의 행 번호(1부터, 머리글 포함), columns: 인식한 필드
+ */
+export const parsePartMasterRows = (rows) => {
+    if (!rows || rows.length === 0) return { entries: [], errors: ['빈 파일입니다.'], columns: [] };
+    const header = rows[0].map(normalizeHeader);
+    const columnIndex = {};
+    Object.entries(PART_COLUMN_ALIASES).forEach(([field, aliases]) => {
+        const index = header.findIndex(h => aliases.includes(h));
+        if (index !== -1) columnIndex[field] = index;
+    });
+    if (columnIndex.partNumber === undefined) {
+        return { entries: [], errors: [`품번 열을 찾을 수 없습니다. 첫 행에 '${PART_COLUMN_LABELS.partNumber}' 머리글이 필요합니다.`], columns: [] };
+    }
+
+    const entries = [];
+    const errors = [];
+    const seen = new Map();
+    rows.slice(1).forEach((cells, i) => {
+        const row = i + 2;
+        const value = (field) => (columnIndex[field] === undefined ? '' : (cells[columnIndex[field]] || '').trim());
+        const partNumber = value('partNumber');
+        if (!partNumber) {
+            if (cells.some(Boolean)) errors.push(`${row}행: 품번이 비어 있어 건너뜁니다.`);
+            return;
+        }
+        const key = normalizeKey(partNumber);
+        if (seen.has(key)) {
+            errors.push(`${row}행: 품번 ${partNumber}이(가) ${seen.get(key)}행과 중복되어 건너뜁니다.`);
+            return;
+        }
+        seen.set(key, row);
+        entries.push({ row, partNumber, name: value('name'), drawingNumber: value('drawingNumber'), customer: value('customer') });
+    });
+    return { entries, errors, columns: Object.keys(columnIndex) };
+};
+
+/**
+ * 가져온 항목을 카탈로그에 반영합니다. 같은 품번이 있으면 값이 있는 칸만 덮어쓰고, 없는 고객사는 새로 만듭니다.
+ * @returns {{ catalog: object, added: number, updated: number, unchanged: number, customersAdded: number }}
+ */
+export const mergePartMaster = (catalog, entries, createId, now = new Date().toISOString()) => {
+    let next = catalog;
+    const parts = [...catalog.parts];
+    const result = { added: 0, updated: 0, unchanged: 0, customersAdded: 0 };
+
+    entries.forEach(entry => {
+        const before = next.customers.length;
+        const ensured = ensureCustomer(next, entry.customer, createId, now);
+        next = ensured.catalog;
+        result.customersAdded += next.customers.length - before;
+
+        const fields = { partNumber: entry.partNumber };
+        if (entry.name) fields.name = entry.name;
+        if (entry.drawingNumber) fields.drawingNumber = entry.drawingNumber;
+        if (ensured.customer) fields.customerId = ensured.customer.id;
+
+        const index = parts.findIndex(p => normalizeKey(p.partNumber) === normalizeKey(entry.partNumber));
+        if (index === -1) {
+            parts.push({ id: createId(), name: '', drawingNumber: '', customerId: null, ...fields, createdAt: now, updatedAt: now });
+            result.added++;
+            return;
+        }
+        const existing = parts[index];
+        if (Object.entries(fields).every(([key, value]) => existing[key] === value)) {
+            result.unchanged++;
+            return;
+        }
+        parts[index] = { ...existing, ...fields, updatedAt: now };
+        result.updated++;
+    });
+    return { catalog: { ...next, parts }, ...result };
+};
+
+// --- Persistence ---
+
+export const loadPartCatalog = () => {
+    if (typeof window === 'undefined') return createEmptyPartCatalog();
+    try {
+        const stored = JSON.parse(localStorage.getItem(PARTS_STORAGE_KEY) || 'null');
+        return {
+            customers: Array.isArray(stored?.customers) ? stored.customers : [],
+            parts: Array.isArray(stored?.parts) ? stored.parts : [],
+        };
+    } catch (e) {
+        console.error("Error parsing part catalog:", e);
+        return createEmptyPartCatalog();
+    }
+};
+
+export const savePartCatalog = (catalog) => {
+    if (typeof window === 'undefined') return;
+    localStorage.setItem(PARTS_STORAGE_KEY, JSON.stringify({ customers: catalog.customers, parts: catalog.parts }));
+};
@@ -0,0 +1,38 @@
+// --- PDF Page Text ---
+// pdf.js로 연 문서에서 페이지별 텍스트를 모읍니다. pdf.js를 직접 불러오지 않으므로 브라우저(pdfText.js)와
+// 서버(server/extractText.js)가 각자 연 문서를 넘겨 함께 사용합니다.
+
+// pdf.js textContent 항목을 줄 단위 문자열로 합칩니다.
+const joinTextItems = (items) => {
+    let text = '';
+    items.forEach(item => {
+        if (typeof item.str !== 'string') return;
+        text += item.str;
+        if (item.hasEOL) text += '\n';
+        else if (item.str && !text.endsWith(' ')) text += ' ';
+    });
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * 열어 둔 PDF 문서의 모든 페이지에서 텍스트를 추출하고 문서를 닫습니다.
+ */
+export const extractTextFromPdfDocument = async (pdf, { onProgress } = {}) => {
+    const pages = [];
+    try {
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const page = await pdf.getPage(pageNum);
+            const content = await page.getTextContent();
+            pages.push(joinTextItems(content.items));
+            page.cleanup();
+            if (onProgress) onProgress(pageNum, pdf.numPages);
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    const text = pages
+        .map((pageText, i) => `[페이지 ${i + 1}]\n${pageText}`)
+        .join('\n\n');
+    return { text, pages, pageCount: pages.length };
+};
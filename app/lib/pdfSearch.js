@@ -0,0 +1,147 @@
+// --- In-Document PDF Search ---
+// PDF 뷰어의 문서 내 검색과 요약 문장 → 출처 페이지 찾기. pdf.js 페이지의 textContent 항목(items)을 입력으로 받습니다.
+
+import { tokenize } from './searchIndex';
+
+/**
+ * 검색창 질의를 문서 안에서 찾을 문자열 목록으로 바꿉니다.
+ * "구 문"은 그대로, 단어*는 접두어로, 한글 단어는 조사를 뗀 어간으로 찾습니다.
+ * @returns {string[]} 소문자, 긴 것부터
+ */
+export const extractSearchTerms = (query) => {
+    const terms = new Set();
+    for (const match of String(query || '').matchAll(/"([^"]*)"|(\S+)/g)) {
+        if (match[1] !== undefined) {
+            if (match[1].trim()) terms.add(match[1].trim().toLowerCase());
+            continue;
+        }
+        const word = match[2].replace(/\*$/, '');
+        const tokens = tokenize(word);
+        if (tokens.length === 1) terms.add(tokens[0].stem);
+        else if (tokens.length > 1) terms.add(word.toLowerCase());
+    }
+    return [...terms].filter(Boolean).sort((a, b) => b.length - a.length);
+};
+
+/**
+ * 페이지의 textContent 항목을 하나의 문자열로 잇고, 각 항목이 차지하는 위치를 기록합니다.
+ * pdf.js는 글꼴이 바뀌는 곳에서 'SA-' + '182'처럼 단어 중간을 나누기도 하므로 항목 사이에는 공백을 넣지 않고,
+ * 줄바꿈(hasEOL)에만 공백 하나를 넣습니다.
+ * @returns {{ text: string, spans: Array<{ itemIndex: number, start: number, end: number }> }}
+ */
+export const buildPageTextMap = (items) => {
+    let text = '';
+    const spans = [];
+    items.forEach((item, itemIndex) => {
+        if (typeof item.str !== 'string' || !item.str) return;
+        spans.push({ itemIndex, start: text.length, end: text.length + item.str.length });
+        text += item.str;
+        if (item.hasEOL && !text.endsWith(' ')) text += ' ';
+    });
+    return { text, spans };
+};
+
+/**
+ * 페이지 문자열에서 검색어가 나오는 위치를 찾습니다. 겹치는 결과는 앞의 것(긴 검색어 우선)만 남깁니다.
+ * @returns {Array<{ start: number, end: number }>} 위치 순
+ */
+export const findTextMatches = (text, terms) => {
+    const lower = text.toLowerCase();
+    const matches = [];
+    terms.forEach(term => {
+        for (let from = lower.indexOf(term); from !== -1; from = lower.indexOf(term, from + term.length)) {
+            const end = from + term.length;
+            if (!matches.some(m => from < m.end && end > m.start)) matches.push({ start: from, end });
+        }
+    });
+    return matches.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * 검색 결과 하나를 항목별 글자 구간으로 나눕니다. 여러 항목에 걸친 결과는 항목마다 한 구간씩 돌려줍니다.
+ * @returns {Array<{ itemIndex: number, from: number, to: number }>} from/to는 항목 문자열 안의 위치
+ */
+export const mapMatchToItems = (spans, match) => spans
+    .filter(span => span.start < match.end && span.end > match.start)
+    .map(span => ({
+        itemIndex: span.itemIndex,
+        from: Math.max(match.start, span.start) - span.start,
+        to: Math.min(match.end, span.end) - span.start,
+    }));
+
+/**
+ * 모든 페이지에서 검색어를 찾습니다.
+ * @param {Array<{ text: string, spans: Array }>} pageMaps buildPageTextMap 결과 (페이지 순서)
+ * @returns {Array<{ page: number, start: number, end: number, ranges: Array }>} page는 1부터
+ */
+export const searchPdfPages = (pageMaps, query) => {
+    const terms = extractSearchTerms(query);
+    if (terms.length === 0) return [];
+    return pageMaps.flatMap((map, i) => (map ? findTextMatches(map.text, terms) : [])
+        .map(match => ({ page: i + 1, ...match, ranges: mapMatchToItems(map.spans, match) })));
+};
+
+// 요약을 문장 단위로 나눕니다. 마침표 뒤 공백과 줄바꿈을 경계로 보고, 줄 앞의 글머리표는 뗍니다.
+export const splitSummarySentences = (summary) => String(summary || '')
+    .split(/(?<=[.!?。])\s+|\n+/)
+    .map(s => s.replace(/^[-•·*]\s*/, '').trim())
+    .filter(s => s.length >= 4);
+
+const termSet = (text) => new Set(tokenize(text).flatMap(t => (t.stem !== t.term ? [t.term, t.stem] : [t.term])));
+
+/**
+ * 요약 문장마다 내용이 가장 많이 겹치는 페이지를 찾습니다. 숫자와 영문 규격 번호처럼 드문 단어가 겹칠수록 점수가 높습니다.
+ * @param {string[]} pageTexts 페이지별 텍스트
+ * @returns {Array<{ sentence: string, page: number | null, score: number }>} 겹치는 단어가 없으면 page는 null
+ */
+export const findSummarySourcePages = (summary, pageTexts) => {
+    const pageTerms = pageTexts.map(text => termSet(text || ''));
+    // 여러 페이지에 두루 나오는 단어는 근거로 약하므로 나오는 페이지 수로 나눕니다.
+    const documentFrequency = (term) => pageTerms.filter(terms => terms.has(term)).length;
+    return splitSummarySentences(summary).map(sentence => {
+        const sentenceTerms = [...termSet(sentence)].filter(term => term.length >= 2 || /\d/.test(term));
+        const weights = new Map(sentenceTerms.map(term => [term, documentFrequency(term)]));
+        let best = { page: null, score: 0 };
+        pageTerms.forEach((terms, i) => {
+            const score = sentenceTerms.reduce((sum, term) => (terms.has(term) ? sum + 1 / weights.get(term) : sum), 0);
+            if (score > best.score) best = { page: i + 1, score: Math.round(score * 100) / 100 };
+        });
+        return { sentence, ...best };
+    });
+};
+
+// --- Highlight Geometry ---
+
+// pdf.js의 Util.transform과 같은 2D 아핀 행렬 곱
+const multiplyTransform = (m1, m2) => [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+];
+
+/**
+ * 검색 결과의 항목별 구간을 화면(viewport) 좌표의 사각형으로 바꿉니다.
+ * 항목 안의 글자 폭은 고르다고 보고 글자 수 비율로 나눕니다. (가로쓰기 기준)
+ * @param {Array} items 페이지의 textContent 항목
+ * @param {Array<{ itemIndex, from, to }>} ranges mapMatchToItems 결과
+ * @param {{ transform: number[], scale: number }} viewport pdf.js PageViewport
+ * @returns {Array<{ left: number, top: number, width: number, height: number }>}
+ */
+export const getHighlightRects = (items, ranges, viewport) => ranges
+    .map(({ itemIndex, from, to }) => {
+        const item = items[itemIndex];
+        if (!item || !item.str) return null;
+        const tx = multiplyTransform(viewport.transform, item.transform);
+        const height = Math.hypot(tx[2], tx[3]);
+        const itemWidth = item.width * viewport.scale;
+        return {
+            left: tx[4] + (itemWidth * from) / item.str.length,
+            top: tx[5] - height,
+            width: Math.max((itemWidth * (to - from)) / item.str.length, 2),
+            height,
+        };
+    })
+    .filter(Boolean);
@@ -0,0 +1,30 @@
+// --- PDF Text Extraction (pdf.js, 브라우저 내 처리) ---
+
+import { extractTextFromPdfDocument } from './pdfDocumentText';
+
+let pdfjsPromise = null;
+
+const loadPdfJs = () => {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist').then((pdfjs) => {
+            // 4.x 워커는 ES 모듈이라 파일 주소(workerSrc)로 넘기면 빌드 최소화 단계가 읽지 못하므로 모듈 워커로 직접 띄웁니다.
+            pdfjs.GlobalWorkerOptions.workerPort = new Worker(new URL('pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url), { type: 'module' });
+            return pdfjs;
+        });
+    }
+    return pdfjsPromise;
+};
+
+export const loadPdfDocument = async (file) => {
+    const pdfjs = await loadPdfJs();
+    const data = new Uint8Array(await file.arrayBuffer());
+    return pdfjs.getDocument({ data, isEvalSupported: false }).promise;
+};
+
+/**
+ * PDF 파일(Blob)의 모든 페이지에서 텍스트를 추출합니다.
+ * 스캔 이미지로만 된 PDF는 빈 텍스트가 반환됩니다.
+ * @returns {Promise<{ text: string, pages: string[], pageCount: number }>}
+ */
+export const extractPdfText = async (file, { onProgress } = {}) =>
+    extractTextFromPdfDocument(await loadPdfDocument(file), { onProgress });
@@ -0,0 +1,43 @@
+// --- Printable Documents ---
+// 보고서를 새 창에 HTML로 띄우고 인쇄 대화상자를 엽니다. 브라우저의 'PDF로 저장'으로 PDF를 만들 수 있으며 네트워크가 필요 없습니다.
+
+export const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const PRINT_STYLES = `
+    * { box-sizing: border-box; }
+    body { font-family: 'Malgun Gothic', 'Apple SD Gothic Neo', sans-serif; color: #111827; font-size: 12px; margin: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; }
+    .meta { color: #6b7280; margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; vertical-align: top; word-break: break-word; }
+    th { background: #f3f4f6; }
+    .pass { color: #047857; font-weight: bold; }
+    .fail { color: #b91c1c; font-weight: bold; }
+    .pending { color: #6b7280; }
+    .page-break { page-break-before: always; }
+    .signatures td { height: 48px; }
+    @media print { body { margin: 0; } }
+`;
+
+/**
+ * 인쇄용 창을 엽니다. 팝업이 차단되면 false를 반환합니다.
+ * @param {string} title 창 제목(PDF로 저장할 때 기본 파일명)
+ * @param {string} bodyHtml escapeHtml로 값을 처리한 본문 HTML
+ */
+export const openPrintWindow = (title, bodyHtml) => {
+    const win = window.open('', '_blank');
+    if (!win) return false;
+    win.document.open();
+    win.document.write(`<!DOCTYPE html><html lang="ko"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${PRINT_STYLES}</style></head><body>${bodyHtml}</body></html>`);
+    win.document.close();
+    win.focus();
+    // 글꼴과 표 배치가 끝난 뒤 인쇄 대화상자를 엽니다.
+    win.setTimeout(() => win.print(), 300);
+    return true;
+};
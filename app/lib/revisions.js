@@ -0,0 +1,135 @@
+// --- Spec Revision History ---
+// 시방서 레코드의 최상위 필드는 항상 최신 개정본을 나타내고, 원본 파일/본문도 spec.id 키에 저장됩니다.
+// 이전 개정본은 spec.revisions[]에 메타데이터 스냅샷으로 남고, 파일/본문은 storageKey로 따로 보관됩니다.
+
+import { SPEC_ATTRIBUTE_FIELDS, formatAttributeValue, normalizeSpecAttributes } from './specSchema';
+
+const REVISION_FIELDS = ['fileName', 'fileType', 'filePath', 'summary', 'keywords', 'attributes', 'pageCount', 'hasExtractedText', 'contentHash'];
+
+export const createRevisionSnapshot = (source, { id, revision, storageKey, createdAt }) => {
+    const snapshot = { id, revision, storageKey, createdAt };
+    REVISION_FIELDS.forEach(field => {
+        if (source[field] !== undefined) snapshot[field] = source[field];
+    });
+    return snapshot;
+};
+
+// 개정 이력이 없는 기존 레코드는 자기 자신을 1차 개정본으로 취급합니다.
+export const getRevisions = (spec) => {
+    if (spec.revisions && spec.revisions.length > 0) return spec.revisions;
+    return [createRevisionSnapshot(spec, { id: spec.id, revision: 1, storageKey: spec.id, createdAt: spec.createdAt })];
+};
+
+export const getCurrentRevisionNumber = (spec) => {
+    const revisions = getRevisions(spec);
+    return revisions[revisions.length - 1].revision;
+};
+
+// 이전 개정본의 파일을 보관할 IndexedDB 키
+export const createArchiveStorageKey = (specId, revision) => `${specId}@r${revision}`;
+
+// 시방서에 딸린 모든 개정본의 저장 키 (삭제/백업 시 사용)
+export const getAllStorageKeys = (spec) => [...new Set([spec.id, ...getRevisions(spec).map(r => r.storageKey)])];
+
+const normalizeFileName = (name) => (name || '').trim().toLowerCase();
+
+export const findSpecByFileName = (specs, fileName) => {
+    const target = normalizeFileName(fileName);
+    if (!target) return null;
+    return specs.find(s => normalizeFileName(s.fileName) === target) || null;
+};
+
+// --- Diff ---
+
+// 두 개정본의 구조화 사양을 필드별로 비교합니다.
+export const diffAttributes = (before, after) => {
+    const a = normalizeSpecAttributes(before);
+    const b = normalizeSpecAttributes(after);
+    return SPEC_ATTRIBUTE_FIELDS.map(field => {
+        const left = formatAttributeValue(field, a[field.key]);
+        const right = formatAttributeValue(field, b[field.key]);
+        return { key: field.key, label: field.label, left, right, changed: left !== right };
+    });
+};
+
+// LCS 표가 지나치게 커지지 않도록 하는 상한 (줄 수 곱)
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * 줄 단위 diff를 계산합니다.
+ * @returns {{ ops: Array<{ type: 'same' | 'add' | 'del', text: string }>, truncated: boolean }}
+ */
+export const diffLines = (beforeText, afterText) => {
+    const a = (beforeText || '').split('\n');
+    const b = (afterText || '').split('\n');
+
+    // 공통 앞/뒤 부분은 LCS 계산에서 제외합니다.
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const head = a.slice(0, start).map(text => ({ type: 'same', text }));
+    const tail = a.slice(endA).map(text => ({ type: 'same', text }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length, m = midB.length;
+
+    if (n * m > MAX_LCS_CELLS) {
+        // 너무 큰 경우 정렬 없이 삭제/추가 블록으로만 표시합니다.
+        return {
+            ops: [...head, ...midA.map(text => ({ type: 'del', text })), ...midB.map(text => ({ type: 'add', text })), ...tail],
+            truncated: true,
+        };
+    }
+
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i * width + j] = midA[i] === midB[j]
+                ? table[(i + 1) * width + j + 1] + 1
+                : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+        }
+    }
+
+    const mid = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (midA[i] === midB[j]) { mid.push({ type: 'same', text: midA[i] }); i++; j++; }
+        else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) { mid.push({ type: 'del', text: midA[i] }); i++; }
+        else { mid.push({ type: 'add', text: midB[j] }); j++; }
+    }
+    while (i < n) mid.push({ type: 'del', text: midA[i++] });
+    while (j < m) mid.push({ type: 'add', text: midB[j++] });
+
+    return { ops: [...head, ...mid, ...tail], truncated: false };
+};
+
+/**
+ * diff 결과를 좌우 나란히 보기용 행으로 변환합니다. 연속된 삭제/추가 블록은 같은 행에 짝지어 표시합니다.
+ * @returns {Array<{ left: string | null, right: string | null, type: 'same' | 'changed' | 'del' | 'add' }>}
+ */
+export const toSideBySideRows = (ops) => {
+    const rows = [];
+    let dels = [], adds = [];
+    const flush = () => {
+        const count = Math.max(dels.length, adds.length);
+        for (let k = 0; k < count; k++) {
+            const left = k < dels.length ? dels[k] : null;
+            const right = k < adds.length ? adds[k] : null;
+            rows.push({ left, right, type: left !== null && right !== null ? 'changed' : left !== null ? 'del' : 'add' });
+        }
+        dels = [];
+        adds = [];
+    };
+    ops.forEach(op => {
+        if (op.type === 'same') {
+            flush();
+            rows.push({ left: op.text, right: op.text, type: 'same' });
+        } else if (op.type === 'del') dels.push(op.text);
+        else adds.push(op.text);
+    });
+    flush();
+    return rows;
+};
@@ -0,0 +1,178 @@
+// --- Rule-Based Spec Extractor ---
+// AI 없이 정규식 규칙만으로 시방서 본문에서 요약, 키워드, 정형 필드를 뽑습니다.
+// 네트워크를 쓰지 않으며 같은 입력에는 항상 같은 결과를 돌려줍니다. 정확도는 AI보다 낮으므로 결과는 사람이 확인해야 합니다.
+
+import { normalizeSpecAttributes } from './specSchema';
+
+const MAX_LIST_ITEMS = 10;
+const MAX_LINE_LENGTH = 160;
+const MAX_KEYWORDS = 10;
+
+const STANDARD_PATTERN = /\b(?:ASTM|ASME|KS|JIS|DIN|EN|API|ISO|MSS)[\s-]*(?:S[AB]-?|[A-Z]{1,2}\s?)?\d{2,5}(?:[-/.]\d+)*M?\b/g;
+const ASME_MATERIAL_PATTERN = /\bS[AB]-\d{2,4}\b/g;
+
+const MATERIAL_PATTERNS = [
+    /\b(?:S[AB]-?|A)\s?\d{2,4}\s+(?:Gr(?:ade)?\.?\s*)?F\s?\d{1,3}[A-Z]*\b/i,
+    /\bS(?:NC|NCM|CM|Cr|MnC|C)\d{3}[A-Z]?\b/,
+    /\bS\d{2}C\b/,
+    /\b(?:AISI|SAE)\s?\d{4}[A-Z]?\b/i,
+    /\b\d{2}(?:Cr|Mn|Ni)(?:Cr|Mo|Ni|V)*\d{0,2}\b/,
+];
+
+const HEAT_TREATMENT_PATTERN = /(노멀라이징|불림|담금질|뜨임|소둔|풀림|용체화|퀜칭|템퍼링|normaliz|quench|temper|anneal|solution\s+(?:treat|anneal))/i;
+const HARDNESS_PATTERN = /(?:HBW?|HRC|HRB|HV)\s*\d{2,3}(?:\s*[~\-–]\s*\d{2,3})?(?:\s*(?:이하|이상|max\.?|min\.?))?|\d{2,3}\s*(?:[~\-–]\s*\d{2,3}\s*)?(?:HBW?|HRC|HRB|HV)\b/i;
+const TOLERANCE_PATTERN = /±\s?\d|\+\s?\d+(?:\.\d+)?\s*\/\s*-\s?\d/;
+const TEMPERATURE_RANGE_PATTERN = /(\d{3,4})\s*(?:°\s*[CF]|℃|도)?\s*(?:~|-|–|to|내지)\s*(\d{3,4})\s*(°\s*[CF]|℃|도)?/i;
+const FORGING_LINE_PATTERN = /단조|forging/i;
+
+// 본문에 나온 순서대로 NDT 방법을 찾습니다.
+const NDT_METHODS = [
+    { name: 'UT', pattern: /\bUT\b|초음파|ultrasonic/i },
+    { name: 'MT', pattern: /\bMT\b|자분|magnetic particle/i },
+    { name: 'PT', pattern: /\bPT\b|침투|liquid penetrant|dye penetrant/i },
+    { name: 'RT', pattern: /\bRT\b|방사선|radiograph/i },
+    { name: 'ET', pattern: /\bET\b|와전류|eddy current/i },
+];
+
+const LABELS = {
+    materialGrade: ['재질', '재료', '강종', 'material', 'grade'],
+    heatTreatment: ['열처리', 'heat treatment'],
+    hardness: ['경도', 'hardness'],
+    customer: ['고객사', '발주처', '고객', 'customer', 'purchaser', 'client'],
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const clip = (text) => (text.length > MAX_LINE_LENGTH ? `${text.slice(0, MAX_LINE_LENGTH)}...` : text);
+
+const unique = (items) => {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = item.toLowerCase();
+        if (!item || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+const toLines = (text) => text.split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+// '재질: SA-182 F316', '3. 열처리: ...' 처럼 항목명 뒤에 오는 값을 찾습니다.
+const findLabeledValue = (lines, labels) => {
+    const pattern = new RegExp(`^(?:\\d+[.)]\\s*)?(?:${labels.map(escapeRegExp).join('|')})\\s*(?:\\([^)]*\\))?\\s*[:：]\\s*(.+)$`, 'i');
+    for (const line of lines) {
+        const match = line.match(pattern);
+        if (match && match[1].trim()) return clip(match[1].trim());
+    }
+    return '';
+};
+
+const normalizeStandard = (text) => text.replace(/\s+/g, ' ').replace(/\s*-\s*/g, '-').trim().toUpperCase();
+
+// 'ASME SA-105'가 이미 있으면 따로 나온 'SA-105'는 중복으로 봅니다.
+const findStandards = (text) => {
+    const standards = unique((text.match(STANDARD_PATTERN) || []).map(normalizeStandard));
+    const materials = unique((text.match(ASME_MATERIAL_PATTERN) || []).map(normalizeStandard))
+        .filter(material => !standards.some(standard => standard.endsWith(` ${material}`)));
+    return [...standards, ...materials];
+};
+
+const findMaterialGrade = (lines, text) => {
+    const labeled = findLabeledValue(lines, LABELS.materialGrade);
+    if (labeled) return labeled;
+    for (const pattern of MATERIAL_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) return match[0].replace(/\s+/g, ' ').trim();
+    }
+    return '';
+};
+
+const findForgingTemperature = (lines) => {
+    const candidates = [...lines.filter(line => FORGING_LINE_PATTERN.test(line)), ...lines];
+    for (const line of candidates) {
+        const match = line.match(TEMPERATURE_RANGE_PATTERN);
+        if (!match) continue;
+        const [min, max] = [Number(match[1]), Number(match[2])].sort((a, b) => a - b);
+        // 연도, 규격 번호 등 온도가 아닌 숫자 쌍은 단위가 있거나 단조 관련 줄일 때만 받아들입니다.
+        if (!match[3] && !FORGING_LINE_PATTERN.test(line)) continue;
+        return { min, max, unit: /F/i.test(match[3] || '') ? '°F' : '°C' };
+    }
+    return { min: null, max: null, unit: '°C' };
+};
+
+const findFirstLine = (lines, pattern) => {
+    const line = lines.find(l => pattern.test(l));
+    return line ? clip(line) : '';
+};
+
+const findHardness = (lines, text) => {
+    const labeled = findLabeledValue(lines, LABELS.hardness);
+    if (labeled) return labeled;
+    const matches = unique((text.match(new RegExp(HARDNESS_PATTERN.source, 'gi')) || []).map(m => m.replace(/\s+/g, ' ').trim()));
+    return matches.slice(0, 3).join(', ');
+};
+
+const findNdtRequirements = (lines, text) => NDT_METHODS
+    .map(method => ({ method, index: text.search(method.pattern) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .map(({ method }) => {
+        // 같은 줄에서 해당 방법 뒤에 처음 나오는 규격을 근거 규격으로 봅니다.
+        const line = lines.find(l => method.pattern.test(l)) || '';
+        const standard = findStandards(line.slice(line.search(method.pattern)))[0];
+        return standard ? `${method.name} (${standard})` : method.name;
+    });
+
+const findTolerances = (lines) => unique(lines.filter(line => TOLERANCE_PATTERN.test(line)).map(clip)).slice(0, MAX_LIST_ITEMS);
+
+// 본문 추출 시 붙는 '[페이지 1]', '[시트: 이름]' 표시는 제목으로 쓰지 않습니다.
+const SECTION_MARKER_PATTERN = /^\[(?:페이지 \d+|시트: [^\]]*)\]$/;
+
+const getTitle = (lines, fileName) => {
+    const title = lines.find(line => line.length >= 4 && /[A-Za-z가-힣]/.test(line) && !SECTION_MARKER_PATTERN.test(line));
+    if (title) return clip(title);
+    return (fileName || '').replace(/\.[^.]+$/, '');
+};
+
+const buildSummary = (title, attributes) => {
+    const parts = [title];
+    if (attributes.materialGrade) parts.push(`재질: ${attributes.materialGrade}`);
+    if (attributes.heatTreatment) parts.push(`열처리: ${attributes.heatTreatment}`);
+    if (attributes.standards.length > 0) parts.push(`참조 규격: ${attributes.standards.slice(0, 5).join(', ')}`);
+    return parts.filter(Boolean).join(' / ');
+};
+
+/**
+ * 규칙 기반으로 시방서 메타데이터를 추출합니다.
+ * @param {{ fileName: string, extractedText?: string | null, mockContent?: string }} item
+ * @returns {{ summary: string, keywords: string[], attributes: object }}
+ */
+export const extractSpecByRules = (item) => {
+    const text = [item.extractedText || '', item.mockContent || ''].filter(Boolean).join('\n');
+    const lines = toLines(text);
+
+    const attributes = normalizeSpecAttributes({
+        materialGrade: findMaterialGrade(lines, text),
+        forgingTemperature: findForgingTemperature(lines),
+        heatTreatment: findLabeledValue(lines, LABELS.heatTreatment) || findFirstLine(lines, HEAT_TREATMENT_PATTERN),
+        hardness: findHardness(lines, text),
+        dimensionalTolerances: findTolerances(lines),
+        ndtRequirements: findNdtRequirements(lines, text),
+        standards: findStandards(text).slice(0, MAX_LIST_ITEMS),
+        customer: findLabeledValue(lines, LABELS.customer),
+    });
+
+    const keywords = unique([
+        attributes.materialGrade,
+        ...attributes.standards,
+        ...attributes.ndtRequirements.map(entry => entry.split(' ')[0]),
+        ...(text.match(new RegExp(HEAT_TREATMENT_PATTERN.source, 'gi')) || []).map(m => m.toLowerCase()),
+        attributes.customer,
+    ].filter(Boolean)).slice(0, MAX_KEYWORDS);
+
+    return {
+        summary: text ? buildSummary(getTitle(lines, item.fileName), attributes) : `본문이 없어 파일명으로만 등록합니다: ${item.fileName}`,
+        keywords,
+        attributes,
+    };
+};
@@ -0,0 +1,386 @@
+// --- Full-Text Search Index (브라우저 내 역색인) ---
+// 파일명, 키워드, 구조화 사양, 요약, 추출 본문을 필드별 가중치로 색인하고 BM25로 순위를 매깁니다.
+// 질의 문법:
+//   단어        → 정확히 일치하는 토큰 (없으면 접두어 일치로 대체)
+//   단어*       → 접두어 일치
+//   "구 문"     → 연속된 토큰 (같은 필드 안에서)
+// 모든 조건은 AND로 결합됩니다.
+// 본문은 토큰 위치만 색인하고 원문은 보관하지 않습니다. 결과 카드의 본문 조각은 texts 저장소에서 다시 읽어 만듭니다.
+
+// 2: 문서별 필드에서 본문 원문을 뺐습니다. 이전 형식은 읽지 않고 다시 색인합니다.
+const INDEX_FORMAT_VERSION = 2;
+const FIELD_WEIGHTS = { fileName: 3, keywords: 2.5, attributes: 2, summary: 1.5, text: 1 };
+const FIELD_KEYS = Object.keys(FIELD_WEIGHTS);
+// 본문이 매우 긴 문서가 색인 크기를 지배하지 않도록 제한합니다. 본문 조각도 이 범위 안에서 찾습니다.
+export const MAX_INDEXED_TEXT_LENGTH = 50000;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_FALLBACK_WEIGHT = 0.7;
+
+// --- Tokenizer (한국어/영어) ---
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+const HANGUL_REGEX = /[가-힣]/;
+// 길이가 긴 조사부터 검사해야 "에서"가 "에"로 잘리지 않습니다.
+const KOREAN_PARTICLES = ['에서는', '으로는', '에게서', '에서', '으로', '에게', '까지', '부터', '이나', '이며', '하고', '은', '는', '이', '가', '을', '를', '의', '에', '로', '와', '과', '도', '만'];
+
+const isHangulChar = (ch) => HANGUL_REGEX.test(ch);
+
+// 한글과 그 외 문자(영문/숫자) 경계에서 토큰을 나눕니다. 예: "F316은" → "F316", "은"
+const splitByScript = (word, offset) => {
+    const pieces = [];
+    let start = 0;
+    for (let i = 1; i <= word.length; i++) {
+        if (i === word.length || isHangulChar(word[i]) !== isHangulChar(word[i - 1])) {
+            pieces.push({ raw: word.slice(start, i), start: offset + start, end: offset + i });
+            start = i;
+        }
+    }
+    return pieces;
+};
+
+const stripKoreanParticle = (term) => {
+    if (term.length < 2 || !isHangulChar(term[0])) return term;
+    const particle = KOREAN_PARTICLES.find(p => term.length > p.length && term.endsWith(p));
+    return particle ? term.slice(0, -particle.length) : term;
+};
+
+/**
+ * 텍스트를 토큰 목록으로 나눕니다. 한글 토큰은 조사를 뗀 어간(stem)도 함께 제공합니다.
+ * @returns {Array<{ term: string, stem: string, start: number, end: number }>}
+ */
+export const tokenize = (text) => {
+    const tokens = [];
+    if (!text) return tokens;
+    const normalized = String(text).normalize('NFKC');
+    for (const match of normalized.matchAll(WORD_REGEX)) {
+        splitByScript(match[0], match.index).forEach(piece => {
+            const term = piece.raw.toLowerCase();
+            tokens.push({ term, stem: stripKoreanParticle(term), start: piece.start, end: piece.end });
+        });
+    }
+    return tokens;
+};
+
+const tokenTerms = (token) => (token.stem !== token.term ? [token.term, token.stem] : [token.term]);
+
+// --- Query Parsing ---
+export const parseSearchQuery = (query) => {
+    const clauses = [];
+    if (!query) return clauses;
+    for (const match of String(query).matchAll(/"([^"]*)"|(\S+)/g)) {
+        if (match[1] !== undefined) {
+            const tokens = tokenize(match[1]);
+            if (tokens.length > 0) clauses.push({ type: 'phrase', tokens, prefix: false });
+            continue;
+        }
+        const word = match[2];
+        const prefix = word.endsWith('*');
+        const tokens = tokenize(prefix ? word.slice(0, -1) : word);
+        if (tokens.length === 1) clauses.push({ type: 'term', tokens, prefix });
+        // "SA-182"처럼 구분자로 이어진 단어는 구문으로 취급합니다.
+        else if (tokens.length > 1) clauses.push({ type: 'phrase', tokens, prefix });
+    }
+    return clauses;
+};
+
+const collectDocFields = (spec, extractedText) => {
+    const attributes = spec.attributes
+        ? Object.values(spec.attributes).flatMap(v => (Array.isArray(v) ? v : v && typeof v === 'object' ? [] : [v])).filter(Boolean).join(' ')
+        : '';
+    return {
+        fileName: spec.fileName || '',
+        keywords: [...(spec.keywords || []), ...(spec.tags || [])].join(' '),
+        attributes,
+        summary: spec.summary || '',
+        text: (extractedText || '').slice(0, MAX_INDEXED_TEXT_LENGTH),
+    };
+};
+
+// 스펙 내용이 바뀌었는지 판별하는 서명 값
+export const getSpecIndexSignature = (spec) => `${spec.updatedAt || spec.createdAt}|${spec.hasExtractedText ? 1 : 0}`;
+
+const lowerBound = (sorted, value) => {
+    let lo = 0, hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] < value) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+};
+
+/**
+ * 역색인 인스턴스를 생성합니다. serialize()/createSearchIndex(data)로 IndexedDB에 보존할 수 있습니다.
+ */
+export const createSearchIndex = (data = null) => {
+    // id → { id, sig, len, fields, terms }
+    const docs = new Map();
+    // term → Map(id → { tf, pos: { [field]: number[] } })
+    const postings = new Map();
+    let totalLength = 0;
+    let sortedTermsCache = null;
+
+    const removeDocument = (id) => {
+        const doc = docs.get(id);
+        if (!doc) return;
+        doc.terms.forEach(term => {
+            const list = postings.get(term);
+            if (!list) return;
+            list.delete(id);
+            if (list.size === 0) {
+                postings.delete(term);
+                sortedTermsCache = null;
+            }
+        });
+        totalLength -= doc.len;
+        docs.delete(id);
+    };
+
+    const addDocument = (spec, extractedText) => {
+        removeDocument(spec.id);
+        const fields = collectDocFields(spec, extractedText);
+        const docPostings = new Map();
+        let len = 0;
+
+        FIELD_KEYS.forEach(field => {
+            const weight = FIELD_WEIGHTS[field];
+            tokenize(fields[field]).forEach((token, position) => {
+                len += weight;
+                tokenTerms(token).forEach(term => {
+                    let entry = docPostings.get(term);
+                    if (!entry) {
+                        entry = { tf: 0, pos: {} };
+                        docPostings.set(term, entry);
+                    }
+                    entry.tf += weight;
+                    (entry.pos[field] || (entry.pos[field] = [])).push(position);
+                });
+            });
+        });
+
+        docPostings.forEach((entry, term) => {
+            let list = postings.get(term);
+            if (!list) {
+                list = new Map();
+                postings.set(term, list);
+                sortedTermsCache = null;
+            }
+            list.set(spec.id, entry);
+        });
+
+        const { text, ...storedFields } = fields;
+        docs.set(spec.id, { id: spec.id, sig: getSpecIndexSignature(spec), len, fields: storedFields, terms: [...docPostings.keys()] });
+        totalLength += len;
+    };
+
+    const getSortedTerms = () => {
+        if (!sortedTermsCache) sortedTermsCache = [...postings.keys()].sort();
+        return sortedTermsCache;
+    };
+
+    const expandPrefix = (prefix) => {
+        const sorted = getSortedTerms();
+        const matches = [];
+        for (let i = lowerBound(sorted, prefix); i < sorted.length && sorted[i].startsWith(prefix); i++) {
+            matches.push(sorted[i]);
+        }
+        return matches;
+    };
+
+    // 토큰 하나에 해당하는 색인 단어 목록과 가중치
+    const resolveToken = (token, prefix) => {
+        const exact = tokenTerms(token).filter(term => postings.has(term));
+        if (!prefix && exact.length > 0) return exact.map(term => ({ term, weight: 1 }));
+        const weight = prefix ? 1 : PREFIX_FALLBACK_WEIGHT;
+        const expanded = new Set(tokenTerms(token).flatMap(expandPrefix));
+        exact.forEach(term => expanded.delete(term));
+        return [...exact.map(term => ({ term, weight: 1 })), ...[...expanded].map(term => ({ term, weight }))];
+    };
+
+    // 여러 색인 단어의 포스팅을 문서 단위로 합칩니다.
+    const mergePostings = (resolved) => {
+        const merged = new Map();
+        resolved.forEach(({ term, weight }) => {
+            postings.get(term).forEach((entry, id) => {
+                let target = merged.get(id);
+                if (!target) {
+                    target = { tf: 0, pos: {}, terms: new Set() };
+                    merged.set(id, target);
+                }
+                target.tf += entry.tf * weight;
+                target.terms.add(term);
+                Object.entries(entry.pos).forEach(([field, positions]) => {
+                    const set = target.pos[field] || (target.pos[field] = new Set());
+                    positions.forEach(p => set.add(p));
+                });
+            });
+        });
+        return merged;
+    };
+
+    const matchClause = (clause) => {
+        const perToken = clause.tokens.map((token, i) => {
+            // 구문에서는 마지막 토큰에만 접두어 일치를 적용합니다.
+            const isPrefix = clause.prefix && i === clause.tokens.length - 1;
+            return mergePostings(resolveToken(token, clause.type === 'term' ? clause.prefix : isPrefix));
+        });
+        if (clause.type === 'term') return perToken[0];
+
+        const result = new Map();
+        perToken[0].forEach((first, id) => {
+            if (!perToken.every(m => m.has(id))) return;
+            let tf = 0;
+            FIELD_KEYS.forEach(field => {
+                const starts = first.pos[field];
+                if (!starts) return;
+                starts.forEach(start => {
+                    if (perToken.every((m, i) => m.get(id).pos[field]?.has(start + i))) tf += FIELD_WEIGHTS[field];
+                });
+            });
+            if (tf > 0) {
+                const terms = new Set(perToken.flatMap(m => [...m.get(id).terms]));
+                result.set(id, { tf, terms });
+            }
+        });
+        return result;
+    };
+
+    /**
+     * mode 'all'(기본)은 모든 조건을 만족하는 문서만, 'any'는 하나라도 만족하는 문서를 반환합니다.
+     * 'any' 모드는 자연어 질문처럼 긴 질의로 관련 문서를 찾을 때 사용합니다.
+     * @returns {Map<string, { score: number, terms: Set<string> }>} 점수가 있는 문서 id 맵
+     */
+    const search = (query, { mode = 'all' } = {}) => {
+        let clauses = parseSearchQuery(query);
+        // 자연어 질의에서는 한 글자 토큰(조사, 관사 등)이 접두어 확장으로 과도하게 일치하므로 제외합니다.
+        if (mode === 'any') clauses = clauses.filter(c => c.tokens.some(t => t.stem.length > 1));
+        const results = new Map();
+        if (clauses.length === 0 || docs.size === 0) return results;
+
+        const avgLength = totalLength / docs.size || 1;
+        const matches = clauses.map(matchClause);
+        const candidates = new Set();
+        if (mode === 'any') {
+            matches.forEach(m => m.forEach((_, id) => candidates.add(id)));
+        } else {
+            // 가장 적게 일치한 조건부터 교집합을 구합니다.
+            const ordered = [...matches].sort((a, b) => a.size - b.size);
+            ordered[0].forEach((_, id) => {
+                if (ordered.every(m => m.has(id))) candidates.add(id);
+            });
+        }
+
+        candidates.forEach(id => {
+            const doc = docs.get(id);
+            let score = 0;
+            const terms = new Set();
+            matches.forEach(m => {
+                if (!m.has(id)) return;
+                const df = m.size;
+                const idf = Math.log(1 + (docs.size - df + 0.5) / (df + 0.5));
+                const { tf, terms: matchedTerms } = m.get(id);
+                score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.len / avgLength));
+                matchedTerms.forEach(t => terms.add(t));
+            });
+            results.set(id, { score, terms });
+        });
+        return results;
+    };
+
+    const serialize = () => ({
+        version: INDEX_FORMAT_VERSION,
+        docs: [...docs.values()],
+        postings: [...postings.entries()].map(([term, list]) => [term, [...list.entries()].map(([id, e]) => [id, e.tf, e.pos])]),
+    });
+
+    if (data && data.version === INDEX_FORMAT_VERSION) {
+        data.docs.forEach(doc => {
+            docs.set(doc.id, doc);
+            totalLength += doc.len;
+        });
+        data.postings.forEach(([term, list]) => {
+            postings.set(term, new Map(list.map(([id, tf, pos]) => [id, { tf, pos }])));
+        });
+    }
+
+    return {
+        addDocument,
+        removeDocument,
+        search,
+        serialize,
+        has: (id) => docs.has(id),
+        getSignature: (id) => docs.get(id)?.sig,
+        getFields: (id) => docs.get(id)?.fields,
+        ids: () => [...docs.keys()],
+        get size() { return docs.size; },
+    };
+};
+
+// --- Highlighting ---
+
+/**
+ * 텍스트에서 검색어와 일치하는 토큰을 표시한 조각 목록을 만듭니다.
+ * maxLength를 넘는 텍스트는 첫 일치 지점 주변만 잘라냅니다. 일치가 없으면 null을 반환합니다.
+ * @returns {Array<{ text: string, hit: boolean }> | null}
+ */
+export const buildHighlightSegments = (text, terms, { maxLength = Infinity } = {}) => {
+    if (!text || !terms || terms.size === 0) return null;
+    const normalized = String(text).normalize('NFKC');
+    const hits = tokenize(normalized).filter(token => terms.has(token.term) || terms.has(token.stem));
+    if (hits.length === 0) return null;
+
+    let from = 0, to = normalized.length;
+    if (normalized.length > maxLength) {
+        from = Math.max(0, hits[0].start - Math.floor(maxLength / 3));
+        to = Math.min(normalized.length, from + maxLength);
+    }
+
+    const segments = [];
+    let cursor = from;
+    hits.filter(h => h.start >= from && h.end <= to).forEach(h => {
+        if (h.start > cursor) segments.push({ text: normalized.slice(cursor, h.start), hit: false });
+        segments.push({ text: normalized.slice(h.start, h.end), hit: true });
+        cursor = h.end;
+    });
+    if (cursor < to) segments.push({ text: normalized.slice(cursor, to), hit: false });
+
+    if (from > 0) segments.unshift({ text: '…', hit: false });
+    if (to < normalized.length) segments.push({ text: '…', hit: false });
+    return segments.map(seg => (seg.hit ? seg : { ...seg, text: seg.text.replace(/\s+/g, ' ') }));
+};
+
+// 카드에 표시할 제목/본문 하이라이트를 만듭니다. 본문(text, texts 저장소에서 읽은 것) → 요약 → 키워드 순으로 일치 구간을 찾습니다.
+export const buildResultHighlight = (fields, terms, { text = '', snippetLength = 160 } = {}) => {
+    if (!fields) return null;
+    return {
+        title: buildHighlightSegments(fields.fileName, terms),
+        snippet: buildHighlightSegments(text.slice(0, MAX_INDEXED_TEXT_LENGTH), terms, { maxLength: snippetLength })
+            || buildHighlightSegments(fields.summary, terms, { maxLength: snippetLength })
+            || buildHighlightSegments(fields.attributes, terms, { maxLength: snippetLength })
+            || buildHighlightSegments(fields.keywords, terms, { maxLength: snippetLength }),
+    };
+};
+
+/**
+ * 색인을 현재 시방서 목록과 맞춥니다. 삭제된 항목은 제거하고, 새로 추가되었거나 변경된 항목은 다시 색인합니다.
+ * @param loadText (id) => Promise<{ text } | undefined> 추출 본문 조회 함수
+ * @returns {Promise<boolean>} 색인이 변경되었는지 여부
+ */
+export const syncSearchIndex = async (index, specs, loadText) => {
+    let changed = false;
+    const liveIds = new Set(specs.map(s => s.id));
+    index.ids().forEach(id => {
+        if (!liveIds.has(id)) {
+            index.removeDocument(id);
+            changed = true;
+        }
+    });
+
+    for (const spec of specs) {
+        if (index.getSignature(spec.id) === getSpecIndexSignature(spec)) continue;
+        const stored = spec.hasExtractedText ? await loadText(spec.id).catch(() => null) : null;
+        index.addDocument(spec, stored?.text || '');
+        changed = true;
+    }
+    return changed;
+};
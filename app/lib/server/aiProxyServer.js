@@ -0,0 +1,260 @@
+// --- AI Proxy (Server Only) ---
+// app/api/ai/* 라우트에서만 사용합니다. API 키는 서버 환경 변수에서 읽으며 브라우저로 보내지 않습니다.
+// 사용량과 분석 결과 캐시는 서버 프로세스 메모리에 보관하므로 서버를 다시 시작하면 초기화됩니다.
+// 요청자는 Bearer 토큰(로그인 ID 토큰 또는 API 토큰)으로 서버에서 확인하며, 확인되지 않은 요청은 받지 않습니다.
+
+import { createHash } from 'crypto';
+import { DEFAULT_GEMINI_MODEL, createAiProvider, isProviderConfigured, trimAnalysisText } from '../aiProviders';
+import { AI_ERROR_CODES, createAiError } from '../aiProxy';
+import { SOURCE_TEXT_BUDGET } from '../specQa';
+import { authenticateBearer, getClientIp } from './requestAuth';
+
+const UPSTREAM_TIMEOUT_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+const MAX_QUESTION_LENGTH = 2000;
+const MAX_SOURCES = 10;
+// 근거 문서 필드별 최대 글자 수. 본문은 브라우저가 고르는 것과 같은 예산으로 자릅니다.
+const SOURCE_FIELD_LIMITS = { sourceId: 16, fileName: 300, summary: 2000, attributes: 2000, text: SOURCE_TEXT_BUDGET };
+
+const SERVER_PROVIDER_LABELS = {
+    gemini: 'Google Gemini',
+    openai: 'OpenAI 호환 API',
+};
+
+// AI_PROVIDER를 지정하지 않으면 OPENAI_BASE_URL이 있을 때 OpenAI 호환, 아니면 Gemini를 사용합니다.
+export const getServerAiSettings = () => ({
+    provider: process.env.AI_PROVIDER || (process.env.OPENAI_BASE_URL ? 'openai' : 'gemini'),
+    gemini: {
+        apiKey: process.env.GEMINI_API_KEY || '',
+        model: process.env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL,
+        apiUrl: process.env.GEMINI_API_URL || '',
+    },
+    openai: {
+        baseUrl: process.env.OPENAI_BASE_URL || '',
+        apiKey: process.env.OPENAI_API_KEY || '',
+        model: process.env.OPENAI_MODEL || '',
+    },
+});
+
+// 서버에서는 네트워크 제공자만 의미가 있습니다. (규칙 기반 추출은 브라우저에서 바로 실행)
+const isServerConfigured = (settings) =>
+    Boolean(SERVER_PROVIDER_LABELS[settings.provider]) && isProviderConfigured(settings);
+
+
+// 실패 응답을 status가 붙은 오류로 바꾸고, 응답이 없으면 제한 시간 후 중단합니다.
+const fetchUpstream = async (url, options) => {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS) });
+    if (response.ok) return response;
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+    throw error;
+};
+
+const toUpstreamError = (e) => {
+    if (e.code && AI_ERROR_CODES[e.code]) return e;
+    const cause = e.cause || e;
+    if (cause.name === 'TimeoutError') return createAiError('UPSTREAM_TIMEOUT');
+    if (cause.status === 429) return createAiError('RATE_LIMITED', { retryAfterMs: cause.retryAfterMs });
+    if (cause instanceof SyntaxError) return createAiError('INVALID_RESPONSE');
+    return createAiError('UPSTREAM_ERROR', { detail: cause.status ? `HTTP ${cause.status}` : cause.message });
+};
+
+// --- Quota ---
+// 사용자별 한도와 함께, 여러 계정이나 토큰을 돌려 쓰는 경우를 막는 IP별 한도와 서버 전체 한도를 둡니다.
+
+const QUOTA_LIMITS = [
+    { scope: 'user', envName: 'AI_DAILY_QUOTA_PER_USER', defaultLimit: 500, label: '사용자별' },
+    { scope: 'ip', envName: 'AI_DAILY_QUOTA_PER_IP', defaultLimit: 1000, label: 'IP별' },
+    { scope: 'total', envName: 'AI_DAILY_QUOTA_TOTAL', defaultLimit: 5000, label: '서버 전체' },
+];
+
+// 0이면 사용량을 제한하지 않습니다.
+const getDailyLimit = ({ envName, defaultLimit }) => {
+    const value = Number(process.env[envName]);
+    return Number.isFinite(value) && value >= 0 ? value : defaultLimit;
+};
+
+// IP를 알 수 없는 요청(서버 내부 호출 등)은 IP별 한도를 적용하지 않습니다.
+const getQuotaKey = (scope, requester) => {
+    if (scope === 'user') return `user:${requester.userId}`;
+    if (scope === 'ip') return requester.ip ? `ip:${requester.ip}` : null;
+    return 'total';
+};
+
+const usage = new Map();
+let usageDate = '';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const getUsage = (key) => {
+    if (usageDate !== today()) {
+        usage.clear();
+        usageDate = today();
+    }
+    return usage.get(key) || 0;
+};
+
+// 모든 한도를 먼저 확인한 뒤에 집계하므로, 거절된 요청은 어느 한도에도 포함되지 않습니다.
+const consumeQuota = (requester) => {
+    const checks = QUOTA_LIMITS
+        .map(quota => ({ ...quota, key: getQuotaKey(quota.scope, requester), limit: getDailyLimit(quota) }))
+        .filter(quota => quota.key);
+    const exceeded = checks.find(quota => quota.limit > 0 && getUsage(quota.key) >= quota.limit);
+    if (exceeded) throw createAiError('QUOTA_EXCEEDED', { detail: `${exceeded.label} 하루 ${exceeded.limit}회` });
+    checks.forEach(quota => usage.set(quota.key, getUsage(quota.key) + 1));
+};
+
+// --- Result Cache ---
+
+// Map은 삽입 순서를 유지하므로, 조회할 때 다시 넣어 가장 최근 항목으로 옮깁니다.
+const analysisCache = new Map();
+
+const readCache = (key) => {
+    if (!analysisCache.has(key)) return null;
+    const value = analysisCache.get(key);
+    analysisCache.delete(key);
+    analysisCache.set(key, value);
+    return value;
+};
+
+const writeCache = (key, value) => {
+    analysisCache.delete(key);
+    analysisCache.set(key, value);
+    if (analysisCache.size > MAX_CACHE_ENTRIES) analysisCache.delete(analysisCache.keys().next().value);
+};
+
+// 키는 실제로 모델에 보내는 본문과 분석 힌트로 서버에서 만듭니다. 클라이언트가 보낸 해시를 쓰면
+// 다른 파일의 해시에 엉뚱한 본문을 실어 보내 캐시를 오염시킬 수 있습니다. 본문이 없으면 프롬프트에 쓰는 파일 정보로 만듭니다.
+const getCacheKey = (settings, item) => {
+    const model = settings.provider === 'gemini' ? settings.gemini.model : settings.openai.model;
+    const content = item.extractedText || JSON.stringify([item.fileName, item.filePath, item.fileType]);
+    const contentHash = createHash('sha256').update(JSON.stringify([content, item.mockContent])).digest('hex');
+    return `${settings.provider}:${model}:${contentHash}`;
+};
+
+// --- Request Handling ---
+
+/**
+ * 요청한 사용자를 서버에서 확인합니다.
+ * @returns {Promise<{ userId: string, ip: string | null }>} 사용량 집계 기준
+ */
+export const authenticateAiRequest = async (request) => {
+    const user = await authenticateBearer(request);
+    if (!user) throw createAiError('UNAUTHENTICATED');
+    return { userId: user.id, ip: getClientIp(request) };
+};
+
+export const readJsonBody = async (request) => {
+    try {
+        return await request.json();
+    } catch (e) {
+        throw createAiError('INVALID_REQUEST', { detail: 'JSON 본문이 필요합니다.' });
+    }
+};
+
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+
+const validateAnalyzeBody = (body) => {
+    if (!body || typeof body.fileName !== 'string' || !body.fileName.trim()) {
+        throw createAiError('INVALID_REQUEST', { detail: 'fileName이 필요합니다.' });
+    }
+    if (!['filePath', 'fileType', 'extractedText', 'mockContent'].every(field => isOptionalString(body[field]))) {
+        throw createAiError('INVALID_REQUEST', { detail: '문자열 필드의 형식이 올바르지 않습니다.' });
+    }
+};
+
+const getConfiguredProvider = () => {
+    const settings = getServerAiSettings();
+    if (!isServerConfigured(settings)) throw createAiError('NOT_CONFIGURED');
+    return { settings, provider: createAiProvider(settings, { fetchImpl: fetchUpstream }) };
+};
+
+/**
+ * 시방서 한 건을 분석합니다. 같은 본문과 힌트의 캐시된 결과를 먼저 찾고, 캐시 적중은 사용량에 포함하지 않습니다.
+ * @returns {Promise<{ summary, keywords, attributes, cached: boolean }>}
+ */
+export const analyzeForUser = async (requester, body) => {
+    validateAnalyzeBody(body);
+    const { settings, provider } = getConfiguredProvider();
+    const item = {
+        fileName: body.fileName,
+        filePath: body.filePath || '',
+        fileType: body.fileType || '',
+        // 브라우저도 같은 길이로 잘라 보내지만, 다른 클라이언트(REST API 등)를 위해 서버에서도 자릅니다.
+        extractedText: trimAnalysisText(body.extractedText) || null,
+        mockContent: body.mockContent || '',
+    };
+    const cacheKey = getCacheKey(settings, item);
+    if (!body.skipCache) {
+        const cached = readCache(cacheKey);
+        if (cached) return { ...cached, cached: true };
+    }
+
+    consumeQuota(requester);
+    let result;
+    try {
+        result = await provider.analyze(item);
+    } catch (e) {
+        throw toUpstreamError(e);
+    }
+    writeCache(cacheKey, result);
+    return { ...result, cached: false };
+};
+
+// 근거 문서의 형태를 확인하고 필드별 한도로 자릅니다. 요청 하나가 사용량 1회이므로 큰 본문으로 상위 호출 비용을 키울 수 없게 합니다.
+const normalizeAnswerSources = (sources) => {
+    if (!Array.isArray(sources) || sources.length === 0 || sources.length > MAX_SOURCES) {
+        throw createAiError('INVALID_REQUEST', { detail: `근거 문서는 1~${MAX_SOURCES}개여야 합니다.` });
+    }
+    return sources.map((source, i) => {
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            throw createAiError('INVALID_REQUEST', { detail: `근거 문서 ${i + 1}의 형식이 올바르지 않습니다.` });
+        }
+        const invalid = Object.keys(SOURCE_FIELD_LIMITS).filter(field => source[field] !== undefined && typeof source[field] !== 'string');
+        if (invalid.length > 0 || !source.sourceId) {
+            throw createAiError('INVALID_REQUEST', { detail: `근거 문서 ${i + 1}의 필드 형식이 올바르지 않습니다: ${invalid.join(', ') || 'sourceId'}` });
+        }
+        return Object.fromEntries(Object.entries(SOURCE_FIELD_LIMITS).map(([field, limit]) => [field, (source[field] || '').slice(0, limit)]));
+    });
+};
+
+/**
+ * 질의응답 요청을 전달합니다. sources는 브라우저에서 검색 색인으로 고른 근거 문서입니다.
+ */
+export const answerForUser = async (requester, body) => {
+    const question = typeof body?.question === 'string' ? body.question.trim() : '';
+    if (!question || question.length > MAX_QUESTION_LENGTH) {
+        throw createAiError('INVALID_REQUEST', { detail: `질문은 1~${MAX_QUESTION_LENGTH}자여야 합니다.` });
+    }
+    const sources = normalizeAnswerSources(body.sources);
+    const { provider } = getConfiguredProvider();
+    consumeQuota(requester);
+    try {
+        const result = await provider.answerProvider.answer({ question, sources });
+        return { answer: typeof result?.answer === 'string' ? result.answer : '', citations: Array.isArray(result?.citations) ? result.citations : [] };
+    } catch (e) {
+        throw toUpstreamError(e);
+    }
+};
+
+export const getStatusForUser = (requester) => {
+    const settings = getServerAiSettings();
+    const configured = isServerConfigured(settings);
+    return {
+        configured,
+        provider: configured ? SERVER_PROVIDER_LABELS[settings.provider] : '',
+        model: !configured ? '' : settings.provider === 'gemini' ? settings.gemini.model : settings.openai.model,
+        quota: { limit: getDailyLimit(QUOTA_LIMITS[0]), used: getUsage(getQuotaKey('user', requester)) },
+    };
+};
+
+// 라우트 처리 중 발생한 오류를 { error: { code, message } } 응답으로 바꿉니다.
+export const toErrorResponse = (e) => {
+    const isKnown = Boolean(e.code && AI_ERROR_CODES[e.code]);
+    if (!isKnown || e.code === 'UPSTREAM_ERROR') console.error("AI proxy error:", e);
+    const error = isKnown ? e : createAiError('UPSTREAM_ERROR');
+    const headers = error.retryAfterMs ? { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) } : undefined;
+    return Response.json({ error: { code: error.code, message: error.message } }, { status: error.status, headers });
+};
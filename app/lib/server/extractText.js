@@ -0,0 +1,31 @@
+// --- Server Text Extraction (Server Only) ---
+// REST API로 등록한 파일에서 본문을 추출합니다. 브라우저의 extractFileContent와 같은 형식을 돌려줍니다.
+
+import { extractTextFromPdfDocument } from '../pdfDocumentText';
+import { parseWorkbook, sheetsToText } from '../sheetParser';
+
+// pdf.js는 Node에서 legacy 빌드만 동작하며, 워커 파일을 지정하지 않으면 같은 프로세스에서 처리합니다.
+// 번들에 넣으면 선택 의존성(canvas)을 찾지 못해 빌드가 실패하므로 실행 시점에 node_modules에서 직접 불러옵니다.
+const extractPdfTextOnServer = async (file) => {
+    const pdfjs = await import(/* webpackIgnore: true */ 'pdfjs-dist/legacy/build/pdf.mjs');
+    const data = new Uint8Array(await file.arrayBuffer());
+    const pdf = await pdfjs.getDocument({ data, isEvalSupported: false }).promise;
+    return extractTextFromPdfDocument(pdf);
+};
+
+/**
+ * @param {Blob} file 업로드된 파일
+ * @param {'PDF' | 'XLSX' | string} fileType
+ * @returns {Promise<{ extractedText: string, pageTexts: string[], pageCount: number, sheets: any } | null>} 지원하지 않는 형식이면 null
+ */
+export const extractFileContentOnServer = async (file, fileType) => {
+    if (fileType === 'PDF') {
+        const { text, pages, pageCount } = await extractPdfTextOnServer(file);
+        return { extractedText: text, pageTexts: pages, pageCount, sheets: null };
+    }
+    if (fileType === 'XLSX') {
+        const sheets = await parseWorkbook(file);
+        return { extractedText: sheetsToText(sheets), pageTexts: [], pageCount: 0, sheets };
+    }
+    return null;
+};
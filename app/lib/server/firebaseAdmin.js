@@ -0,0 +1,39 @@
+// --- Firebase Admin (Server Only) ---
+// 서버 라우트가 클라우드 동기화와 같은 Firebase 프로젝트에 접근할 때 씁니다. (로그인 ID 토큰 확인, 공유 시방서 라이브러리)
+// 자격 증명은 FIREBASE_SERVICE_ACCOUNT(서비스 계정 JSON 문자열) 또는 애플리케이션 기본 자격 증명(GOOGLE_APPLICATION_CREDENTIALS 등)이며,
+// 에뮬레이터는 FIRESTORE_EMULATOR_HOST, FIREBASE_AUTH_EMULATOR_HOST, FIREBASE_STORAGE_EMULATOR_HOST로 연결합니다.
+
+const getProjectId = () => process.env.FIREBASE_PROJECT_ID || process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID || '';
+
+const getStorageBucketName = () => process.env.FIREBASE_STORAGE_BUCKET || process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET || '';
+
+export const isFirebaseAdminConfigured = () => Boolean(getProjectId());
+
+let servicesPromise = null;
+
+/**
+ * Admin SDK를 지연 로드하고 한 번만 초기화합니다.
+ * @returns {Promise<{ auth, db, bucket }>} bucket: 저장소 버킷이 설정되지 않았으면 null
+ */
+export const getAdminServices = () => {
+    if (!servicesPromise) {
+        servicesPromise = (async () => {
+            const [appModule, authModule, firestoreModule, storageModule] = await Promise.all([
+                import('firebase-admin/app'), import('firebase-admin/auth'), import('firebase-admin/firestore'), import('firebase-admin/storage'),
+            ]);
+            const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT) : null;
+            const app = appModule.getApps()[0] || appModule.initializeApp({
+                credential: serviceAccount ? appModule.cert(serviceAccount) : appModule.applicationDefault(),
+                projectId: getProjectId(),
+                storageBucket: getStorageBucketName() || undefined,
+            });
+            return {
+                auth: authModule.getAuth(app),
+                db: firestoreModule.getFirestore(app),
+                bucket: getStorageBucketName() ? storageModule.getStorage(app).bucket() : null,
+            };
+        })();
+        servicesPromise.catch(() => { servicesPromise = null; });
+    }
+    return servicesPromise;
+};
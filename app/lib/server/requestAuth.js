@@ -0,0 +1,83 @@
+// --- Request Authentication (Server Only) ---
+// 서버 라우트의 Authorization: Bearer <토큰>을 확인합니다. 클라이언트가 보낸 사용자 ID는 믿지 않습니다.
+//  - API 토큰: SPEC_API_TOKENS 환경 변수. ERP/MES 같은 외부 시스템과, 로컬 전용 모드에서 AI 프록시를 쓰는 브라우저가 사용합니다.
+//  - Firebase ID 토큰: 클라우드 모드에서 로그인한 구성원. 이메일 인증과 members 허용 목록을 서버에서 다시 확인합니다.
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { ROLES } from '../access';
+import { MEMBERS_COLLECTION, normalizeEmail, toCloudUser } from '../cloudAuth';
+import { getAdminServices, isFirebaseAdminConfigured } from './firebaseAdmin';
+
+const hashToken = (token) => createHash('sha256').update(token).digest();
+
+// SPEC_API_TOKENS 형식: '이름:역할:토큰' 을 쉼표로 구분 (예: 'erp:viewer:abc123,mes:editor:def456')
+const loadApiClients = () => (process.env.SPEC_API_TOKENS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const [name, role, ...rest] = entry.split(':');
+        const token = rest.join(':');
+        if (!name || !ROLES[role] || !token) {
+            console.error(`Spec API: SPEC_API_TOKENS 항목 형식이 올바르지 않아 무시합니다. (${name || '이름 없음'})`);
+            return null;
+        }
+        return { id: `api:${name}`, name, role, tokenHash: hashToken(token) };
+    })
+    .filter(Boolean);
+
+export const hasApiClients = () => loadApiClients().length > 0;
+
+export const getBearerToken = (request) => {
+    const match = (request.headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * API 토큰에 해당하는 클라이언트를 찾습니다.
+ * @returns {{ id: string, name: string, role: string } | null} 화면의 사용자와 같은 형식
+ */
+export const findApiClient = (token) => {
+    // 길이가 같은 해시끼리 비교해 토큰 길이나 내용이 응답 시간으로 드러나지 않게 합니다.
+    const tokenHash = hashToken(token);
+    const client = loadApiClients().find(c => timingSafeEqual(c.tokenHash, tokenHash));
+    return client ? { id: client.id, name: client.name, role: client.role } : null;
+};
+
+const isJwt = (token) => token.split('.').length === 3;
+
+/**
+ * Firebase ID 토큰을 확인하고 허용 목록의 구성원을 돌려줍니다. 확인하지 못하면 null입니다.
+ */
+export const verifyMemberToken = async (token) => {
+    if (!isFirebaseAdminConfigured() || !isJwt(token)) return null;
+    try {
+        const { auth, db } = await getAdminServices();
+        const decoded = await auth.verifyIdToken(token);
+        if (!decoded.email || decoded.email_verified !== true) return null;
+        const memberId = normalizeEmail(decoded.email);
+        const snapshot = await db.collection(MEMBERS_COLLECTION).doc(memberId).get();
+        if (!snapshot.exists || !ROLES[snapshot.data().role]) return null;
+        const { id, name, role } = toCloudUser(memberId, snapshot.data());
+        return { id, name, role };
+    } catch (e) {
+        if (!String(e.code || '').startsWith('auth/')) console.error("ID token verification failed:", e);
+        return null;
+    }
+};
+
+/**
+ * 요청의 Bearer 토큰으로 사용자를 확인합니다. API 토큰을 먼저 찾고, 없으면 Firebase ID 토큰으로 확인합니다.
+ * @returns {Promise<{ id: string, name: string, role: string } | null>}
+ */
+export const authenticateBearer = async (request) => {
+    const token = getBearerToken(request);
+    if (!token) return null;
+    return findApiClient(token) || verifyMemberToken(token);
+};
+
+// 리버스 프록시가 덧붙인 X-Forwarded-For의 마지막 주소를 씁니다. 앞쪽 값은 클라이언트가 마음대로 넣을 수 있습니다.
+export const getClientIp = (request) => {
+    const forwarded = (request.headers.get('x-forwarded-for') || '').split(',').map(part => part.trim()).filter(Boolean);
+    return forwarded[forwarded.length - 1] || request.headers.get('x-real-ip') || null;
+};
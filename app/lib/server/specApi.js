@@ -0,0 +1,393 @@
+// --- Spec REST API (Server Only) ---
+// ERP/MES 같은 외부 시스템이 app/api/v1/* 라우트로 서버 측 시방서 라이브러리(specStore)를 조회하고 관리합니다.
+// 클라우드 동기화를 쓰면 팀이 함께 쓰는 라이브러리를 그대로 다룹니다.
+// 인증: Authorization: Bearer <토큰>. 토큰과 역할은 SPEC_API_TOKENS 환경 변수로 정하며, 역할별 권한은 화면과 같습니다.
+// API 클라이언트는 접근 규칙의 허용 사용자가 될 수 없으므로, 규칙상 모든 구성원이 볼 수 있는(고칠 수 있는) 시방서만 다룹니다.
+// 오류는 AI 프록시와 같은 { error: { code, message } } 형식으로 돌려줍니다.
+
+import { createHash, randomUUID } from 'crypto';
+import { computeSpecAccessFields, hasPermission } from '../access';
+import { applyFacetFilters } from '../facets';
+import { isDescendantPath, isValidFolderPath, normalizeFolderPath } from '../folders';
+import { findSpecByContentHash } from '../fileHash';
+import { getLinkedCustomerNames, getSpecsForPart } from '../parts';
+import { getCurrentRevisionNumber } from '../revisions';
+import { extractSpecByRules } from '../ruleExtractor';
+import { createManualEditPatch, parseTagList } from '../specMetadata';
+import { normalizeSpecAttributes } from '../specSchema';
+import { isInTrash, moveToTrash } from '../trash';
+import { analyzeForUser, toErrorResponse } from './aiProxyServer';
+import { extractFileContentOnServer } from './extractText';
+import { findApiClient, getBearerToken, getClientIp, hasApiClients } from './requestAuth';
+import {
+    createStoredSpec, getSearchIndex, getStoredAccessRules, getStoredPartCatalog, getStoredSpec, listStoredSpecs, readStoredFile, updateStoredSpec,
+} from './specStore';
+
+export const SPEC_API_BASE_PATH = '/api/v1';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+export const SPEC_API_ERROR_CODES = {
+    INVALID_REQUEST: { status: 400, message: '요청 형식이 올바르지 않습니다.' },
+    UNAUTHORIZED: { status: 401, message: 'API 토큰이 없거나 올바르지 않습니다.' },
+    FORBIDDEN: { status: 403, message: '이 작업을 할 권한이 없습니다.' },
+    NOT_FOUND: { status: 404, message: '시방서를 찾을 수 없습니다.' },
+    DUPLICATE_FILE: { status: 409, message: '같은 내용의 파일이 이미 등록되어 있습니다.' },
+    PAYLOAD_TOO_LARGE: { status: 413, message: '파일이 너무 큽니다.' },
+    API_NOT_CONFIGURED: { status: 503, message: '서버에 API 토큰이 설정되지 않았습니다.' },
+};
+
+const createSpecApiError = (code, { detail = '', extra } = {}) => {
+    const definition = SPEC_API_ERROR_CODES[code];
+    const error = new Error(detail ? `${definition.message} (${detail})` : definition.message);
+    error.code = code;
+    error.status = definition.status;
+    if (extra) error.extra = extra;
+    return error;
+};
+
+// --- Authentication ---
+
+/**
+ * 요청의 Bearer 토큰을 확인하고, 해당 클라이언트가 permission을 가졌는지 검사합니다.
+ * @returns {{ id: string, name: string, role: string }} 화면의 사용자와 같은 형식 (감사 표시, 검증자 등에 사용)
+ */
+export const authenticateApiRequest = (request, permission) => {
+    if (!hasApiClients()) throw createSpecApiError('API_NOT_CONFIGURED');
+    const token = getBearerToken(request);
+    const user = token ? findApiClient(token) : null;
+    if (!user) throw createSpecApiError('UNAUTHORIZED');
+    if (!hasPermission(user, permission)) throw createSpecApiError('FORBIDDEN', { detail: `필요한 권한: ${permission}` });
+    return user;
+};
+
+// --- Resources ---
+
+const getSpecFileUrl = (spec) => `${SPEC_API_BASE_PATH}/specs/${encodeURIComponent(spec.id)}/file`;
+
+// 내부 관리용 필드(개정 이력의 저장 키 등)는 빼고 외부에 공개할 필드만 돌려줍니다.
+export const toSpecResource = (spec) => ({
+    id: spec.id,
+    fileName: spec.fileName,
+    fileType: spec.fileType,
+    filePath: spec.filePath || '',
+    revision: getCurrentRevisionNumber(spec),
+    summary: spec.summary || '',
+    keywords: spec.keywords || [],
+    tags: spec.tags || [],
+    attributes: normalizeSpecAttributes(spec.attributes),
+    verifiedFields: Object.keys(spec.verification || {}),
+    pageCount: spec.pageCount || 0,
+    hasExtractedText: Boolean(spec.hasExtractedText),
+    contentHash: spec.contentHash || null,
+    createdAt: spec.createdAt,
+    updatedAt: spec.updatedAt || spec.createdAt,
+    fileUrl: getSpecFileUrl(spec),
+});
+
+// --- Access Rules ---
+
+const isOpenToApi = (spec, rules, field) => computeSpecAccessFields(spec, rules)[field].includes('*');
+
+// 숨겨진 시방서는 없는 것으로 취급합니다.
+const getActiveSpecs = async () => {
+    const [specs, rules] = await Promise.all([listStoredSpecs(), getStoredAccessRules()]);
+    return specs.filter(spec => !isInTrash(spec) && isOpenToApi(spec, rules, 'readers'));
+};
+
+const getActiveSpecOrThrow = async (id) => {
+    const [spec, rules] = await Promise.all([getStoredSpec(id), getStoredAccessRules()]);
+    if (!spec || isInTrash(spec) || !isOpenToApi(spec, rules, 'readers')) throw createSpecApiError('NOT_FOUND');
+    return spec;
+};
+
+// 고칠 수 없는 시방서이거나, 고친 결과가 API가 고칠 수 없는 위치(제한된 고객사/폴더)가 되면 거부합니다.
+const assertWritableByApi = (spec, rules) => {
+    if (!isOpenToApi(spec, rules, 'writers')) throw createSpecApiError('FORBIDDEN', { detail: '접근 제한 규칙이 적용된 시방서입니다.' });
+};
+
+// --- List & Search ---
+
+const readPositiveInt = (params, name, fallback, max = Infinity) => {
+    if (!params.has(name)) return fallback;
+    const value = Number(params.get(name));
+    if (!Number.isInteger(value) || value < 1) throw createSpecApiError('INVALID_REQUEST', { detail: `${name}는 1 이상의 정수여야 합니다.` });
+    return Math.min(value, max);
+};
+
+// 쿼리 매개변수 이름 → 패싯 키 (같은 매개변수를 여러 번 주면 OR로 결합)
+const FACET_PARAMS = {
+    fileType: 'fileType',
+    keyword: 'keyword',
+    tag: 'tag',
+    material: 'materialGrade',
+    standard: 'standards',
+    ndt: 'ndtRequirements',
+};
+
+const normalizeKey = (value) => (value || '').trim().toLowerCase();
+
+const readListParam = (searchParams, name) => searchParams.getAll(name).map(v => v.trim()).filter(Boolean);
+
+// 품번: 품번에 연결된 시방서와 그 품번 고객사의 공통 시방서 (화면의 품번 보기와 같음)
+const filterByPartNumbers = (specs, catalog, partNumbers) => {
+    const wanted = new Set(partNumbers.map(normalizeKey));
+    const ids = new Set(catalog.parts
+        .filter(part => wanted.has(normalizeKey(part.partNumber)))
+        .flatMap(part => getSpecsForPart(part, specs).map(({ spec }) => spec.id)));
+    return specs.filter(spec => ids.has(spec.id));
+};
+
+// 고객사: 추출된 고객사(attributes.customer), 직접 연결한 고객사, 연결한 품번의 고객사 중 하나가 일치하면 포함합니다.
+const filterByCustomers = (specs, catalog, customers) => {
+    const wanted = new Set(customers.map(normalizeKey));
+    return specs.filter(spec => [spec.attributes?.customer, ...getLinkedCustomerNames(catalog, spec)].some(name => wanted.has(normalizeKey(name))));
+};
+
+const SORTS = {
+    'date-desc': (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+    'date-asc': (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+    'updated-desc': (a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt),
+    'name-asc': (a, b) => a.fileName.localeCompare(b.fileName),
+};
+
+/**
+ * 시방서 목록을 검색하고 페이지 단위로 돌려줍니다.
+ * q: 전문 검색어(화면의 검색창과 같은 문법), folder: 하위 폴더 포함, createdFrom/createdTo: 'YYYY-MM-DD'
+ * partNumber/customer: 품번·고객사 목록의 연결로 거릅니다. (여러 번 주면 OR)
+ * sort: 'relevance'(q가 있을 때 기본) | 'date-desc'(기본) | 'date-asc' | 'updated-desc' | 'name-asc'
+ */
+export const listSpecsForApi = async (searchParams) => {
+    const page = readPositiveInt(searchParams, 'page', 1);
+    const pageSize = readPositiveInt(searchParams, 'pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const query = (searchParams.get('q') || '').trim();
+    const sort = searchParams.get('sort') || (query ? 'relevance' : 'date-desc');
+    if (sort !== 'relevance' && !SORTS[sort]) throw createSpecApiError('INVALID_REQUEST', { detail: `지원하지 않는 정렬: ${sort}` });
+
+    const values = {};
+    Object.entries(FACET_PARAMS).forEach(([param, key]) => {
+        const selected = readListParam(searchParams, param);
+        if (selected.length > 0) values[key] = selected;
+    });
+    const activeSpecs = await getActiveSpecs();
+    let specs = applyFacetFilters(activeSpecs, {
+        values,
+        dateFrom: searchParams.get('createdFrom') || '',
+        dateTo: searchParams.get('createdTo') || '',
+    });
+    const partNumbers = readListParam(searchParams, 'partNumber');
+    const customers = readListParam(searchParams, 'customer');
+    if (partNumbers.length > 0 || customers.length > 0) {
+        const catalog = await getStoredPartCatalog();
+        if (partNumbers.length > 0) specs = filterByPartNumbers(specs, catalog, partNumbers);
+        if (customers.length > 0) specs = filterByCustomers(specs, catalog, customers);
+    }
+    if (searchParams.has('folder')) {
+        const folder = normalizeFolderPath(searchParams.get('folder'));
+        if (folder) specs = specs.filter(spec => isDescendantPath(spec.filePath || '', folder));
+    }
+
+    let scores = null;
+    if (query) {
+        const index = await getSearchIndex(activeSpecs);
+        scores = index.search(query);
+        specs = specs.filter(spec => scores.has(spec.id));
+    }
+    specs = sort === 'relevance' && scores
+        ? [...specs].sort((a, b) => scores.get(b.id).score - scores.get(a.id).score)
+        : [...specs].sort(SORTS[sort] || SORTS['date-desc']);
+
+    const total = specs.length;
+    return {
+        items: specs.slice((page - 1) * pageSize, page * pageSize).map(spec => ({
+            ...toSpecResource(spec),
+            ...(scores ? { score: Number(scores.get(spec.id).score.toFixed(4)) } : {}),
+        })),
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+    };
+};
+
+export const getSpecForApi = async (id) => toSpecResource(await getActiveSpecOrThrow(id));
+
+// --- Create ---
+
+const getFileTypeFromName = (name) => {
+    const ext = name.split('.').pop().toLowerCase();
+    if (['pdf'].includes(ext)) return 'PDF';
+    if (['xlsx', 'xls'].includes(ext)) return 'XLSX';
+    if (['zip', 'rar', '7z'].includes(ext)) return 'ZIP';
+    return 'ETC';
+};
+
+const readFormData = async (request) => {
+    try {
+        return await request.formData();
+    } catch (e) {
+        throw createSpecApiError('INVALID_REQUEST', { detail: 'multipart/form-data 본문이 필요합니다.' });
+    }
+};
+
+const readFolderPath = (input) => {
+    const folder = normalizeFolderPath(input);
+    if (!isValidFolderPath(folder)) throw createSpecApiError('INVALID_REQUEST', { detail: `폴더 경로에 '.' 또는 '..'을 쓸 수 없습니다.` });
+    return folder;
+};
+
+// 서버에 AI 제공자가 없으면 규칙 기반 추출로 분석합니다. 사용량은 API 클라이언트와 요청 IP별로 집계됩니다.
+const analyzeUploadedSpec = async (requester, item) => {
+    try {
+        const { cached, ...result } = await analyzeForUser(requester, item);
+        return { ...result, analyzer: 'ai' };
+    } catch (e) {
+        if (e.code !== 'NOT_CONFIGURED') throw e;
+        return { ...extractSpecByRules(item), analyzer: 'rules' };
+    }
+};
+
+/**
+ * multipart/form-data로 받은 파일을 분석해 새 시방서로 등록합니다.
+ * 필드: file(필수), filePath(폴더), tags(쉼표 구분), hint(분석 힌트)
+ */
+export const createSpecFromRequest = async (request, client) => {
+    const form = await readFormData(request);
+    const file = form.get('file');
+    if (!file || typeof file === 'string' || !file.name) throw createSpecApiError('INVALID_REQUEST', { detail: 'file 필드에 파일이 필요합니다.' });
+    if (file.size > MAX_UPLOAD_BYTES) throw createSpecApiError('PAYLOAD_TOO_LARGE', { detail: `최대 ${MAX_UPLOAD_BYTES / 1024 / 1024}MB` });
+
+    const contentHash = `sha256:${createHash('sha256').update(Buffer.from(await file.arrayBuffer())).digest('hex')}`;
+    // 숨겨진 시방서와 중복이어도 등록하지 않지만, 그 시방서의 이름과 ID는 알려주지 않습니다.
+    const rules = await getStoredAccessRules();
+    const duplicate = findSpecByContentHash((await listStoredSpecs()).filter(spec => !isInTrash(spec)), contentHash);
+    if (duplicate && isOpenToApi(duplicate, rules, 'readers')) throw createSpecApiError('DUPLICATE_FILE', { detail: duplicate.fileName, extra: { existingId: duplicate.id } });
+    if (duplicate) throw createSpecApiError('DUPLICATE_FILE');
+    const filePath = readFolderPath(form.get('filePath'));
+    assertWritableByApi({ filePath }, rules);
+
+    const fileType = getFileTypeFromName(file.name);
+    const content = await extractFileContentOnServer(file, fileType).catch(e => {
+        console.error(`Spec API: 본문 추출 실패 (${file.name})`, e);
+        return null;
+    });
+    const item = {
+        fileName: file.name,
+        filePath,
+        fileType,
+        extractedText: content?.extractedText || null,
+        mockContent: String(form.get('hint') || ''),
+        contentHash,
+    };
+    const { analyzer, ...analysis } = await analyzeUploadedSpec({ userId: client.id, ip: getClientIp(request) }, item);
+
+    const now = new Date().toISOString();
+    const spec = {
+        id: randomUUID(),
+        fileName: item.fileName,
+        fileType,
+        filePath: item.filePath,
+        summary: analysis.summary,
+        keywords: analysis.keywords,
+        attributes: normalizeSpecAttributes(analysis.attributes),
+        tags: parseTagList(String(form.get('tags') || '')),
+        pageCount: content?.pageCount || 0,
+        hasExtractedText: Boolean(item.extractedText),
+        contentHash,
+        createdAt: now,
+    };
+    assertWritableByApi(spec, rules);
+    await createStoredSpec(spec, {
+        actorId: client.id,
+        file,
+        text: item.extractedText ? { text: item.extractedText, pages: content.pageTexts, sheets: content.sheets } : null,
+    });
+    return { ...toSpecResource(spec), analyzer };
+};
+
+// --- Update & Delete ---
+
+const isStringList = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+const validatePatchBody = (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw createSpecApiError('INVALID_REQUEST', { detail: 'JSON 객체가 필요합니다.' });
+    const invalid = [
+        'summary' in body && typeof body.summary !== 'string' && 'summary',
+        'keywords' in body && !isStringList(body.keywords) && 'keywords',
+        'tags' in body && !isStringList(body.tags) && 'tags',
+        'attributes' in body && (typeof body.attributes !== 'object' || body.attributes === null) && 'attributes',
+        'filePath' in body && typeof body.filePath !== 'string' && 'filePath',
+    ].filter(Boolean);
+    if (invalid.length > 0) throw createSpecApiError('INVALID_REQUEST', { detail: `형식이 올바르지 않은 필드: ${invalid.join(', ')}` });
+};
+
+export const readSpecApiJson = async (request) => {
+    try {
+        return await request.json();
+    } catch (e) {
+        throw createSpecApiError('INVALID_REQUEST', { detail: 'JSON 본문이 필요합니다.' });
+    }
+};
+
+/**
+ * 요약, 키워드, 태그, 구조화 사양, 폴더를 고칩니다. 화면에서 고친 것처럼 해당 필드를 사람이 검증한 것으로 표시합니다.
+ * attributes는 주어진 항목만 바꾸고 나머지는 유지합니다.
+ */
+export const updateSpecForApi = async (id, body, client) => {
+    validatePatchBody(body);
+    const rules = await getStoredAccessRules();
+    assertWritableByApi(await getActiveSpecOrThrow(id), rules);
+    const folder = 'filePath' in body ? readFolderPath(body.filePath) : null;
+    const updated = await updateStoredSpec(id, (spec) => {
+        if (isInTrash(spec) || !isOpenToApi(spec, rules, 'readers')) return null;
+        assertWritableByApi(spec, rules);
+        const changes = {};
+        ['summary', 'keywords', 'tags'].forEach(field => {
+            if (field in body) changes[field] = body[field];
+        });
+        if ('attributes' in body) changes.attributes = { ...normalizeSpecAttributes(spec.attributes), ...body.attributes };
+        const patch = createManualEditPatch(spec, changes, client);
+        if (folder !== null) patch.filePath = folder;
+        const next = { ...spec, ...patch, updatedAt: new Date().toISOString() };
+        assertWritableByApi(next, rules);
+        return next;
+    }, { actorId: client.id });
+    if (!updated) throw createSpecApiError('NOT_FOUND');
+    return toSpecResource(updated);
+};
+
+// 화면과 마찬가지로 휴지통으로 옮깁니다. 영구 삭제와 복원은 API로 제공하지 않습니다.
+export const deleteSpecForApi = async (id, client) => {
+    const rules = await getStoredAccessRules();
+    assertWritableByApi(await getActiveSpecOrThrow(id), rules);
+    const trashed = await updateStoredSpec(id, (spec) => {
+        if (isInTrash(spec) || !isOpenToApi(spec, rules, 'readers')) return null;
+        assertWritableByApi(spec, rules);
+        return moveToTrash(spec, client);
+    }, { actorId: client.id });
+    if (!trashed) throw createSpecApiError('NOT_FOUND');
+};
+
+// --- File Download ---
+
+export const getSpecFileResponse = async (id) => {
+    const spec = await getActiveSpecOrThrow(id);
+    const data = await readStoredFile(spec.id);
+    if (!data) throw createSpecApiError('NOT_FOUND', { detail: '원본 파일이 없습니다.' });
+    return new Response(data, {
+        headers: {
+            'Content-Type': spec.fileType === 'PDF' ? 'application/pdf' : 'application/octet-stream',
+            'Content-Length': String(data.length),
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(spec.fileName)}`,
+        },
+    });
+};
+
+// API 오류는 여기서, AI 분석 중 발생한 오류는 AI 프록시의 응답 형식으로 바꿉니다.
+export const toSpecApiErrorResponse = (e) => {
+    if (!e.code || !SPEC_API_ERROR_CODES[e.code]) return toErrorResponse(e);
+    const headers = e.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : undefined;
+    return Response.json({ error: { code: e.code, message: e.message, ...(e.extra || {}) } }, { status: e.status, headers });
+};
@@ -0,0 +1,234 @@
+// --- Spec REST API: OpenAPI Document ---
+// GET /api/v1/openapi.json 으로 제공하는 API 명세입니다. specApi.js의 동작을 바꾸면 여기도 함께 고칩니다.
+
+import { SPEC_API_BASE_PATH, SPEC_API_ERROR_CODES } from './specApi';
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+const ERROR_RESPONSES = {
+    400: errorResponse('요청 형식 오류 (INVALID_REQUEST)'),
+    401: errorResponse('토큰 없음 또는 잘못된 토큰 (UNAUTHORIZED)'),
+    403: errorResponse('역할에 필요한 권한이 없거나 접근 제한 규칙이 적용된 시방서 (FORBIDDEN)'),
+    503: errorResponse('서버에 API 토큰이 설정되지 않음 (API_NOT_CONFIGURED)'),
+};
+
+const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+
+const queryParameter = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', required: false, description, schema });
+
+const listFilter = (name, description) => ({ ...queryParameter(name, `${description} (여러 번 지정하면 OR)`, stringList), style: 'form', explode: true });
+
+export const createSpecOpenApiDocument = () => ({
+    openapi: '3.0.3',
+    info: {
+        title: '단조 시방서 관리 API',
+        version: '1.0.0',
+        description: 'ERP/MES 연동용 시방서 라이브러리 API입니다. 모든 요청에 Authorization: Bearer <토큰> 헤더가 필요합니다.\n'
+            + '토큰의 역할(viewer/editor/admin)에 따라 화면과 같은 권한이 적용됩니다. 오류 코드: '
+            + Object.keys(SPEC_API_ERROR_CODES).join(', '),
+    },
+    servers: [{ url: SPEC_API_BASE_PATH }],
+    security: [{ bearerAuth: [] }],
+    paths: {
+        '/specs': {
+            get: {
+                summary: '시방서 목록 조회 및 검색',
+                description: '휴지통에 있는 시방서는 제외합니다. 권한: view',
+                parameters: [
+                    queryParameter('q', '전문 검색어. 화면 검색창과 같은 문법("정확한 구문", 접두어*)이며 모든 조건을 만족해야 합니다. 품번 조회에 사용합니다.'),
+                    listFilter('partNumber', '품번 (대소문자 무시). 품번에 연결된 시방서와 그 고객사 공통 시방서'),
+                    listFilter('customer', '고객사 (대소문자 무시). 추출된 고객사 또는 품번·고객사 목록에서 연결된 고객사'),
+                    listFilter('material', '재질 등급 (정확히 일치)'),
+                    listFilter('standard', '참조 규격 (정확히 일치)'),
+                    listFilter('ndt', 'NDT 요구사항 (정확히 일치)'),
+                    listFilter('tag', '태그'),
+                    listFilter('keyword', '키워드'),
+                    listFilter('fileType', '파일 유형 (PDF, XLSX, ZIP, ETC)'),
+                    queryParameter('folder', '폴더 경로 (하위 폴더 포함)'),
+                    queryParameter('createdFrom', '등록일 시작 (YYYY-MM-DD, 포함)', { type: 'string', format: 'date' }),
+                    queryParameter('createdTo', '등록일 끝 (YYYY-MM-DD, 포함)', { type: 'string', format: 'date' }),
+                    queryParameter('sort', 'q가 있으면 relevance, 없으면 date-desc가 기본', { type: 'string', enum: ['relevance', 'date-desc', 'date-asc', 'updated-desc', 'name-asc'] }),
+                    queryParameter('page', '1부터 시작', { type: 'integer', minimum: 1, default: 1 }),
+                    queryParameter('pageSize', '최대 100', { type: 'integer', minimum: 1, maximum: 100, default: 20 }),
+                ],
+                responses: {
+                    200: { description: '검색 결과', content: { 'application/json': { schema: { $ref: '#/components/schemas/SpecPage' } } } },
+                    ...ERROR_RESPONSES,
+                },
+            },
+            post: {
+                summary: '파일을 올려 분석한 뒤 시방서로 등록',
+                description: 'PDF/엑셀은 본문을 추출해 분석합니다. 서버에 AI 제공자가 설정되어 있으면 AI로, 아니면 규칙 기반 추출로 분석합니다. 권한: upload',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: {
+                                type: 'object',
+                                required: ['file'],
+                                properties: {
+                                    file: { type: 'string', format: 'binary', description: '최대 50MB' },
+                                    filePath: { type: 'string', description: "저장할 폴더 ('상위/하위')" },
+                                    tags: { type: 'string', description: '쉼표로 구분한 태그' },
+                                    hint: { type: 'string', description: 'AI 분석 힌트' },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    201: {
+                        description: '등록된 시방서',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    allOf: [
+                                        { $ref: '#/components/schemas/Spec' },
+                                        { type: 'object', properties: { analyzer: { type: 'string', enum: ['ai', 'rules'] } } },
+                                    ],
+                                },
+                            },
+                        },
+                    },
+                    ...ERROR_RESPONSES,
+                    409: errorResponse('같은 내용의 파일이 이미 있음 (DUPLICATE_FILE, error.existingId에 기존 시방서 ID)'),
+                    413: errorResponse('파일 크기 초과 (PAYLOAD_TOO_LARGE)'),
+                    429: errorResponse('AI 사용량 또는 요청 한도 초과 (QUOTA_EXCEEDED, RATE_LIMITED)'),
+                    502: errorResponse('AI 서비스 오류 (UPSTREAM_ERROR, INVALID_RESPONSE)'),
+                },
+            },
+        },
+        '/specs/{id}': {
+            parameters: [idParameter],
+            get: {
+                summary: '시방서 조회',
+                description: '권한: view',
+                responses: {
+                    200: { description: '시방서', content: { 'application/json': { schema: { $ref: '#/components/schemas/Spec' } } } },
+                    ...ERROR_RESPONSES,
+                    404: errorResponse('없거나 휴지통에 있음 (NOT_FOUND)'),
+                },
+            },
+            patch: {
+                summary: '메타데이터 수정',
+                description: '보낸 필드만 바꾸며, 바꾼 요약/키워드/태그/구조화 사양은 사람이 검증한 것으로 표시되어 AI 재분석으로 덮어쓰지 않습니다. attributes는 보낸 항목만 바꿉니다. 권한: edit',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    summary: { type: 'string' },
+                                    keywords: stringList,
+                                    tags: stringList,
+                                    attributes: { $ref: '#/components/schemas/SpecAttributes' },
+                                    filePath: { type: 'string' },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    200: { description: '수정된 시방서', content: { 'application/json': { schema: { $ref: '#/components/schemas/Spec' } } } },
+                    ...ERROR_RESPONSES,
+                    404: errorResponse('없거나 휴지통에 있음 (NOT_FOUND)'),
+                },
+            },
+            delete: {
+                summary: '휴지통으로 이동',
+                description: '영구 삭제와 복원은 화면에서만 할 수 있습니다. 권한: delete',
+                responses: {
+                    204: { description: '휴지통으로 이동함' },
+                    ...ERROR_RESPONSES,
+                    404: errorResponse('없거나 이미 휴지통에 있음 (NOT_FOUND)'),
+                },
+            },
+        },
+        '/specs/{id}/file': {
+            parameters: [idParameter],
+            get: {
+                summary: '원본 파일 내려받기',
+                description: '최신 개정본의 원본 파일입니다. 권한: download',
+                responses: {
+                    200: { description: '원본 파일', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+                    ...ERROR_RESPONSES,
+                    404: errorResponse('시방서 또는 원본 파일이 없음 (NOT_FOUND)'),
+                },
+            },
+        },
+    },
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', description: 'SPEC_API_TOKENS 환경 변수에 등록한 토큰' },
+        },
+        schemas: {
+            SpecAttributes: {
+                type: 'object',
+                properties: {
+                    materialGrade: { type: 'string' },
+                    forgingTemperature: {
+                        type: 'object',
+                        properties: { min: { type: 'number', nullable: true }, max: { type: 'number', nullable: true }, unit: { type: 'string' } },
+                    },
+                    heatTreatment: { type: 'string' },
+                    hardness: { type: 'string' },
+                    dimensionalTolerances: stringList,
+                    ndtRequirements: stringList,
+                    standards: stringList,
+                    customer: { type: 'string' },
+                },
+            },
+            Spec: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    fileName: { type: 'string' },
+                    fileType: { type: 'string', enum: ['PDF', 'XLSX', 'ZIP', 'ETC'] },
+                    filePath: { type: 'string' },
+                    revision: { type: 'integer' },
+                    summary: { type: 'string' },
+                    keywords: stringList,
+                    tags: stringList,
+                    attributes: { $ref: '#/components/schemas/SpecAttributes' },
+                    verifiedFields: { ...stringList, description: '사람이 검증한 필드 (summary, keywords, attributes, tags)' },
+                    pageCount: { type: 'integer' },
+                    hasExtractedText: { type: 'boolean' },
+                    contentHash: { type: 'string', nullable: true },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' },
+                    fileUrl: { type: 'string' },
+                    score: { type: 'number', description: '검색어(q)가 있을 때의 관련도 점수' },
+                },
+            },
+            SpecPage: {
+                type: 'object',
+                properties: {
+                    items: { type: 'array', items: { $ref: '#/components/schemas/Spec' } },
+                    page: { type: 'integer' },
+                    pageSize: { type: 'integer' },
+                    total: { type: 'integer' },
+                    totalPages: { type: 'integer' },
+                },
+            },
+            Error: {
+                type: 'object',
+                properties: {
+                    error: {
+                        type: 'object',
+                        properties: {
+                            code: { type: 'string' },
+                            message: { type: 'string' },
+                            existingId: { type: 'string', description: 'DUPLICATE_FILE일 때 기존 시방서 ID' },
+                        },
+                    },
+                },
+            },
+        },
+    },
+});
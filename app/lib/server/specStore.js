@@ -0,0 +1,245 @@
+// --- Server Spec Store (Server Only) ---
+// REST API(app/api/v1/*)가 사용하는 서버 측 시방서 라이브러리입니다. 레코드 형식은 브라우저 라이브러리와 같습니다.
+// Firebase가 설정되어 있으면(클라우드 동기화) 팀이 함께 쓰는 Firestore `specs` 컬렉션과 Storage를 그대로 읽고 쓰므로,
+// API로 등록하거나 고친 시방서가 브라우저에도 동기화됩니다. 접근 규칙과 품번/고객사 목록도 Firestore의 config 문서에서 읽습니다.
+// 설정이 없으면(로컬 전용 배포) 데이터 폴더의 파일에 보관합니다.
+//  - 메타데이터: <데이터 폴더>/specs.json
+//  - 원본 파일: files/<저장 키>, 추출 본문: texts/<저장 키>.json
+// 데이터 폴더는 SPEC_API_DATA_DIR(기본값: ./data/spec-api, 저장소에는 올리지 않음)이며, 쓰기는 한 번에 하나씩 순서대로 처리합니다.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { computeSpecAccessFields } from '../access';
+import { CONFIG_COLLECTION } from '../cloudAuth';
+import { SPECS_COLLECTION, storagePath, toLocalSpec } from '../cloudSync';
+import { createEmptyPartCatalog } from '../parts';
+import { createSearchIndex, syncSearchIndex } from '../searchIndex';
+import { getAdminServices, isFirebaseAdminConfigured } from './firebaseAdmin';
+
+// --- File Backend ---
+
+const getDataDir = () => path.resolve(process.env.SPEC_API_DATA_DIR || path.join(process.cwd(), 'data', 'spec-api'));
+
+const readJsonFile = async (file, fallback) => {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return fallback;
+        throw e;
+    }
+};
+
+// 임시 파일에 쓴 뒤 이름을 바꿔, 쓰는 도중 서버가 멈춰도 기존 파일이 깨지지 않게 합니다.
+const writeFileAtomic = async (file, data) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, data);
+    await fs.rename(temp, file);
+};
+
+const createFileBackend = () => {
+    const specsPath = () => path.join(getDataDir(), 'specs.json');
+    const filePath = (key) => path.join(getDataDir(), 'files', encodeURIComponent(key));
+    const textPath = (key) => path.join(getDataDir(), 'texts', `${encodeURIComponent(key)}.json`);
+
+    let specsCache = null;
+    let writeChain = Promise.resolve();
+
+    const loadSpecs = async () => {
+        if (!specsCache) specsCache = await readJsonFile(specsPath(), []);
+        return specsCache;
+    };
+
+    /**
+     * 목록을 바꾸는 작업을 순서대로 실행하고 결과를 저장합니다.
+     * @param {(specs: Array) => Promise<{ specs: Array, result?: any }>} mutate 새 목록과 호출자에게 돌려줄 값을 반환합니다.
+     */
+    const mutateSpecs = (mutate) => {
+        const run = writeChain.then(async () => {
+            const { specs, result } = await mutate(await loadSpecs());
+            await writeFileAtomic(specsPath(), JSON.stringify(specs));
+            specsCache = specs;
+            return result;
+        });
+        writeChain = run.catch(() => {});
+        return run;
+    };
+
+    return {
+        listSpecs: loadSpecs,
+        createSpec: (spec, { file, text }) => mutateSpecs(async (specs) => {
+            if (file) await writeFileAtomic(filePath(spec.id), Buffer.from(await file.arrayBuffer()));
+            if (text) await writeFileAtomic(textPath(spec.id), JSON.stringify(text));
+            return { specs: [spec, ...specs], result: spec };
+        }),
+        updateSpec: (id, update) => mutateSpecs(async (specs) => {
+            const current = specs.find(spec => spec.id === id);
+            const next = current ? update(current) : null;
+            if (!next) return { specs, result: null };
+            return { specs: specs.map(spec => (spec.id === id ? next : spec)), result: next };
+        }),
+        readFile: async (key) => {
+            try {
+                return await fs.readFile(filePath(key));
+            } catch (e) {
+                if (e.code === 'ENOENT') return null;
+                throw e;
+            }
+        },
+        readText: (key) => readJsonFile(textPath(key), null),
+        // 로컬 전용 배포의 접근 규칙과 품번 목록은 각 브라우저에만 있으므로 서버에서는 쓰지 않습니다.
+        getAccessRules: async () => [],
+        getPartCatalog: async () => createEmptyPartCatalog(),
+    };
+};
+
+// --- Firestore Backend ---
+
+// 문서를 구독해 두고 메모리에서 읽습니다. 구독이 끊기면 다음 호출 때 다시 구독합니다.
+const createWatchedValue = (subscribe) => {
+    let ready = null;
+    let value;
+    return () => {
+        if (!ready) {
+            ready = getAdminServices().then(({ db }) => new Promise((resolve, reject) => {
+                subscribe(db, (next) => {
+                    value = next;
+                    resolve();
+                }, (error) => {
+                    console.error("Spec store listener failed", error);
+                    ready = null;
+                    reject(error);
+                });
+            }));
+        }
+        return ready.then(() => value);
+    };
+};
+
+const isNotFound = (e) => e.code === 404;
+
+const createFirestoreBackend = () => {
+    const getSpecs = createWatchedValue((db, onNext, onError) => db.collection(SPECS_COLLECTION).onSnapshot(
+        (snapshot) => onNext(snapshot.docs.filter(d => !d.data().deleted).map(d => toLocalSpec(d.id, d.data()))),
+        onError
+    ));
+    const getAccessRules = createWatchedValue((db, onNext, onError) => db.collection(CONFIG_COLLECTION).doc('access').onSnapshot(
+        (snapshot) => onNext(snapshot.exists && Array.isArray(snapshot.data().rules) ? snapshot.data().rules : []),
+        onError
+    ));
+    const getPartCatalog = createWatchedValue((db, onNext, onError) => db.collection(CONFIG_COLLECTION).doc('catalog').onSnapshot(
+        (snapshot) => onNext({ customers: snapshot.data()?.customers || [], parts: snapshot.data()?.parts || [] }),
+        onError
+    ));
+
+    const getBucket = async () => {
+        const { bucket } = await getAdminServices();
+        if (!bucket) throw new Error("FIREBASE_STORAGE_BUCKET(또는 NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET)이 설정되지 않았습니다.");
+        return bucket;
+    };
+
+    // 브라우저의 동기화(cloudSync)가 올리는 문서와 같은 형식입니다. 접근 필드는 현재 규칙으로 계산합니다.
+    const toRemoteDoc = (spec, rules, actorId) => ({
+        ...spec,
+        access: computeSpecAccessFields(spec, rules),
+        deleted: false,
+        updatedBy: actorId || null,
+        syncedAt: new Date(),
+    });
+
+    return {
+        listSpecs: getSpecs,
+        createSpec: async (spec, { file, text, actorId }) => {
+            const { db } = await getAdminServices();
+            if (file || text) {
+                const bucket = await getBucket();
+                if (file) await bucket.file(storagePath('files', spec.id)).save(Buffer.from(await file.arrayBuffer()), { contentType: file.type || undefined });
+                if (text) await bucket.file(storagePath('texts', spec.id, '.json')).save(JSON.stringify(text), { contentType: 'application/json' });
+            }
+            await db.collection(SPECS_COLLECTION).doc(spec.id).set(toRemoteDoc(spec, await getAccessRules(), actorId));
+            return spec;
+        },
+        // 브라우저가 같은 문서를 동시에 고칠 수 있으므로 트랜잭션 안에서 읽고 씁니다. (update는 다시 호출될 수 있습니다)
+        updateSpec: async (id, update, { actorId } = {}) => {
+            const { db } = await getAdminServices();
+            const rules = await getAccessRules();
+            const ref = db.collection(SPECS_COLLECTION).doc(id);
+            return db.runTransaction(async (transaction) => {
+                const snapshot = await transaction.get(ref);
+                if (!snapshot.exists || snapshot.data().deleted) return null;
+                const next = update(toLocalSpec(id, snapshot.data()));
+                if (!next) return null;
+                transaction.set(ref, toRemoteDoc(next, rules, actorId));
+                return next;
+            });
+        },
+        readFile: async (key) => {
+            try {
+                const [data] = await (await getBucket()).file(storagePath('files', key)).download();
+                return data;
+            } catch (e) {
+                if (isNotFound(e)) return null;
+                throw e;
+            }
+        },
+        readText: async (key) => {
+            try {
+                const [data] = await (await getBucket()).file(storagePath('texts', key, '.json')).download();
+                return JSON.parse(data.toString('utf8'));
+            } catch (e) {
+                if (isNotFound(e)) return null;
+                throw e;
+            }
+        },
+        getAccessRules,
+        getPartCatalog,
+    };
+};
+
+let backend = null;
+
+const getBackend = () => {
+    if (!backend) backend = isFirebaseAdminConfigured() ? createFirestoreBackend() : createFileBackend();
+    return backend;
+};
+
+// --- Public API ---
+
+export const listStoredSpecs = () => getBackend().listSpecs();
+
+export const getStoredSpec = async (id) => (await listStoredSpecs()).find(spec => spec.id === id) || null;
+
+/**
+ * 새 시방서를 저장합니다. 파일과 본문을 먼저 쓰고 목록에 추가합니다.
+ * @param {object} spec 시방서 레코드
+ * @param {{ file?: Blob, text?: { text: string, pages: string[], sheets: any }, actorId?: string }} data actorId: 동기화 문서의 updatedBy
+ */
+export const createStoredSpec = (spec, { file, text, actorId } = {}) => getBackend().createSpec(spec, { file, text, actorId });
+
+/**
+ * 시방서 한 건을 고칩니다. update가 null을 반환하면 바꾸지 않습니다.
+ * @param {(spec: object) => object | null} update
+ * @returns {Promise<object | null>} 고친 레코드 (대상이 없으면 null)
+ */
+export const updateStoredSpec = (id, update, { actorId } = {}) => getBackend().updateSpec(id, update, { actorId });
+
+export const readStoredFile = (key) => getBackend().readFile(key);
+
+export const readStoredText = (key) => getBackend().readText(key);
+
+// 클라우드 모드의 접근 규칙 (로컬 전용 배포에서는 빈 목록)
+export const getStoredAccessRules = () => getBackend().getAccessRules();
+
+// 클라우드 모드의 품번/고객사 목록 (로컬 전용 배포에서는 빈 목록)
+export const getStoredPartCatalog = () => getBackend().getPartCatalog();
+
+const searchIndex = createSearchIndex();
+let indexChain = Promise.resolve();
+
+// 색인에는 휴지통에 없는 시방서만 넣습니다. 변경된 항목만 다시 색인하므로 검색할 때마다 호출해도 됩니다.
+export const getSearchIndex = (activeSpecs) => {
+    indexChain = indexChain
+        .then(() => syncSearchIndex(searchIndex, activeSpecs, readStoredText))
+        .catch(e => console.error("Spec API search index sync failed", e));
+    return indexChain.then(() => searchIndex);
+};
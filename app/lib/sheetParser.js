@@ -0,0 +1,40 @@
+// --- Excel Workbook Parsing (SheetJS, 브라우저 내 처리) ---
+
+// CSV에는 인코딩 정보가 없으므로 UTF-8로 읽어 보고, 실패하면 한글 Windows 엑셀의 기본값인 CP949(EUC-KR)로 읽습니다.
+const decodeCsv = (buffer) => {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+        return new TextDecoder('euc-kr').decode(buffer);
+    }
+};
+
+/**
+ * 엑셀 파일(.xlsx/.xls) 또는 CSV를 시트별 2차원 문자열 배열로 변환합니다.
+ * CSV는 '00123' 같은 값이 숫자로 바뀌지 않도록 셀 값을 그대로 읽습니다.
+ * @returns {Promise<Array<{ name: string, rows: string[][], columnCount: number }>>}
+ */
+export const parseWorkbook = async (file) => {
+    const XLSX = await import('xlsx');
+    const workbook = /\.csv$/i.test(file.name || '')
+        ? XLSX.read(decodeCsv(await file.arrayBuffer()), { type: 'string', raw: true })
+        : XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array', cellDates: true });
+
+    return workbook.SheetNames.map(name => {
+        const sheet = workbook.Sheets[name];
+        const rawRows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: false });
+        const rows = rawRows.map(row => {
+            const cells = row.map(cell => (cell === null || cell === undefined ? '' : String(cell).trim()));
+            // 행 끝의 빈 셀은 제거합니다.
+            while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+            return cells;
+        }).filter(row => row.length > 0);
+        const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        return { name, rows, columnCount };
+    });
+};
+
+// AI 분석 및 검색용으로 시트를 탭 구분 텍스트로 직렬화합니다.
+export const sheetsToText = (sheets) => sheets
+    .map(sheet => `[시트: ${sheet.name}]\n${sheet.rows.map(row => row.join('\t')).join('\n')}`)
+    .join('\n\n');
@@ -0,0 +1,94 @@
+// --- Spec Comparison ---
+// 여러 시방서의 정형 필드(재질, 열처리, 경도, NDT, 공차 등)를 항목별로 나란히 맞추고 서로 다른 값을 찾습니다.
+// 견적 검토 시 고객 시방서를 기존 생산 시방서와 비교하는 용도입니다.
+
+import { SPEC_ATTRIBUTE_FIELDS, normalizeSpecAttributes, formatAttributeValue } from './specSchema';
+
+export const MIN_COMPARE_SPECS = 2;
+export const MAX_COMPARE_SPECS = 6;
+
+// 대소문자와 공백 차이는 같은 값으로 봅니다.
+const normalizeValue = (value) => value.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// 단위가 모두 같을 때만 공통 범위를 계산합니다. 한쪽 끝이 없으면 그 방향은 제한이 없는 것으로 봅니다.
+const describeRangeOverlap = (ranges) => {
+    const set = ranges.filter(r => r.min !== null || r.max !== null);
+    if (set.length < 2 || new Set(set.map(r => r.unit)).size > 1) return '';
+    const mins = set.map(r => r.min).filter(v => v !== null);
+    const maxs = set.map(r => r.max).filter(v => v !== null);
+    const low = mins.length ? Math.max(...mins) : null;
+    const high = maxs.length ? Math.min(...maxs) : null;
+    if (low !== null && high !== null && low > high) return '공통 범위 없음';
+    const field = SPEC_ATTRIBUTE_FIELDS.find(f => f.type === 'range');
+    return `공통 범위: ${formatAttributeValue(field, { min: low, max: high, unit: set[0].unit })}`;
+};
+
+/**
+ * 시방서들의 정형 필드를 항목별 행으로 맞춥니다.
+ * status: same(모두 같음), partial(값이 없는 시방서가 있지만 나머지는 같음), conflict(서로 다른 값), empty(모두 비어 있음)
+ * @returns {Array<{ key, label, type, status, note: string, cells: Array<{ text: string, items: Array<{ value: string, shared: boolean }> }> }>}
+ *   items는 목록형 필드에서만 채우며, shared는 비교한 모든 시방서에 있는 항목인지 여부입니다.
+ */
+export const compareSpecAttributes = (specs) => {
+    const attributesList = specs.map(spec => normalizeSpecAttributes(spec.attributes));
+    return SPEC_ATTRIBUTE_FIELDS.map(field => {
+        const values = attributesList.map(attrs => attrs[field.key]);
+        let cells;
+        let keys;
+        if (field.type === 'list') {
+            const itemSets = values.map(items => new Set(items.map(normalizeValue)));
+            cells = values.map(items => ({
+                text: items.join(', '),
+                items: items.map(value => ({ value, shared: itemSets.every(set => set.has(normalizeValue(value))) })),
+            }));
+            keys = itemSets.map(set => [...set].sort().join('\n'));
+        } else {
+            cells = values.map(value => ({ text: formatAttributeValue(field, value), items: [] }));
+            keys = cells.map(cell => normalizeValue(cell.text));
+        }
+
+        const distinct = new Set(keys.filter(Boolean));
+        const hasEmpty = keys.some(key => !key);
+        const status = distinct.size === 0 ? 'empty' : distinct.size > 1 ? 'conflict' : hasEmpty ? 'partial' : 'same';
+        const note = field.type === 'range' && status === 'conflict' ? describeRangeOverlap(values) : '';
+        return { key: field.key, label: field.label, type: field.type, status, note, cells };
+    });
+};
+
+export const countConflicts = (rows) => rows.filter(row => row.status === 'conflict').length;
+
+const COMPARISON_QUESTION = `위 시방서들의 요구사항 차이를 비교해 요약하세요.
+서로 충돌하는 항목(재질, 열처리, 경도, NDT, 치수 공차 등)을 먼저 설명하고, 어느 시방서가 더 엄격한지와 견적 시 확인할 점을 짧게 정리하세요.`;
+
+/**
+ * 답변 제공자(질의응답과 같은 provider)로 시방서 간 차이 요약을 만듭니다.
+ * 각 시방서를 근거 문서로, 항목별 비교 결과를 질문에 담아 보냅니다.
+ * @returns {Promise<{ summary: string, citations: Array<{ id, fileName, note }> }>}
+ */
+export const summarizeSpecDifferences = async ({ specs, rows, provider }) => {
+    const sources = specs.map((spec, i) => ({
+        sourceId: `S${i + 1}`,
+        id: spec.id,
+        fileName: spec.fileName,
+        summary: spec.summary || '',
+        attributes: rows
+            .filter(row => row.cells[i].text)
+            .map(row => `${row.label}: ${row.cells[i].text}`)
+            .join('\n'),
+        text: '',
+    }));
+    const conflicts = rows
+        .filter(row => row.status === 'conflict')
+        .map(row => `- ${row.label}${row.note ? ` (${row.note})` : ''}`);
+    const question = conflicts.length > 0
+        ? `${COMPARISON_QUESTION}\n\n[값이 다른 항목]\n${conflicts.join('\n')}`
+        : COMPARISON_QUESTION;
+
+    const result = await provider.answer({ question, sources });
+    const bySourceId = new Map(sources.map(s => [s.sourceId, s]));
+    const citations = (result.citations || [])
+        .map(c => ({ source: bySourceId.get(c.sourceId), note: c.note || '' }))
+        .filter(c => c.source)
+        .map(c => ({ id: c.source.id, fileName: c.source.fileName, note: c.note }));
+    return { summary: result.answer || '', citations };
+};
@@ -0,0 +1,104 @@
+// --- Editable Metadata & Human Verification ---
+// 사람이 직접 수정한 필드는 spec.verification[field] = { by, at }로 표시합니다.
+// AI 재분석 결과는 검증되지 않은 필드에만 바로 반영하고, 검증된 필드는 충돌로 돌려주어 사용자가 직접 고르게 합니다.
+
+import { normalizeSpecAttributes } from './specSchema';
+
+// AI가 생성하고 사람이 검증할 수 있는 필드
+export const VERIFIABLE_FIELDS = {
+    summary: '요약',
+    keywords: '키워드',
+    attributes: '구조화 사양',
+    tags: '태그',
+};
+
+// AI 분석 결과에 포함되는 필드 (태그는 사람만 입력합니다)
+const ANALYSIS_FIELDS = ['summary', 'keywords', 'attributes'];
+
+export const isFieldVerified = (spec, field) => Boolean(spec.verification?.[field]);
+
+// 쉼표 또는 줄바꿈으로 구분된 입력을 중복 없는 목록으로 바꿉니다. ('#' 접두어는 제거)
+export const parseTagList = (input) => {
+    const seen = new Set();
+    return (input || '')
+        .split(/[,\n]/)
+        .map(v => v.trim().replace(/^#+/, '').trim())
+        .filter(v => {
+            const key = v.toLowerCase();
+            if (!v || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
+
+const normalizeFieldValue = (field, value) => {
+    if (field === 'attributes') return normalizeSpecAttributes(value);
+    if (field === 'keywords' || field === 'tags') return Array.isArray(value) ? value.filter(Boolean) : [];
+    return typeof value === 'string' ? value.trim() : '';
+};
+
+const isSameValue = (field, a, b) =>
+    JSON.stringify(normalizeFieldValue(field, a)) === JSON.stringify(normalizeFieldValue(field, b));
+
+/**
+ * 수동 편집 내용을 패치로 만듭니다. 실제로 값이 바뀐 필드만 포함하고, 해당 필드를 검증됨으로 표시합니다.
+ * @param {object} spec 현재 시방서
+ * @param {object} changes { summary?, keywords?, tags?, attributes? }
+ * @param {{ id, name }} user 편집한 사용자
+ * @returns {object} 바뀐 필드와 갱신된 verification
+ */
+export const createManualEditPatch = (spec, changes, user, now = new Date().toISOString()) => {
+    const patch = {};
+    const verification = { ...(spec.verification || {}) };
+    Object.keys(VERIFIABLE_FIELDS).forEach(field => {
+        if (!(field in changes)) return;
+        const value = normalizeFieldValue(field, changes[field]);
+        // 값이 같더라도 저장하면 사람이 확인한 것으로 봅니다.
+        verification[field] = { by: user ? { id: user.id, name: user.name } : null, at: now };
+        if (!isSameValue(field, spec[field], value)) patch[field] = value;
+    });
+    patch.verification = verification;
+    return patch;
+};
+
+/**
+ * AI 재분석 결과를 현재 시방서와 병합합니다.
+ * @returns {{ patch: object, conflicts: Array<{ field: string, label: string, current: any, proposed: any }> }}
+ *   patch: 검증되지 않은 필드에 바로 적용할 값, conflicts: 검증된 필드 중 AI 결과가 다른 항목
+ */
+export const mergeReanalysis = (spec, result) => {
+    const patch = {};
+    const conflicts = [];
+    ANALYSIS_FIELDS.forEach(field => {
+        if (result[field] === undefined) return;
+        const proposed = normalizeFieldValue(field, result[field]);
+        if (isSameValue(field, spec[field], proposed)) return;
+        if (isFieldVerified(spec, field)) {
+            conflicts.push({ field, label: VERIFIABLE_FIELDS[field], current: normalizeFieldValue(field, spec[field]), proposed });
+        } else {
+            patch[field] = proposed;
+        }
+    });
+    return { patch, conflicts };
+};
+
+// 새 파일로 개정/교체하면 AI 필드의 검증 표시는 이전 내용에 대한 것이므로 지웁니다. (태그 검증은 유지)
+export const clearAnalysisVerification = (verification) => {
+    if (!verification) return verification;
+    const next = { ...verification };
+    ANALYSIS_FIELDS.forEach(field => delete next[field]);
+    return next;
+};
+
+// 사용자가 수락한 충돌 항목을 적용합니다. AI 값으로 바꾼 필드는 검증 표시를 해제합니다.
+export const applyAcceptedConflicts = (spec, patch, acceptedConflicts) => {
+    if (acceptedConflicts.length === 0) return patch;
+    const verification = { ...(spec.verification || {}) };
+    const next = { ...patch };
+    acceptedConflicts.forEach(({ field, proposed }) => {
+        next[field] = proposed;
+        delete verification[field];
+    });
+    next.verification = verification;
+    return next;
+};
@@ -0,0 +1,182 @@
+// --- Spec Library Question Answering ---
+// 검색 색인으로 관련 시방서를 찾고, 저장된 본문을 근거로 답변 제공자(provider)에게 질문합니다.
+// provider는 { name, answer({ question, sources }) => Promise<{ answer, citations: [{ sourceId, note }] }> }
+// 형태이면 어떤 구현이든 교체할 수 있습니다.
+
+import { tokenize } from './searchIndex';
+
+const DEFAULT_MAX_SOURCES = 5;
+// 근거 문서 하나당 AI에 전달하는 최대 글자 수
+export const SOURCE_TEXT_BUDGET = 6000;
+const PASSAGE_LENGTH = 800;
+
+/**
+ * 긴 본문에서 질문과 관련된 구간만 골라 budget 이내로 이어 붙입니다.
+ * 원문 순서를 유지하며, 생략된 부분은 "..."으로 표시합니다.
+ */
+export const selectRelevantPassages = (text, terms, budget = SOURCE_TEXT_BUDGET) => {
+    if (!text) return '';
+    if (text.length <= budget) return text;
+
+    const passages = [];
+    for (let start = 0; start < text.length; start += PASSAGE_LENGTH) {
+        const passage = text.slice(start, start + PASSAGE_LENGTH);
+        const score = tokenize(passage).filter(t => terms.has(t.term) || terms.has(t.stem)).length;
+        passages.push({ start, passage, score });
+    }
+
+    const chosen = [];
+    let used = 0;
+    // 첫 구간(표제, 적용 범위 등)은 항상 포함합니다.
+    [passages[0], ...passages.slice(1).filter(p => p.score > 0).sort((a, b) => b.score - a.score)].forEach(p => {
+        if (used + p.passage.length > budget) return;
+        chosen.push(p);
+        used += p.passage.length;
+    });
+
+    return chosen
+        .sort((a, b) => a.start - b.start)
+        .map((p, i, arr) => (i > 0 && arr[i - 1].start + PASSAGE_LENGTH !== p.start ? `...\n${p.passage}` : p.passage))
+        .join('');
+};
+
+const formatAttributes = (attributes) => {
+    if (!attributes) return '';
+    return Object.entries(attributes)
+        .map(([key, value]) => {
+            if (Array.isArray(value)) return value.length ? `${key}: ${value.join(', ')}` : '';
+            if (value && typeof value === 'object') return value.min !== null || value.max !== null ? `${key}: ${value.min ?? ''}~${value.max ?? ''} ${value.unit || ''}` : '';
+            return value ? `${key}: ${value}` : '';
+        })
+        .filter(Boolean)
+        .join('\n');
+};
+
+/**
+ * 질문에 대한 근거 문서를 검색하고 provider로 답변을 생성합니다.
+ * @param {object} options
+ * @param {string} options.question
+ * @param {object} options.index createSearchIndex()로 만든 색인
+ * @param {Array} options.specs 현재 시방서 목록
+ * @param {(id: string) => Promise<{ text: string } | undefined>} options.loadText 저장된 본문 조회 함수
+ * @param {object} options.provider 답변 제공자
+ * @returns {Promise<{ answer: string, citations: Array<{ id, fileName, note }>, sources: Array<{ id, fileName }> }>}
+ */
+export const askSpecLibrary = async ({ question, index, specs, loadText, provider, maxSources = DEFAULT_MAX_SOURCES }) => {
+    // 색인에는 있지만 specs에 없는 항목(열람 권한이 없는 시방서 등)은 근거에서 제외합니다.
+    const specById = new Map(specs.map(s => [s.id, s]));
+    const ranked = [...index.search(question, { mode: 'any' }).entries()]
+        .filter(([id]) => specById.has(id))
+        .sort((a, b) => b[1].score - a[1].score)
+        .slice(0, maxSources);
+
+    const sources = [];
+    for (const [id, hit] of ranked) {
+        const spec = specById.get(id);
+        if (!spec) continue;
+        const stored = spec.hasExtractedText ? await loadText(id).catch(() => null) : null;
+        sources.push({
+            sourceId: `S${sources.length + 1}`,
+            id,
+            fileName: spec.fileName,
+            summary: spec.summary || '',
+            attributes: formatAttributes(spec.attributes),
+            text: selectRelevantPassages(stored?.text || '', hit.terms),
+        });
+    }
+
+    if (sources.length === 0) {
+        return { answer: '질문과 관련된 시방서를 찾지 못했습니다. 다른 표현으로 질문해보세요.', citations: [], sources: [] };
+    }
+
+    const result = await provider.answer({ question, sources });
+    const bySourceId = new Map(sources.map(s => [s.sourceId, s]));
+    const seen = new Set();
+    const citations = (result.citations || [])
+        .map(c => ({ source: bySourceId.get(c.sourceId), note: c.note || '' }))
+        .filter(c => c.source && !seen.has(c.source.id) && seen.add(c.source.id))
+        .map(c => ({ id: c.source.id, fileName: c.source.fileName, note: c.note }));
+
+    return {
+        answer: result.answer || '',
+        citations,
+        sources: sources.map(s => ({ id: s.id, fileName: s.fileName })),
+    };
+};
+
+const buildSourcesPrompt = (sources) => sources.map(s =>
+    `[${s.sourceId}] 파일명: ${s.fileName}\n요약: ${s.summary}` +
+    (s.attributes ? `\n사양:\n${s.attributes}` : '') +
+    (s.text ? `\n본문:\n${s.text}` : '')
+).join('\n\n---\n\n');
+
+const QA_SYSTEM_PROMPT = `당신은 단조 시방서 라이브러리에 대한 질문에 답하는 품질 엔지니어입니다.
+반드시 제공된 근거 문서([S1], [S2] ...)의 내용만 사용해 한국어로 답하세요.
+근거가 부족하면 모른다고 답하고 추측하지 마세요.
+답변에 사용한 문서는 citations에 sourceId와 근거가 된 내용(note)으로 모두 나열하세요.`;
+
+const QA_RESPONSE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        answer: { type: "STRING" },
+        citations: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: { sourceId: { type: "STRING" }, note: { type: "STRING" } },
+            },
+        },
+    },
+};
+
+/**
+ * Gemini generateContent 엔드포인트를 사용하는 답변 제공자.
+ * apiUrl을 로컬 모의 서버 주소로 바꾸면 네트워크 없이 테스트할 수 있습니다.
+ */
+export const createGeminiAnswerProvider = ({ apiUrl, apiKey, fetchImpl = fetch }) => ({
+    name: 'gemini',
+    answer: async ({ question, sources }) => {
+        const payload = {
+            contents: [{ parts: [{ text: `[근거 문서]\n${buildSourcesPrompt(sources)}\n\n[질문]\n${question}` }] }],
+            systemInstruction: { parts: [{ text: QA_SYSTEM_PROMPT }] },
+            generationConfig: { responseMimeType: "application/json", responseSchema: QA_RESPONSE_SCHEMA },
+        };
+        const response = await fetchImpl(`${apiUrl}${apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+        });
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const result = await response.json();
+        const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        return JSON.parse(jsonText);
+    },
+});
+
+// OpenAI 호환 응답의 message.content에서 JSON을 꺼냅니다. (```json 코드 블록으로 감싼 응답 포함)
+export const parseJsonContent = (content) => JSON.parse((content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+
+/**
+ * OpenAI 호환 chat/completions 엔드포인트(사내 LAN의 자체 호스팅 모델 등)를 사용하는 답변 제공자.
+ */
+export const createOpenAiAnswerProvider = ({ baseUrl, apiKey, model, fetchImpl = fetch }) => ({
+    name: 'openai',
+    answer: async ({ question, sources }) => {
+        const response = await fetchImpl(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+            body: JSON.stringify({
+                model,
+                temperature: 0,
+                response_format: { type: 'json_object' },
+                messages: [
+                    { role: 'system', content: `${QA_SYSTEM_PROMPT}\n다음 JSON 형식으로만 답하세요: {"answer": "...", "citations": [{"sourceId": "S1", "note": "..."}]}` },
+                    { role: 'user', content: `[근거 문서]\n${buildSourcesPrompt(sources)}\n\n[질문]\n${question}` },
+                ],
+            }),
+        });
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const result = await response.json();
+        return parseJsonContent(result.choices?.[0]?.message?.content);
+    },
+});
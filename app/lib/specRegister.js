@@ -0,0 +1,119 @@
+// --- Spec Register Export ---
+// QA용 시방서 대장(엑셀/CSV)과 시방서별 한 쪽짜리 PDF 보고서(인쇄 창)를 만듭니다. 모두 브라우저 안에서만 처리합니다.
+
+import { SPEC_ATTRIBUTE_FIELDS, normalizeSpecAttributes, formatAttributeValue } from './specSchema';
+import { getCurrentRevisionNumber } from './revisions';
+import { escapeHtml } from './printDocument';
+
+export const REGISTER_FORMATS = {
+    xlsx: '엑셀 (.xlsx)',
+    csv: 'CSV (.csv)',
+    pdf: 'PDF 보고서 (인쇄)',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+const getPartNumbers = (spec, catalog) => (spec.partIds || [])
+    .map(id => catalog?.parts.find(p => p.id === id)?.partNumber)
+    .filter(Boolean);
+
+const getLinkedCustomers = (spec, catalog) => (spec.customerIds || [])
+    .map(id => catalog?.customers.find(c => c.id === id)?.name)
+    .filter(Boolean);
+
+// 대장 열 정의. 구조화 사양 열은 SPEC_ATTRIBUTE_FIELDS 순서를 따릅니다.
+const REGISTER_COLUMNS = [
+    { label: '파일명', width: 36, get: (spec) => spec.fileName },
+    { label: '유형', width: 6, get: (spec) => spec.fileType },
+    { label: '폴더', width: 20, get: (spec) => spec.filePath || '' },
+    { label: '개정', width: 6, get: (spec) => `Rev.${getCurrentRevisionNumber(spec)}` },
+    { label: '등록일', width: 12, get: (spec) => formatDate(spec.createdAt) },
+    { label: '수정일', width: 12, get: (spec) => formatDate(spec.updatedAt || spec.createdAt) },
+    { label: '요약', width: 60, get: (spec) => spec.summary || '' },
+    { label: '키워드', width: 30, get: (spec) => (spec.keywords || []).join(', ') },
+    { label: '태그', width: 20, get: (spec) => (spec.tags || []).join(', ') },
+    { label: '품번', width: 20, get: (spec, catalog) => getPartNumbers(spec, catalog).join(', ') },
+    { label: '고객사 공통', width: 16, get: (spec, catalog) => getLinkedCustomers(spec, catalog).join(', ') },
+    ...SPEC_ATTRIBUTE_FIELDS.map(field => ({
+        label: field.label,
+        width: field.type === 'list' ? 30 : 20,
+        get: (spec) => formatAttributeValue(field, normalizeSpecAttributes(spec.attributes)[field.key]),
+    })),
+];
+
+// 파일명, 요약, 키워드는 고객 문서와 AI 응답에서 온 값이므로, 스프레드시트가 수식으로 읽지 않도록 앞에 '를 붙입니다.
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = (value) => (
+    typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(value) && !Number.isFinite(Number(value)) ? `'${value}` : value
+);
+
+/**
+ * 대장 표를 만듭니다. 첫 행은 머리글입니다. 수식으로 해석될 수 있는 값은 ' 접두어를 붙여 문자열로 남깁니다.
+ * @param {Array} specs
+ * @param {object} [catalog] 품번/고객사 카탈로그 (품번 열 표시용)
+ * @returns {string[][]}
+ */
+export const buildRegisterRows = (specs, catalog = null) => [
+    REGISTER_COLUMNS.map(column => column.label),
+    ...specs.map(spec => REGISTER_COLUMNS.map(column => neutralizeFormula(column.get(spec, catalog) ?? ''))),
+];
+
+/**
+ * 대장 파일을 만듭니다. CSV는 엑셀에서 한글이 깨지지 않도록 UTF-8 BOM을 붙입니다.
+ * @param {'xlsx' | 'csv'} format
+ * @returns {Promise<Blob>}
+ */
+export const createRegisterFile = async (specs, format, catalog = null) => {
+    const XLSX = await import('xlsx');
+    const sheet = XLSX.utils.aoa_to_sheet(buildRegisterRows(specs, catalog));
+    if (format === 'csv') {
+        return new Blob(['\uFEFF' + XLSX.utils.sheet_to_csv(sheet)], { type: 'text/csv;charset=utf-8' });
+    }
+    sheet['!cols'] = REGISTER_COLUMNS.map(column => ({ wch: column.width }));
+    sheet['!autofilter'] = { ref: sheet['!ref'] };
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, '시방서 대장');
+    const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
+
+const renderList = (items) => (items.length ? escapeHtml(items.join(', ')) : '-');
+
+/**
+ * 시방서마다 한 쪽씩 나오는 인쇄용 보고서 본문 HTML을 만듭니다. (openPrintWindow로 띄웁니다)
+ */
+export const buildSpecReportHtml = (specs, { title = '시방서 보고서', catalog = null, generatedBy = '' } = {}) => {
+    const cover = `
+        <h1>${escapeHtml(title)}</h1>
+        <div class="meta">${escapeHtml(new Date().toLocaleString())} · ${specs.length}건${generatedBy ? ` · 작성 ${escapeHtml(generatedBy)}` : ''}</div>
+        <table>
+            <thead><tr><th style="width: 5%">No.</th><th>파일명</th><th style="width: 8%">개정</th><th style="width: 22%">폴더</th><th style="width: 14%">등록일</th></tr></thead>
+            <tbody>${specs.map((spec, i) => `<tr><td>${i + 1}</td><td>${escapeHtml(spec.fileName)}</td><td>Rev.${getCurrentRevisionNumber(spec)}</td><td>${escapeHtml(spec.filePath || '')}</td><td>${escapeHtml(formatDate(spec.createdAt))}</td></tr>`).join('')}</tbody>
+        </table>`;
+
+    const pages = specs.map((spec, i) => {
+        const attributes = normalizeSpecAttributes(spec.attributes);
+        const attributeRows = SPEC_ATTRIBUTE_FIELDS
+            .map(field => `<tr><th style="width: 22%">${escapeHtml(field.label)}</th><td>${escapeHtml(formatAttributeValue(field, attributes[field.key])) || '-'}</td></tr>`)
+            .join('');
+        return `
+            <section class="page-break">
+                <h1>${i + 1}. ${escapeHtml(spec.fileName)}</h1>
+                <div class="meta">${escapeHtml(spec.fileType)} · Rev.${getCurrentRevisionNumber(spec)} · 등록 ${escapeHtml(formatDate(spec.createdAt))} · 수정 ${escapeHtml(formatDate(spec.updatedAt || spec.createdAt))}</div>
+                <table>
+                    <tr><th style="width: 22%">폴더</th><td>${escapeHtml(spec.filePath || '-')}</td></tr>
+                    <tr><th>품번</th><td>${renderList(getPartNumbers(spec, catalog))}</td></tr>
+                    <tr><th>고객사 공통</th><td>${renderList(getLinkedCustomers(spec, catalog))}</td></tr>
+                    <tr><th>키워드</th><td>${renderList(spec.keywords || [])}</td></tr>
+                    <tr><th>태그</th><td>${renderList(spec.tags || [])}</td></tr>
+                </table>
+                <h2>요약</h2>
+                <p>${escapeHtml(spec.summary || '-').replace(/\n/g, '<br>')}</p>
+                <h2>구조화 사양</h2>
+                <table>${attributeRows}</table>
+            </section>`;
+    }).join('');
+
+    return cover + pages;
+};
@@ -0,0 +1,100 @@
+// --- Structured Forging Spec Attributes ---
+// 시방서마다 AI가 추출하고 사용자가 수정할 수 있는 정형 필드 정의입니다.
+//  - text  : 단일 문자열
+//  - range : { min, max, unit } 숫자 범위
+//  - list  : 문자열 배열
+
+export const SPEC_ATTRIBUTE_FIELDS = [
+    { key: 'materialGrade', label: '재질 등급', type: 'text', placeholder: '예: SA-182 F316' },
+    { key: 'forgingTemperature', label: '단조 온도 범위', type: 'range', unit: '°C' },
+    { key: 'heatTreatment', label: '열처리 공정', type: 'text', placeholder: '예: 용체화 처리 1040°C 이상, 수냉' },
+    { key: 'hardness', label: '경도 요구사항', type: 'text', placeholder: '예: HB 187 이하' },
+    { key: 'dimensionalTolerances', label: '치수 공차', type: 'list', placeholder: '예: 외경 ±0.5mm' },
+    { key: 'ndtRequirements', label: 'NDT 요구사항', type: 'list', placeholder: '예: UT (ASTM A388)' },
+    { key: 'standards', label: '참조 규격', type: 'list', placeholder: '예: ASTM A182' },
+    { key: 'customer', label: '고객사', type: 'text' },
+];
+
+export const createEmptyAttributes = () => ({
+    materialGrade: '',
+    forgingTemperature: { min: null, max: null, unit: '°C' },
+    heatTreatment: '',
+    hardness: '',
+    dimensionalTolerances: [],
+    ndtRequirements: [],
+    standards: [],
+    customer: '',
+});
+
+// Gemini responseSchema 형식의 정형 필드 스키마
+export const SPEC_ATTRIBUTES_RESPONSE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        materialGrade: { type: "STRING", description: "재질 등급 (예: SA-182 F316, SCM440)" },
+        forgingTemperature: {
+            type: "OBJECT",
+            description: "단조 온도 범위. 명시되지 않으면 min/max를 null로",
+            properties: {
+                min: { type: "NUMBER", nullable: true },
+                max: { type: "NUMBER", nullable: true },
+                unit: { type: "STRING", description: "°C 또는 °F" },
+            },
+        },
+        heatTreatment: { type: "STRING", description: "열처리 공정 및 조건" },
+        hardness: { type: "STRING", description: "경도 요구사항 (HB, HRC 등)" },
+        dimensionalTolerances: { type: "ARRAY", items: { type: "STRING" }, description: "치수 공차 요구사항" },
+        ndtRequirements: { type: "ARRAY", items: { type: "STRING" }, description: "비파괴검사(UT, MT, PT, RT 등) 요구사항" },
+        standards: { type: "ARRAY", items: { type: "STRING" }, description: "참조 규격 (ASTM/ASME/KS/JIS/DIN/EN 등)" },
+        customer: { type: "STRING", description: "고객사 또는 발주처" },
+    },
+};
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : value == null ? '' : String(value).trim());
+
+const toNumberOrNull = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+const toList = (value) => {
+    const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\n,]/) : [];
+    return [...new Set(items.map(toText).filter(Boolean))];
+};
+
+// AI 응답이나 사용자 입력을 저장 가능한 형태로 정리합니다. 누락된 필드는 빈 값으로 채웁니다.
+export const normalizeSpecAttributes = (raw) => {
+    const base = createEmptyAttributes();
+    if (!raw || typeof raw !== 'object') return base;
+
+    const temperature = raw.forgingTemperature || {};
+    return {
+        materialGrade: toText(raw.materialGrade),
+        forgingTemperature: {
+            min: toNumberOrNull(temperature.min),
+            max: toNumberOrNull(temperature.max),
+            unit: toText(temperature.unit) || base.forgingTemperature.unit,
+        },
+        heatTreatment: toText(raw.heatTreatment),
+        hardness: toText(raw.hardness),
+        dimensionalTolerances: toList(raw.dimensionalTolerances),
+        ndtRequirements: toList(raw.ndtRequirements),
+        standards: toList(raw.standards),
+        customer: toText(raw.customer),
+    };
+};
+
+export const formatAttributeValue = (field, value) => {
+    if (field.type === 'range') {
+        if (!value || (value.min === null && value.max === null)) return '';
+        const unit = value.unit || field.unit || '';
+        if (value.min !== null && value.max !== null) return `${value.min} ~ ${value.max} ${unit}`.trim();
+        if (value.min !== null) return `${value.min} ${unit} 이상`.trim();
+        return `${value.max} ${unit} 이하`.trim();
+    }
+    if (field.type === 'list') return (value || []).join(', ');
+    return value || '';
+};
+
+export const hasAnyAttribute = (attributes) => Boolean(attributes) &&
+    SPEC_ATTRIBUTE_FIELDS.some(field => formatAttributeValue(field, attributes[field.key]) !== '');
@@ -0,0 +1,43 @@
+// --- Trash Bin (Soft Delete) ---
+// 삭제한 시방서는 레코드에 deletedAt/deletedBy를 표시해 휴지통으로 옮기고, 원본 파일과 본문은 IndexedDB에 그대로 둡니다.
+// 보관 기간이 지나거나 휴지통을 비우면 그때 영구 삭제합니다.
+
+const TRASH_SETTINGS_STORAGE_KEY = 'forging_specs_trash_settings';
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isInTrash = (spec) => Boolean(spec.deletedAt);
+
+// updatedAt도 함께 바꿔 클라우드 동기화와 검색 색인이 변경을 감지하도록 합니다.
+export const moveToTrash = (spec, user, now = new Date().toISOString()) => ({
+    ...spec,
+    deletedAt: now,
+    deletedBy: user ? { id: user.id, name: user.name } : null,
+    updatedAt: now,
+});
+
+export const restoreFromTrash = (spec, now = new Date().toISOString()) => {
+    const { deletedAt, deletedBy, ...restored } = spec;
+    return { ...restored, updatedAt: now };
+};
+
+export const getPurgeDate = (spec, retentionDays) => new Date(new Date(spec.deletedAt).getTime() + retentionDays * DAY_MS);
+
+// 보관 기간이 지난 휴지통 항목
+export const findExpiredTrash = (specs, retentionDays, now = Date.now()) =>
+    specs.filter(spec => isInTrash(spec) && getPurgeDate(spec, retentionDays).getTime() <= now);
+
+export const loadTrashRetentionDays = () => {
+    if (typeof window === 'undefined') return DEFAULT_TRASH_RETENTION_DAYS;
+    try {
+        const days = JSON.parse(localStorage.getItem(TRASH_SETTINGS_STORAGE_KEY) || 'null')?.retentionDays;
+        return Number.isFinite(days) && days >= 1 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+    } catch (e) {
+        return DEFAULT_TRASH_RETENTION_DAYS;
+    }
+};
+
+export const saveTrashRetentionDays = (days) => {
+    if (typeof window === 'undefined') return;
+    localStorage.setItem(TRASH_SETTINGS_STORAGE_KEY, JSON.stringify({ retentionDays: days }));
+};
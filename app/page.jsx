@@ -1,86 +1,48 @@
 "use client";
 import React, { useState, useEffect, useCallback, useMemo, useRef, useDeferredValue } from 'react';
-import { Search, FileText, Download, Upload, Trash2, Zap, File, ListChecks, AlertTriangle, Loader2, XCircle, Save, RefreshCw, CheckSquare, Square, AlertCircle, Eye, Grid, List } from 'lucide-react';
+import { Search, FileText, Download, Upload, Trash2, Zap, File, ListChecks, AlertTriangle, Loader2, XCircle, Save, RefreshCw, CheckSquare, Square, AlertCircle, Eye, Grid, List, Pencil, Filter, MessageSquare, Send, History, GitCompare, ArrowLeft, Archive, LogOut, Users, Shield, Lock, UserPlus, KeyRound, Plus, ScrollText, ShieldCheck, ShieldAlert, ArchiveRestore, ChevronRight, ChevronDown, Folder, FolderOpen, FolderInput, FolderTree, Pause, Play, X, Settings2, Package, ChevronLeft, ChevronUp, ZoomIn, ZoomOut, MoveHorizontal } from 'lucide-react';
+import { saveFileToDB, getFileFromDB, saveTextToDB, getTextFromDB, deleteTextFromDB, deleteSpecDataFromDB, saveSearchIndexToDB, getSearchIndexFromDB, appendAuditEntryToDB, getAuditEntriesFromDB, saveUploadQueueItemToDB, saveUploadQueueFileToDB, getUploadQueueFileFromDB, getUploadQueueItemsFromDB, deleteUploadQueueItemFromDB, saveInspectionToDB, getInspectionsFromDB } from './lib/db';
+import { createAnalysisQueue, loadAnalysisQueueSettings, loadAnalysisQueueState, saveAnalysisQueueState, throwIfAborted, MAX_QUEUE_CONCURRENCY } from './lib/analysisQueue';
+import { extractPdfText, loadPdfDocument } from './lib/pdfText';
+import { parseWorkbook, sheetsToText } from './lib/sheetParser';
+import { createSearchIndex, syncSearchIndex, buildResultHighlight, getSpecIndexSignature, MAX_INDEXED_TEXT_LENGTH } from './lib/searchIndex';
+import { getRevisions, getCurrentRevisionNumber, createRevisionSnapshot, createArchiveStorageKey, getAllStorageKeys, findSpecByFileName, diffAttributes, diffLines, toSideBySideRows } from './lib/revisions';
+import { hashFile, findSpecByContentHash, findNearDuplicateNames } from './lib/fileHash';
+import { createBackupArchive, openBackupArchive, restoreBackupArchive, RESTORE_STRATEGIES } from './lib/backup';
+import { createCloudSync, isCloudSyncConfigured, listenToPartCatalog, savePartCatalogToCloud } from './lib/cloudSync';
+import { signInToCloud, registerCloudAccount, restoreCloudSession, signOutFromCloud, sendCloudPasswordReset, listenToMembers, listenToOwnMember, saveMemberChanges, createMemberAccount, listenToAccessRules, saveAccessRules, getCloudIdToken } from './lib/cloudAuth';
+import { AUDIT_ACTIONS, createAuditLog, toAuditSnapshot, verifyAuditChain, createEmptyAuditFilters, filterAuditEntries, getChangedFields, auditEntriesToCsv } from './lib/auditLog';
+import { ROOT_FOLDER_PATH, normalizeFolderPath, isValidFolderPath, isInFolder, buildFolderTree, listFolderPaths, replaceFolderPrefix, isDescendantPath } from './lib/folders';
+import { isInTrash, moveToTrash, restoreFromTrash, getPurgeDate, findExpiredTrash, loadTrashRetentionDays, saveTrashRetentionDays } from './lib/trash';
+import { ROLES, RULE_SCOPES, OUTSIDER_ACCESS, hasPermission, canViewSpec, canModifySpec, createAccount, setAccountPassword, authenticate, findDuplicateAccountName, isLastAdmin, toSessionUser, MAX_RULE_FOLDER_DEPTH, loadAccessSettings, saveAccessSettings, loadSessionUserId, saveSessionUserId } from './lib/access';
+import { askSpecLibrary } from './lib/specQa';
+import { AI_PROVIDERS, createAiProvider, createDefaultAiSettings, isProviderConfigured, hasSavedAiSettings, loadAiSettings, saveAiSettings } from './lib/aiProviders';
+import { fetchAiProxyStatus } from './lib/aiProxy';
+import { computeFacetCounts, applyFacetFilters, createEmptyFacetFilters, countActiveFacetFilters, toggleFacetValue } from './lib/facets';
+import { VERIFIABLE_FIELDS, parseTagList, createManualEditPatch, mergeReanalysis, applyAcceptedConflicts, clearAnalysisVerification } from './lib/specMetadata';
+import { SPEC_ATTRIBUTE_FIELDS, normalizeSpecAttributes, formatAttributeValue, hasAnyAttribute } from './lib/specSchema';
+import { INSPECTION_VERDICTS, ITEM_STATUS_LABELS, buildChecklistFromSpec, formatCriterion, evaluateChecklistItem, summarizeInspection, createInspectionRecord, buildConformanceReportHtml } from './lib/inspection';
+import { openPrintWindow } from './lib/printDocument';
+import { buildPageTextMap, searchPdfPages, getHighlightRects, findSummarySourcePages } from './lib/pdfSearch';
+import { buildSpecSummaryText, createSpecFilesArchive } from './lib/bulkDownload';
+import { REGISTER_FORMATS, createRegisterFile, buildSpecReportHtml } from './lib/specRegister';
+import { MIN_COMPARE_SPECS, MAX_COMPARE_SPECS, compareSpecAttributes, countConflicts, summarizeSpecDifferences } from './lib/specCompare';
+import { PART_COLUMN_LABELS, createEmptyPartCatalog, findCustomerByName, findPartByNumber, getCustomerName, searchParts, getSpecsForPart, countLinkedSpecs, ensureCustomer, parsePartMasterRows, mergePartMaster, loadPartCatalog, savePartCatalog } from './lib/parts';
 
 // --- Global Constants ---
 const LOCAL_STORAGE_KEY = 'forging_specs_data';
-const API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=";
-
-// --- IndexedDB Helper Functions (For Binary File Storage) ---
-const DB_NAME = 'ForgingSpecManagerDB';
-const DB_VERSION = 5; 
-const STORE_NAME = 'files';
-
-const openDB = () => {
-    return new Promise((resolve, reject) => {
-        if (typeof window === 'undefined') return resolve(null);
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-        request.onupgradeneeded = (event) => {
-            const db = event.target.result;
-            if (!db.objectStoreNames.contains(STORE_NAME)) {
-                db.createObjectStore(STORE_NAME);
-            }
-        };
-        request.onsuccess = (event) => resolve(event.target.result);
-        request.onerror = (event) => reject(event.target.error);
-    });
-};
-
-const saveFileToDB = async (id, file) => {
-    const db = await openDB();
-    if (!db) return;
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(STORE_NAME);
-        
-        if (!file || !(file instanceof Blob)) {
-            console.warn(`[IndexedDB] Invalid file object for ID: ${id}`, file);
-            return resolve(); 
-        }
-
-        const request = store.put(file, id);
-        request.onsuccess = () => resolve();
-        request.onerror = (e) => {
-            console.error(`[IndexedDB] Save Error for ${id}:`, e.target.error);
-            reject(e.target.error);
-        };
-    });
-};
-
-const getFileFromDB = async (id) => {
-    const db = await openDB();
-    if (!db) return null;
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME], 'readonly');
-        const store = transaction.objectStore(STORE_NAME);
-        const request = store.get(id);
-        request.onsuccess = (event) => resolve(event.target.result);
-        request.onerror = (e) => reject(e.target.error);
-    });
-};
+// Firebase 설정이 있으면 클라우드 계정(허용 목록)으로 로그인하고 동기화합니다. 없으면 브라우저의 로컬 계정을 씁니다.
+const CLOUD_MODE = isCloudSyncConfigured();
 
-const deleteFileFromDB = async (id) => {
-    const db = await openDB();
-    if (!db) return;
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(STORE_NAME);
-        const request = store.delete(id);
-        request.onsuccess = () => resolve();
-        request.onerror = (e) => reject(e.target.error);
-    });
-};
+// --- AI Provider Defaults ---
+// 아무것도 저장하지 않았으면 규칙 기반 추출로 시작하고, 서버 프록시가 설정되어 있으면 그쪽으로 바꿉니다.
+const DEFAULT_AI_SETTINGS = createDefaultAiSettings();
 
-// --- Gemini API Key Logic ---
-const getCurrentApiKey = () => {
-    if (typeof process !== 'undefined' && process.env.NEXT_PUBLIC_GEMINI_API_KEY) {
-        return process.env.NEXT_PUBLIC_GEMINI_API_KEY;
-    }
-    return ""; 
-};
-const CURRENT_API_KEY = getCurrentApiKey();
+// 서버 프록시는 요청자를 토큰으로 확인합니다. 클라우드 모드는 로그인 ID 토큰, 로컬 전용 모드는 AI 설정에 입력한 API 토큰을 보냅니다.
+const getAiProxyToken = (localAccessToken) => (CLOUD_MODE ? getCloudIdToken() : Promise.resolve(localAccessToken || null));
 
 // --- Helper Functions ---
+// 마지막 시도까지 실패하면 status(및 Retry-After)를 담은 오류를 던져, 분석 대기열이 429를 구분해 다시 시도할 수 있게 합니다.
 const fetchWithRetry = async (url, options, retries = 3) => {
     for (let i = 0; i < retries; i++) {
         try {
@@ -91,9 +53,13 @@ const fetchWithRetry = async (url, options, retries = 3) => {
                 await new Promise(resolve => setTimeout(resolve, delay));
                 continue;
             }
-            throw new Error(`HTTP error! status: ${response.status}`);
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            const retryAfter = Number(response.headers.get('Retry-After'));
+            if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+            throw error;
         } catch (error) {
-            if (i === retries - 1) throw error;
+            if (i === retries - 1 || options?.signal?.aborted) throw error;
         }
     }
 };
@@ -119,6 +85,73 @@ const saveSpecsToLocalStorage = (specs) => {
 
 const safeCreateId = () => Math.random().toString(36).substring(2, 9) + Date.now().toString(36);
 
+// 만든 파일을 브라우저 다운로드로 저장합니다.
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+// 저장 위치를 고를 수 있는 브라우저(파일 시스템 접근 API)에서는 큰 파일을 메모리에 모으지 않고 바로 씁니다.
+// 클릭 직후에 불러야 하며, 사용자가 취소하면 null, 지원하지 않으면 { writable: null }을 반환합니다.
+const pickSaveFile = async (suggestedName) => {
+    if (typeof window.showSaveFilePicker !== 'function') return { writable: null };
+    try {
+        const handle = await window.showSaveFilePicker({ suggestedName, types: [{ description: 'zip 파일', accept: { 'application/zip': ['.zip'] } }] });
+        return { writable: await handle.createWritable() };
+    } catch (e) {
+        if (e.name === 'AbortError') return null;
+        console.warn("Save file picker unavailable, falling back to download:", e);
+        return { writable: null };
+    }
+};
+
+// 업로드 항목에서 시방서 레코드에 저장할 필드만 골라냅니다.
+const toSpecFields = (item) => ({
+    fileName: item.fileName,
+    fileType: item.fileType,
+    filePath: item.filePath || '',
+    summary: item.summary,
+    keywords: item.keywords,
+    attributes: normalizeSpecAttributes(item.attributes),
+    pageCount: item.pageCount || 0,
+    hasExtractedText: Boolean(item.extractedText),
+    contentHash: item.contentHash || null
+});
+
+// 업로드 항목의 원본 파일과 추출 본문을 지정한 키로 IndexedDB에 저장합니다.
+const saveItemDataToDB = (key, item) => {
+    const tasks = [];
+    if (item.file) {
+        tasks.push(saveFileToDB(key, item.file).catch(err => console.error("File save failed", err)));
+    }
+    if (item.extractedText) {
+        tasks.push(saveTextToDB(key, { text: item.extractedText, pages: item.pageTexts || [], sheets: item.sheets || null }).catch(err => console.error("Text save failed", err)));
+    }
+    return Promise.all(tasks);
+};
+
+// 모든 개정본의 파일/본문을 함께 삭제합니다.
+const deleteSpecStorage = (spec) => Promise.all(getAllStorageKeys(spec).map(key => deleteSpecDataFromDB(key)));
+
+// 업로드 항목의 원본 파일에서 본문을 추출합니다. (PDF: 페이지별 텍스트, 엑셀: 시트 표)
+const extractFileContent = async (item) => {
+    if (item.fileType === 'PDF') {
+        const { text, pages, pageCount } = await extractPdfText(item.file);
+        return { extractedText: text, pageTexts: pages, pageCount, sheets: null };
+    }
+    if (item.fileType === 'XLSX') {
+        const sheets = await parseWorkbook(item.file);
+        return { extractedText: sheetsToText(sheets), pageTexts: [], pageCount: 0, sheets };
+    }
+    return null;
+};
+
 // --- Sub Components ---
 
 const createInitialItem = () => ({
@@ -128,12 +161,39 @@ const createInitialItem = () => ({
     filePath: '',
     fileType: '',
     mockContent: '',
+    extractedText: null,
+    pageTexts: [],
+    pageCount: 0,
+    sheets: null,
     status: 'pending',
     summary: '',
     keywords: [],
+    attributes: null,
+    revisionOf: null,
+    saveMode: 'new',
+    contentHash: null,
+    duplicateOf: null,
+    duplicateInQueue: null,
+    nearDuplicates: [],
     error: ''
 });
 
+// 하이라이트 조각을 계산하는 최대 검색 결과 수 (나머지는 하이라이트 없이 표시)
+const MAX_HIGHLIGHTED_RESULTS = 200;
+// 본문 조각을 만들려고 추출 본문을 읽어 두는 상위 결과 수 (나머지는 요약·키워드에서 조각을 찾습니다)
+const MAX_TEXT_SNIPPET_RESULTS = 50;
+// 색인이 바뀐 뒤 IndexedDB에 저장하기까지 기다리는 시간. 연달아 바뀌면 마지막에 한 번만 저장합니다.
+const SEARCH_INDEX_SAVE_DELAY_MS = 3000;
+
+const HighlightedText = ({ segments }) => (
+    <>
+        {segments.map((seg, i) => seg.hit
+            ? <mark key={i} className="bg-yellow-200 text-gray-900 rounded-sm px-0.5">{seg.text}</mark>
+            : <React.Fragment key={i}>{seg.text}</React.Fragment>
+        )}
+    </>
+);
+
 const SearchBar = React.memo(({ onSearchChange, sortOption, onSortChange }) => {
     const [localValue, setLocalValue] = useState("");
 
@@ -154,7 +214,7 @@ const SearchBar = React.memo(({ onSearchChange, sortOption, onSortChange }) => {
              <div className="relative flex-grow">
                 <input 
                     type="text" 
-                    placeholder="검색..." 
+                    placeholder='검색... ("정확한 구문", 접두어*)' 
                     value={localValue} 
                     onChange={handleChange} 
                     className="w-full rounded-lg border border-gray-300 px-3 py-2 pl-9 text-sm focus:outline-none focus:border-indigo-500 transition-colors" 
@@ -166,6 +226,7 @@ const SearchBar = React.memo(({ onSearchChange, sortOption, onSortChange }) => {
                 onChange={(e) => onSortChange(e.target.value)}
                 className="border border-gray-300 rounded-lg px-2 py-2 bg-white text-gray-700 text-sm focus:outline-none focus:border-indigo-500 min-w-[100px]"
              >
+                <option value="relevance">관련도순</option>
                 <option value="date-desc">최신순</option>
                 <option value="date-asc">과거순</option>
                 <option value="name-asc">이름순</option>
@@ -176,7 +237,7 @@ const SearchBar = React.memo(({ onSearchChange, sortOption, onSortChange }) => {
 });
 SearchBar.displayName = 'SearchBar';
 
-const SpecCard = React.memo(({ spec, onDelete, onView, onDownload, onPreviewFile, isSelected, onToggleSelect }) => {
+const SpecCard = React.memo(({ spec, highlight, canDelete, canDownload, onDelete, onView, onDownload, onPreviewFile, isSelected, onToggleSelect }) => {
     const [isDownloading, setIsDownloading] = useState(false);
 
     const handleDownloadClick = async () => {
@@ -207,6 +268,11 @@ const SpecCard = React.memo(({ spec, onDelete, onView, onDownload, onPreviewFile
                         <span className={`text-[10px] font-bold px-1.5 py-0.5 rounded ${spec.fileType === 'PDF' ? 'bg-red-50 text-red-600' : spec.fileType === 'XLSX' ? 'bg-green-50 text-green-600' : 'bg-gray-100 text-gray-600'}`}>
                             {spec.fileType}
                         </span>
+                        {spec.revisions && spec.revisions.length > 1 && (
+                            <span className="text-[10px] font-semibold px-1.5 py-0.5 rounded bg-amber-50 text-amber-700" title="개정본 수">
+                                Rev.{spec.revisions[spec.revisions.length - 1].revision}
+                            </span>
+                        )}
                     </div>
                     <span className="text-[10px] text-gray-400">
                         {new Date(spec.createdAt).toLocaleDateString()}
@@ -218,10 +284,21 @@ const SpecCard = React.memo(({ spec, onDelete, onView, onDownload, onPreviewFile
                     title={spec.fileName}
                     onClick={handleViewClick}
                 >
-                    {spec.fileName}
+                    {highlight?.title ? <HighlightedText segments={highlight.title} /> : spec.fileName}
                 </h3>
+
+                {highlight?.snippet && (
+                    <p className="text-[11px] text-gray-500 leading-snug mb-2 line-clamp-3 break-words">
+                        <HighlightedText segments={highlight.snippet} />
+                    </p>
+                )}
                 
                 <div className="flex flex-wrap gap-1 mt-auto h-5 overflow-hidden">
+                    {spec.tags && spec.tags.slice(0, 2).map((tag, i) => (
+                        <span key={`tag-${i}`} className="text-[10px] bg-amber-50 text-amber-700 rounded px-1.5 py-0.5">
+                            {tag}
+                        </span>
+                    ))}
                     {spec.keywords && spec.keywords.slice(0, 3).map((k, i) => (
                         <span key={i} className="text-[10px] bg-gray-50 text-gray-500 rounded px-1.5 py-0.5">
                             #{k}
@@ -246,28 +323,252 @@ const SpecCard = React.memo(({ spec, onDelete, onView, onDownload, onPreviewFile
                 >
                     <FileText size={16} className="pointer-events-none" />
                 </button>
-                <button
-                    onClick={handleDownloadClick}
-                    disabled={isDownloading}
-                    className="flex-1 py-2 flex items-center justify-center text-gray-400 hover:bg-gray-50 hover:text-green-600 transition-colors disabled:opacity-50"
-                    title="다운로드"
-                >
-                    {isDownloading ? <Loader2 size={16} className="animate-spin pointer-events-none" /> : <Download size={16} className="pointer-events-none" />}
-                </button>
-                <button
-                    onClick={handleDeleteClick}
-                    className="flex-1 py-2 flex items-center justify-center text-gray-400 hover:bg-red-50 hover:text-red-600 transition-colors"
-                    title="삭제"
-                >
-                    <Trash2 size={16} className="pointer-events-none" />
-                </button>
+                {canDownload && (
+                    <button
+                        onClick={handleDownloadClick}
+                        disabled={isDownloading}
+                        className="flex-1 py-2 flex items-center justify-center text-gray-400 hover:bg-gray-50 hover:text-green-600 transition-colors disabled:opacity-50"
+                        title="다운로드"
+                    >
+                        {isDownloading ? <Loader2 size={16} className="animate-spin pointer-events-none" /> : <Download size={16} className="pointer-events-none" />}
+                    </button>
+                )}
+                {canDelete && (
+                    <button
+                        onClick={handleDeleteClick}
+                        className="flex-1 py-2 flex items-center justify-center text-gray-400 hover:bg-red-50 hover:text-red-600 transition-colors"
+                        title="삭제"
+                    >
+                        <Trash2 size={16} className="pointer-events-none" />
+                    </button>
+                )}
             </div>
         </div>
     );
 });
 SpecCard.displayName = 'SpecCard';
 
-const SpecList = React.memo(({ specs, selectedIds, onToggleSelect, onDelete, onDownload, onView, onPreviewFile }) => {
+// 패싯별로 처음에 보여줄 값 개수
+const FACET_VALUE_PREVIEW_COUNT = 8;
+
+const FacetGroup = ({ facet, selected, onToggle }) => {
+    const [isExpanded, setIsExpanded] = useState(false);
+    const visibleValues = isExpanded ? facet.values : facet.values.slice(0, FACET_VALUE_PREVIEW_COUNT);
+
+    return (
+        <div className="py-3 border-b border-gray-100 last:border-b-0">
+            <h4 className="text-xs font-semibold text-gray-700 mb-1.5">{facet.label}</h4>
+            <ul className="space-y-0.5">
+                {visibleValues.map(({ value, count }) => {
+                    const isChecked = selected.includes(value);
+                    return (
+                        <li key={value}>
+                            <button
+                                type="button"
+                                onClick={() => onToggle(facet.key, value)}
+                                disabled={count === 0 && !isChecked}
+                                className="w-full flex items-center gap-1.5 text-left text-xs text-gray-600 hover:text-indigo-600 disabled:text-gray-300 py-0.5"
+                            >
+                                {isChecked ? <CheckSquare size={14} className="text-indigo-600 flex-shrink-0 pointer-events-none" /> : <Square size={14} className="text-gray-300 flex-shrink-0 pointer-events-none" />}
+                                <span className="truncate flex-grow" title={value}>{value}</span>
+                                <span className="text-[10px] text-gray-400 tabular-nums">{count}</span>
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+            {facet.values.length > FACET_VALUE_PREVIEW_COUNT && (
+                <button type="button" onClick={() => setIsExpanded(v => !v)} className="mt-1 text-[11px] text-indigo-500 hover:text-indigo-700">
+                    {isExpanded ? '접기' : `더보기 (${facet.values.length - FACET_VALUE_PREVIEW_COUNT})`}
+                </button>
+            )}
+        </div>
+    );
+};
+
+const FacetPanel = React.memo(({ facets, filters, onChange }) => {
+    const activeCount = countActiveFacetFilters(filters);
+
+    const handleToggle = useCallback((key, value) => {
+        onChange(toggleFacetValue(filters, key, value));
+    }, [filters, onChange]);
+
+    return (
+        <aside className="w-full lg:w-60 flex-shrink-0 bg-white border border-gray-200 rounded-lg px-3 self-start">
+            <div className="flex justify-between items-center py-2.5 border-b border-gray-100">
+                <span className="text-sm font-semibold text-gray-800 flex items-center">
+                    <Filter size={14} className="mr-1.5 pointer-events-none" /> 필터
+                </span>
+                {activeCount > 0 && (
+                    <button type="button" onClick={() => onChange(createEmptyFacetFilters())} className="text-[11px] text-gray-400 hover:text-red-500">
+                        초기화 ({activeCount})
+                    </button>
+                )}
+            </div>
+
+            <div className="py-3 border-b border-gray-100">
+                <h4 className="text-xs font-semibold text-gray-700 mb-1.5">등록일</h4>
+                <div className="flex items-center gap-1">
+                    <input type="date" value={filters.dateFrom} max={filters.dateTo || undefined} onChange={(e) => onChange({ ...filters, dateFrom: e.target.value })} className="w-full text-[11px] border border-gray-300 rounded px-1 py-1 focus:outline-none focus:border-indigo-500" />
+                    <span className="text-gray-400 text-xs">~</span>
+                    <input type="date" value={filters.dateTo} min={filters.dateFrom || undefined} onChange={(e) => onChange({ ...filters, dateTo: e.target.value })} className="w-full text-[11px] border border-gray-300 rounded px-1 py-1 focus:outline-none focus:border-indigo-500" />
+                </div>
+            </div>
+
+            {facets.filter(facet => facet.values.length > 0).map(facet => (
+                <FacetGroup key={facet.key} facet={facet} selected={filters.values[facet.key] || []} onToggle={handleToggle} />
+            ))}
+        </aside>
+    );
+});
+FacetPanel.displayName = 'FacetPanel';
+
+const FolderNode = ({ node, depth, selectedPath, onSelect, onRename }) => {
+    const [isExpanded, setIsExpanded] = useState(depth < 1);
+    const isSelected = selectedPath === node.path;
+    const hasChildren = node.children.length > 0;
+
+    return (
+        <li>
+            <div className={`group flex items-center text-xs rounded pr-1 ${isSelected ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`} style={{ paddingLeft: `${depth * 12}px` }}>
+                <button type="button" onClick={() => setIsExpanded(v => !v)} className={`p-0.5 text-gray-400 ${hasChildren ? '' : 'invisible'}`} aria-label={isExpanded ? '접기' : '펼치기'}>
+                    {isExpanded ? <ChevronDown size={12} className="pointer-events-none" /> : <ChevronRight size={12} className="pointer-events-none" />}
+                </button>
+                <button type="button" onClick={() => onSelect(node.path)} className="flex items-center flex-grow min-w-0 py-1 text-left" title={node.path}>
+                    {isSelected ? <FolderOpen size={14} className="mr-1 flex-shrink-0 pointer-events-none" /> : <Folder size={14} className="mr-1 flex-shrink-0 text-amber-500 pointer-events-none" />}
+                    <span className="truncate">{node.name}</span>
+                    <span className="ml-auto pl-1 text-[10px] text-gray-400 tabular-nums">{node.totalCount}</span>
+                </button>
+                {onRename && (
+                    <button type="button" onClick={() => onRename(node.path)} className="p-0.5 text-gray-300 hover:text-indigo-600 opacity-0 group-hover:opacity-100" title="폴더 이름 변경">
+                        <Pencil size={11} className="pointer-events-none" />
+                    </button>
+                )}
+            </div>
+            {isExpanded && hasChildren && (
+                <ul>
+                    {node.children.map(child => (
+                        <FolderNode key={child.path} node={child} depth={depth + 1} selectedPath={selectedPath} onSelect={onSelect} onRename={onRename} />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+};
+
+const FolderTreePanel = React.memo(({ tree, selectedPath, onSelect, onRename }) => (
+    <aside className="w-full lg:w-56 flex-shrink-0 bg-white border border-gray-200 rounded-lg px-2 pb-2 self-start">
+        <div className="flex items-center py-2.5 px-1 border-b border-gray-100 mb-1 text-sm font-semibold text-gray-800">
+            <FolderTree size={14} className="mr-1.5 pointer-events-none" /> 폴더
+        </div>
+        <ul>
+            <li>
+                <button type="button" onClick={() => onSelect(null)} className={`w-full flex items-center text-xs rounded px-1 py-1 ${selectedPath === null ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}>
+                    <List size={14} className="mr-1 pointer-events-none" /> 전체
+                    <span className="ml-auto text-[10px] text-gray-400 tabular-nums">{tree.totalCount}</span>
+                </button>
+            </li>
+            {tree.count > 0 && tree.children.length > 0 && (
+                <li>
+                    <button type="button" onClick={() => onSelect(ROOT_FOLDER_PATH)} className={`w-full flex items-center text-xs rounded px-1 py-1 ${selectedPath === ROOT_FOLDER_PATH ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}>
+                        <File size={14} className="mr-1 pointer-events-none" /> (최상위 파일)
+                        <span className="ml-auto text-[10px] text-gray-400 tabular-nums">{tree.count}</span>
+                    </button>
+                </li>
+            )}
+            {tree.children.map(child => (
+                <FolderNode key={child.path} node={child} depth={0} selectedPath={selectedPath} onSelect={onSelect} onRename={onRename} />
+            ))}
+        </ul>
+        {tree.children.length === 0 && <p className="px-1 py-2 text-[11px] text-gray-400">폴더 업로드나 폴더 이동으로 폴더를 만들 수 있습니다.</p>}
+    </aside>
+));
+FolderTreePanel.displayName = 'FolderTreePanel';
+
+const MoveFolderDialog = ({ count, folders, initialPath, onMove, onClose }) => {
+    const [path, setPath] = useState(initialPath || '');
+    const normalized = normalizeFolderPath(path);
+    const isValid = isValidFolderPath(normalized);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (isValid) onMove(normalized);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="p-6">
+            <h3 className="text-lg font-bold text-gray-900 mb-1 flex items-center"><FolderInput size={18} className="mr-2 text-indigo-600 pointer-events-none" /> 폴더 이동</h3>
+            <p className="text-xs text-gray-500 mb-4">선택한 시방서 {count}개를 옮길 폴더 경로를 입력하세요. 없는 폴더는 새로 만들어지며, 비워 두면 최상위로 옮깁니다.</p>
+            <input type="text" list="move-folder-paths" value={path} onChange={(e) => setPath(e.target.value)} placeholder="예: 고객사A/2024" autoFocus className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:border-indigo-500" />
+            <datalist id="move-folder-paths">
+                {folders.map(folder => <option key={folder} value={folder} />)}
+            </datalist>
+            {!isValid && <p className="mt-1 text-xs text-red-500">&apos;.&apos; 또는 &apos;..&apos; 폴더 이름은 사용할 수 없습니다.</p>}
+            <div className="flex gap-3 mt-5">
+                <button type="button" onClick={onClose} className="flex-1 px-4 py-2.5 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium text-sm transition">취소</button>
+                <button type="submit" disabled={!isValid} className="flex-1 px-4 py-2.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 font-medium text-sm transition shadow-sm disabled:opacity-50">
+                    {normalized ? `'${normalized}'(으)로 이동` : '최상위로 이동'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// 시방서 대장(엑셀/CSV) 또는 PDF 보고서로 내보낼 범위와 형식을 고릅니다.
+const ExportRegisterDialog = ({ selectedCount, viewCount, onExport, onClose }) => {
+    const [scope, setScope] = useState(selectedCount > 0 ? 'selected' : 'view');
+    const [format, setFormat] = useState('xlsx');
+    const [isExporting, setIsExporting] = useState(false);
+    const count = scope === 'selected' ? selectedCount : viewCount;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsExporting(true);
+        try {
+            await onExport(scope, format);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const optionClass = (active) => `flex items-center gap-2 px-3 py-2 rounded-lg border text-sm cursor-pointer ${active ? 'border-indigo-500 bg-indigo-50 text-indigo-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'}`;
+
+    return (
+        <form onSubmit={handleSubmit} className="p-6">
+            <h3 className="text-lg font-bold text-gray-900 mb-1 flex items-center"><Download size={18} className="mr-2 text-indigo-600 pointer-events-none" /> 시방서 대장 내보내기</h3>
+            <p className="text-xs text-gray-500 mb-4">파일명, 유형, 개정, 등록·수정일, 요약, 키워드, 품번과 구조화 사양을 내보냅니다. 인터넷 연결 없이 브라우저에서 만듭니다.</p>
+            <h4 className="text-xs font-semibold text-gray-600 mb-2">범위</h4>
+            <div className="grid grid-cols-2 gap-2 mb-4">
+                <label className={optionClass(scope === 'selected')}>
+                    <input type="radio" name="export-scope" value="selected" checked={scope === 'selected'} onChange={() => setScope('selected')} disabled={selectedCount === 0} />
+                    선택한 시방서 ({selectedCount})
+                </label>
+                <label className={optionClass(scope === 'view')}>
+                    <input type="radio" name="export-scope" value="view" checked={scope === 'view'} onChange={() => setScope('view')} />
+                    현재 목록 ({viewCount})
+                </label>
+            </div>
+            <h4 className="text-xs font-semibold text-gray-600 mb-2">형식</h4>
+            <div className="space-y-2">
+                {Object.entries(REGISTER_FORMATS).map(([value, label]) => (
+                    <label key={value} className={optionClass(format === value)}>
+                        <input type="radio" name="export-format" value={value} checked={format === value} onChange={() => setFormat(value)} />
+                        {label}
+                        {value === 'pdf' && <span className="text-[11px] text-gray-400">시방서마다 한 쪽, 인쇄 창에서 &apos;PDF로 저장&apos;</span>}
+                    </label>
+                ))}
+            </div>
+            <div className="flex gap-3 mt-5">
+                <button type="button" onClick={onClose} className="flex-1 px-4 py-2.5 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium text-sm transition">취소</button>
+                <button type="submit" disabled={count === 0 || isExporting} className="flex-1 flex items-center justify-center px-4 py-2.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 font-medium text-sm transition shadow-sm disabled:opacity-50">
+                    {isExporting && <Loader2 size={14} className="mr-1.5 animate-spin pointer-events-none" />} {count}건 내보내기
+                </button>
+            </div>
+        </form>
+    );
+};
+
+const SpecList = React.memo(({ specs, highlights, currentUser, accessRules, selectedIds, onToggleSelect, onDelete, onDownload, onView, onPreviewFile }) => {
     if (specs.length === 0) {
         return (
             <div className="text-center py-20 text-gray-400 border-2 border-dashed border-gray-200 rounded-xl bg-gray-50/50">
@@ -284,6 +585,9 @@ const SpecList = React.memo(({ specs, selectedIds, onToggleSelect, onDelete, onD
                 <SpecCard 
                     key={spec.id} 
                     spec={spec} 
+                    highlight={highlights?.get(spec.id)}
+                    canDelete={canModifySpec(currentUser, spec, accessRules, 'delete')}
+                    canDownload={hasPermission(currentUser, 'download')}
                     isSelected={selectedIds.has(spec.id)}
                     onToggleSelect={onToggleSelect}
                     onDelete={onDelete}
@@ -297,7 +601,23 @@ const SpecList = React.memo(({ specs, selectedIds, onToggleSelect, onDelete, onD
 });
 SpecList.displayName = 'SpecList';
 
-const UploadItem = React.memo(({ item, onChange, onDelete, onAnalyze, isAnalyzing }) => {
+const SAVE_MODE_LABELS = {
+    skip: '건너뛰기',
+    replace: '기존 항목 교체',
+    revision: '새 개정본으로 추가',
+    new: '별도 시방서로 등록',
+};
+
+// 업로드 항목의 중복 상태에 따라 선택 가능한 저장 방식 목록을 반환합니다.
+const getSaveModeOptions = (item, existingSpec) => {
+    let modes = [];
+    if (item.duplicateOf && existingSpec) modes = ['skip', 'replace', 'revision'];
+    else if (item.duplicateInQueue) modes = ['skip', 'new'];
+    else if (item.revisionOf && existingSpec) modes = ['revision', 'new'];
+    return modes.map(value => ({ value, label: SAVE_MODE_LABELS[value] }));
+};
+
+const UploadItem = React.memo(({ item, existingSpec, onChange, onOptionChange, onDelete, onAnalyze, onCancel }) => {
     const getFileTypeFromExtension = (name) => {
         if (!name) return 'N/A';
         const ext = name.split('.').pop().toLowerCase();
@@ -307,12 +627,14 @@ const UploadItem = React.memo(({ item, onChange, onDelete, onAnalyze, isAnalyzin
         return 'ETC';
     };
 
-    const isReadyForAnalysis = item.fileName && (CURRENT_API_KEY);
+    const isReadyForAnalysis = Boolean(item.fileName);
     const isAnalyzed = item.status === 'analyzed';
     const isError = item.status === 'error';
-    const isCurrentAnalyzing = item.status === 'analyzing';
+    const isCurrentAnalyzing = item.status === 'analyzing' || item.status === 'extracting';
+    const isWaiting = item.status === 'queued' || item.status === 'retrying';
 
     const displayFileName = item.filePath ? `${item.filePath}/${item.fileName}` : item.fileName;
+    const saveModeOptions = getSaveModeOptions(item, existingSpec);
 
     return (
         <div className={`bg-gray-50 p-3 rounded-lg border ${isAnalyzed ? 'border-green-400 bg-green-50' : isError ? 'border-red-400 bg-red-50' : 'border-gray-200'} transition duration-300`}>
@@ -333,49 +655,117 @@ const UploadItem = React.memo(({ item, onChange, onDelete, onAnalyze, isAnalyzin
             
             {item.fileName && (
                 <div className="space-y-2">
+                    {saveModeOptions.length > 0 && (
+                        <div className={`text-[11px] border rounded p-2 ${item.duplicateOf || item.duplicateInQueue ? 'bg-red-50 border-red-200 text-red-800' : 'bg-amber-50 border-amber-200 text-amber-800'}`}>
+                            <div className="flex items-start mb-1">
+                                {item.duplicateOf || item.duplicateInQueue
+                                    ? <AlertCircle size={12} className="mr-1 mt-0.5 flex-shrink-0 pointer-events-none" />
+                                    : <History size={12} className="mr-1 mt-0.5 flex-shrink-0 pointer-events-none" />}
+                                <span className="break-all">
+                                    {item.duplicateOf
+                                        ? `동일한 파일이 이미 등록되어 있습니다: ${existingSpec?.fileName || ''}`
+                                        : item.duplicateInQueue
+                                        ? '등록 대기열에 같은 파일이 이미 있습니다.'
+                                        : `같은 이름의 시방서가 이미 등록되어 있습니다. (Rev.${getRevisions(existingSpec).length})`}
+                                </span>
+                            </div>
+                            <div className="flex flex-wrap gap-x-3 gap-y-1">
+                                {saveModeOptions.map(option => (
+                                    <label key={option.value} className="flex items-center gap-1 cursor-pointer">
+                                        <input type="radio" name={`mode-${item.id}`} checked={item.saveMode === option.value} onChange={() => onOptionChange(item.id, 'saveMode', option.value)} />
+                                        {option.label}
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {item.nearDuplicates.length > 0 && !item.duplicateOf && (
+                        <div className="text-[11px] bg-yellow-50 border border-yellow-200 rounded p-2 text-yellow-800">
+                            <AlertTriangle size={12} className="inline mr-1 -mt-0.5 pointer-events-none" />
+                            이름이 비슷한 시방서가 있습니다: {item.nearDuplicates.map(d => d.fileName).join(', ')}
+                        </div>
+                    )}
+
                      <textarea
                         value={item.mockContent}
                         onChange={(e) => onChange(item.id, 'mockContent', e.target.value)}
                         placeholder="분석 힌트 입력 (선택)"
                         rows="2"
                         className="w-full text-xs rounded border border-gray-300 p-2 focus:border-indigo-500 focus:ring-indigo-500 bg-white"
-                        disabled={isCurrentAnalyzing}
+                        disabled={isCurrentAnalyzing || isWaiting}
                     />
                     
+                    {item.extractedText !== null && (
+                        <div className="text-[11px] text-gray-500">
+                            {item.sheets
+                                ? `시트 추출됨: ${item.sheets.length}개 시트, ${item.sheets.reduce((sum, sh) => sum + sh.rows.length, 0).toLocaleString()}행`
+                                : item.extractedText
+                                ? `본문 텍스트 추출됨: ${item.pageCount}페이지, ${item.extractedText.length.toLocaleString()}자`
+                                : '추출된 텍스트가 없습니다. (스캔 이미지 PDF일 수 있습니다)'}
+                        </div>
+                    )}
+
                     {isError && (
                         <div className="text-xs text-red-600 font-medium">
                             오류: {item.error}
                         </div>
                     )}
+                    {item.status === 'cancelled' && (
+                        <div className="text-xs text-gray-500">분석이 취소되었습니다.</div>
+                    )}
                     
-                    <button
-                        type="button"
-                        onClick={() => onAnalyze(item.id, item)}
-                        disabled={!isReadyForAnalysis || isCurrentAnalyzing || isAnalyzing}
-                        className={`w-full flex justify-center items-center py-1.5 px-3 rounded text-xs font-medium transition ${
-                            isCurrentAnalyzing ? 'bg-yellow-500 text-white' : 
-                            isAnalyzed ? 'bg-green-600 text-white hover:bg-green-700' :
-                            isReadyForAnalysis ? 'bg-indigo-600 text-white hover:bg-indigo-700' : 
-                            'bg-gray-300 text-gray-500'
-                        }`}
-                    >
-                        {isCurrentAnalyzing ? (
-                            <>
-                                <Loader2 size={14} className="animate-spin mr-1 pointer-events-none" />
-                                분석 중...
-                            </>
-                        ) : isAnalyzed ? (
-                            <>
-                                <Zap size={14} className="mr-1 pointer-events-none" />
-                                재분석
-                            </>
-                        ) : (
-                            <>
-                                <Zap size={14} className="mr-1 pointer-events-none" />
-                                분석하기
-                            </>
+                    <div className="flex gap-1">
+                        <button
+                            type="button"
+                            onClick={() => onAnalyze(item.id)}
+                            disabled={!isReadyForAnalysis || isCurrentAnalyzing || isWaiting}
+                            className={`flex-1 flex justify-center items-center py-1.5 px-3 rounded text-xs font-medium transition ${
+                                isCurrentAnalyzing ? 'bg-yellow-500 text-white' : 
+                                isWaiting ? 'bg-gray-400 text-white' :
+                                isAnalyzed ? 'bg-green-600 text-white hover:bg-green-700' :
+                                isReadyForAnalysis ? 'bg-indigo-600 text-white hover:bg-indigo-700' : 
+                                'bg-gray-300 text-gray-500'
+                            }`}
+                        >
+                            {isCurrentAnalyzing ? (
+                                <>
+                                    <Loader2 size={14} className="animate-spin mr-1 pointer-events-none" />
+                                    {item.status === 'extracting' ? '텍스트 추출 중...' : '분석 중...'}
+                                </>
+                            ) : item.status === 'retrying' ? (
+                                <>
+                                    <History size={14} className="mr-1 pointer-events-none" />
+                                    요청 한도 초과 - {new Date(item.retryAt).toLocaleTimeString()}에 재시도
+                                </>
+                            ) : item.status === 'queued' ? (
+                                <>
+                                    <History size={14} className="mr-1 pointer-events-none" />
+                                    분석 대기 중
+                                </>
+                            ) : isAnalyzed ? (
+                                <>
+                                    <Zap size={14} className="mr-1 pointer-events-none" />
+                                    재분석
+                                </>
+                            ) : (
+                                <>
+                                    <Zap size={14} className="mr-1 pointer-events-none" />
+                                    분석하기
+                                </>
+                            )}
+                        </button>
+                        {(isWaiting || isCurrentAnalyzing) && (
+                            <button
+                                type="button"
+                                onClick={() => onCancel(item.id)}
+                                className="px-2 rounded border border-gray-300 text-gray-500 hover:text-red-600 hover:border-red-300 transition"
+                                title="분석 취소"
+                            >
+                                <X size={14} className="pointer-events-none" />
+                            </button>
                         )}
-                    </button>
+                    </div>
                 </div>
             )}
         </div>
@@ -383,267 +773,3449 @@ const UploadItem = React.memo(({ item, onChange, onDelete, onAnalyze, isAnalyzin
 });
 UploadItem.displayName = 'UploadItem';
 
-const SpecUploadModal = ({ onClose, onSave, analyzeFunction }) => {
-    const fileInputRef = useRef(null);
-    const folderInputRef = useRef(null);
+// 편집 폼에서는 목록형 필드를 줄바꿈으로 구분된 텍스트로 다룹니다.
+const toAttributeDraft = (attributes) => {
+    const normalized = normalizeSpecAttributes(attributes);
+    const draft = { ...normalized, forgingTemperature: { ...normalized.forgingTemperature } };
+    SPEC_ATTRIBUTE_FIELDS.filter(f => f.type === 'list').forEach(f => {
+        draft[f.key] = normalized[f.key].join('\n');
+    });
+    return draft;
+};
 
-    const [uploadQueue, setUploadQueue] = useState([createInitialItem()]);
-    const [isAnalyzing, setIsAnalyzing] = useState(false);
-    const [isSaving, setIsSaving] = useState(false);
+const SpecAttributesPanel = ({ attributes, verification, canEdit, onSave }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(() => toAttributeDraft(attributes));
 
-    const analyzedCount = uploadQueue.filter(item => item.fileName && item.status === 'analyzed').length;
+    const handleStartEdit = () => {
+        setDraft(toAttributeDraft(attributes));
+        setIsEditing(true);
+    };
 
-    const handleFileSelect = useCallback((event) => {
-        const files = Array.from(event.target.files);
-        if (files.length === 0) return;
+    const handleFieldChange = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
 
-        // INP 최적화: 파일 처리 로직을 비동기로 미룸
-        setTimeout(() => {
-            const allowedExtensions = ['pdf', 'xlsx', 'xls'];
-            const validFiles = files.filter(file => {
-                const ext = file.name.split('.').pop().toLowerCase();
-                return allowedExtensions.includes(ext);
-            });
+    const handleRangeChange = (part, value) => setDraft(prev => ({
+        ...prev,
+        forgingTemperature: { ...prev.forgingTemperature, [part]: value }
+    }));
 
-            if (validFiles.length === 0) {
-                alert("PDF 또는 엑셀 파일(.pdf, .xlsx, .xls)만 업로드할 수 있습니다.");
-                return;
-            }
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(normalizeSpecAttributes(draft));
+        setIsEditing(false);
+    };
 
-            const newSpecs = validFiles.map(file => {
-                const parts = file.name.split('.');
-                const ext = parts.pop().toLowerCase();
-                let fileType = 'ETC';
-                if(ext === 'pdf') fileType = 'PDF';
-                else if(ext === 'xlsx' || ext === 'xls') fileType = 'XLSX';
+    const inputClass = "w-full text-xs rounded border border-gray-300 px-2 py-1.5 focus:outline-none focus:border-indigo-500 bg-white";
 
-                let filePath = '';
-                if (file.webkitRelativePath) {
-                    const pathParts = file.webkitRelativePath.split('/');
-                    filePath = pathParts.slice(0, -1).join('/'); 
-                }
-                
-                return {
-                    id: safeCreateId(),
-                    file: file, 
-                    fileName: file.name,
-                    filePath: filePath, 
-                    fileType: fileType, 
-                    mockContent: '', 
-                    status: 'pending', 
-                    summary: '', 
-                    keywords: [], 
-                    error: ''
-                };
-            });
-            
-            setUploadQueue(prev => {
-                const existingFiles = prev.filter(item => item.fileName);
-                return [...existingFiles, ...newSpecs, createInitialItem()];
-            });
-        }, 0);
+    if (!isEditing) {
+        const normalized = normalizeSpecAttributes(attributes);
+        return (
+            <div className="mb-6 border border-gray-200 rounded-lg">
+                <div className="flex justify-between items-center px-3 py-2 border-b border-gray-100 bg-gray-50 rounded-t-lg">
+                    <span className="flex items-center gap-2 text-xs font-semibold text-gray-700">구조화 사양 <VerifiedBadge verification={verification} /></span>
+                    {canEdit && (
+                        <button type="button" onClick={handleStartEdit} className="flex items-center text-xs text-indigo-600 hover:text-indigo-800">
+                            <Pencil size={12} className="mr-1 pointer-events-none" /> 수정
+                        </button>
+                    )}
+                </div>
+                {hasAnyAttribute(normalized) ? (
+                    <dl className="grid grid-cols-[7rem_1fr] gap-x-3 gap-y-1.5 p-3 text-xs">
+                        {SPEC_ATTRIBUTE_FIELDS.map(field => (
+                            <React.Fragment key={field.key}>
+                                <dt className="text-gray-500">{field.label}</dt>
+                                <dd className="text-gray-800 break-words">{formatAttributeValue(field, normalized[field.key]) || <span className="text-gray-300">-</span>}</dd>
+                            </React.Fragment>
+                        ))}
+                    </dl>
+                ) : (
+                    <p className="p-3 text-xs italic text-gray-400">추출된 사양 정보가 없습니다.{canEdit && ' 수정 버튼으로 직접 입력할 수 있습니다.'}</p>
+                )}
+            </div>
+        );
+    }
 
-        event.target.value = ''; 
-    }, []);
+    return (
+        <form onSubmit={handleSubmit} className="mb-6 border border-indigo-200 rounded-lg p-3 space-y-2 bg-indigo-50/30">
+            {SPEC_ATTRIBUTE_FIELDS.map(field => (
+                <label key={field.key} className="block">
+                    <span className="block text-[11px] font-medium text-gray-600 mb-0.5">
+                        {field.label}{field.type === 'list' && <span className="text-gray-400 font-normal"> (줄마다 하나씩)</span>}
+                    </span>
+                    {field.type === 'range' ? (
+                        <div className="flex items-center gap-2">
+                            <input type="number" value={draft.forgingTemperature.min ?? ''} onChange={(e) => handleRangeChange('min', e.target.value)} placeholder="최소" className={inputClass} />
+                            <span className="text-gray-400">~</span>
+                            <input type="number" value={draft.forgingTemperature.max ?? ''} onChange={(e) => handleRangeChange('max', e.target.value)} placeholder="최대" className={inputClass} />
+                            <select value={draft.forgingTemperature.unit} onChange={(e) => handleRangeChange('unit', e.target.value)} className="text-xs rounded border border-gray-300 px-1 py-1.5 bg-white">
+                                <option value="°C">°C</option>
+                                <option value="°F">°F</option>
+                            </select>
+                        </div>
+                    ) : field.type === 'list' ? (
+                        <textarea rows="2" value={draft[field.key]} onChange={(e) => handleFieldChange(field.key, e.target.value)} placeholder={field.placeholder} className={inputClass} />
+                    ) : (
+                        <input type="text" value={draft[field.key]} onChange={(e) => handleFieldChange(field.key, e.target.value)} placeholder={field.placeholder} className={inputClass} />
+                    )}
+                </label>
+            ))}
+            <div className="flex gap-2 pt-1">
+                <button type="button" onClick={() => setIsEditing(false)} className="flex-1 py-1.5 bg-white border border-gray-300 text-gray-700 rounded text-xs hover:bg-gray-50">취소</button>
+                <button type="submit" className="flex-1 py-1.5 bg-indigo-600 text-white rounded text-xs hover:bg-indigo-700 flex items-center justify-center">
+                    <Save size={12} className="mr-1 pointer-events-none" /> 저장
+                </button>
+            </div>
+        </form>
+    );
+};
 
-    const handleRemoveItem = useCallback((id) => {
-        setUploadQueue(prev => prev.filter((item) => item.id !== id));
-    }, []);
+const VerifiedBadge = ({ verification }) => {
+    if (!verification) return null;
+    const title = `${verification.by?.name || '알 수 없음'} · ${new Date(verification.at).toLocaleString()}`;
+    return (
+        <span className="inline-flex items-center text-[10px] font-medium text-green-700 bg-green-50 rounded px-1.5 py-0.5" title={title}>
+            <ShieldCheck size={10} className="mr-0.5 pointer-events-none" /> 검증됨
+        </span>
+    );
+};
 
-    const handleInputChange = useCallback((id, field, value) => {
-        setUploadQueue(prev => prev.map((item) => {
-            if (item.id === id) {
-                return { 
-                    ...item, 
-                    [field]: value, 
-                    status: (item.status === 'analyzed' || item.status === 'error') ? 'pending' : item.status,
-                };
-            }
-            return item;
-        }));
-    }, []);
+const formatConflictValue = (field, value) => {
+    if (field === 'attributes') {
+        return SPEC_ATTRIBUTE_FIELDS.map(f => formatAttributeValue(f, value[f.key]) && `${f.label}: ${formatAttributeValue(f, value[f.key])}`).filter(Boolean).join('\n') || '-';
+    }
+    if (Array.isArray(value)) return value.map(v => `#${v}`).join(' ') || '-';
+    return value || '-';
+};
 
-    const handleAnalyzeItem = useCallback(async (id, item) => {
-        setIsAnalyzing(true);
-        setUploadQueue(prev => prev.map(q => q.id === id ? { ...q, status: 'analyzing', error: '' } : q));
-        
+// 요약/키워드/태그 편집과 AI 재분석을 담당합니다. 사람이 저장한 필드는 검증됨으로 표시됩니다.
+const SpecMetadataEditor = ({ spec, canEdit, canReanalyze, onSave, onReanalyze, onApplyReanalysis }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState({ summary: '', keywords: '', tags: '' });
+    const [isReanalyzing, setIsReanalyzing] = useState(false);
+    const [review, setReview] = useState(null);
+    const [notice, setNotice] = useState('');
+
+    const handleStartEdit = () => {
+        setDraft({ summary: spec.summary || '', keywords: (spec.keywords || []).join(', '), tags: (spec.tags || []).join(', ') });
+        setNotice('');
+        setIsEditing(true);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave({ summary: draft.summary, keywords: parseTagList(draft.keywords), tags: parseTagList(draft.tags) });
+        setIsEditing(false);
+    };
+
+    const handleReanalyze = async () => {
+        setIsReanalyzing(true);
+        setNotice('');
         try {
-            const result = await analyzeFunction(item);
-            setUploadQueue(prev => prev.map(q => q.id === id ? { ...q, ...result, status: 'analyzed' } : q));
-        } catch (e) {
-            setUploadQueue(prev => prev.map(q => q.id === id ? { ...q, status: 'error', error: e.message } : q));
+            const { patch, conflicts } = await onReanalyze(spec);
+            if (conflicts.length > 0) {
+                setReview({ patch, conflicts, accepted: new Set() });
+            } else {
+                const changedCount = Object.keys(patch).filter(key => key in VERIFIABLE_FIELDS).length;
+                if (Object.keys(patch).length > 0) onApplyReanalysis(patch);
+                setNotice(changedCount > 0 ? `재분석 결과를 ${changedCount}개 항목에 반영했습니다.` : '재분석 결과가 현재 내용과 같습니다.');
+            }
+        } catch (err) {
+            setNotice(err.message);
         } finally {
-            setIsAnalyzing(false);
+            setIsReanalyzing(false);
         }
-    }, [analyzeFunction]);
+    };
 
-    const handleAnalyzeAll = async () => {
-        const itemsToAnalyze = uploadQueue.filter(item => item.fileName && (item.status === 'pending' || item.status === 'error'));
-        if (itemsToAnalyze.length === 0) {
-            alert("분석할 항목이 없습니다.");
-            return;
-        }
+    const toggleAccepted = (field) => setReview(prev => {
+        const accepted = new Set(prev.accepted);
+        if (accepted.has(field)) accepted.delete(field);
+        else accepted.add(field);
+        return { ...prev, accepted };
+    });
 
-        setIsAnalyzing(true);
-        await Promise.all(itemsToAnalyze.map(item => handleAnalyzeItem(item.id, item)));
-        setIsAnalyzing(false);
+    const handleApplyReview = () => {
+        const accepted = review.conflicts.filter(c => review.accepted.has(c.field));
+        const patch = applyAcceptedConflicts(spec, review.patch, accepted);
+        if (Object.keys(patch).length > 0) onApplyReanalysis(patch);
+        setNotice(`재분석 결과를 반영했습니다. 검증된 항목 ${review.conflicts.length - accepted.length}개는 유지했습니다.`);
+        setReview(null);
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        const specsToSave = uploadQueue.filter(item => item.status === 'analyzed');
-        if (specsToSave.length === 0) {
-            alert("저장할 분석 완료 항목이 없습니다.");
-            return;
+    const inputClass = "w-full text-xs rounded border border-gray-300 px-2 py-1.5 focus:outline-none focus:border-indigo-500 bg-white";
+
+    if (isEditing) {
+        return (
+            <form onSubmit={handleSubmit} className="mb-4 border border-indigo-200 rounded-lg p-3 space-y-2 bg-indigo-50/30">
+                <label className="block">
+                    <span className="block text-[11px] font-medium text-gray-600 mb-0.5">요약</span>
+                    <textarea rows="6" value={draft.summary} onChange={(e) => setDraft(prev => ({ ...prev, summary: e.target.value }))} className={inputClass} />
+                </label>
+                <label className="block">
+                    <span className="block text-[11px] font-medium text-gray-600 mb-0.5">키워드 <span className="text-gray-400 font-normal">(쉼표로 구분)</span></span>
+                    <input type="text" value={draft.keywords} onChange={(e) => setDraft(prev => ({ ...prev, keywords: e.target.value }))} className={inputClass} />
+                </label>
+                <label className="block">
+                    <span className="block text-[11px] font-medium text-gray-600 mb-0.5">태그 <span className="text-gray-400 font-normal">(쉼표로 구분, 예: 긴급, 고객승인대기)</span></span>
+                    <input type="text" value={draft.tags} onChange={(e) => setDraft(prev => ({ ...prev, tags: e.target.value }))} className={inputClass} />
+                </label>
+                <div className="flex gap-2 pt-1">
+                    <button type="button" onClick={() => setIsEditing(false)} className="flex-1 py-1.5 bg-white border border-gray-300 text-gray-700 rounded text-xs hover:bg-gray-50">취소</button>
+                    <button type="submit" className="flex-1 py-1.5 bg-indigo-600 text-white rounded text-xs hover:bg-indigo-700 flex items-center justify-center">
+                        <Save size={12} className="mr-1 pointer-events-none" /> 저장
+                    </button>
+                </div>
+            </form>
+        );
+    }
+
+    return (
+        <div className="mb-4">
+            <div className="flex items-center gap-2 mb-1.5">
+                <span className="text-xs font-semibold text-gray-700">요약</span>
+                <VerifiedBadge verification={spec.verification?.summary} />
+                <div className="ml-auto flex items-center gap-3">
+                    {canReanalyze && (
+                        <button type="button" onClick={handleReanalyze} disabled={isReanalyzing} className="flex items-center text-xs text-amber-600 hover:text-amber-800 disabled:opacity-50">
+                            {isReanalyzing ? <Loader2 size={12} className="mr-1 animate-spin pointer-events-none" /> : <Zap size={12} className="mr-1 pointer-events-none" />} AI 재분석
+                        </button>
+                    )}
+                    {canEdit && (
+                        <button type="button" onClick={handleStartEdit} className="flex items-center text-xs text-indigo-600 hover:text-indigo-800">
+                            <Pencil size={12} className="mr-1 pointer-events-none" /> 수정
+                        </button>
+                    )}
+                </div>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg border border-gray-200 max-h-80 overflow-y-auto mb-3 text-sm text-gray-700 leading-relaxed">
+                <p className="whitespace-pre-wrap">{spec.summary}</p>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-1.5 mb-2">
+                {spec.keywords?.map((k, i) => (
+                    <span key={i} className="px-2 py-1 bg-white border border-gray-200 text-gray-600 text-xs rounded-md shadow-sm">#{k}</span>
+                ))}
+                <VerifiedBadge verification={spec.verification?.keywords} />
+            </div>
+            {spec.tags && spec.tags.length > 0 && (
+                <div className="flex flex-wrap items-center gap-1.5 mb-2">
+                    {spec.tags.map((tag, i) => (
+                        <span key={i} className="px-2 py-1 bg-amber-50 border border-amber-200 text-amber-700 text-xs rounded-md">{tag}</span>
+                    ))}
+                </div>
+            )}
+
+            {notice && <p className="text-[11px] text-gray-500 mb-2">{notice}</p>}
+
+            {review && (
+                <div className="border border-amber-200 bg-amber-50/50 rounded-lg p-3 mb-2 text-xs">
+                    <p className="font-medium text-amber-800 mb-2 flex items-center">
+                        <AlertTriangle size={12} className="mr-1 pointer-events-none" /> 검증된 항목과 AI 결과가 다릅니다. 덮어쓸 항목만 선택하세요.
+                    </p>
+                    {review.conflicts.map(conflict => (
+                        <label key={conflict.field} className="block border-t border-amber-100 py-2 cursor-pointer">
+                            <span className="flex items-center font-medium text-gray-700 mb-1">
+                                <input type="checkbox" checked={review.accepted.has(conflict.field)} onChange={() => toggleAccepted(conflict.field)} className="mr-1.5" />
+                                {conflict.label}
+                            </span>
+                            <span className="grid grid-cols-2 gap-2">
+                                <span className="whitespace-pre-wrap break-words text-gray-600 bg-white rounded p-1.5 max-h-32 overflow-y-auto"><b className="block text-[10px] text-gray-400">현재 (검증됨)</b>{formatConflictValue(conflict.field, conflict.current)}</span>
+                                <span className="whitespace-pre-wrap break-words text-gray-600 bg-white rounded p-1.5 max-h-32 overflow-y-auto"><b className="block text-[10px] text-gray-400">AI 결과</b>{formatConflictValue(conflict.field, conflict.proposed)}</span>
+                            </span>
+                        </label>
+                    ))}
+                    <div className="flex gap-2 pt-1">
+                        <button type="button" onClick={() => setReview(null)} className="flex-1 py-1.5 bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-50">취소</button>
+                        <button type="button" onClick={handleApplyReview} className="flex-1 py-1.5 bg-indigo-600 text-white rounded hover:bg-indigo-700">적용</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const SpecQaPanel = ({ onAsk, onOpenSpec, onOpenFile, isAvailable }) => {
+    const [question, setQuestion] = useState('');
+    const [isAsking, setIsAsking] = useState(false);
+    const [result, setResult] = useState(null);
+    const [qaError, setQaError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!question.trim() || isAsking) return;
+        setIsAsking(true);
+        setQaError('');
+        try {
+            setResult(await onAsk(question.trim()));
+        } catch (err) {
+            setResult(null);
+            setQaError("답변 생성 실패: " + err.message);
+        } finally {
+            setIsAsking(false);
+        }
+    };
+
+    return (
+        <div className="bg-white border border-indigo-100 rounded-lg p-4 mb-6 shadow-sm">
+            <form onSubmit={handleSubmit} className="flex gap-2">
+                <input
+                    type="text"
+                    value={question}
+                    onChange={(e) => setQuestion(e.target.value)}
+                    placeholder="예: SA-182 F316 단조품에 초음파 탐상을 요구하는 고객사는?"
+                    className="flex-grow rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:border-indigo-500"
+                    disabled={!isAvailable || isAsking}
+                />
+                <button type="submit" disabled={!isAvailable || isAsking || !question.trim()} className="flex items-center px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700 disabled:bg-gray-300 transition">
+                    {isAsking ? <Loader2 size={16} className="animate-spin pointer-events-none" /> : <Send size={16} className="pointer-events-none" />}
+                    <span className="ml-1.5">질문</span>
+                </button>
+            </form>
+            {!isAvailable && <p className="mt-2 text-xs text-gray-400">현재 AI 설정으로는 질의응답을 사용할 수 없습니다. AI 설정에서 서버 프록시 또는 OpenAI 호환 API를 지정하세요.</p>}
+            {qaError && <p className="mt-3 text-xs text-red-600">{qaError}</p>}
+            {result && (
+                <div className="mt-4 space-y-3">
+                    <p className="text-sm text-gray-800 whitespace-pre-wrap leading-relaxed">{result.answer}</p>
+                    {result.citations.length > 0 && (
+                        <div>
+                            <h4 className="text-xs font-semibold text-gray-500 mb-1">출처</h4>
+                            <ul className="space-y-1">
+                                {result.citations.map((c, i) => (
+                                    <li key={c.id} className="flex items-start gap-2 text-xs">
+                                        <span className="text-indigo-500 font-semibold">[{i + 1}]</span>
+                                        <div className="min-w-0">
+                                            <button type="button" onClick={() => onOpenSpec(c.id)} className="text-indigo-600 hover:underline text-left break-all">{c.fileName}</button>
+                                            <button type="button" onClick={() => onOpenFile(c.id)} className="ml-2 text-gray-400 hover:text-indigo-600" title="원본 보기">
+                                                <Eye size={12} className="inline pointer-events-none" />
+                                            </button>
+                                            {c.note && <p className="text-gray-500 mt-0.5">{c.note}</p>}
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    {result.citations.length === 0 && result.sources.length > 0 && (
+                        <p className="text-[11px] text-gray-400">참고한 문서: {result.sources.map(s => s.fileName).join(', ')}</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// 최신 개정본은 이후 수정 사항이 반영된 시방서 레코드 값을 사용합니다.
+const resolveRevisionView = (spec, revision) => (revision.storageKey === spec.id ? { ...revision, ...spec, id: revision.id, storageKey: spec.id } : revision);
+
+const RevisionHistory = ({ spec, onCompare, onDownload }) => {
+    const revisions = getRevisions(spec);
+    const [fromId, setFromId] = useState(revisions.length > 1 ? revisions[revisions.length - 2].id : '');
+    const [toId, setToId] = useState(revisions[revisions.length - 1].id);
+
+    return (
+        <div className="mb-6 border border-gray-200 rounded-lg">
+            <div className="flex items-center px-3 py-2 border-b border-gray-100 bg-gray-50 rounded-t-lg">
+                <History size={12} className="mr-1 text-gray-500 pointer-events-none" />
+                <span className="text-xs font-semibold text-gray-700">개정 이력 ({revisions.length})</span>
+            </div>
+            <ul className="divide-y divide-gray-100 max-h-40 overflow-y-auto">
+                {[...revisions].reverse().map(rev => (
+                    <li key={rev.id} className="flex items-center gap-2 px-3 py-1.5 text-xs">
+                        <span className={`font-semibold w-12 ${rev.storageKey === spec.id ? 'text-indigo-600' : 'text-gray-500'}`}>Rev.{rev.revision}</span>
+                        <span className="flex-grow truncate text-gray-700" title={rev.fileName}>{rev.fileName}</span>
+                        <span className="text-gray-400 whitespace-nowrap">{new Date(rev.createdAt).toLocaleDateString()}</span>
+                        <button type="button" onClick={() => onDownload(resolveRevisionView(spec, rev))} className="text-gray-400 hover:text-green-600" title="이 개정본 다운로드">
+                            <Download size={12} className="pointer-events-none" />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            {revisions.length > 1 && (
+                <div className="flex items-center gap-1.5 px-3 py-2 border-t border-gray-100 text-xs">
+                    <select value={fromId} onChange={(e) => setFromId(e.target.value)} className="border border-gray-300 rounded px-1 py-1 bg-white">
+                        {revisions.map(rev => <option key={rev.id} value={rev.id}>Rev.{rev.revision}</option>)}
+                    </select>
+                    <span className="text-gray-400">↔</span>
+                    <select value={toId} onChange={(e) => setToId(e.target.value)} className="border border-gray-300 rounded px-1 py-1 bg-white">
+                        {revisions.map(rev => <option key={rev.id} value={rev.id}>Rev.{rev.revision}</option>)}
+                    </select>
+                    <button
+                        type="button"
+                        onClick={() => onCompare(fromId, toId)}
+                        disabled={fromId === toId}
+                        className="ml-auto flex items-center px-2.5 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+                    >
+                        <GitCompare size={12} className="mr-1 pointer-events-none" /> 비교
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// 시방서를 품번·고객사에 연결합니다. 고객사에 연결한 시방서는 그 고객사의 모든 품번에 적용됩니다.
+const SpecLinksPanel = ({ spec, catalog, canEdit, onSave }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState({ partIds: [], customerIds: [] });
+    const [partInput, setPartInput] = useState('');
+
+    const partsById = useMemo(() => new Map(catalog.parts.map(p => [p.id, p])), [catalog.parts]);
+    const customersById = useMemo(() => new Map(catalog.customers.map(c => [c.id, c])), [catalog.customers]);
+    const source = isEditing ? draft : { partIds: spec.partIds || [], customerIds: spec.customerIds || [] };
+    const linkedParts = source.partIds.map(id => partsById.get(id)).filter(Boolean);
+    const linkedCustomers = source.customerIds.map(id => customersById.get(id)).filter(Boolean);
+
+    const handleStartEdit = () => {
+        setDraft({ partIds: linkedParts.map(p => p.id), customerIds: linkedCustomers.map(c => c.id) });
+        setPartInput('');
+        setIsEditing(true);
+    };
+
+    const handleAddPart = () => {
+        if (!partInput.trim()) return;
+        const part = findPartByNumber(catalog, partInput);
+        if (!part) {
+            alert(`품번 '${partInput.trim()}'을(를) 찾을 수 없습니다. 품번 관리에서 먼저 등록하세요.`);
+            return;
+        }
+        setDraft(prev => (prev.partIds.includes(part.id) ? prev : { ...prev, partIds: [...prev.partIds, part.id] }));
+        setPartInput('');
+    };
+
+    const handleAddCustomer = (id) => {
+        if (!id) return;
+        setDraft(prev => (prev.customerIds.includes(id) ? prev : { ...prev, customerIds: [...prev.customerIds, id] }));
+    };
+
+    const handleRemove = (field, id) => setDraft(prev => ({ ...prev, [field]: prev[field].filter(v => v !== id) }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(draft);
+        setIsEditing(false);
+    };
+
+    const chipClass = "inline-flex items-center text-[11px] rounded px-1.5 py-0.5";
+
+    return (
+        <form onSubmit={handleSubmit} className={`mb-6 border rounded-lg ${isEditing ? 'border-indigo-200 bg-indigo-50/30' : 'border-gray-200'}`}>
+            <div className="flex justify-between items-center px-3 py-2 border-b border-gray-100 bg-gray-50 rounded-t-lg">
+                <span className="flex items-center text-xs font-semibold text-gray-700"><Package size={12} className="mr-1 text-gray-500 pointer-events-none" /> 품번 · 고객사</span>
+                {canEdit && !isEditing && (
+                    <button type="button" onClick={handleStartEdit} className="flex items-center text-xs text-indigo-600 hover:text-indigo-800">
+                        <Pencil size={12} className="mr-1 pointer-events-none" /> 연결 편집
+                    </button>
+                )}
+            </div>
+            <div className="p-3 space-y-2 text-xs">
+                <div className="flex flex-wrap items-center gap-1">
+                    <span className="w-14 text-gray-500">품번</span>
+                    {linkedParts.map(part => (
+                        <span key={part.id} className={`${chipClass} bg-indigo-50 text-indigo-700`} title={[part.name, part.drawingNumber && `도면 ${part.drawingNumber}`].filter(Boolean).join(' · ')}>
+                            {part.partNumber}
+                            {isEditing && (
+                                <button type="button" onClick={() => handleRemove('partIds', part.id)} className="ml-1 text-indigo-400 hover:text-red-600" title="연결 해제">
+                                    <X size={10} className="pointer-events-none" />
+                                </button>
+                            )}
+                        </span>
+                    ))}
+                    {linkedParts.length === 0 && !isEditing && <span className="text-gray-300">-</span>}
+                </div>
+                <div className="flex flex-wrap items-center gap-1">
+                    <span className="w-14 text-gray-500">고객 공통</span>
+                    {linkedCustomers.map(customer => (
+                        <span key={customer.id} className={`${chipClass} bg-amber-50 text-amber-700`}>
+                            {customer.name}
+                            {isEditing && (
+                                <button type="button" onClick={() => handleRemove('customerIds', customer.id)} className="ml-1 text-amber-400 hover:text-red-600" title="연결 해제">
+                                    <X size={10} className="pointer-events-none" />
+                                </button>
+                            )}
+                        </span>
+                    ))}
+                    {linkedCustomers.length === 0 && !isEditing && <span className="text-gray-300">-</span>}
+                </div>
+                {isEditing && (
+                    <>
+                        <div className="flex gap-2 pt-1">
+                            <input
+                                type="text"
+                                list="spec-link-parts"
+                                value={partInput}
+                                onChange={(e) => setPartInput(e.target.value)}
+                                onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); handleAddPart(); } }}
+                                placeholder="품번 입력"
+                                className="flex-1 min-w-0 rounded border border-gray-300 px-2 py-1.5 focus:outline-none focus:border-indigo-500 bg-white"
+                            />
+                            <datalist id="spec-link-parts">
+                                {catalog.parts.map(part => <option key={part.id} value={part.partNumber}>{part.name}</option>)}
+                            </datalist>
+                            <button type="button" onClick={handleAddPart} className="flex items-center px-2 py-1.5 bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-50">
+                                <Plus size={12} className="mr-1 pointer-events-none" /> 품번
+                            </button>
+                            <select value="" onChange={(e) => handleAddCustomer(e.target.value)} className="rounded border border-gray-300 px-1 py-1.5 bg-white">
+                                <option value="">고객사 공통 추가</option>
+                                {catalog.customers.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="flex gap-2 pt-1">
+                            <button type="button" onClick={() => setIsEditing(false)} className="flex-1 py-1.5 bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-50">취소</button>
+                            <button type="submit" className="flex-1 py-1.5 bg-indigo-600 text-white rounded hover:bg-indigo-700 flex items-center justify-center">
+                                <Save size={12} className="mr-1 pointer-events-none" /> 저장
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </form>
+    );
+};
+
+const DIFF_ROW_STYLES = {
+    same: ['', ''],
+    changed: ['bg-red-50 text-red-800', 'bg-green-50 text-green-800'],
+    del: ['bg-red-50 text-red-800', 'bg-gray-50'],
+    add: ['bg-gray-50', 'bg-green-50 text-green-800'],
+};
+
+const RevisionDiffView = ({ spec, fromId, toId, onBack }) => {
+    const revisions = getRevisions(spec);
+    const from = resolveRevisionView(spec, revisions.find(r => r.id === fromId));
+    const to = resolveRevisionView(spec, revisions.find(r => r.id === toId));
+    const [texts, setTexts] = useState(null);
+    const [showUnchanged, setShowUnchanged] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([getTextFromDB(from.storageKey), getTextFromDB(to.storageKey)])
+            .then(([a, b]) => { if (!cancelled) setTexts({ from: a?.text || '', to: b?.text || '' }); })
+            .catch(err => {
+                console.error("Revision text load failed", err);
+                if (!cancelled) setTexts({ from: '', to: '' });
+            });
+        return () => { cancelled = true; };
+    }, [from.storageKey, to.storageKey]);
+
+    const attributeRows = useMemo(() => diffAttributes(from.attributes, to.attributes), [from.attributes, to.attributes]);
+    const textDiff = useMemo(() => {
+        if (!texts) return null;
+        const { ops, truncated } = diffLines(texts.from, texts.to);
+        return { rows: toSideBySideRows(ops), truncated };
+    }, [texts]);
+
+    const metaRows = [
+        { label: '파일명', left: from.fileName, right: to.fileName },
+        { label: '요약', left: from.summary, right: to.summary },
+        { label: '키워드', left: (from.keywords || []).join(', '), right: (to.keywords || []).join(', ') },
+    ].map(row => ({ ...row, changed: row.left !== row.right }));
+
+    const visibleTextRows = textDiff ? (showUnchanged ? textDiff.rows : textDiff.rows.filter(r => r.type !== 'same')) : [];
+
+    return (
+        <div className="flex flex-col h-full">
+            <div className="flex items-center gap-3 p-4 border-b border-gray-200 bg-gray-50 rounded-t-xl">
+                <button onClick={onBack} className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-200 transition" title="뒤로">
+                    <ArrowLeft size={18} />
+                </button>
+                <h3 className="text-base font-bold text-gray-800 truncate">{spec.fileName} — Rev.{from.revision} ↔ Rev.{to.revision}</h3>
+            </div>
+            <div className="flex-grow overflow-y-auto p-4 space-y-6">
+                <table className="w-full text-xs border-collapse table-fixed">
+                    <thead>
+                        <tr className="bg-gray-100 text-gray-600">
+                            <th className="border border-gray-200 px-2 py-1 w-32 text-left">항목</th>
+                            <th className="border border-gray-200 px-2 py-1 text-left">Rev.{from.revision} ({new Date(from.createdAt).toLocaleDateString()})</th>
+                            <th className="border border-gray-200 px-2 py-1 text-left">Rev.{to.revision} ({new Date(to.createdAt).toLocaleDateString()})</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {[...metaRows, ...attributeRows].map(row => (
+                            <tr key={row.label} className={row.changed ? 'bg-amber-50' : ''}>
+                                <td className="border border-gray-200 px-2 py-1 text-gray-500 font-medium">{row.label}</td>
+                                <td className="border border-gray-200 px-2 py-1 whitespace-pre-wrap break-words">{row.left || <span className="text-gray-300">-</span>}</td>
+                                <td className="border border-gray-200 px-2 py-1 whitespace-pre-wrap break-words">{row.right || <span className="text-gray-300">-</span>}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <div>
+                    <div className="flex justify-between items-center mb-2">
+                        <h4 className="text-sm font-semibold text-gray-700">본문 비교</h4>
+                        <label className="flex items-center gap-1 text-xs text-gray-500 cursor-pointer">
+                            <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                            변경 없는 줄 표시
+                        </label>
+                    </div>
+                    {!textDiff ? (
+                        <div className="flex items-center text-xs text-gray-400"><Loader2 size={14} className="animate-spin mr-1" /> 본문을 불러오는 중...</div>
+                    ) : !texts.from && !texts.to ? (
+                        <p className="text-xs text-gray-400">두 개정본 모두 추출된 본문이 없습니다.</p>
+                    ) : (
+                        <>
+                            {textDiff.truncated && <p className="text-xs text-amber-600 mb-2">본문이 매우 커서 줄 단위 정렬 없이 변경 블록만 표시합니다.</p>}
+                            {visibleTextRows.length === 0 ? (
+                                <p className="text-xs text-gray-400">본문에 변경 사항이 없습니다.</p>
+                            ) : (
+                                <table className="w-full text-[11px] font-mono border-collapse table-fixed">
+                                    <tbody>
+                                        {visibleTextRows.map((row, i) => (
+                                            <tr key={i}>
+                                                <td className={`border border-gray-100 px-2 py-0.5 whitespace-pre-wrap break-words align-top ${DIFF_ROW_STYLES[row.type][0]}`}>{row.left ?? ''}</td>
+                                                <td className={`border border-gray-100 px-2 py-0.5 whitespace-pre-wrap break-words align-top ${DIFF_ROW_STYLES[row.type][1]}`}>{row.right ?? ''}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const COMPARE_ROW_STYLES = {
+    conflict: 'bg-red-50',
+    partial: 'bg-amber-50/60',
+    same: '',
+    empty: '',
+};
+
+const COMPARE_STATUS_LABELS = {
+    conflict: { label: '다름', className: 'bg-red-100 text-red-700' },
+    partial: { label: '일부 없음', className: 'bg-amber-100 text-amber-700' },
+    same: { label: '같음', className: 'bg-green-50 text-green-700' },
+    empty: { label: '없음', className: 'bg-gray-100 text-gray-400' },
+};
+
+// 선택한 시방서들의 정형 필드를 열로 나란히 놓고, 값이 다른 항목을 강조합니다. 목록형 항목은 모든 시방서에 공통이 아닌 값을 표시합니다.
+const SpecComparisonView = ({ specs, onSummarize, isSummaryAvailable, onOpenSpec, onClose }) => {
+    const [conflictsOnly, setConflictsOnly] = useState(false);
+    const [isSummarizing, setIsSummarizing] = useState(false);
+    const [summary, setSummary] = useState(null);
+    const [summaryError, setSummaryError] = useState('');
+
+    const rows = useMemo(() => compareSpecAttributes(specs), [specs]);
+    const conflictCount = countConflicts(rows);
+    const visibleRows = conflictsOnly ? rows.filter(row => row.status === 'conflict' || row.status === 'partial') : rows.filter(row => row.status !== 'empty');
+
+    const handleSummarize = async () => {
+        setIsSummarizing(true);
+        setSummaryError('');
+        try {
+            setSummary(await onSummarize(specs, rows));
+        } catch (err) {
+            setSummary(null);
+            setSummaryError("차이 요약 실패: " + err.message);
+        } finally {
+            setIsSummarizing(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col h-full">
+            <div className="flex justify-between items-center gap-3 p-4 border-b border-gray-200 bg-gray-50 rounded-t-xl">
+                <h3 className="text-base font-bold text-gray-800 flex items-center">
+                    <GitCompare size={18} className="mr-2 text-indigo-600 pointer-events-none" /> 시방서 비교 ({specs.length}건)
+                    <span className={`ml-2 px-2 py-0.5 rounded text-xs font-medium ${conflictCount > 0 ? 'bg-red-100 text-red-700' : 'bg-green-50 text-green-700'}`}>
+                        {conflictCount > 0 ? `다른 항목 ${conflictCount}개` : '충돌 없음'}
+                    </span>
+                </h3>
+                <div className="flex items-center gap-3">
+                    <label className="flex items-center gap-1 text-xs text-gray-500 cursor-pointer">
+                        <input type="checkbox" checked={conflictsOnly} onChange={(e) => setConflictsOnly(e.target.checked)} />
+                        차이만 보기
+                    </label>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-200 transition">
+                        <XCircle size={20} />
+                    </button>
+                </div>
+            </div>
+            <div className="flex-grow overflow-auto p-4 space-y-6">
+                <table className="w-full text-xs border-collapse table-fixed" style={{ minWidth: `${8 + specs.length * 12}rem` }}>
+                    <thead>
+                        <tr className="bg-gray-100 text-gray-600">
+                            <th className="border border-gray-200 px-2 py-1 w-32 text-left">항목</th>
+                            {specs.map(spec => (
+                                <th key={spec.id} className="border border-gray-200 px-2 py-1 text-left font-semibold">
+                                    <button type="button" onClick={() => onOpenSpec(spec)} className="text-indigo-700 hover:underline text-left break-all" title="상세 보기">{spec.fileName}</button>
+                                    <span className="block font-normal text-[10px] text-gray-400">{spec.filePath || '폴더 없음'} · {new Date(spec.createdAt).toLocaleDateString()}</span>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visibleRows.map(row => (
+                            <tr key={row.key} className={COMPARE_ROW_STYLES[row.status]}>
+                                <td className="border border-gray-200 px-2 py-1 align-top">
+                                    <span className="block text-gray-500 font-medium">{row.label}</span>
+                                    <span className={`inline-block mt-0.5 px-1 rounded text-[10px] ${COMPARE_STATUS_LABELS[row.status].className}`}>{COMPARE_STATUS_LABELS[row.status].label}</span>
+                                    {row.note && <span className="block mt-0.5 text-[10px] text-red-600">{row.note}</span>}
+                                </td>
+                                {row.cells.map((cell, i) => (
+                                    <td key={specs[i].id} className="border border-gray-200 px-2 py-1 align-top whitespace-pre-wrap break-words">
+                                        {!cell.text ? (
+                                            <span className="text-gray-300">-</span>
+                                        ) : row.type === 'list' ? (
+                                            <ul className="space-y-0.5">
+                                                {cell.items.map(item => (
+                                                    <li key={item.value} className={item.shared ? 'text-gray-700' : 'text-red-700 font-medium'} title={item.shared ? '모든 시방서에 공통' : '일부 시방서에만 있음'}>
+                                                        {item.shared ? '· ' : '▲ '}{item.value}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        ) : (
+                                            <span className={row.status === 'conflict' ? 'text-red-700 font-medium' : 'text-gray-700'}>{cell.text}</span>
+                                        )}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                        {visibleRows.length === 0 && (
+                            <tr>
+                                <td colSpan={specs.length + 1} className="border border-gray-200 px-2 py-4 text-center text-gray-400">
+                                    {conflictsOnly ? '값이 다른 항목이 없습니다.' : '비교할 정형 필드가 없습니다. 시방서 상세 화면에서 구조화 사양을 입력하거나 재분석하세요.'}
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+                <p className="text-[11px] text-gray-400">▲ 표시는 비교한 시방서 중 일부에만 있는 항목입니다. 대소문자와 공백 차이는 같은 값으로 봅니다.</p>
+
+                <div className="border border-indigo-100 rounded-lg p-4">
+                    <div className="flex justify-between items-center">
+                        <h4 className="text-sm font-semibold text-gray-700">AI 차이 요약</h4>
+                        <button type="button" onClick={handleSummarize} disabled={!isSummaryAvailable || isSummarizing} className="flex items-center px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-xs font-medium hover:bg-indigo-700 disabled:bg-gray-300 transition">
+                            {isSummarizing ? <Loader2 size={14} className="animate-spin mr-1 pointer-events-none" /> : <Zap size={14} className="mr-1 pointer-events-none" />}
+                            {summary ? '다시 요약' : '요약 생성'}
+                        </button>
+                    </div>
+                    {!isSummaryAvailable && <p className="mt-2 text-xs text-gray-400">현재 AI 설정으로는 차이 요약을 사용할 수 없습니다. AI 설정에서 서버 프록시 또는 OpenAI 호환 API를 지정하세요.</p>}
+                    {summaryError && <p className="mt-3 text-xs text-red-600">{summaryError}</p>}
+                    {summary && (
+                        <div className="mt-3 space-y-2">
+                            <p className="text-sm text-gray-800 whitespace-pre-wrap leading-relaxed">{summary.summary}</p>
+                            {summary.citations.length > 0 && (
+                                <ul className="space-y-1">
+                                    {summary.citations.map(c => (
+                                        <li key={c.id} className="text-xs text-gray-500">
+                                            <span className="font-medium text-gray-700">{c.fileName}</span>{c.note && ` — ${c.note}`}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const INSPECTION_STATUS_STYLES = {
+    pass: 'bg-green-50 text-green-700',
+    fail: 'bg-red-100 text-red-700',
+    pending: 'bg-gray-100 text-gray-400',
+    invalid: 'bg-amber-100 text-amber-700',
+};
+
+const INSPECTION_VERDICT_STYLES = {
+    pass: 'bg-green-100 text-green-700',
+    fail: 'bg-red-100 text-red-700',
+    incomplete: 'bg-gray-100 text-gray-500',
+};
+
+const createEmptyCustomItem = () => ({ label: '', kind: 'confirm', min: '', max: '', unit: '', criterion: '' });
+
+// 검사 항목 하나의 측정값 입력칸. confirm 항목은 적합/부적합 선택입니다.
+const MeasuredValueInput = ({ item, value, onChange, disabled }) => {
+    const className = "w-full text-xs rounded border border-gray-300 px-2 py-1 focus:outline-none focus:border-indigo-500 bg-white disabled:bg-gray-50";
+    if (item.kind === 'confirm') {
+        return (
+            <select value={value || ''} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={className}>
+                <option value="">선택</option>
+                <option value="ok">적합</option>
+                <option value="ng">부적합</option>
+            </select>
+        );
+    }
+    return (
+        <div className="flex items-center gap-1">
+            <input type="text" inputMode={item.kind === 'range' ? 'decimal' : 'text'} value={value || ''} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={className} placeholder={item.kind === 'range' ? '측정값' : '확인한 값'} />
+            {item.kind === 'range' && item.unit && <span className="text-[10px] text-gray-400 whitespace-nowrap">{item.unit}</span>}
+        </div>
+    );
+};
+
+// 저장된 검사 기록(성적서) 보기
+const InspectionRecordView = ({ record, onPrint }) => (
+    <div className="space-y-4">
+        <div className="flex items-start justify-between gap-3">
+            <div className="text-xs text-gray-600 space-y-0.5">
+                <p className="text-base font-bold text-gray-900">히트 로트 {record.heatLot}</p>
+                <p>Rev.{record.specRevision} 기준 · {new Date(record.inspectedAt).toLocaleString()} · 검사자 {record.inspector}</p>
+                <p>합격 {record.passed} / 불합격 {record.failed} / 미입력 {record.pending} (전체 {record.total})</p>
+            </div>
+            <div className="flex items-center gap-2 flex-shrink-0">
+                <span className={`px-2 py-1 rounded text-sm font-bold ${INSPECTION_VERDICT_STYLES[record.verdict]}`}>{INSPECTION_VERDICTS[record.verdict]}</span>
+                <button type="button" onClick={() => onPrint(record)} className="flex items-center px-3 py-1.5 bg-indigo-600 text-white rounded-lg text-xs hover:bg-indigo-700">
+                    <FileText size={14} className="mr-1 pointer-events-none" /> 성적서 인쇄
+                </button>
+            </div>
+        </div>
+        <table className="w-full text-xs border-collapse table-fixed">
+            <thead>
+                <tr className="bg-gray-100 text-gray-600">
+                    <th className="border border-gray-200 px-2 py-1 w-16 text-left">구분</th>
+                    <th className="border border-gray-200 px-2 py-1 text-left">항목</th>
+                    <th className="border border-gray-200 px-2 py-1 text-left">합격 기준</th>
+                    <th className="border border-gray-200 px-2 py-1 w-24 text-left">측정값</th>
+                    <th className="border border-gray-200 px-2 py-1 w-20 text-left">판정</th>
+                    <th className="border border-gray-200 px-2 py-1 w-32 text-left">비고</th>
+                </tr>
+            </thead>
+            <tbody>
+                {record.items.map(item => (
+                    <tr key={item.id} className={item.status === 'fail' ? 'bg-red-50' : ''}>
+                        <td className="border border-gray-200 px-2 py-1 text-gray-500">{item.category}</td>
+                        <td className="border border-gray-200 px-2 py-1 break-words">{item.label}</td>
+                        <td className="border border-gray-200 px-2 py-1 break-words">{formatCriterion(item)}</td>
+                        <td className="border border-gray-200 px-2 py-1 break-words">{item.kind === 'confirm' ? (item.value === 'ok' ? '적합' : item.value === 'ng' ? '부적합' : '') : item.value}</td>
+                        <td className="border border-gray-200 px-2 py-1"><span className={`px-1.5 py-0.5 rounded text-[10px] ${INSPECTION_STATUS_STYLES[item.status]}`}>{ITEM_STATUS_LABELS[item.status]}</span></td>
+                        <td className="border border-gray-200 px-2 py-1 break-words text-gray-500">{item.note}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+        {record.remarks && <p className="text-xs text-gray-700 whitespace-pre-wrap"><span className="font-semibold">특기 사항: </span>{record.remarks}</p>}
+    </div>
+);
+
+// 시방서 요구사항으로 만든 검사 체크리스트에 히트 로트별 측정값을 입력하고, 판정 결과를 성적서로 저장·인쇄합니다.
+const InspectionChecklist = ({ spec, inspectorName, canInspect, loadRecords, onSave, onPrint, onBack }) => {
+    const [records, setRecords] = useState(null);
+    const [selectedRecordId, setSelectedRecordId] = useState(null);
+    const [items, setItems] = useState(() => buildChecklistFromSpec(spec, safeCreateId));
+    const [values, setValues] = useState({});
+    const [notes, setNotes] = useState({});
+    const [heatLot, setHeatLot] = useState('');
+    const [remarks, setRemarks] = useState('');
+    const [customItem, setCustomItem] = useState(createEmptyCustomItem);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadRecords(spec.id)
+            .then(loaded => { if (!cancelled) setRecords([...loaded].sort((a, b) => b.inspectedAt.localeCompare(a.inspectedAt))); })
+            .catch(err => {
+                console.error("Inspection records load failed", err);
+                if (!cancelled) setRecords([]);
+            });
+        return () => { cancelled = true; };
+    }, [spec.id, loadRecords]);
+
+    const summary = useMemo(() => summarizeInspection(items, values), [items, values]);
+    const selectedRecord = records?.find(r => r.id === selectedRecordId) || null;
+
+    const handleResetForm = () => {
+        setItems(buildChecklistFromSpec(spec, safeCreateId));
+        setValues({});
+        setNotes({});
+        setHeatLot('');
+        setRemarks('');
+        setSelectedRecordId(null);
+    };
+
+    const handleAddItem = (e) => {
+        e.preventDefault();
+        const label = customItem.label.trim();
+        if (!label) return;
+        if (customItem.kind === 'range') {
+            const min = customItem.min === '' ? null : Number(customItem.min);
+            const max = customItem.max === '' ? null : Number(customItem.max);
+            if ((min === null && max === null) || Number.isNaN(min) || Number.isNaN(max)) {
+                alert("측정 항목은 최솟값이나 최댓값을 숫자로 입력해야 합니다.");
+                return;
+            }
+            setItems(prev => [...prev, { id: safeCreateId(), category: '추가', label, kind: 'range', min, max, unit: customItem.unit.trim() }]);
+        } else {
+            setItems(prev => [...prev, { id: safeCreateId(), category: '추가', label, kind: 'confirm', criterion: customItem.criterion.trim() || label }]);
+        }
+        setCustomItem(createEmptyCustomItem());
+    };
+
+    const handleRemoveItem = (id) => setItems(prev => prev.filter(item => item.id !== id));
+
+    const handleSave = async () => {
+        if (!heatLot.trim()) {
+            alert("히트 로트 번호를 입력하세요.");
+            return;
+        }
+        if (items.length === 0) {
+            alert("검사 항목이 없습니다.");
+            return;
+        }
+        if (summary.pending > 0 && !window.confirm(`측정값이 없거나 숫자가 아닌 항목이 ${summary.pending}개 있습니다. 미완료 상태로 저장하시겠습니까?`)) return;
+        const record = createInspectionRecord({ id: safeCreateId(), spec, heatLot, inspector: inspectorName, items, values, notes, remarks });
+        setIsSaving(true);
+        try {
+            await onSave(record);
+            setRecords(prev => [record, ...(prev || [])]);
+            setSelectedRecordId(record.id);
+        } catch (err) {
+            console.error("Inspection save failed", err);
+            alert("검사 기록을 저장하지 못했습니다: " + err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const inputClass = "text-xs rounded border border-gray-300 px-2 py-1 focus:outline-none focus:border-indigo-500 bg-white";
+
+    return (
+        <div className="flex flex-col h-full">
+            <div className="flex items-center gap-3 p-4 border-b border-gray-200 bg-gray-50 rounded-t-xl">
+                <button onClick={onBack} className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-200 transition" title="뒤로">
+                    <ArrowLeft size={18} />
+                </button>
+                <h3 className="text-base font-bold text-gray-800 truncate flex items-center"><ListChecks size={18} className="mr-2 text-indigo-600 flex-shrink-0 pointer-events-none" /> 검사 체크리스트 — {spec.fileName}</h3>
+            </div>
+            <div className="flex-grow flex min-h-0">
+                <div className="w-56 flex-shrink-0 border-r border-gray-200 flex flex-col min-h-0">
+                    {canInspect && (
+                        <div className="p-3 border-b border-gray-100">
+                            <button type="button" onClick={handleResetForm} className={`w-full flex items-center justify-center px-2 py-1.5 rounded text-xs ${!selectedRecord ? 'bg-indigo-600 text-white' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'}`}>
+                                <Plus size={12} className="mr-1 pointer-events-none" /> 새 검사
+                            </button>
+                        </div>
+                    )}
+                    <h4 className="px-3 pt-3 pb-1 text-[11px] font-semibold text-gray-500">검사 기록 {records ? `(${records.length})` : ''}</h4>
+                    <ul className="flex-grow overflow-y-auto">
+                        {!records && <li className="px-3 py-2 text-xs text-gray-400 flex items-center"><Loader2 size={12} className="animate-spin mr-1" /> 불러오는 중...</li>}
+                        {records?.length === 0 && <li className="px-3 py-2 text-xs italic text-gray-400">저장된 검사 기록이 없습니다.</li>}
+                        {records?.map(record => (
+                            <li key={record.id}>
+                                <button type="button" onClick={() => setSelectedRecordId(record.id)} className={`w-full text-left px-3 py-2 text-xs ${record.id === selectedRecordId ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}>
+                                    <span className="flex items-center justify-between gap-1">
+                                        <span className="font-semibold text-gray-800 truncate">{record.heatLot}</span>
+                                        <span className={`flex-shrink-0 px-1.5 rounded text-[10px] ${INSPECTION_VERDICT_STYLES[record.verdict]}`}>{INSPECTION_VERDICTS[record.verdict]}</span>
+                                    </span>
+                                    <span className="block text-gray-400">{new Date(record.inspectedAt).toLocaleDateString()} · Rev.{record.specRevision}</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+
+                <div className="flex-grow min-w-0 overflow-y-auto p-4">
+                    {selectedRecord ? (
+                        <InspectionRecordView record={selectedRecord} onPrint={onPrint} />
+                    ) : !canInspect ? (
+                        <p className="text-sm text-gray-400 text-center mt-16">검사 결과를 입력할 권한이 없습니다. 왼쪽에서 저장된 기록을 선택하세요.</p>
+                    ) : (
+                        <div className="space-y-4">
+                            <div className="flex flex-wrap items-end gap-3">
+                                <label className="block">
+                                    <span className="block text-[11px] font-medium text-gray-600 mb-0.5">히트 로트</span>
+                                    <input type="text" value={heatLot} onChange={(e) => setHeatLot(e.target.value)} placeholder="예: H24-0153" className={`${inputClass} w-40`} />
+                                </label>
+                                <div className="text-xs text-gray-500">검사자 {inspectorName}</div>
+                                <div className="ml-auto flex items-center gap-2 text-xs">
+                                    <span className="text-gray-500">합격 {summary.passed} · 불합격 {summary.failed} · 미입력 {summary.pending}</span>
+                                    <span className={`px-2 py-1 rounded font-bold ${INSPECTION_VERDICT_STYLES[summary.verdict]}`}>{INSPECTION_VERDICTS[summary.verdict]}</span>
+                                </div>
+                            </div>
+
+                            {items.length === 0 && (
+                                <p className="text-xs text-amber-600">시방서에 구조화 사양이 없어 자동으로 만든 항목이 없습니다. 시방서 상세 화면에서 사양을 입력하거나 아래에서 항목을 추가하세요.</p>
+                            )}
+                            <table className="w-full text-xs border-collapse table-fixed">
+                                <thead>
+                                    <tr className="bg-gray-100 text-gray-600">
+                                        <th className="border border-gray-200 px-2 py-1 w-16 text-left">구분</th>
+                                        <th className="border border-gray-200 px-2 py-1 text-left">항목</th>
+                                        <th className="border border-gray-200 px-2 py-1 text-left">합격 기준</th>
+                                        <th className="border border-gray-200 px-2 py-1 w-32 text-left">측정값</th>
+                                        <th className="border border-gray-200 px-2 py-1 w-16 text-left">판정</th>
+                                        <th className="border border-gray-200 px-2 py-1 w-28 text-left">비고</th>
+                                        <th className="border border-gray-200 px-1 py-1 w-7"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {items.map(item => {
+                                        const status = evaluateChecklistItem(item, values[item.id]);
+                                        return (
+                                            <tr key={item.id} className={status === 'fail' ? 'bg-red-50' : ''}>
+                                                <td className="border border-gray-200 px-2 py-1 text-gray-500">{item.category}</td>
+                                                <td className="border border-gray-200 px-2 py-1 break-words">{item.label}</td>
+                                                <td className="border border-gray-200 px-2 py-1 break-words text-gray-600">{formatCriterion(item)}</td>
+                                                <td className="border border-gray-200 px-1 py-1">
+                                                    <MeasuredValueInput item={item} value={values[item.id]} onChange={(value) => setValues(prev => ({ ...prev, [item.id]: value }))} disabled={isSaving} />
+                                                </td>
+                                                <td className="border border-gray-200 px-2 py-1"><span className={`px-1.5 py-0.5 rounded text-[10px] ${INSPECTION_STATUS_STYLES[status]}`}>{ITEM_STATUS_LABELS[status]}</span></td>
+                                                <td className="border border-gray-200 px-1 py-1">
+                                                    <input type="text" value={notes[item.id] || ''} onChange={(e) => setNotes(prev => ({ ...prev, [item.id]: e.target.value }))} className={`${inputClass} w-full`} />
+                                                </td>
+                                                <td className="border border-gray-200 px-1 py-1 text-center">
+                                                    <button type="button" onClick={() => handleRemoveItem(item.id)} className="text-gray-300 hover:text-red-600" title="항목 제외">
+                                                        <X size={12} className="pointer-events-none" />
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+
+                            <form onSubmit={handleAddItem} className="flex flex-wrap items-center gap-2 text-xs">
+                                <select value={customItem.kind} onChange={(e) => setCustomItem(prev => ({ ...prev, kind: e.target.value }))} className={inputClass}>
+                                    <option value="confirm">확인 항목</option>
+                                    <option value="range">측정 항목</option>
+                                </select>
+                                <input type="text" value={customItem.label} onChange={(e) => setCustomItem(prev => ({ ...prev, label: e.target.value }))} placeholder="항목명 (예: 충격 시험)" className={`${inputClass} flex-1 min-w-[8rem]`} />
+                                {customItem.kind === 'range' ? (
+                                    <>
+                                        <input type="text" inputMode="decimal" value={customItem.min} onChange={(e) => setCustomItem(prev => ({ ...prev, min: e.target.value }))} placeholder="최솟값" className={`${inputClass} w-20`} />
+                                        <input type="text" inputMode="decimal" value={customItem.max} onChange={(e) => setCustomItem(prev => ({ ...prev, max: e.target.value }))} placeholder="최댓값" className={`${inputClass} w-20`} />
+                                        <input type="text" value={customItem.unit} onChange={(e) => setCustomItem(prev => ({ ...prev, unit: e.target.value }))} placeholder="단위" className={`${inputClass} w-16`} />
+                                    </>
+                                ) : (
+                                    <input type="text" value={customItem.criterion} onChange={(e) => setCustomItem(prev => ({ ...prev, criterion: e.target.value }))} placeholder="합격 기준" className={`${inputClass} flex-1 min-w-[8rem]`} />
+                                )}
+                                <button type="submit" className="flex items-center px-2 py-1 bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-50">
+                                    <Plus size={12} className="mr-1 pointer-events-none" /> 항목 추가
+                                </button>
+                            </form>
+
+                            <label className="block">
+                                <span className="block text-[11px] font-medium text-gray-600 mb-0.5">특기 사항</span>
+                                <textarea value={remarks} onChange={(e) => setRemarks(e.target.value)} rows={2} className={`${inputClass} w-full`} />
+                            </label>
+                            <div className="flex justify-end">
+                                <button type="button" onClick={handleSave} disabled={isSaving} className="flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 disabled:opacity-50">
+                                    {isSaving ? <Loader2 size={14} className="mr-1.5 animate-spin pointer-events-none" /> : <Save size={14} className="mr-1.5 pointer-events-none" />} 검사 기록 저장
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ProgressBar = ({ done, total }) => (
+    <div className="w-full h-1.5 bg-gray-100 rounded-full overflow-hidden">
+        <div className="h-full bg-indigo-500 transition-all duration-200" style={{ width: `${total > 0 ? Math.round((done / total) * 100) : 0}%` }} />
+    </div>
+);
+
+const RestoreDialog = ({ backup, fileName, existingSpecs, onRestore, onClose }) => {
+    const [strategy, setStrategy] = useState('skip');
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+    const [restoreError, setRestoreError] = useState('');
+
+    const existingIds = useMemo(() => new Set(existingSpecs.map(s => s.id)), [existingSpecs]);
+    const conflictCount = backup.specs.filter(s => existingIds.has(s.id)).length;
+    const { manifest } = backup;
+
+    const handleRestore = async () => {
+        setRestoreError('');
+        setProgress({ done: 0, total: backup.specs.length });
+        try {
+            const restoreResult = await onRestore(backup, strategy, (done, total) => setProgress({ done, total }));
+            setResult(restoreResult);
+        } catch (err) {
+            console.error("Restore failed:", err);
+            setRestoreError("복원 중 오류가 발생했습니다: " + err.message);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    return (
+        <div className="p-6">
+            <div className="flex items-center mb-4">
+                <Archive size={20} className="text-indigo-600 mr-2" />
+                <h3 className="text-lg font-bold text-gray-900">백업 복원</h3>
+            </div>
+            <dl className="grid grid-cols-[7rem_1fr] gap-y-1 text-xs mb-4">
+                <dt className="text-gray-500">파일</dt><dd className="text-gray-800 break-all">{fileName}</dd>
+                <dt className="text-gray-500">백업 일시</dt><dd className="text-gray-800">{new Date(manifest.createdAt).toLocaleString()}</dd>
+                <dt className="text-gray-500">시방서</dt><dd className="text-gray-800">{backup.specs.length.toLocaleString()}건</dd>
+                <dt className="text-gray-500">원본 파일</dt><dd className="text-gray-800">{(manifest.files || []).length.toLocaleString()}개{manifest.missingFiles?.length > 0 && <span className="text-amber-600"> (원본 없음 {manifest.missingFiles.length}개)</span>}</dd>
+                <dt className="text-gray-500">검사 기록</dt><dd className="text-gray-800">{backup.inspections.length.toLocaleString()}건</dd>
+                <dt className="text-gray-500">품번 · 고객사</dt><dd className="text-gray-800">{backup.catalog ? `품번 ${backup.catalog.parts.length.toLocaleString()}개, 고객사 ${backup.catalog.customers.length.toLocaleString()}개` : '포함되지 않음'}</dd>
+            </dl>
+
+            {result ? (
+                <div className="space-y-3">
+                    <div className="bg-green-50 border border-green-200 rounded p-3 text-xs text-green-800">
+                        복원 {result.restored}건, 건너뜀 {result.skipped}건{result.inspectionsRestored > 0 && `, 검사 기록 ${result.inspectionsRestored}건`}{result.catalogAdded > 0 && `, 추가된 품번·고객사 ${result.catalogAdded}개`}
+                    </div>
+                    {result.failures.length > 0 && (
+                        <div className="bg-red-50 border border-red-200 rounded p-3 text-xs text-red-700 max-h-32 overflow-y-auto">
+                            <p className="font-semibold mb-1">검증 실패 {result.failures.length}건 (해당 파일은 복원되지 않았습니다)</p>
+                            <ul>{result.failures.map(f => <li key={f.storageKey} className="break-all">{f.storageKey}: {f.reason}</li>)}</ul>
+                        </div>
+                    )}
+                    <button onClick={onClose} className="w-full py-2.5 bg-gray-100 text-gray-700 font-medium rounded-lg hover:bg-gray-200 transition text-sm">닫기</button>
+                </div>
+            ) : (
+                <>
+                    {conflictCount > 0 && (
+                        <fieldset className="mb-4 border border-amber-200 bg-amber-50 rounded p-3 text-xs text-amber-800" disabled={Boolean(progress)}>
+                            <legend className="px-1 font-semibold">이미 있는 ID {conflictCount}건 처리 방식</legend>
+                            {Object.entries(RESTORE_STRATEGIES).map(([value, label]) => (
+                                <label key={value} className="flex items-center gap-1.5 py-0.5 cursor-pointer">
+                                    <input type="radio" name="restore-strategy" checked={strategy === value} onChange={() => setStrategy(value)} />
+                                    {label}
+                                </label>
+                            ))}
+                        </fieldset>
+                    )}
+                    {progress && (
+                        <div className="mb-4">
+                            <div className="flex justify-between text-xs text-gray-500 mb-1">
+                                <span>복원 및 체크섬 검증 중...</span>
+                                <span>{progress.done}/{progress.total}</span>
+                            </div>
+                            <ProgressBar done={progress.done} total={progress.total} />
+                        </div>
+                    )}
+                    {restoreError && <p className="mb-3 text-xs text-red-600">{restoreError}</p>}
+                    <div className="flex gap-3">
+                        <button onClick={onClose} disabled={Boolean(progress)} className="flex-1 px-4 py-2.5 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium text-sm transition disabled:opacity-50">취소</button>
+                        <button onClick={handleRestore} disabled={Boolean(progress)} className="flex-1 px-4 py-2.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 font-medium text-sm transition disabled:bg-gray-400 flex items-center justify-center">
+                            {progress ? <Loader2 size={16} className="animate-spin mr-1.5" /> : <RefreshCw size={16} className="mr-1.5" />} 복원
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// 한 번에 렌더링하는 최대 행 수 (대용량 시트에서 화면이 멈추지 않도록 제한)
+const SHEET_VIEW_ROW_LIMIT = 500;
+
+// 0 → A, 25 → Z, 26 → AA ...
+const toColumnLabel = (index) => {
+    let label = '';
+    let n = index + 1;
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        label = String.fromCharCode(65 + rem) + label;
+        n = Math.floor((n - 1) / 26);
+    }
+    return label;
+};
+
+const PDF_ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+const PDF_THUMBNAIL_WIDTH = 96;
+
+// 사이드바 썸네일. 목록에서 보일 때만 그립니다.
+const PdfThumbnail = ({ pdf, pageNumber, isActive, hitCount, onSelect }) => {
+    const canvasRef = useRef(null);
+    const buttonRef = useRef(null);
+    const [isVisible, setIsVisible] = useState(false);
+
+    useEffect(() => {
+        const observer = new IntersectionObserver(([entry]) => {
+            if (entry.isIntersecting) {
+                setIsVisible(true);
+                observer.disconnect();
+            }
+        }, { rootMargin: '200px' });
+        observer.observe(buttonRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        if (!isVisible) return;
+        let task = null;
+        let cancelled = false;
+        pdf.getPage(pageNumber).then(page => {
+            if (cancelled) return;
+            const viewport = page.getViewport({ scale: PDF_THUMBNAIL_WIDTH / page.getViewport({ scale: 1 }).width });
+            const canvas = canvasRef.current;
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+            task = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+            return task.promise;
+        }).catch(err => {
+            if (err?.name !== 'RenderingCancelledException') console.error("Thumbnail render failed", err);
+        });
+        return () => {
+            cancelled = true;
+            if (task) task.cancel();
+        };
+    }, [pdf, pageNumber, isVisible]);
+
+    useEffect(() => {
+        if (isActive) buttonRef.current.scrollIntoView({ block: 'nearest' });
+    }, [isActive]);
+
+    return (
+        <button ref={buttonRef} type="button" onClick={() => onSelect(pageNumber)} className={`relative block mx-auto mb-3 p-1 rounded ${isActive ? 'ring-2 ring-indigo-500 bg-indigo-50' : 'hover:bg-gray-200'}`}>
+            <canvas ref={canvasRef} className="block bg-white shadow-sm" style={{ width: PDF_THUMBNAIL_WIDTH, minHeight: 40 }} />
+            <span className="block text-[10px] text-gray-500 mt-0.5">{pageNumber}</span>
+            {hitCount > 0 && <span className="absolute top-0 right-0 px-1 rounded-full bg-amber-400 text-[9px] font-bold text-white">{hitCount}</span>}
+        </button>
+    );
+};
+
+// pdf.js로 그리는 PDF 뷰어: 페이지 썸네일, 문서 내 검색(검색창의 검색어로 시작)과 강조 표시, 확대/축소, 요약 문장의 출처 페이지로 이동.
+// pdf.js로 열 수 없는 파일은 브라우저 기본 뷰어로 보여줍니다.
+const PdfViewer = ({ file, initialQuery, summary }) => {
+    const [pdf, setPdf] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [fallbackUrl, setFallbackUrl] = useState(null);
+    const [pageNum, setPageNum] = useState(1);
+    const [pageInput, setPageInput] = useState('1');
+    const [scale, setScale] = useState(1.25);
+    const [rendered, setRendered] = useState(null);
+    const [pageMaps, setPageMaps] = useState([]);
+    const [textProgress, setTextProgress] = useState(0);
+    const [query, setQuery] = useState(initialQuery || '');
+    const [appliedQuery, setAppliedQuery] = useState(initialQuery || '');
+    const [hitIndex, setHitIndex] = useState(0);
+    const [sidebar, setSidebar] = useState('pages');
+    const canvasRef = useRef(null);
+    const viewportRef = useRef(null);
+    const pageItemsRef = useRef([]);
+    const activeHitRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let loaded = null;
+        loadPdfDocument(file)
+            .then(doc => {
+                loaded = doc;
+                if (cancelled) doc.destroy();
+                else setPdf(doc);
+            })
+            .catch(err => {
+                console.error("PDF viewer load failed", err);
+                if (!cancelled) setLoadError(err);
+            });
+        return () => {
+            cancelled = true;
+            if (loaded) loaded.destroy();
+        };
+    }, [file]);
+
+    useEffect(() => {
+        if (!loadError) return;
+        const url = URL.createObjectURL(file);
+        setFallbackUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [loadError, file]);
+
+    // 검색과 요약 출처 찾기에 쓸 페이지별 텍스트를 순서대로 읽습니다.
+    useEffect(() => {
+        if (!pdf) return;
+        let cancelled = false;
+        (async () => {
+            const maps = [];
+            for (let i = 1; i <= pdf.numPages && !cancelled; i++) {
+                const page = await pdf.getPage(i);
+                const content = await page.getTextContent();
+                pageItemsRef.current[i - 1] = content.items;
+                maps.push(buildPageTextMap(content.items));
+                if (!cancelled && (i % 10 === 0 || i === pdf.numPages)) {
+                    setPageMaps([...maps]);
+                    setTextProgress(i);
+                }
+            }
+        })().catch(err => console.error("PDF text load failed", err));
+        return () => { cancelled = true; };
+    }, [pdf]);
+
+    useEffect(() => {
+        if (!pdf) return;
+        let task = null;
+        let cancelled = false;
+        pdf.getPage(pageNum).then(page => {
+            if (cancelled) return;
+            const viewport = page.getViewport({ scale });
+            const canvas = canvasRef.current;
+            const ratio = window.devicePixelRatio || 1;
+            canvas.width = Math.floor(viewport.width * ratio);
+            canvas.height = Math.floor(viewport.height * ratio);
+            canvas.style.width = `${viewport.width}px`;
+            canvas.style.height = `${viewport.height}px`;
+            task = page.render({ canvasContext: canvas.getContext('2d'), viewport, transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null });
+            return task.promise.then(() => {
+                if (!cancelled) setRendered({ pageNum, scale, viewport });
+            });
+        }).catch(err => {
+            if (err?.name !== 'RenderingCancelledException') console.error("PDF page render failed", err);
+        });
+        return () => {
+            cancelled = true;
+            if (task) task.cancel();
+        };
+    }, [pdf, pageNum, scale]);
+
+    useEffect(() => { setPageInput(String(pageNum)); }, [pageNum]);
+
+    const hits = useMemo(() => searchPdfPages(pageMaps, appliedQuery), [pageMaps, appliedQuery]);
+    const hitCountByPage = useMemo(() => {
+        const counts = new Map();
+        hits.forEach(hit => counts.set(hit.page, (counts.get(hit.page) || 0) + 1));
+        return counts;
+    }, [hits]);
+    const activeHit = hits[hitIndex] || null;
+
+    // 검색어가 바뀌면 첫 결과 페이지로 이동합니다. 텍스트를 읽는 중에 결과가 늘어나도 보고 있는 페이지는 그대로 둡니다.
+    const jumpedQueryRef = useRef(null);
+    useEffect(() => {
+        if (hits.length === 0 || jumpedQueryRef.current === appliedQuery) return;
+        jumpedQueryRef.current = appliedQuery;
+        setHitIndex(0);
+        setPageNum(hits[0].page);
+    }, [hits, appliedQuery]);
+
+    const highlights = useMemo(() => {
+        if (!rendered || rendered.pageNum !== pageNum || rendered.scale !== scale) return [];
+        const items = pageItemsRef.current[pageNum - 1];
+        if (!items) return [];
+        return hits
+            .map((hit, index) => ({ hit, index }))
+            .filter(({ hit }) => hit.page === pageNum)
+            .flatMap(({ hit, index }) => getHighlightRects(items, hit.ranges, rendered.viewport).map((rect, i) => ({ ...rect, key: `${index}-${i}`, isActive: index === hitIndex })));
+    }, [rendered, pageNum, scale, hits, hitIndex]);
+
+    useEffect(() => {
+        if (activeHitRef.current) activeHitRef.current.scrollIntoView({ block: 'center', inline: 'nearest' });
+    }, [highlights]);
+
+    const summarySources = useMemo(
+        () => (summary && pageMaps.length > 0 ? findSummarySourcePages(summary, pageMaps.map(m => m.text)) : []),
+        [summary, pageMaps]
+    );
+
+    const numPages = pdf?.numPages || 0;
+    const goToPage = (value) => {
+        const target = Math.min(Math.max(Number.parseInt(value, 10) || 1, 1), numPages || 1);
+        setPageNum(target);
+        setPageInput(String(target));
+    };
+
+    const goToHit = (index) => {
+        if (hits.length === 0) return;
+        const next = (index + hits.length) % hits.length;
+        setHitIndex(next);
+        setPageNum(hits[next].page);
+    };
+
+    const handleSearchSubmit = (e) => {
+        e.preventDefault();
+        if (query.trim() === appliedQuery.trim()) goToHit(hitIndex + 1);
+        else setAppliedQuery(query.trim());
+    };
+
+    const handleSearchKeyDown = (e) => {
+        if (e.key === 'Enter' && e.shiftKey) {
+            e.preventDefault();
+            goToHit(hitIndex - 1);
+        }
+    };
+
+    const handleZoom = (direction) => {
+        const index = PDF_ZOOM_STEPS.findIndex(step => step >= scale - 0.001);
+        const current = index === -1 ? PDF_ZOOM_STEPS.length - 1 : index;
+        setScale(PDF_ZOOM_STEPS[Math.min(Math.max(current + direction, 0), PDF_ZOOM_STEPS.length - 1)]);
+    };
+
+    const handleFitWidth = async () => {
+        if (!pdf) return;
+        const page = await pdf.getPage(pageNum);
+        const width = page.getViewport({ scale: 1 }).width;
+        const fitted = Math.round(((viewportRef.current.clientWidth - 48) / width) * 100) / 100;
+        setScale(Math.min(Math.max(fitted, PDF_ZOOM_STEPS[0]), PDF_ZOOM_STEPS[PDF_ZOOM_STEPS.length - 1]));
+    };
+
+    const snippetOf = (hit) => {
+        const text = pageMaps[hit.page - 1]?.text || '';
+        const start = Math.max(hit.start - 20, 0);
+        return { before: `${start > 0 ? '…' : ''}${text.slice(start, hit.start)}`, match: text.slice(hit.start, hit.end), after: `${text.slice(hit.end, hit.end + 30)}…` };
+    };
+
+    if (loadError) {
+        return (
+            <div className="flex flex-col h-full">
+                <p className="px-4 py-2 text-xs text-amber-700 bg-amber-50 border-b border-amber-100">이 PDF는 내장 뷰어로 열 수 없어 브라우저 기본 뷰어로 표시합니다. 문서 내 검색과 강조 표시는 사용할 수 없습니다.</p>
+                {fallbackUrl && <iframe src={fallbackUrl} className="w-full flex-grow border-none" title="PDF Preview" />}
+            </div>
+        );
+    }
+
+    const tabClass = (value) => `flex-1 py-1.5 text-[11px] font-medium ${sidebar === value ? 'text-indigo-700 border-b-2 border-indigo-500' : 'text-gray-500 hover:text-gray-700'}`;
+    const toolButtonClass = "p-1.5 rounded text-gray-600 hover:bg-gray-200 disabled:opacity-40";
+
+    return (
+        <div className="flex flex-col h-full">
+            <div className="flex flex-wrap items-center gap-2 px-3 py-2 border-b border-gray-200 bg-white text-xs">
+                <form onSubmit={handleSearchSubmit} className="relative flex items-center">
+                    <input
+                        type="text"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        onKeyDown={handleSearchKeyDown}
+                        placeholder="문서 내 검색"
+                        className="w-56 pl-7 pr-2 py-1.5 rounded border border-gray-300 focus:outline-none focus:border-indigo-500"
+                    />
+                    <Search size={12} className="absolute left-2 text-gray-400 pointer-events-none" />
+                </form>
+                <span className="text-gray-500 min-w-[4.5rem]">
+                    {appliedQuery ? (hits.length > 0 ? `${hitIndex + 1} / ${hits.length}` : textProgress < numPages ? '검색 중...' : '결과 없음') : ''}
+                </span>
+                <button type="button" onClick={() => goToHit(hitIndex - 1)} disabled={hits.length === 0} className={toolButtonClass} title="이전 결과 (Shift+Enter)">
+                    <ChevronUp size={14} className="pointer-events-none" />
+                </button>
+                <button type="button" onClick={() => goToHit(hitIndex + 1)} disabled={hits.length === 0} className={toolButtonClass} title="다음 결과 (Enter)">
+                    <ChevronDown size={14} className="pointer-events-none" />
+                </button>
+
+                <div className="flex items-center gap-1 ml-auto">
+                    <button type="button" onClick={() => goToPage(pageNum - 1)} disabled={pageNum <= 1} className={toolButtonClass} title="이전 페이지">
+                        <ChevronLeft size={14} className="pointer-events-none" />
+                    </button>
+                    <form onSubmit={(e) => { e.preventDefault(); goToPage(pageInput); }} className="flex items-center gap-1">
+                        <input type="text" inputMode="numeric" value={pageInput} onChange={(e) => setPageInput(e.target.value)} onBlur={() => goToPage(pageInput)} className="w-10 text-center py-1 rounded border border-gray-300 focus:outline-none focus:border-indigo-500" />
+                        <span className="text-gray-500">/ {numPages || '-'}</span>
+                    </form>
+                    <button type="button" onClick={() => goToPage(pageNum + 1)} disabled={pageNum >= numPages} className={toolButtonClass} title="다음 페이지">
+                        <ChevronRight size={14} className="pointer-events-none" />
+                    </button>
+                    <span className="w-px h-4 bg-gray-200 mx-1" />
+                    <button type="button" onClick={() => handleZoom(-1)} disabled={scale <= PDF_ZOOM_STEPS[0]} className={toolButtonClass} title="축소">
+                        <ZoomOut size={14} className="pointer-events-none" />
+                    </button>
+                    <span className="w-10 text-center text-gray-600">{Math.round(scale * 100)}%</span>
+                    <button type="button" onClick={() => handleZoom(1)} disabled={scale >= PDF_ZOOM_STEPS[PDF_ZOOM_STEPS.length - 1]} className={toolButtonClass} title="확대">
+                        <ZoomIn size={14} className="pointer-events-none" />
+                    </button>
+                    <button type="button" onClick={handleFitWidth} className={toolButtonClass} title="폭 맞춤">
+                        <MoveHorizontal size={14} className="pointer-events-none" />
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex-grow flex min-h-0">
+                <div className="w-44 flex-shrink-0 border-r border-gray-200 bg-gray-50 flex flex-col min-h-0">
+                    <div className="flex border-b border-gray-200 bg-white">
+                        <button type="button" onClick={() => setSidebar('pages')} className={tabClass('pages')}>페이지</button>
+                        <button type="button" onClick={() => setSidebar('hits')} className={tabClass('hits')}>결과{hits.length > 0 && ` ${hits.length}`}</button>
+                        {summary && <button type="button" onClick={() => setSidebar('summary')} className={tabClass('summary')}>요약</button>}
+                    </div>
+                    <div className="flex-grow overflow-y-auto p-2">
+                        {!pdf ? (
+                            <div className="flex items-center justify-center text-xs text-gray-400 mt-4"><Loader2 size={14} className="animate-spin mr-1" /> 여는 중...</div>
+                        ) : sidebar === 'pages' ? (
+                            Array.from({ length: numPages }, (_, i) => (
+                                <PdfThumbnail key={i + 1} pdf={pdf} pageNumber={i + 1} isActive={pageNum === i + 1} hitCount={hitCountByPage.get(i + 1) || 0} onSelect={setPageNum} />
+                            ))
+                        ) : sidebar === 'hits' ? (
+                            hits.length === 0 ? (
+                                <p className="text-xs italic text-gray-400 p-1">{appliedQuery ? '일치하는 내용이 없습니다.' : '검색어를 입력하세요.'}</p>
+                            ) : (
+                                <ul className="space-y-1">
+                                    {hits.map((hit, index) => {
+                                        const snippet = snippetOf(hit);
+                                        return (
+                                            <li key={`${hit.page}-${hit.start}`}>
+                                                <button type="button" onClick={() => goToHit(index)} className={`w-full text-left p-1.5 rounded text-[11px] leading-snug ${index === hitIndex ? 'bg-indigo-50 ring-1 ring-indigo-200' : 'hover:bg-white'}`}>
+                                                    <span className="block text-[10px] font-semibold text-indigo-600">p.{hit.page}</span>
+                                                    <span className="text-gray-600 break-words">{snippet.before}<mark className="bg-amber-200">{snippet.match}</mark>{snippet.after}</span>
+                                                </button>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            )
+                        ) : (
+                            <ul className="space-y-1">
+                                {summarySources.map((source, i) => (
+                                    <li key={i}>
+                                        <button type="button" onClick={() => source.page && goToPage(source.page)} disabled={!source.page} className={`w-full text-left p-1.5 rounded text-[11px] leading-snug ${source.page === pageNum ? 'bg-indigo-50' : 'hover:bg-white'} disabled:cursor-default`}>
+                                            <span className={`block text-[10px] font-semibold ${source.page ? 'text-indigo-600' : 'text-gray-400'}`}>{source.page ? `p.${source.page}` : '출처 불명'}</span>
+                                            <span className="text-gray-700 break-words">{source.sentence}</span>
+                                        </button>
+                                    </li>
+                                ))}
+                                {textProgress < numPages && <li className="flex items-center text-[10px] text-gray-400 p-1"><Loader2 size={10} className="animate-spin mr-1" /> 본문 읽는 중 ({textProgress}/{numPages})</li>}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+
+                <div ref={viewportRef} className="flex-grow overflow-auto bg-gray-100 p-6">
+                    <div className="relative mx-auto w-fit shadow-md bg-white">
+                        <canvas ref={canvasRef} className="block" />
+                        {highlights.map(rect => (
+                            <div
+                                key={rect.key}
+                                ref={rect.isActive ? activeHitRef : undefined}
+                                className={`absolute pointer-events-none mix-blend-multiply rounded-sm ${rect.isActive ? 'bg-orange-400/60 ring-2 ring-orange-500' : 'bg-yellow-300/50'}`}
+                                style={{ left: rect.left, top: rect.top, width: rect.width, height: rect.height }}
+                            />
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const SheetViewer = ({ sheets }) => {
+    const [activeIndex, setActiveIndex] = useState(0);
+    const sheet = sheets[activeIndex];
+
+    if (!sheet) {
+        return <div className="p-6 text-sm text-gray-500">표시할 시트가 없습니다.</div>;
+    }
+
+    const visibleRows = sheet.rows.slice(0, SHEET_VIEW_ROW_LIMIT);
+
+    return (
+        <div className="flex flex-col h-full bg-white">
+            <div className="flex-grow overflow-auto">
+                {sheet.rows.length === 0 ? (
+                    <div className="p-6 text-sm text-gray-500">빈 시트입니다.</div>
+                ) : (
+                    <table className="min-w-full text-xs border-collapse">
+                        <thead className="sticky top-0 bg-gray-100">
+                            <tr>
+                                <th className="border border-gray-200 px-2 py-1 text-gray-400 font-normal w-10">#</th>
+                                {Array.from({ length: sheet.columnCount }, (_, c) => (
+                                    <th key={c} className="border border-gray-200 px-2 py-1 text-gray-500 font-semibold">{toColumnLabel(c)}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {visibleRows.map((row, r) => (
+                                <tr key={r} className="hover:bg-indigo-50/40">
+                                    <td className="border border-gray-200 px-2 py-1 text-gray-400 text-right bg-gray-50">{r + 1}</td>
+                                    {Array.from({ length: sheet.columnCount }, (_, c) => (
+                                        <td key={c} className="border border-gray-200 px-2 py-1 text-gray-700 whitespace-pre-wrap">{row[c] || ''}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                {sheet.rows.length > SHEET_VIEW_ROW_LIMIT && (
+                    <div className="p-3 text-xs text-gray-500 text-center">
+                        전체 {sheet.rows.length.toLocaleString()}행 중 {SHEET_VIEW_ROW_LIMIT}행만 표시합니다. 전체 내용은 원본 파일을 다운로드하여 확인해주세요.
+                    </div>
+                )}
+            </div>
+            <div className="flex gap-1 border-t border-gray-200 bg-gray-50 px-2 py-1.5 overflow-x-auto rounded-b-xl">
+                {sheets.map((sh, i) => (
+                    <button
+                        key={sh.name}
+                        type="button"
+                        onClick={() => setActiveIndex(i)}
+                        className={`px-3 py-1 rounded text-xs whitespace-nowrap transition ${i === activeIndex ? 'bg-white border border-gray-300 text-green-700 font-semibold shadow-sm' : 'text-gray-500 hover:bg-gray-100'}`}
+                    >
+                        {sh.name}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// 새로고침 전에 분석 대기 또는 진행 중이던 상태 (복원하면 다시 대기열에 넣습니다)
+const QUEUED_ITEM_STATUSES = ['queued', 'retrying', 'extracting', 'analyzing'];
+const QUEUE_PERSIST_DELAY_MS = 500;
+
+// targetFolder: 폴더 트리에서 선택한 폴더. 업로드한 파일(또는 폴더)은 이 폴더 아래에 저장됩니다.
+// analysisProvider: 현재 AI 제공자 (이름 표시와 요청 수 제한 여부 판단에 사용)
+const SpecUploadModal = ({ onClose, onSave, analyzeFunction, analysisProvider, existingSpecs, targetFolder = '' }) => {
+    const fileInputRef = useRef(null);
+    const folderInputRef = useRef(null);
+
+    const [uploadQueue, setUploadQueue] = useState([createInitialItem()]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [queueSettings, setQueueSettings] = useState(loadAnalysisQueueSettings);
+    const [queueState, setQueueState] = useState(null);
+    const [isRestored, setIsRestored] = useState(false);
+    const queueRef = useRef(null);
+    const restoredJobsRef = useRef(null);
+    // 마지막으로 IndexedDB에 저장한 항목 (같은 객체면 다시 저장하지 않습니다)
+    const persistedItemsRef = useRef(new Map());
+    const discardedIdsRef = useRef(new Set());
+    const uploadQueueRef = useRef(uploadQueue);
+    uploadQueueRef.current = uploadQueue;
+    const analyzeFunctionRef = useRef(analyzeFunction);
+    analyzeFunctionRef.current = analyzeFunction;
+
+    const isAnalyzing = Boolean(queueState && queueState.running > 0);
+    const analyzedCount = uploadQueue.filter(item => item.fileName && item.status === 'analyzed' && item.saveMode !== 'skip').length;
+
+    // 파일 바이트를 해시해 라이브러리 및 대기열 안의 완전히 같은 파일을 찾습니다.
+    const hashQueueItems = useCallback(async (items) => {
+        for (const item of items) {
+            let contentHash = null;
+            try {
+                contentHash = await hashFile(item.file);
+            } catch (e) {
+                console.error("File hash failed", e);
+            }
+            const librarySpec = findSpecByContentHash(existingSpecs, contentHash);
+            setUploadQueue(prev => {
+                const queueDuplicate = contentHash && prev.find(q => q.id !== item.id && q.contentHash === contentHash);
+                return prev.map(q => {
+                    if (q.id !== item.id) return q;
+                    if (librarySpec) return { ...q, contentHash, duplicateOf: librarySpec.id, revisionOf: librarySpec.id, saveMode: 'skip' };
+                    if (queueDuplicate) return { ...q, contentHash, duplicateInQueue: queueDuplicate.id, saveMode: 'skip' };
+                    return { ...q, contentHash };
+                });
+            });
+        }
+    }, [existingSpecs]);
+
+    const handleFileSelect = useCallback((event) => {
+        const files = Array.from(event.target.files);
+        if (files.length === 0) return;
+
+        // INP 최적화: 파일 처리 로직을 비동기로 미룸
+        setTimeout(() => {
+            const allowedExtensions = ['pdf', 'xlsx', 'xls'];
+            const validFiles = files.filter(file => {
+                const ext = file.name.split('.').pop().toLowerCase();
+                return allowedExtensions.includes(ext);
+            });
+
+            if (validFiles.length === 0) {
+                alert("PDF 또는 엑셀 파일(.pdf, .xlsx, .xls)만 업로드할 수 있습니다.");
+                return;
+            }
+
+            const newSpecs = validFiles.map(file => {
+                const parts = file.name.split('.');
+                const ext = parts.pop().toLowerCase();
+                let fileType = 'ETC';
+                if(ext === 'pdf') fileType = 'PDF';
+                else if(ext === 'xlsx' || ext === 'xls') fileType = 'XLSX';
+
+                let filePath = targetFolder;
+                if (file.webkitRelativePath) {
+                    const pathParts = file.webkitRelativePath.split('/');
+                    filePath = normalizeFolderPath(`${targetFolder}/${pathParts.slice(0, -1).join('/')}`); 
+                }
+                
+                // 같은 이름의 시방서가 이미 있으면 기본적으로 새 개정본으로 추가합니다.
+                const matchedSpec = findSpecByFileName(existingSpecs, file.name);
+
+                return {
+                    id: safeCreateId(),
+                    file: file, 
+                    fileName: file.name,
+                    filePath: filePath, 
+                    fileType: fileType, 
+                    mockContent: '', 
+                    extractedText: null,
+                    pageTexts: [],
+                    pageCount: 0,
+                    sheets: null,
+                    status: 'pending', 
+                    summary: '', 
+                    keywords: [], 
+                    attributes: null,
+                    revisionOf: matchedSpec ? matchedSpec.id : null,
+                    saveMode: matchedSpec ? 'revision' : 'new',
+                    contentHash: null,
+                    duplicateOf: null,
+                    duplicateInQueue: null,
+                    nearDuplicates: matchedSpec ? [] : findNearDuplicateNames(existingSpecs, file.name),
+                    error: ''
+                };
+            });
+            
+            setUploadQueue(prev => {
+                const existingFiles = prev.filter(item => item.fileName);
+                return [...existingFiles, ...newSpecs, createInitialItem()];
+            });
+            hashQueueItems(newSpecs);
+        }, 0);
+
+        event.target.value = ''; 
+    }, [existingSpecs, hashQueueItems, targetFolder]);
+
+    // 분석 대기열을 만들고, 이전에 저장된 대기열 항목을 복원합니다.
+    useEffect(() => {
+        const updateItem = (id, changes) => setUploadQueue(prev => prev.map(q => q.id === id ? { ...q, ...changes } : q));
+
+        const runJob = async (id, signal) => {
+            let item = uploadQueueRef.current.find(q => q.id === id);
+            if (!item) throw new Error("대기열에서 항목을 찾을 수 없습니다.");
+            if (item.file && item.extractedText === null && (item.fileType === 'PDF' || item.fileType === 'XLSX')) {
+                updateItem(id, { status: 'extracting', error: '' });
+                const extracted = await extractFileContent(item).catch(e => {
+                    throw new Error(`${item.fileType} 본문 추출 실패: ` + e.message);
+                });
+                throwIfAborted(signal);
+                item = { ...item, ...extracted };
+                updateItem(id, extracted);
+            }
+            updateItem(id, { status: 'analyzing', error: '' });
+            return analyzeFunctionRef.current(item, { signal });
+        };
+
+        const queue = createAnalysisQueue({
+            runJob,
+            settings: loadAnalysisQueueSettings(),
+            onStateChange: setQueueState,
+            onJobUpdate: (id, status, payload) => {
+                if (status === 'done') updateItem(id, { ...payload, status: 'analyzed', error: '' });
+                else if (status === 'error') updateItem(id, { status: 'error', error: payload.message });
+                else if (status === 'retrying') updateItem(id, { status: 'retrying', retryAt: payload.retryAt });
+                else if (status === 'cancelled') updateItem(id, { status: 'cancelled', error: '' });
+            },
+        });
+        queueRef.current = queue;
+
+        let isActive = true;
+        const restoreQueue = async () => {
+            const { itemIds, paused } = loadAnalysisQueueState();
+            const stored = await getUploadQueueItemsFromDB();
+            const storedById = new Map(stored.map(item => [item.id, item]));
+            // 순서 목록에 없는 항목은 이전에 정리되지 못한 것이므로 지웁니다.
+            await Promise.all(stored.filter(item => !itemIds.includes(item.id)).map(item => deleteUploadQueueItemFromDB(item.id)));
+            const items = [];
+            for (const id of itemIds) {
+                const item = storedById.get(id);
+                if (!item) continue;
+                const file = await getUploadQueueFileFromDB(id);
+                items.push({ ...item, file: file || null, status: QUEUED_ITEM_STATUSES.includes(item.status) ? 'queued' : item.status });
+            }
+            return { items, paused };
+        };
+
+        restoreQueue().then(({ items, paused }) => {
+            if (!isActive) return;
+            items.forEach(item => persistedItemsRef.current.set(item.id, item));
+            restoredJobsRef.current = { ids: items.filter(item => item.status === 'queued').map(item => item.id), paused };
+            if (items.length > 0) setUploadQueue(prev => [...items, ...prev.filter(item => item.fileName), createInitialItem()]);
+            setIsRestored(true);
+        }).catch(err => {
+            console.error("Upload queue restore failed", err);
+            if (isActive) setIsRestored(true);
+        });
+
+        return () => {
+            isActive = false;
+            queue.dispose();
+        };
+    }, []);
+
+    // 규칙 기반 추출은 외부로 요청을 보내지 않으므로 분당 요청 수를 제한하지 않습니다.
+    const isLocalAnalysis = Boolean(analysisProvider?.isLocal);
+    useEffect(() => {
+        queueRef.current?.updateSettings(isLocalAnalysis ? { ...queueSettings, ratePerMinute: 0 } : queueSettings);
+    }, [queueSettings, isLocalAnalysis]);
+
+    // 복원한 항목이 상태에 반영된 뒤에 대기열에 넣어야 runJob에서 찾을 수 있습니다.
+    useEffect(() => {
+        if (!isRestored || !restoredJobsRef.current) return;
+        const { ids, paused } = restoredJobsRef.current;
+        restoredJobsRef.current = null;
+        if (paused) queueRef.current.pause();
+        queueRef.current.enqueue(ids);
+    }, [isRestored]);
+
+    // 대기열 항목을 IndexedDB에 저장해 새로고침 후에도 이어서 분석할 수 있게 합니다.
+    // 저장을 마친 항목(discardedIdsRef)은 창이 닫히면서 상태가 남아 있더라도 저장하지 않습니다.
+    const persistQueueItems = useCallback((queueItems) => {
+        const items = queueItems.filter(item => item.fileName && !discardedIdsRef.current.has(item.id));
+        const persisted = persistedItemsRef.current;
+        items.forEach(item => {
+            if (persisted.get(item.id) === item) return;
+            const { file, ...record } = item;
+            if (!persisted.has(item.id) && file) {
+                saveUploadQueueFileToDB(item.id, file).catch(err => console.error("Upload queue save failed", err));
+            }
+            persisted.set(item.id, item);
+            saveUploadQueueItemToDB(record).catch(err => console.error("Upload queue save failed", err));
+        });
+        const currentIds = new Set(items.map(item => item.id));
+        [...persisted.keys()].filter(id => !currentIds.has(id)).forEach(id => {
+            persisted.delete(id);
+            deleteUploadQueueItemFromDB(id).catch(err => console.error("Upload queue delete failed", err));
+        });
+        saveAnalysisQueueState({ itemIds: items.map(item => item.id) });
+    }, []);
+
+    useEffect(() => {
+        if (!isRestored) return;
+        const timer = setTimeout(() => persistQueueItems(uploadQueue), QUEUE_PERSIST_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [uploadQueue, isRestored, persistQueueItems]);
+
+    // 창을 닫을 때 아직 저장하지 못한 변경을 바로 저장합니다.
+    const isRestoredRef = useRef(false);
+    isRestoredRef.current = isRestored;
+    useEffect(() => () => {
+        if (isRestoredRef.current) persistQueueItems(uploadQueueRef.current);
+    }, [persistQueueItems]);
+
+    const handleRemoveItem = useCallback((id) => {
+        queueRef.current?.cancel(id);
+        setUploadQueue(prev => prev.filter((item) => item.id !== id));
+    }, []);
+
+    const handleInputChange = useCallback((id, field, value) => {
+        setUploadQueue(prev => prev.map((item) => {
+            if (item.id === id) {
+                return { 
+                    ...item, 
+                    [field]: value, 
+                    status: ['analyzed', 'error', 'cancelled'].includes(item.status) ? 'pending' : item.status,
+                };
+            }
+            return item;
+        }));
+    }, []);
+
+    // 분석 결과에 영향을 주지 않는 저장 옵션은 상태를 초기화하지 않고 변경합니다.
+    const handleOptionChange = useCallback((id, field, value) => {
+        setUploadQueue(prev => prev.map(item => item.id === id ? { ...item, [field]: value } : item));
+    }, []);
+
+    // 분석 요청은 모두 대기열을 거쳐 동시 처리 수와 분당 요청 수 제한을 따릅니다.
+    const enqueueItems = useCallback((ids) => {
+        const idSet = new Set(ids);
+        setUploadQueue(prev => prev.map(q => idSet.has(q.id) ? { ...q, status: 'queued', error: '' } : q));
+        queueRef.current?.enqueue(ids);
+    }, []);
+
+    const handleAnalyzeItem = useCallback((id) => enqueueItems([id]), [enqueueItems]);
+
+    const handleCancelItem = useCallback((id) => queueRef.current?.cancel(id), []);
+
+    const handleAnalyzeAll = () => {
+        const itemsToAnalyze = uploadQueue.filter(item => item.fileName && item.saveMode !== 'skip' && ['pending', 'error', 'cancelled'].includes(item.status));
+        if (itemsToAnalyze.length === 0) {
+            alert("분석할 항목이 없습니다.");
+            return;
+        }
+        enqueueItems(itemsToAnalyze.map(item => item.id));
+    };
+
+    const handleTogglePause = () => {
+        const paused = !queueState?.paused;
+        if (paused) queueRef.current.pause();
+        else queueRef.current.resume();
+        saveAnalysisQueueState({ paused });
+    };
+
+    const handleQueueSettingChange = (field, value) => {
+        const next = { ...queueSettings, [field]: Number(value) };
+        setQueueSettings(next);
+        saveAnalysisQueueState({ settings: next });
+    };
+
+    const handleClearQueue = () => {
+        if (!window.confirm("대기열의 모든 파일을 제거하시겠습니까? 진행 중인 분석도 취소됩니다.")) return;
+        uploadQueueRef.current.forEach(item => queueRef.current.cancel(item.id));
+        setUploadQueue([createInitialItem()]);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const specsToSave = uploadQueue.filter(item => item.status === 'analyzed' && item.saveMode !== 'skip');
+        if (specsToSave.length === 0) {
+            alert("저장할 분석 완료 항목이 없습니다.");
+            return;
         }
         setIsSaving(true);
+        // 저장한 항목과 건너뛸 항목은 대기열 저장소에서 지웁니다. 나머지는 다음에 이어서 분석할 수 있습니다.
+        uploadQueue.filter(item => specsToSave.includes(item) || item.saveMode === 'skip').forEach(item => discardedIdsRef.current.add(item.id));
+        persistQueueItems(uploadQueue);
         await onSave(specsToSave);
+        setUploadQueue(prev => prev.filter(item => !discardedIdsRef.current.has(item.id)));
         setIsSaving(false);
     };
 
-    const triggerFileInput = (isFolder) => {
-        if (isFolder && folderInputRef.current) {
-            folderInputRef.current.click();
-        } else if (!isFolder && fileInputRef.current) {
-            fileInputRef.current.click();
+    const triggerFileInput = (isFolder) => {
+        if (isFolder && folderInputRef.current) {
+            folderInputRef.current.click();
+        } else if (!isFolder && fileInputRef.current) {
+            fileInputRef.current.click();
+        }
+    };
+
+    return (
+        <div className="p-6 max-h-[80vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h3 className="text-xl font-bold text-gray-800">시방서 등록</h3>
+                    {targetFolder && (
+                        <p className="text-xs text-gray-500 mt-0.5 flex items-center"><Folder size={12} className="mr-1 text-amber-500 pointer-events-none" /> {targetFolder}</p>
+                    )}
+                    {analysisProvider && (
+                        <p className={`text-xs mt-0.5 ${analysisProvider.isFallback ? 'text-amber-600' : 'text-gray-500'}`}>
+                            분석 방식: {analysisProvider.label}{analysisProvider.model && ` (${analysisProvider.model})`}
+                            {analysisProvider.isFallback && ' - AI 설정이 완료되지 않아 규칙 기반 추출을 사용합니다.'}
+                        </p>
+                    )}
+                </div>
+                <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                    <XCircle size={24} className="pointer-events-none" />
+                </button>
+            </div>
+            
+            <input ref={fileInputRef} type="file" multiple onChange={handleFileSelect} className="hidden" accept=".pdf, .xlsx, .xls" />
+            <input ref={folderInputRef} type="file" {...{ webkitdirectory: "" }} onChange={handleFileSelect} className="hidden" />
+
+            <div className="flex gap-2 mb-4">
+                <button type="button" onClick={() => triggerFileInput(false)} className="flex-1 py-2 border border-dashed border-indigo-300 rounded text-sm text-indigo-700 flex justify-center items-center hover:bg-indigo-50 transition">
+                    <Upload size={16} className="mr-2 pointer-events-none" /> 파일 선택
+                </button>
+                <button type="button" onClick={() => triggerFileInput(true)} className="flex-1 py-2 border border-dashed border-indigo-300 rounded text-sm text-indigo-700 flex justify-center items-center hover:bg-indigo-50 transition">
+                    <File size={16} className="mr-2 pointer-events-none" /> 폴더 선택
+                </button>
+            </div>
+
+            {uploadQueue.filter(item => item.fileName).length > 0 && (
+                <div className="mb-4 space-y-2">
+                    <div className="flex gap-2">
+                        <button type="button" onClick={handleAnalyzeAll} disabled={isSaving} className="flex-1 py-2 bg-purple-600 text-white rounded text-sm flex justify-center items-center hover:bg-purple-700 disabled:bg-gray-400 transition">
+                            <Zap size={16} className="mr-2 pointer-events-none" /> 전체 분석
+                        </button>
+                        <button type="button" onClick={handleTogglePause} disabled={!queueState} className="px-3 py-2 border border-gray-300 rounded text-sm text-gray-700 flex items-center hover:bg-gray-50 disabled:opacity-50 transition">
+                            {queueState?.paused
+                                ? <><Play size={16} className="mr-1 pointer-events-none" /> 재개</>
+                                : <><Pause size={16} className="mr-1 pointer-events-none" /> 일시정지</>}
+                        </button>
+                        <button type="button" onClick={handleClearQueue} disabled={isSaving} className="px-3 py-2 border border-gray-300 rounded text-sm text-gray-500 hover:text-red-600 hover:bg-red-50 disabled:opacity-50 transition" title="대기열 비우기">
+                            <Trash2 size={16} className="pointer-events-none" />
+                        </button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-600">
+                        <label className="flex items-center gap-1">
+                            동시 처리
+                            <select value={queueSettings.concurrency} onChange={(e) => handleQueueSettingChange('concurrency', e.target.value)} className="border border-gray-300 rounded px-1 py-0.5 bg-white">
+                                {Array.from({ length: MAX_QUEUE_CONCURRENCY }, (_, i) => i + 1).map(n => <option key={n} value={n}>{n}개</option>)}
+                            </select>
+                        </label>
+                        {!isLocalAnalysis && (
+                            <label className="flex items-center gap-1">
+                                분당 요청
+                                <input type="number" min="0" value={queueSettings.ratePerMinute} onChange={(e) => handleQueueSettingChange('ratePerMinute', e.target.value)} className="w-16 border border-gray-300 rounded px-1 py-0.5" />
+                                <span className="text-gray-400">(0: 제한 없음)</span>
+                            </label>
+                        )}
+                    </div>
+                    {queueState && queueState.total > 0 && (
+                        <div className="p-2 bg-gray-50 border border-gray-200 rounded space-y-1">
+                            <div className="flex justify-between text-xs text-gray-600">
+                                <span>
+                                    분석 진행 {queueState.completed + queueState.failed + queueState.cancelled}/{queueState.total}
+                                    {(queueState.failed > 0 || queueState.cancelled > 0) && ` (실패 ${queueState.failed} · 취소 ${queueState.cancelled})`}
+                                </span>
+                                <span className={queueState.paused || queueState.blockedUntil ? 'text-amber-600' : ''}>
+                                    {queueState.paused
+                                        ? '일시정지됨'
+                                        : queueState.blockedUntil
+                                        ? '요청 한도 초과로 대기 중'
+                                        : queueState.running > 0
+                                        ? `${queueState.running}개 분석 중`
+                                        : ''}
+                                </span>
+                            </div>
+                            <ProgressBar done={queueState.completed + queueState.failed + queueState.cancelled} total={queueState.total} />
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <div className="space-y-2 mb-4">
+                 {uploadQueue.filter(item => item.fileName).map((item, index) => (
+                    <UploadItem 
+                        key={item.id} 
+                        item={item} 
+                        index={index} 
+                        onChange={handleInputChange} 
+                        onOptionChange={handleOptionChange}
+                        existingSpec={item.duplicateOf || item.revisionOf ? existingSpecs.find(s => s.id === (item.duplicateOf || item.revisionOf)) : null}
+                        onDelete={handleRemoveItem}
+                        onAnalyze={handleAnalyzeItem}
+                        onCancel={handleCancelItem}
+                    />
+                 ))}
+            </div>
+
+            <button
+                onClick={handleSubmit}
+                disabled={analyzedCount === 0 || isAnalyzing || isSaving}
+                className="w-full py-3 bg-green-600 text-white rounded font-bold hover:bg-green-700 disabled:bg-gray-400 flex justify-center items-center transition"
+            >
+                {isSaving ? <Loader2 size={18} className="mr-2 animate-spin pointer-events-none" /> : <Save size={18} className="mr-2 pointer-events-none" />}
+                {isSaving ? "저장 중..." : `저장 (${analyzedCount}개)`}
+            </button>
+        </div>
+    );
+};
+
+// isCloud: 클라우드 동기화 배포에서는 이메일 계정으로 로그인하고, 새 계정은 가입 후 관리자가 허용 목록에 추가합니다.
+const LoginScreen = ({ isCloud, hasAccounts, onLogin, onCreateAdmin, onRegister }) => {
+    const [name, setName] = useState('');
+    const [password, setPassword] = useState('');
+    const [passwordConfirm, setPasswordConfirm] = useState('');
+    const [loginError, setLoginError] = useState('');
+    const [notice, setNotice] = useState('');
+    const [isRegistering, setIsRegistering] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const isCreating = isCloud ? isRegistering : !hasAccounts;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoginError('');
+        setNotice('');
+        if (isCreating && password !== passwordConfirm) {
+            setLoginError("비밀번호 확인이 일치하지 않습니다.");
+            return;
+        }
+        setIsSubmitting(true);
+        try {
+            if (isCloud && isRegistering) {
+                await onRegister(name, password);
+                setNotice("인증 메일을 보냈습니다. 메일의 링크로 인증하고, 관리자가 허용 목록에 추가하면 로그인할 수 있습니다.");
+                setIsRegistering(false);
+                setPassword('');
+                setPasswordConfirm('');
+                setIsSubmitting(false);
+            } else if (isCloud || hasAccounts) {
+                await onLogin(name, password);
+            } else {
+                await onCreateAdmin(name, password);
+            }
+        } catch (err) {
+            setLoginError(err.message);
+            setIsSubmitting(false);
+        }
+    };
+
+    const inputClass = "w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:border-indigo-500";
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4 font-[Inter]">
+            <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 w-full max-w-sm space-y-3">
+                <div className="text-center mb-2">
+                    <Lock size={28} className="mx-auto text-indigo-600 mb-2 pointer-events-none" />
+                    <h1 className="text-lg font-bold text-gray-900">단조 시방서 관리</h1>
+                    <p className="text-xs text-gray-500 mt-1">
+                        {isCloud
+                            ? (isRegistering ? '가입 후 관리자가 허용 목록에 추가해야 사용할 수 있습니다.' : '회사 이메일 계정으로 로그인하세요.')
+                            : (hasAccounts ? '계정으로 로그인하세요.' : '처음 사용하는 경우 관리자 계정을 만들어주세요.')}
+                    </p>
+                </div>
+                {isCloud ? (
+                    <input type="email" value={name} onChange={(e) => setName(e.target.value)} placeholder="이메일" autoComplete="username" className={inputClass} required />
+                ) : (
+                    <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="이름" autoComplete="username" className={inputClass} required />
+                )}
+                <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="비밀번호" autoComplete={isCreating ? 'new-password' : 'current-password'} className={inputClass} required />
+                {isCreating && (
+                    <input type="password" value={passwordConfirm} onChange={(e) => setPasswordConfirm(e.target.value)} placeholder="비밀번호 확인" autoComplete="new-password" className={inputClass} required />
+                )}
+                {loginError && <p className="text-xs text-red-500 flex items-center"><AlertCircle size={12} className="mr-1 pointer-events-none" />{loginError}</p>}
+                {notice && <p className="text-xs text-indigo-600">{notice}</p>}
+                <button type="submit" disabled={isSubmitting} className="w-full py-2.5 bg-indigo-600 text-white font-medium rounded-lg hover:bg-indigo-700 transition text-sm disabled:opacity-50 flex items-center justify-center">
+                    {isSubmitting && <Loader2 size={16} className="animate-spin mr-1.5 pointer-events-none" />}
+                    {isCloud ? (isRegistering ? '계정 만들기' : '로그인') : (hasAccounts ? '로그인' : '관리자 계정 만들기')}
+                </button>
+                {isCloud && (
+                    <button type="button" onClick={() => { setIsRegistering(v => !v); setLoginError(''); setNotice(''); }} className="w-full text-xs text-gray-500 hover:text-indigo-600">
+                        {isRegistering ? '이미 계정이 있으면 로그인' : '처음 사용하나요? 계정 만들기'}
+                    </button>
+                )}
+            </form>
+        </div>
+    );
+};
+
+const createEmptyRuleDraft = () => ({ scope: 'customer', value: '', allowedUserIds: [], outsiderAccess: 'none' });
+
+// isCloud: 사용자는 Firestore 허용 목록(이메일)으로 관리하고, 비밀번호는 각자 가입할 때 정합니다.
+const AccessManager = ({ isCloud, settings, currentUser, specs, onChange, onClose }) => {
+    const { accounts, rules } = settings;
+    const [newAccount, setNewAccount] = useState({ name: '', email: '', password: '', role: 'viewer' });
+    const [ruleDraft, setRuleDraft] = useState(createEmptyRuleDraft);
+    const [managerError, setManagerError] = useState('');
+
+    const customers = useMemo(() => [...new Set(specs.map(s => s.attributes?.customer).filter(Boolean))].sort(), [specs]);
+    const folders = useMemo(() => [...new Set(specs.map(s => s.filePath).filter(Boolean))].sort(), [specs]);
+    const accountName = (id) => accounts.find(a => a.id === id)?.name || '(삭제된 사용자)';
+    const ruleTargetLabel = (rule) => rule.scope === 'spec' ? (specs.find(s => s.id === rule.value)?.fileName || '(삭제된 시방서)') : rule.value;
+
+    const handleAddAccount = async (e) => {
+        e.preventDefault();
+        setManagerError('');
+        try {
+            let account;
+            if (isCloud) {
+                account = createMemberAccount(newAccount);
+                if (accounts.some(a => a.id === account.id)) throw new Error("이미 허용 목록에 있는 이메일입니다.");
+            } else {
+                if (findDuplicateAccountName(accounts, newAccount.name)) throw new Error("같은 이름의 사용자가 이미 있습니다.");
+                account = await createAccount({ id: safeCreateId(), ...newAccount });
+            }
+            onChange({ ...settings, accounts: [...accounts, account] });
+            setNewAccount({ name: '', email: '', password: '', role: 'viewer' });
+        } catch (err) {
+            setManagerError(err.message);
+        }
+    };
+
+    const handleRoleChange = (account, role) => {
+        if (role !== 'admin' && isLastAdmin(accounts, account.id)) {
+            alert("관리자가 최소 한 명은 있어야 합니다.");
+            return;
+        }
+        onChange({ ...settings, accounts: accounts.map(a => a.id === account.id ? { ...a, role } : a) });
+    };
+
+    const handleResetPassword = async (account) => {
+        if (isCloud) {
+            if (!window.confirm(`${account.email}로 비밀번호 재설정 메일을 보내시겠습니까?`)) return;
+            try {
+                await sendCloudPasswordReset(account.email);
+                alert("비밀번호 재설정 메일을 보냈습니다.");
+            } catch (err) {
+                alert(err.message);
+            }
+            return;
+        }
+        const password = window.prompt(`${account.name}의 새 비밀번호를 입력하세요. (4자 이상)`);
+        if (password === null) return;
+        try {
+            const updated = await setAccountPassword(account, password);
+            onChange({ ...settings, accounts: accounts.map(a => a.id === account.id ? updated : a) });
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const handleRemoveAccount = (account) => {
+        if (account.id === currentUser.id) {
+            alert("현재 로그인한 계정은 삭제할 수 없습니다.");
+            return;
+        }
+        if (isLastAdmin(accounts, account.id)) {
+            alert("관리자가 최소 한 명은 있어야 합니다.");
+            return;
+        }
+        if (!window.confirm(`${account.name} 계정을 삭제하시겠습니까?`)) return;
+        onChange({
+            accounts: accounts.filter(a => a.id !== account.id),
+            rules: rules.map(r => ({ ...r, allowedUserIds: (r.allowedUserIds || []).filter(id => id !== account.id) }))
+        });
+    };
+
+    const handleToggleRuleUser = (id) => setRuleDraft(prev => ({
+        ...prev,
+        allowedUserIds: prev.allowedUserIds.includes(id) ? prev.allowedUserIds.filter(u => u !== id) : [...prev.allowedUserIds, id]
+    }));
+
+    const handleAddRule = (e) => {
+        e.preventDefault();
+        if (!ruleDraft.value.trim()) return;
+        onChange({ ...settings, rules: [...rules, { id: safeCreateId(), ...ruleDraft, value: ruleDraft.value.trim() }] });
+        setRuleDraft(createEmptyRuleDraft());
+    };
+
+    const handleRemoveRule = (id) => onChange({ ...settings, rules: rules.filter(r => r.id !== id) });
+
+    const inputClass = "text-xs rounded border border-gray-300 px-2 py-1.5 focus:outline-none focus:border-indigo-500 bg-white";
+
+    return (
+        <div className="flex flex-col h-full">
+            <div className="flex justify-between items-center p-4 border-b border-gray-200 bg-gray-50 rounded-t-xl">
+                <h3 className="text-base font-bold text-gray-800 flex items-center"><Shield size={18} className="mr-2 text-indigo-600 pointer-events-none" /> 사용자 및 접근 권한</h3>
+                <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-200 transition">
+                    <XCircle size={20} />
+                </button>
+            </div>
+            <div className="flex-grow overflow-y-auto p-4 space-y-6">
+                <section>
+                    <h4 className="text-sm font-semibold text-gray-800 mb-2 flex items-center"><Users size={14} className="mr-1.5 pointer-events-none" /> 사용자</h4>
+                    <table className="w-full text-xs mb-3">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b border-gray-200">
+                                <th className="py-1.5 font-medium">이름</th>
+                                <th className="py-1.5 font-medium">역할</th>
+                                <th className="py-1.5 font-medium text-right">관리</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {accounts.map(account => (
+                                <tr key={account.id} className="border-b border-gray-100">
+                                    <td className="py-1.5 text-gray-800">
+                                        {account.name}{account.id === currentUser.id && <span className="ml-1 text-gray-400">(나)</span>}
+                                        {isCloud && account.email !== account.name && <span className="block text-[11px] text-gray-400">{account.email}</span>}
+                                    </td>
+                                    <td className="py-1.5">
+                                        <select value={account.role} onChange={(e) => handleRoleChange(account, e.target.value)} className={inputClass}>
+                                            {Object.entries(ROLES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                        </select>
+                                    </td>
+                                    <td className="py-1.5 text-right whitespace-nowrap">
+                                        <button type="button" onClick={() => handleResetPassword(account)} className="p-1 text-gray-400 hover:text-indigo-600" title={isCloud ? '비밀번호 재설정 메일 보내기' : '비밀번호 재설정'}>
+                                            <KeyRound size={14} className="pointer-events-none" />
+                                        </button>
+                                        <button type="button" onClick={() => handleRemoveAccount(account)} className="p-1 text-gray-400 hover:text-red-600" title="삭제">
+                                            <Trash2 size={14} className="pointer-events-none" />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <form onSubmit={handleAddAccount} className="flex flex-wrap gap-2 items-center">
+                        {isCloud && (
+                            <input type="email" value={newAccount.email} onChange={(e) => setNewAccount(prev => ({ ...prev, email: e.target.value }))} placeholder="이메일" className={`${inputClass} flex-1 min-w-[8rem]`} required />
+                        )}
+                        <input type="text" value={newAccount.name} onChange={(e) => setNewAccount(prev => ({ ...prev, name: e.target.value }))} placeholder="이름" className={`${inputClass} flex-1 min-w-[6rem]`} required={!isCloud} />
+                        {!isCloud && (
+                            <input type="password" value={newAccount.password} onChange={(e) => setNewAccount(prev => ({ ...prev, password: e.target.value }))} placeholder="초기 비밀번호" autoComplete="new-password" className={`${inputClass} flex-1 min-w-[6rem]`} required />
+                        )}
+                        <select value={newAccount.role} onChange={(e) => setNewAccount(prev => ({ ...prev, role: e.target.value }))} className={inputClass}>
+                            {Object.entries(ROLES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                        <button type="submit" className="flex items-center px-3 py-1.5 bg-indigo-600 text-white rounded text-xs hover:bg-indigo-700">
+                            <UserPlus size={12} className="mr-1 pointer-events-none" /> 추가
+                        </button>
+                    </form>
+                    {managerError && <p className="mt-1 text-xs text-red-500">{managerError}</p>}
+                    {isCloud && <p className="mt-1 text-[11px] text-gray-500">추가한 사용자는 같은 이메일로 가입하고 인증 메일을 확인한 뒤 로그인할 수 있습니다.</p>}
+                </section>
+
+                <section>
+                    <h4 className="text-sm font-semibold text-gray-800 mb-1 flex items-center"><Lock size={14} className="mr-1.5 pointer-events-none" /> 접근 제한 규칙</h4>
+                    <p className="text-[11px] text-gray-500 mb-2">규칙에 해당하는 시방서는 지정한 사용자와 관리자만 역할대로 사용할 수 있습니다. 그 밖의 사용자에게는 숨기거나 열람만 허용합니다.</p>
+                    {rules.length > 0 ? (
+                        <ul className="space-y-1.5 mb-3">
+                            {rules.map(rule => (
+                                <li key={rule.id} className="flex items-start gap-2 text-xs border border-gray-200 rounded px-2 py-1.5">
+                                    <div className="flex-grow min-w-0">
+                                        <span className="font-medium text-gray-800">{RULE_SCOPES[rule.scope]}: {ruleTargetLabel(rule)}</span>
+                                        <span className="ml-2 text-gray-400">그 외 사용자 {OUTSIDER_ACCESS[rule.outsiderAccess] || OUTSIDER_ACCESS.none}</span>
+                                        <p className="text-gray-500 truncate">허용: {(rule.allowedUserIds || []).length > 0 ? rule.allowedUserIds.map(accountName).join(', ') : '관리자만'}</p>
+                                    </div>
+                                    <button type="button" onClick={() => handleRemoveRule(rule.id)} className="p-1 text-gray-400 hover:text-red-600" title="규칙 삭제">
+                                        <Trash2 size={14} className="pointer-events-none" />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="text-xs italic text-gray-400 mb-3">등록된 규칙이 없습니다. 모든 사용자가 역할에 따라 전체 시방서를 사용할 수 있습니다.</p>
+                    )}
+                    <form onSubmit={handleAddRule} className="border border-dashed border-gray-300 rounded p-2 space-y-2">
+                        <div className="flex flex-wrap gap-2">
+                            <select value={ruleDraft.scope} onChange={(e) => setRuleDraft(prev => ({ ...prev, scope: e.target.value, value: '' }))} className={inputClass}>
+                                {Object.entries(RULE_SCOPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                            {ruleDraft.scope === 'spec' ? (
+                                <select value={ruleDraft.value} onChange={(e) => setRuleDraft(prev => ({ ...prev, value: e.target.value }))} className={`${inputClass} flex-1 min-w-0`} required>
+                                    <option value="">시방서 선택</option>
+                                    {specs.map(s => <option key={s.id} value={s.id}>{s.fileName}</option>)}
+                                </select>
+                            ) : (
+                                <>
+                                    <input type="text" list="access-rule-values" value={ruleDraft.value} onChange={(e) => setRuleDraft(prev => ({ ...prev, value: e.target.value }))} placeholder={ruleDraft.scope === 'customer' ? '고객사명' : '폴더 경로 (하위 폴더 포함)'} className={`${inputClass} flex-1 min-w-0`} required />
+                                    <datalist id="access-rule-values">
+                                        {(ruleDraft.scope === 'customer' ? customers : folders).map(v => <option key={v} value={v} />)}
+                                    </datalist>
+                                </>
+                            )}
+                            <select value={ruleDraft.outsiderAccess} onChange={(e) => setRuleDraft(prev => ({ ...prev, outsiderAccess: e.target.value }))} className={inputClass}>
+                                {Object.entries(OUTSIDER_ACCESS).map(([value, label]) => <option key={value} value={value}>그 외: {label}</option>)}
+                            </select>
+                        </div>
+                        <div className="flex flex-wrap gap-x-3 gap-y-1">
+                            {accounts.filter(a => a.role !== 'admin').map(account => (
+                                <label key={account.id} className="flex items-center text-xs text-gray-600 cursor-pointer">
+                                    <input type="checkbox" checked={ruleDraft.allowedUserIds.includes(account.id)} onChange={() => handleToggleRuleUser(account.id)} className="mr-1" />
+                                    {account.name}
+                                </label>
+                            ))}
+                        </div>
+                        <button type="submit" className="flex items-center px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded text-xs hover:bg-gray-50">
+                            <Plus size={12} className="mr-1 pointer-events-none" /> 규칙 추가
+                        </button>
+                    </form>
+                </section>
+            </div>
+        </div>
+    );
+};
+
+// 감사 로그 표에 한 번에 그리는 최대 행 수 (CSV 내보내기는 필터 결과 전체)
+const MAX_AUDIT_ROWS = 500;
+
+const AuditEntryDetail = ({ entry }) => {
+    const changedFields = getChangedFields(entry);
+    const snapshot = entry.after || entry.before;
+    if (changedFields.length > 0) {
+        return (
+            <ul className="space-y-0.5">
+                {changedFields.map(field => (
+                    <li key={field} className="break-words">
+                        <span className="font-medium text-gray-600">{field}</span>:{' '}
+                        <span className="text-red-600 line-through">{JSON.stringify(entry.before[field]) ?? '-'}</span>{' → '}
+                        <span className="text-green-700">{JSON.stringify(entry.after[field]) ?? '-'}</span>
+                    </li>
+                ))}
+            </ul>
+        );
+    }
+    if (!snapshot) return null;
+    return <pre className="whitespace-pre-wrap break-words text-[10px] text-gray-500">{JSON.stringify(snapshot, null, 2)}</pre>;
+};
+
+const AuditLogViewer = ({ loadEntries, onClose }) => {
+    const [entries, setEntries] = useState(null);
+    const [filters, setFilters] = useState(createEmptyAuditFilters);
+    const [verification, setVerification] = useState(null);
+    const [expandedSeq, setExpandedSeq] = useState(null);
+    const [loadError, setLoadError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        loadEntries()
+            .then(async (loaded) => {
+                if (cancelled) return;
+                setEntries(loaded);
+                const result = await verifyAuditChain(loaded);
+                if (!cancelled) setVerification(result);
+            })
+            .catch(err => {
+                if (!cancelled) setLoadError("감사 로그를 불러올 수 없습니다: " + err.message);
+            });
+        return () => { cancelled = true; };
+    }, [loadEntries]);
+
+    const actors = useMemo(() => {
+        const byId = new Map();
+        (entries || []).forEach(e => byId.set(e.actorId, e.actorName));
+        return [...byId.entries()];
+    }, [entries]);
+
+    // 최신 항목이 위에 오도록 역순으로 표시합니다.
+    const filtered = useMemo(() => (entries ? filterAuditEntries(entries, filters).reverse() : []), [entries, filters]);
+
+    const handleExportCsv = () => {
+        const csv = auditEntriesToCsv([...filtered].reverse());
+        downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `audit_log_${new Date().toISOString().slice(0, 10)}.csv`);
+    };
+
+    const inputClass = "text-xs rounded border border-gray-300 px-2 py-1.5 focus:outline-none focus:border-indigo-500 bg-white";
+
+    return (
+        <div className="flex flex-col h-full">
+            <div className="flex justify-between items-center p-4 border-b border-gray-200 bg-gray-50 rounded-t-xl">
+                <h3 className="text-base font-bold text-gray-800 flex items-center"><ScrollText size={18} className="mr-2 text-indigo-600 pointer-events-none" /> 감사 로그</h3>
+                <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-200 transition">
+                    <XCircle size={20} />
+                </button>
+            </div>
+            <div className="flex flex-wrap gap-2 items-center px-4 py-3 border-b border-gray-100">
+                <select value={filters.action} onChange={(e) => setFilters(prev => ({ ...prev, action: e.target.value }))} className={inputClass}>
+                    <option value="">모든 작업</option>
+                    {Object.entries(AUDIT_ACTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <select value={filters.actor} onChange={(e) => setFilters(prev => ({ ...prev, actor: e.target.value }))} className={inputClass}>
+                    <option value="">모든 사용자</option>
+                    {actors.map(([id, name]) => <option key={id} value={id}>{name || id || '(알 수 없음)'}</option>)}
+                </select>
+                <input type="text" value={filters.query} onChange={(e) => setFilters(prev => ({ ...prev, query: e.target.value }))} placeholder="파일명 또는 시방서 ID" className={`${inputClass} flex-1 min-w-[8rem]`} />
+                <input type="date" value={filters.dateFrom} max={filters.dateTo || undefined} onChange={(e) => setFilters(prev => ({ ...prev, dateFrom: e.target.value }))} className={inputClass} />
+                <span className="text-gray-400 text-xs">~</span>
+                <input type="date" value={filters.dateTo} min={filters.dateFrom || undefined} onChange={(e) => setFilters(prev => ({ ...prev, dateTo: e.target.value }))} className={inputClass} />
+                <button type="button" onClick={handleExportCsv} disabled={filtered.length === 0} className="flex items-center px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded text-xs hover:bg-gray-50 disabled:opacity-50">
+                    <Download size={12} className="mr-1 pointer-events-none" /> CSV
+                </button>
+            </div>
+            <div className="px-4 py-2 text-[11px] flex items-center gap-3 border-b border-gray-100">
+                {entries && <span className="text-gray-500">{filtered.length.toLocaleString()}건 / 전체 {entries.length.toLocaleString()}건</span>}
+                {verification && (verification.valid
+                    ? <span className="flex items-center text-green-600"><ShieldCheck size={12} className="mr-1 pointer-events-none" /> 무결성 확인됨</span>
+                    : <span className="flex items-center text-red-600"><ShieldAlert size={12} className="mr-1 pointer-events-none" /> {verification.brokenAt}번 항목부터 기록이 변조되었거나 누락되었습니다.</span>
+                )}
+            </div>
+            <div className="flex-grow overflow-auto">
+                {loadError && <p className="p-4 text-xs text-red-500">{loadError}</p>}
+                {!entries && !loadError && <p className="p-4 text-xs text-gray-400 flex items-center"><Loader2 size={14} className="animate-spin mr-1.5 pointer-events-none" /> 불러오는 중...</p>}
+                {entries && (
+                    <table className="w-full text-xs">
+                        <thead className="sticky top-0 bg-white">
+                            <tr className="text-left text-gray-500 border-b border-gray-200">
+                                <th className="px-4 py-1.5 font-medium">일시</th>
+                                <th className="px-2 py-1.5 font-medium">사용자</th>
+                                <th className="px-2 py-1.5 font-medium">작업</th>
+                                <th className="px-2 py-1.5 font-medium">대상</th>
+                                <th className="px-2 py-1.5 font-medium">비고</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {filtered.slice(0, MAX_AUDIT_ROWS).map(entry => (
+                                <React.Fragment key={entry.seq}>
+                                    <tr onClick={() => setExpandedSeq(seq => seq === entry.seq ? null : entry.seq)} className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer">
+                                        <td className="px-4 py-1.5 text-gray-500 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</td>
+                                        <td className="px-2 py-1.5 text-gray-800">{entry.actorName || entry.actorId}</td>
+                                        <td className="px-2 py-1.5"><span className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-700">{AUDIT_ACTIONS[entry.action] || entry.action}</span></td>
+                                        <td className="px-2 py-1.5 text-gray-800 break-all">{entry.fileName || entry.specId || '-'}</td>
+                                        <td className="px-2 py-1.5 text-gray-500">{entry.detail}</td>
+                                    </tr>
+                                    {expandedSeq === entry.seq && (
+                                        <tr className="bg-gray-50 border-b border-gray-100">
+                                            <td colSpan="5" className="px-4 py-2 text-[11px]">
+                                                <p className="text-gray-400 mb-1">시방서 ID: {entry.specId || '-'} · #{entry.seq}</p>
+                                                <AuditEntryDetail entry={entry} />
+                                            </td>
+                                        </tr>
+                                    )}
+                                </React.Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                {filtered.length > MAX_AUDIT_ROWS && (
+                    <p className="p-3 text-center text-[11px] text-gray-400">최근 {MAX_AUDIT_ROWS}건만 표시합니다. 전체 내역은 CSV로 내보내세요.</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const TrashView = ({ specs, retentionDays, currentUser, accessRules, onRestore, onPurge, onChangeRetention }) => {
+    const [selected, setSelected] = useState(new Set());
+    const canPurge = hasPermission(currentUser, 'purge');
+    const restorable = specs.filter(s => canModifySpec(currentUser, s, accessRules, 'delete'));
+    const sorted = useMemo(() => [...specs].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)), [specs]);
+
+    // 목록이 바뀌면 사라진 항목은 선택에서 뺍니다.
+    useEffect(() => {
+        setSelected(prev => new Set([...prev].filter(id => specs.some(s => s.id === id))));
+    }, [specs]);
+
+    const toggle = (id) => setSelected(prev => {
+        const next = new Set(prev);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        return next;
+    });
+
+    const allSelected = specs.length > 0 && selected.size === specs.length;
+
+    if (specs.length === 0) {
+        return (
+            <div className="text-center py-20 text-gray-400 border-2 border-dashed border-gray-200 rounded-xl bg-gray-50/50">
+                <Trash2 size={40} className="mx-auto mb-3 opacity-50 pointer-events-none" />
+                <p className="text-base font-medium">휴지통이 비어 있습니다.</p>
+                <p className="text-xs mt-1">삭제한 시방서는 {retentionDays}일 동안 이곳에 보관됩니다.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-lg">
+            <div className="flex flex-wrap items-center gap-2 px-3 py-2 border-b border-gray-100">
+                <button type="button" onClick={() => setSelected(allSelected ? new Set() : new Set(specs.map(s => s.id)))} className="text-gray-400 hover:text-indigo-600" title="전체 선택">
+                    {allSelected ? <CheckSquare size={18} className="text-indigo-600 pointer-events-none" /> : <Square size={18} className="pointer-events-none" />}
+                </button>
+                <button type="button" onClick={() => onRestore([...selected])} disabled={selected.size === 0 || restorable.length === 0} className="flex items-center px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded text-xs hover:bg-gray-50 disabled:opacity-50">
+                    <ArchiveRestore size={12} className="mr-1 pointer-events-none" /> 선택 복원{selected.size > 0 && ` (${selected.size})`}
+                </button>
+                {canPurge && (
+                    <>
+                        <button type="button" onClick={() => onPurge([...selected])} disabled={selected.size === 0} className="flex items-center px-3 py-1.5 bg-white border border-red-200 text-red-600 rounded text-xs hover:bg-red-50 disabled:opacity-50">
+                            <Trash2 size={12} className="mr-1 pointer-events-none" /> 선택 영구 삭제
+                        </button>
+                        <button type="button" onClick={() => onPurge(specs.map(s => s.id))} className="flex items-center px-3 py-1.5 bg-red-600 text-white rounded text-xs hover:bg-red-700">
+                            휴지통 비우기
+                        </button>
+                        <label className="ml-auto flex items-center text-xs text-gray-500">
+                            보관 기간
+                            <input
+                                type="number"
+                                min="1"
+                                max="3650"
+                                value={retentionDays}
+                                onChange={(e) => {
+                                    const days = Math.round(Number(e.target.value));
+                                    if (days >= 1) onChangeRetention(days);
+                                }}
+                                className="mx-1 w-16 text-xs rounded border border-gray-300 px-2 py-1 focus:outline-none focus:border-indigo-500"
+                            />
+                            일
+                        </label>
+                    </>
+                )}
+            </div>
+            <ul className="divide-y divide-gray-100">
+                {sorted.map(spec => {
+                    const canRestore = restorable.includes(spec);
+                    return (
+                        <li key={spec.id} className="flex items-center gap-3 px-3 py-2 text-xs">
+                            <button type="button" onClick={() => toggle(spec.id)} className="text-gray-400 hover:text-indigo-600 flex-shrink-0">
+                                {selected.has(spec.id) ? <CheckSquare size={16} className="text-indigo-600 pointer-events-none" /> : <Square size={16} className="pointer-events-none" />}
+                            </button>
+                            <div className="flex-grow min-w-0">
+                                <p className="font-medium text-gray-800 truncate" title={spec.fileName}>{spec.filePath ? `${spec.filePath}/` : ''}{spec.fileName}</p>
+                                <p className="text-[11px] text-gray-400">
+                                    {new Date(spec.deletedAt).toLocaleString()} 삭제{spec.deletedBy?.name && ` · ${spec.deletedBy.name}`}
+                                    {' · '}{getPurgeDate(spec, retentionDays).toLocaleDateString()} 영구 삭제 예정
+                                </p>
+                            </div>
+                            {canRestore && (
+                                <button type="button" onClick={() => onRestore([spec.id])} className="flex items-center text-indigo-600 hover:text-indigo-800 flex-shrink-0">
+                                    <ArchiveRestore size={14} className="mr-1 pointer-events-none" /> 복원
+                                </button>
+                            )}
+                            {canPurge && (
+                                <button type="button" onClick={() => onPurge([spec.id])} className="p-1 text-gray-400 hover:text-red-600 flex-shrink-0" title="영구 삭제">
+                                    <Trash2 size={14} className="pointer-events-none" />
+                                </button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+// 보관 기간 경과로 자동 영구 삭제할 때 감사 로그에 남길 작업자
+const TRASH_PURGE_ACTOR = { id: 'system', name: '자동 정리' };
+
+// 연결 테스트에 쓰는 짧은 예시 본문
+const AI_TEST_SAMPLE = {
+    fileName: '연결테스트.pdf',
+    filePath: '',
+    fileType: 'PDF',
+    mockContent: '',
+    extractedText: '플랜지 단조품 구매 시방서\n재질: SA-182 F316L\n단조 온도 1150~900°C\n열처리: 용체화 처리 1040°C 이상, 수냉\n경도 HB 187 이하\nUT: ASTM A388',
+};
+
+const AiSettingsDialog = ({ settings, onSave, onClose }) => {
+    const [draft, setDraft] = useState(settings);
+    const [testResult, setTestResult] = useState(null);
+    const [isTesting, setIsTesting] = useState(false);
+    const [serverStatus, setServerStatus] = useState(null);
+    const isServerProvider = draft.provider === 'server';
+    const serverAccessToken = draft.server?.accessToken || '';
+
+    useEffect(() => {
+        if (!isServerProvider) return;
+        let isActive = true;
+        setServerStatus(null);
+        getAiProxyToken(serverAccessToken)
+            .then(fetchAiProxyStatus)
+            .then(status => isActive && setServerStatus(status))
+            .catch(err => isActive && setServerStatus({ error: err.message }));
+        return () => { isActive = false; };
+    }, [isServerProvider, serverAccessToken]);
+
+    const updateSection = (section, field, value) => {
+        setDraft(prev => ({ ...prev, [section]: { ...prev[section], [field]: value } }));
+        setTestResult(null);
+    };
+
+    const handleTest = async () => {
+        setIsTesting(true);
+        setTestResult(null);
+        try {
+            const result = await createAiProvider(draft, { fetchImpl: fetchWithRetry, getAccessToken: () => getAiProxyToken(draft.server?.accessToken) }).analyze(AI_TEST_SAMPLE);
+            setTestResult({ ok: true, message: result.summary || '(요약 없음)' });
+        } catch (err) {
+            setTestResult({ ok: false, message: err.message });
+        } finally {
+            setIsTesting(false);
         }
     };
 
+    const inputClass = "w-full text-sm rounded border border-gray-300 px-2 py-1.5 focus:outline-none focus:border-indigo-500 bg-white";
+    const isConfigured = isProviderConfigured(draft);
+
     return (
         <div className="p-6 max-h-[80vh] overflow-y-auto">
             <div className="flex justify-between items-center mb-4">
-                <h3 className="text-xl font-bold text-gray-800">시방서 등록</h3>
+                <h3 className="text-xl font-bold text-gray-800 flex items-center"><Settings2 size={20} className="mr-2 text-indigo-600 pointer-events-none" /> AI 설정</h3>
                 <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
                     <XCircle size={24} className="pointer-events-none" />
                 </button>
             </div>
-            
-            <input ref={fileInputRef} type="file" multiple onChange={handleFileSelect} className="hidden" accept=".pdf, .xlsx, .xls" />
-            <input ref={folderInputRef} type="file" {...{ webkitdirectory: "" }} onChange={handleFileSelect} className="hidden" />
 
-            <div className="flex gap-2 mb-4">
-                <button type="button" onClick={() => triggerFileInput(false)} className="flex-1 py-2 border border-dashed border-indigo-300 rounded text-sm text-indigo-700 flex justify-center items-center hover:bg-indigo-50 transition">
-                    <Upload size={16} className="mr-2 pointer-events-none" /> 파일 선택
+            <div className="space-y-2 mb-4">
+                {Object.entries(AI_PROVIDERS).map(([value, label]) => (
+                    <label key={value} className={`flex items-center gap-2 p-2 rounded border cursor-pointer text-sm ${draft.provider === value ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200'}`}>
+                        <input type="radio" name="ai-provider" checked={draft.provider === value} onChange={() => { setDraft(prev => ({ ...prev, provider: value })); setTestResult(null); }} />
+                        {label}
+                    </label>
+                ))}
+            </div>
+
+            {draft.provider === 'server' && !CLOUD_MODE && (
+                <label className="block text-xs text-gray-600 mb-2">접근 토큰 (서버의 SPEC_API_TOKENS에 등록된 토큰)
+                    <input type="password" value={draft.server?.accessToken || ''} onChange={(e) => updateSection('server', 'accessToken', e.target.value)} className={inputClass} autoComplete="off" />
+                </label>
+            )}
+            {draft.provider === 'server' && (
+                <div className="text-xs text-gray-600 bg-gray-50 border border-gray-200 rounded p-2 mb-4 space-y-1">
+                    {!serverStatus ? (
+                        <p className="flex items-center"><Loader2 size={12} className="mr-1 animate-spin pointer-events-none" /> 서버 설정 확인 중...</p>
+                    ) : serverStatus.error ? (
+                        <p className="text-red-600">{serverStatus.error}</p>
+                    ) : serverStatus.configured ? (
+                        <>
+                            <p>서버 제공자: {serverStatus.provider} ({serverStatus.model})</p>
+                            <p>오늘 사용량: {serverStatus.quota.used}{serverStatus.quota.limit > 0 ? ` / ${serverStatus.quota.limit}회` : '회 (제한 없음)'}</p>
+                        </>
+                    ) : (
+                        <p className="text-amber-600">서버에 AI 키가 설정되지 않았습니다. 서버 환경 변수(GEMINI_API_KEY 등)를 지정하세요.</p>
+                    )}
+                </div>
+            )}
+
+            {draft.provider === 'openai' && (
+                <div className="space-y-2 mb-4">
+                    <label className="block text-xs text-gray-600">Base URL (chat/completions 앞부분)
+                        <input type="text" value={draft.openai.baseUrl} onChange={(e) => updateSection('openai', 'baseUrl', e.target.value)} placeholder="http://192.168.0.10:8000/v1" className={inputClass} />
+                    </label>
+                    <label className="block text-xs text-gray-600">모델
+                        <input type="text" value={draft.openai.model} onChange={(e) => updateSection('openai', 'model', e.target.value)} className={inputClass} />
+                    </label>
+                    <label className="block text-xs text-gray-600">API 키 (선택)
+                        <input type="password" value={draft.openai.apiKey} onChange={(e) => updateSection('openai', 'apiKey', e.target.value)} className={inputClass} autoComplete="off" />
+                    </label>
+                </div>
+            )}
+
+            {draft.provider === 'rules' && (
+                <p className="text-xs text-gray-500 mb-4">
+                    네트워크 없이 본문에서 규격 번호, 재질, 온도 범위, 경도, NDT 방법 등을 규칙으로 찾아냅니다. 결과는 AI보다 단순하므로 저장 후 확인해주세요. 질의응답은 사용할 수 없습니다.
+                </p>
+            )}
+
+            {!isConfigured && (
+                <p className="text-xs text-amber-600 mb-4 flex items-start">
+                    <AlertTriangle size={14} className="mr-1 mt-0.5 flex-shrink-0 pointer-events-none" />
+                    필수 항목이 비어 있어 저장하면 규칙 기반 추출로 대신 분석합니다.
+                </p>
+            )}
+            {draft.provider === 'openai' && (
+                <p className="text-xs text-gray-400 mb-4">API 키는 이 브라우저에만 저장됩니다.</p>
+            )}
+
+            {testResult && (
+                <div className={`text-xs rounded border p-2 mb-4 break-all ${testResult.ok ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-700'}`}>
+                    {testResult.ok ? '연결 성공: ' : ''}{testResult.message}
+                </div>
+            )}
+
+            <div className="flex gap-2">
+                <button type="button" onClick={handleTest} disabled={isTesting} className="flex-1 py-2 border border-gray-300 rounded text-sm text-gray-700 flex justify-center items-center hover:bg-gray-50 disabled:opacity-50 transition">
+                    {isTesting ? <Loader2 size={16} className="mr-2 animate-spin pointer-events-none" /> : <Zap size={16} className="mr-2 pointer-events-none" />}
+                    연결 테스트
                 </button>
-                <button type="button" onClick={() => triggerFileInput(true)} className="flex-1 py-2 border border-dashed border-indigo-300 rounded text-sm text-indigo-700 flex justify-center items-center hover:bg-indigo-50 transition">
-                    <File size={16} className="mr-2 pointer-events-none" /> 폴더 선택
+                <button type="button" onClick={() => onSave(draft)} className="flex-1 py-2 bg-indigo-600 text-white rounded text-sm font-medium flex justify-center items-center hover:bg-indigo-700 transition">
+                    <Save size={16} className="mr-2 pointer-events-none" /> 저장
                 </button>
             </div>
+        </div>
+    );
+};
+
+const createEmptyPartDraft = () => ({ partNumber: '', name: '', drawingNumber: '', customer: '' });
+
+// 품번 하나에 적용되는 시방서와 각 시방서의 개정 이력을 보여줍니다.
+const PartView = ({ part, catalog, specs, canEdit, canDownload, onUpdate, onRemove, onOpenSpec, onDownloadRevision }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(createEmptyPartDraft);
+    const applicable = useMemo(() => getSpecsForPart(part, specs), [part, specs]);
+    const customerName = getCustomerName(catalog, part.customerId);
+
+    const handleStartEdit = () => {
+        setDraft({ partNumber: part.partNumber, name: part.name || '', drawingNumber: part.drawingNumber || '', customer: customerName });
+        setIsEditing(true);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const duplicate = findPartByNumber(catalog, draft.partNumber);
+        if (duplicate && duplicate.id !== part.id) {
+            alert("같은 품번이 이미 있습니다.");
+            return;
+        }
+        onUpdate(part.id, draft);
+        setIsEditing(false);
+    };
+
+    const inputClass = "w-full text-xs rounded border border-gray-300 px-2 py-1.5 focus:outline-none focus:border-indigo-500 bg-white";
+
+    return (
+        <div className="space-y-4">
+            {isEditing ? (
+                <form onSubmit={handleSubmit} className="border border-indigo-200 rounded-lg p-3 space-y-2 bg-indigo-50/30">
+                    {Object.entries(PART_COLUMN_LABELS).map(([key, label]) => (
+                        <label key={key} className="block">
+                            <span className="block text-[11px] font-medium text-gray-600 mb-0.5">{label}</span>
+                            <input type="text" list={key === 'customer' ? 'part-customers' : undefined} value={draft[key]} onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))} required={key === 'partNumber'} className={inputClass} />
+                        </label>
+                    ))}
+                    <div className="flex gap-2 pt-1">
+                        <button type="button" onClick={() => setIsEditing(false)} className="flex-1 py-1.5 bg-white border border-gray-300 text-gray-700 rounded text-xs hover:bg-gray-50">취소</button>
+                        <button type="submit" className="flex-1 py-1.5 bg-indigo-600 text-white rounded text-xs hover:bg-indigo-700 flex items-center justify-center">
+                            <Save size={12} className="mr-1 pointer-events-none" /> 저장
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <div className="flex items-start gap-3">
+                    <div className="flex-grow min-w-0">
+                        <h4 className="text-lg font-bold text-gray-900">{part.partNumber}</h4>
+                        <p className="text-sm text-gray-600">{part.name || <span className="text-gray-300">품명 없음</span>}</p>
+                        <p className="text-xs text-gray-500 mt-1">
+                            도면번호 {part.drawingNumber || '-'} · 고객사 {customerName || '-'}
+                        </p>
+                    </div>
+                    {canEdit && (
+                        <div className="flex gap-1 flex-shrink-0">
+                            <button type="button" onClick={handleStartEdit} className="p-1.5 text-gray-400 hover:text-indigo-600" title="수정">
+                                <Pencil size={14} className="pointer-events-none" />
+                            </button>
+                            <button type="button" onClick={() => onRemove('part', part)} className="p-1.5 text-gray-400 hover:text-red-600" title="삭제">
+                                <Trash2 size={14} className="pointer-events-none" />
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <section>
+                <h5 className="text-xs font-semibold text-gray-700 mb-2">적용 시방서 ({applicable.length})</h5>
+                {applicable.length === 0 ? (
+                    <p className="text-xs italic text-gray-400">연결된 시방서가 없습니다. 시방서 상세 화면의 &apos;품번 · 고객사&apos;에서 연결할 수 있습니다.</p>
+                ) : (
+                    <ul className="space-y-2">
+                        {applicable.map(({ spec, via }) => (
+                            <li key={spec.id} className="border border-gray-200 rounded-lg">
+                                <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-100 bg-gray-50 rounded-t-lg text-xs">
+                                    <button type="button" onClick={() => onOpenSpec(spec)} className="font-semibold text-indigo-700 hover:underline truncate text-left" title="상세 보기">{spec.fileName}</button>
+                                    <span className={`flex-shrink-0 px-1.5 py-0.5 rounded text-[10px] ${via === 'part' ? 'bg-indigo-50 text-indigo-600' : 'bg-amber-50 text-amber-700'}`}>
+                                        {via === 'part' ? '품번 지정' : '고객사 공통'}
+                                    </span>
+                                    {spec.filePath && <span className="ml-auto text-gray-400 truncate">{spec.filePath}</span>}
+                                </div>
+                                <ul className="divide-y divide-gray-100">
+                                    {[...getRevisions(spec)].reverse().map(rev => (
+                                        <li key={rev.id} className="flex items-center gap-2 px-3 py-1.5 text-xs">
+                                            <span className={`font-semibold w-12 ${rev.storageKey === spec.id ? 'text-indigo-600' : 'text-gray-500'}`}>Rev.{rev.revision}</span>
+                                            <span className="flex-grow truncate text-gray-700" title={rev.fileName}>{rev.fileName}</span>
+                                            <span className="text-gray-400 whitespace-nowrap">{new Date(rev.createdAt).toLocaleDateString()}</span>
+                                            {canDownload && (
+                                                <button type="button" onClick={() => onDownloadRevision(spec, rev)} className="text-gray-400 hover:text-green-600" title="이 개정본 다운로드">
+                                                    <Download size={12} className="pointer-events-none" />
+                                                </button>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </section>
+        </div>
+    );
+};
+
+// 품번·고객사 기준 정보 관리와 품번별 적용 시방서 조회. 편집 권한이 있으면 추가, 수정, 삭제, 품목 마스터 가져오기를 할 수 있습니다.
+const PartCatalogModal = ({ catalog, specs, canEdit, canDownload, onChange, onRemove, onOpenSpec, onDownloadRevision, onClose }) => {
+    const [tab, setTab] = useState('parts');
+    const [query, setQuery] = useState('');
+    const [selectedPartId, setSelectedPartId] = useState(null);
+    const [partDraft, setPartDraft] = useState(createEmptyPartDraft);
+    const [customerName, setCustomerName] = useState('');
+    const [isImporting, setIsImporting] = useState(false);
+    const importInputRef = useRef(null);
+
+    const filteredParts = useMemo(
+        () => [...searchParts(catalog, query)].sort((a, b) => a.partNumber.localeCompare(b.partNumber)),
+        [catalog, query]
+    );
+    const selectedPart = catalog.parts.find(p => p.id === selectedPartId) || null;
+
+    // 고객사 이름은 없으면 새로 만들고, 비어 있으면 연결하지 않습니다.
+    const applyPartFields = (base, fields) => {
+        const { catalog: next, customer } = ensureCustomer(base, fields.customer, safeCreateId);
+        return {
+            catalog: next,
+            fields: { partNumber: fields.partNumber.trim(), name: fields.name.trim(), drawingNumber: fields.drawingNumber.trim(), customerId: customer?.id || null },
+        };
+    };
+
+    const handleAddPart = (e) => {
+        e.preventDefault();
+        if (!partDraft.partNumber.trim()) return;
+        if (findPartByNumber(catalog, partDraft.partNumber)) {
+            alert("같은 품번이 이미 있습니다.");
+            return;
+        }
+        const now = new Date().toISOString();
+        const { catalog: next, fields } = applyPartFields(catalog, partDraft);
+        const part = { id: safeCreateId(), ...fields, createdAt: now, updatedAt: now };
+        onChange({ ...next, parts: [...next.parts, part] });
+        setPartDraft(createEmptyPartDraft());
+        setSelectedPartId(part.id);
+    };
+
+    const handleUpdatePart = (id, draft) => {
+        const { catalog: next, fields } = applyPartFields(catalog, draft);
+        onChange({ ...next, parts: next.parts.map(p => p.id === id ? { ...p, ...fields, updatedAt: new Date().toISOString() } : p) });
+    };
+
+    const handleAddCustomer = (e) => {
+        e.preventDefault();
+        if (findCustomerByName(catalog, customerName)) {
+            alert("같은 이름의 고객사가 이미 있습니다.");
+            return;
+        }
+        const { catalog: next } = ensureCustomer(catalog, customerName, safeCreateId);
+        onChange(next);
+        setCustomerName('');
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setIsImporting(true);
+        try {
+            const sheets = await parseWorkbook(file);
+            const { entries, errors } = parsePartMasterRows(sheets[0]?.rows || []);
+            if (entries.length === 0) {
+                alert(errors.join('\n') || "가져올 품번이 없습니다.");
+                return;
+            }
+            const merged = mergePartMaster(catalog, entries, safeCreateId);
+            const lines = [
+                `신규 ${merged.added}건, 변경 ${merged.updated}건, 변경 없음 ${merged.unchanged}건`,
+                merged.customersAdded > 0 ? `새 고객사 ${merged.customersAdded}곳` : '',
+                errors.length > 0 ? `건너뛴 행 ${errors.length}건:\n${errors.slice(0, 10).join('\n')}${errors.length > 10 ? '\n...' : ''}` : '',
+            ].filter(Boolean);
+            if (!window.confirm(`${file.name}에서 품번 ${entries.length}건을 읽었습니다.\n${lines.join('\n')}\n\n반영하시겠습니까?`)) return;
+            onChange(merged.catalog);
+        } catch (err) {
+            console.error("Part master import failed:", err);
+            alert("품목 마스터 파일을 읽지 못했습니다. CSV 또는 엑셀 파일인지 확인해주세요.");
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const handleRemove = (kind, entry) => {
+        const field = kind === 'part' ? 'partIds' : 'customerIds';
+        const linkedCount = countLinkedSpecs(specs, field, entry.id);
+        const label = kind === 'part' ? `품번 ${entry.partNumber}` : `고객사 ${entry.name}`;
+        const detail = kind === 'customer' ? '\n이 고객사의 품번은 남고 고객사 지정만 해제됩니다.' : '';
+        if (!window.confirm(`${label}을(를) 삭제하시겠습니까?${linkedCount > 0 ? `\n연결된 시방서 ${linkedCount}건의 연결도 해제됩니다.` : ''}${detail}`)) return;
+        onRemove(kind, entry.id);
+        if (kind === 'part' && entry.id === selectedPartId) setSelectedPartId(null);
+    };
+
+    const inputClass = "text-xs rounded border border-gray-300 px-2 py-1.5 focus:outline-none focus:border-indigo-500 bg-white";
+    const tabClass = (value) => `px-3 py-1.5 text-xs font-medium rounded-md ${tab === value ? 'bg-white shadow-sm text-indigo-700' : 'text-gray-500 hover:text-gray-700'}`;
+
+    return (
+        <div className="flex flex-col h-full">
+            <div className="flex justify-between items-center p-4 border-b border-gray-200 bg-gray-50 rounded-t-xl">
+                <h3 className="text-base font-bold text-gray-800 flex items-center"><Package size={18} className="mr-2 text-indigo-600 pointer-events-none" /> 품번 및 고객사</h3>
+                <div className="flex items-center gap-3">
+                    <div className="flex bg-gray-200/70 rounded-lg p-0.5">
+                        <button type="button" onClick={() => setTab('parts')} className={tabClass('parts')}>품번 ({catalog.parts.length})</button>
+                        <button type="button" onClick={() => setTab('customers')} className={tabClass('customers')}>고객사 ({catalog.customers.length})</button>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-200 transition">
+                        <XCircle size={20} />
+                    </button>
+                </div>
+            </div>
+            <datalist id="part-customers">
+                {catalog.customers.map(c => <option key={c.id} value={c.name} />)}
+            </datalist>
+
+            {tab === 'parts' ? (
+                <div className="flex-grow flex min-h-0">
+                    <div className="w-72 flex-shrink-0 border-r border-gray-200 flex flex-col min-h-0">
+                        <div className="p-3 border-b border-gray-100 space-y-2">
+                            <div className="relative">
+                                <input type="text" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="품번, 품명, 도면번호, 고객사" className={`${inputClass} w-full pl-7`} />
+                                <Search size={12} className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400 pointer-events-none" />
+                            </div>
+                            {canEdit && (
+                                <>
+                                    <button type="button" onClick={() => importInputRef.current.click()} disabled={isImporting} className="w-full flex items-center justify-center px-2 py-1.5 bg-white border border-gray-300 text-gray-700 rounded text-xs hover:bg-gray-50 disabled:opacity-50">
+                                        {isImporting ? <Loader2 size={12} className="mr-1 animate-spin pointer-events-none" /> : <Upload size={12} className="mr-1 pointer-events-none" />} 품목 마스터 가져오기 (CSV/엑셀)
+                                    </button>
+                                    <input type="file" ref={importInputRef} onChange={handleImport} accept=".csv,.xlsx,.xls" className="hidden" />
+                                </>
+                            )}
+                        </div>
+                        <ul className="flex-grow overflow-y-auto divide-y divide-gray-100">
+                            {filteredParts.map(part => (
+                                <li key={part.id}>
+                                    <button type="button" onClick={() => setSelectedPartId(part.id)} className={`w-full text-left px-3 py-2 text-xs ${part.id === selectedPartId ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}>
+                                        <span className="block font-semibold text-gray-800 truncate">{part.partNumber}</span>
+                                        <span className="block text-gray-500 truncate">{[part.name, getCustomerName(catalog, part.customerId)].filter(Boolean).join(' · ') || '-'}</span>
+                                    </button>
+                                </li>
+                            ))}
+                            {filteredParts.length === 0 && (
+                                <li className="p-3 text-xs italic text-gray-400">{catalog.parts.length === 0 ? '등록된 품번이 없습니다.' : '일치하는 품번이 없습니다.'}</li>
+                            )}
+                        </ul>
+                        {canEdit && (
+                            <form onSubmit={handleAddPart} className="p-3 border-t border-gray-200 space-y-1.5">
+                                <div className="grid grid-cols-2 gap-1.5">
+                                    {Object.entries(PART_COLUMN_LABELS).map(([key, label]) => (
+                                        <input key={key} type="text" list={key === 'customer' ? 'part-customers' : undefined} value={partDraft[key]} onChange={(e) => setPartDraft(prev => ({ ...prev, [key]: e.target.value }))} placeholder={label} required={key === 'partNumber'} className={`${inputClass} min-w-0`} />
+                                    ))}
+                                </div>
+                                <button type="submit" className="w-full flex items-center justify-center px-3 py-1.5 bg-indigo-600 text-white rounded text-xs hover:bg-indigo-700">
+                                    <Plus size={12} className="mr-1 pointer-events-none" /> 품번 추가
+                                </button>
+                            </form>
+                        )}
+                    </div>
+                    <div className="flex-grow min-w-0 overflow-y-auto p-4">
+                        {selectedPart ? (
+                            <PartView
+                                key={selectedPart.id}
+                                part={selectedPart}
+                                catalog={catalog}
+                                specs={specs}
+                                canEdit={canEdit}
+                                canDownload={canDownload}
+                                onUpdate={handleUpdatePart}
+                                onRemove={handleRemove}
+                                onOpenSpec={onOpenSpec}
+                                onDownloadRevision={onDownloadRevision}
+                            />
+                        ) : (
+                            <p className="text-sm text-gray-400 text-center mt-16">왼쪽에서 품번을 선택하면 적용되는 시방서와 개정본을 볼 수 있습니다.</p>
+                        )}
+                    </div>
+                </div>
+            ) : (
+                <div className="flex-grow overflow-y-auto p-4">
+                    <table className="w-full text-xs mb-3">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b border-gray-200">
+                                <th className="py-1.5 font-medium">고객사</th>
+                                <th className="py-1.5 font-medium text-right">품번</th>
+                                <th className="py-1.5 font-medium text-right">공통 시방서</th>
+                                {canEdit && <th className="py-1.5 font-medium text-right">관리</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {catalog.customers.map(customer => (
+                                <tr key={customer.id} className="border-b border-gray-100">
+                                    <td className="py-1.5 text-gray-800">{customer.name}</td>
+                                    <td className="py-1.5 text-right text-gray-600">{catalog.parts.filter(p => p.customerId === customer.id).length}</td>
+                                    <td className="py-1.5 text-right text-gray-600">{countLinkedSpecs(specs, 'customerIds', customer.id)}</td>
+                                    {canEdit && (
+                                        <td className="py-1.5 text-right">
+                                            <button type="button" onClick={() => handleRemove('customer', customer)} className="p-1 text-gray-400 hover:text-red-600" title="삭제">
+                                                <Trash2 size={14} className="pointer-events-none" />
+                                            </button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {catalog.customers.length === 0 && <p className="text-xs italic text-gray-400 mb-3">등록된 고객사가 없습니다.</p>}
+                    {canEdit && (
+                        <form onSubmit={handleAddCustomer} className="flex gap-2">
+                            <input type="text" value={customerName} onChange={(e) => setCustomerName(e.target.value)} placeholder="고객사명" className={`${inputClass} flex-1`} required />
+                            <button type="submit" className="flex items-center px-3 py-1.5 bg-indigo-600 text-white rounded text-xs hover:bg-indigo-700">
+                                <Plus size={12} className="mr-1 pointer-events-none" /> 추가
+                            </button>
+                        </form>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const SYNC_STATUS_BADGES = {
+    local: { label: 'Local Mode', className: 'bg-green-100 text-green-700' },
+    connecting: { label: '클라우드 연결 중', className: 'bg-gray-100 text-gray-600' },
+    syncing: { label: '동기화 중', className: 'bg-blue-100 text-blue-700' },
+    synced: { label: 'Cloud 동기화됨', className: 'bg-indigo-100 text-indigo-700' },
+    offline: { label: '오프라인 (대기 중)', className: 'bg-amber-100 text-amber-700' },
+    error: { label: '동기화 오류', className: 'bg-red-100 text-red-700' },
+};
+
+// --- Main App Component ---
+const ForgingSpecManager = () => {
+    const [isMounted, setIsMounted] = useState(false);
+    const [accessSettings, setAccessSettings] = useState({ accounts: [], rules: [] });
+    const [sessionUserId, setSessionUserId] = useState(null);
+    const [cloudUser, setCloudUser] = useState(null);
+    const [isAuthReady, setIsAuthReady] = useState(!CLOUD_MODE);
+    const [specs, setSpecs] = useState([]);
+    const [searchTerm, setSearchTerm] = useState('');
+    const searchTermRef = useRef(searchTerm);
+    searchTermRef.current = searchTerm;
+    const deferredSearchTerm = useDeferredValue(searchTerm); 
+    const [sortOption, setSortOption] = useState('relevance');
+    const [facetFilters, setFacetFilters] = useState(createEmptyFacetFilters);
+    const [isFacetPanelOpen, setIsFacetPanelOpen] = useState(true);
+    const [isQaPanelOpen, setIsQaPanelOpen] = useState(false);
+    const [isTrashView, setIsTrashView] = useState(false);
+    const [selectedFolder, setSelectedFolder] = useState(null);
+    const [trashRetentionDays, setTrashRetentionDays] = useState(loadTrashRetentionDays);
+    const [transferProgress, setTransferProgress] = useState(null);
+    const [syncStatus, setSyncStatus] = useState({ status: 'local', detail: '' });
+    const [modal, setModal] = useState({ isOpen: false, type: '', data: null });
+    const [aiSettings, setAiSettings] = useState(DEFAULT_AI_SETTINGS);
+    const [partCatalog, setPartCatalog] = useState(createEmptyPartCatalog);
+    // 등록 창을 닫은 뒤에도 남아 있는 분석 대기열 항목 수 (다시 열면 이어서 진행합니다)
+    const [savedUploadCount, setSavedUploadCount] = useState(0);
+    const [error, setError] = useState('');
+    const [selectedIds, setSelectedIds] = useState(new Set());
+    const [confirmModal, setConfirmModal] = useState({ isOpen: false, message: '', onConfirm: null });
+    
+    const importInputRef = useRef(null); 
+    const searchIndexRef = useRef(null);
+    const indexSyncRef = useRef(Promise.resolve());
+    const [indexVersion, setIndexVersion] = useState(0);
+    const indexSaveTimerRef = useRef(null);
+    // 검색 결과 상위 항목의 추출 본문 (id → { sig, text })
+    const [snippetTexts, setSnippetTexts] = useState(() => new Map());
+    const snippetTextsRef = useRef(snippetTexts);
+    const specsRef = useRef(specs);
+    specsRef.current = specs;
+    const cloudSyncRef = useRef(null);
+    // 클라우드 모드에서 config/access로부터 받은 접근 규칙 (받기 전에는 null이며, 그동안 동기화 업로드를 미룹니다)
+    const cloudRulesRef = useRef(null);
+    const isAdminRef = useRef(false);
+
+    useEffect(() => {
+        setIsMounted(true);
+        const initialSpecs = loadSpecsFromLocalStorage();
+        setSpecs(initialSpecs);
+        if (!CLOUD_MODE) {
+            setAccessSettings(loadAccessSettings());
+            setSessionUserId(loadSessionUserId());
+        }
+        if (CLOUD_MODE) {
+            restoreCloudSession()
+                .then(setCloudUser)
+                .catch(err => console.error("Cloud session restore failed", err))
+                .finally(() => setIsAuthReady(true));
+        }
+        setAiSettings(loadAiSettings(DEFAULT_AI_SETTINGS));
+        setPartCatalog(loadPartCatalog());
+    }, []);
+
+    useEffect(() => {
+        if (!modal.isOpen) setSavedUploadCount(loadAnalysisQueueState().itemIds.length);
+    }, [modal.isOpen]);
+
+    const currentUser = useMemo(
+        () => (CLOUD_MODE ? cloudUser : toSessionUser(accessSettings.accounts.find(a => a.id === sessionUserId))),
+        [cloudUser, accessSettings.accounts, sessionUserId]
+    );
+    const userId = currentUser?.id || null;
+    const isAdmin = currentUser?.role === 'admin';
+    isAdminRef.current = isAdmin;
+
+    // 클라우드 모드: 관리자가 역할을 바꾸면 바로 반영하고, 허용 목록에서 빼면 로그아웃합니다.
+    useEffect(() => {
+        if (!CLOUD_MODE || !userId) return;
+        let unsubscribe = null;
+        let cancelled = false;
+        listenToOwnMember(userId, (member) => {
+            if (member) {
+                setCloudUser(member);
+                return;
+            }
+            signOutFromCloud().catch(err => console.error("Cloud sign-out failed", err));
+            setCloudUser(null);
+        }).then(stop => {
+            if (cancelled) stop();
+            else unsubscribe = stop;
+        });
+        return () => {
+            cancelled = true;
+            if (unsubscribe) unsubscribe();
+        };
+    }, [userId]);
+
+    // 클라우드 모드의 사용자 목록은 허용 목록입니다. 보안 규칙상 관리자만 전체를 읽을 수 있습니다.
+    useEffect(() => {
+        if (!CLOUD_MODE || !isAdmin) return;
+        let unsubscribe = null;
+        let cancelled = false;
+        listenToMembers(
+            (members) => setAccessSettings(prev => ({ ...prev, accounts: members })),
+            (err) => console.error("Member list listener failed", err)
+        ).then(stop => {
+            if (cancelled) stop();
+            else unsubscribe = stop;
+        });
+        return () => {
+            cancelled = true;
+            if (unsubscribe) unsubscribe();
+            setAccessSettings(prev => ({ ...prev, accounts: [] }));
+        };
+    }, [isAdmin]);
+
+    // 클라우드 모드의 접근 규칙은 config/access 문서에 있으며 모든 구성원이 같은 규칙을 받습니다.
+    useEffect(() => {
+        if (!CLOUD_MODE || !userId) return;
+        let unsubscribe = null;
+        let cancelled = false;
+        listenToAccessRules(
+            (rules) => {
+                cloudRulesRef.current = rules;
+                setAccessSettings(prev => ({ ...prev, rules }));
+                // 규칙을 받아야 업로드할 접근 필드를 계산할 수 있고, 관리자는 바뀐 규칙을 기존 문서에 반영합니다.
+                if (cloudSyncRef.current) cloudSyncRef.current.schedulePush();
+            },
+            (err) => console.error("Access rule listener failed", err)
+        ).then(stop => {
+            if (cancelled) stop();
+            else unsubscribe = stop;
+        });
+        return () => {
+            cancelled = true;
+            if (unsubscribe) unsubscribe();
+            cloudRulesRef.current = null;
+            setAccessSettings(prev => ({ ...prev, rules: [] }));
+        };
+    }, [userId]);
+
+    // 품번·고객사 목록도 팀이 함께 씁니다(config/catalog). 받은 목록은 브라우저에도 저장해 둡니다.
+    useEffect(() => {
+        if (!CLOUD_MODE || !userId) return;
+        let unsubscribe = null;
+        let cancelled = false;
+        listenToPartCatalog(
+            (catalog) => {
+                if (catalog) {
+                    setPartCatalog(catalog);
+                    savePartCatalog(catalog);
+                    return;
+                }
+                // 아직 공유 목록이 없으면 이 브라우저의 목록을 올립니다. (보안 규칙상 편집자 이상만 성공합니다)
+                const local = loadPartCatalog();
+                if (local.customers.length > 0 || local.parts.length > 0) {
+                    savePartCatalogToCloud(local, userId).catch(err => console.warn("Part catalog upload skipped:", err.message));
+                }
+            },
+            (err) => console.error("Part catalog listener failed", err)
+        ).then(stop => {
+            if (cancelled) stop();
+            else unsubscribe = stop;
+        });
+        return () => {
+            cancelled = true;
+            if (unsubscribe) unsubscribe();
+        };
+    }, [userId]);
+    const accessRules = accessSettings.rules;
+
+    // 휴지통에 있는 시방서와 접근 규칙으로 숨겨진 시방서는 검색, 필터, 질의응답 대상에서 모두 제외합니다.
+    const activeSpecs = useMemo(() => specs.filter(s => !isInTrash(s)), [specs]);
+    const visibleSpecs = useMemo(
+        () => activeSpecs.filter(s => canViewSpec(currentUser, s, accessRules)),
+        [activeSpecs, currentUser, accessRules]
+    );
+    const trashedSpecs = useMemo(
+        () => specs.filter(s => isInTrash(s) && canViewSpec(currentUser, s, accessRules)),
+        [specs, currentUser, accessRules]
+    );
+
+    const auditLogRef = useRef(null);
+    if (!auditLogRef.current) auditLogRef.current = createAuditLog({ appendEntry: appendAuditEntryToDB, loadEntries: getAuditEntriesFromDB });
+
+    const recordAudit = useCallback((events) => {
+        if (events.length > 0) auditLogRef.current.record(currentUser, events);
+    }, [currentUser]);
+
+    const loadAuditEntries = useCallback(() => auditLogRef.current.list(), []);
+
+    const handleChangeAccessSettings = useCallback((next) => {
+        if (!CLOUD_MODE) {
+            setAccessSettings(next);
+            saveAccessSettings(next);
+            return;
+        }
+        // 보안 규칙은 정해진 깊이까지만 폴더 규칙을 검사할 수 있습니다.
+        if (next.rules.some(r => r.scope === 'folder' && normalizeFolderPath(r.value).split('/').length > MAX_RULE_FOLDER_DEPTH)) {
+            alert(`클라우드 동기화를 쓰는 동안에는 ${MAX_RULE_FOLDER_DEPTH}단계보다 깊은 폴더에 접근 규칙을 둘 수 없습니다.`);
+            return;
+        }
+        setAccessSettings(next);
+        // 허용 목록과 접근 규칙은 Firestore에 쓰고, 구독으로 다시 받아 반영합니다. 실패하면 화면을 이전 상태로 되돌립니다.
+        const previous = accessSettings;
+        if (next.rules !== previous.rules) {
+            saveAccessRules(next.rules).catch(err => {
+                console.error("Access rule save failed", err);
+                setAccessSettings(prev => ({ ...prev, rules: previous.rules }));
+                alert(`접근 규칙을 저장하지 못했습니다: ${err.message}`);
+            });
+        }
+        if (next.accounts === previous.accounts) return;
+        saveMemberChanges(previous.accounts, next.accounts).catch(err => {
+            console.error("Member list save failed", err);
+            setAccessSettings(prev => ({ ...prev, accounts: previous.accounts }));
+            alert(`사용자 목록을 저장하지 못했습니다: ${err.message}`);
+        });
+    }, [accessSettings]);
+
+    const handleLogin = useCallback(async (name, password) => {
+        if (CLOUD_MODE) {
+            setCloudUser(await signInToCloud(name, password));
+            return;
+        }
+        const account = await authenticate(accessSettings.accounts, name, password);
+        if (!account) throw new Error("이름 또는 비밀번호가 올바르지 않습니다.");
+        // 이전 형식의 비밀번호 해시는 로그인하면서 새 형식으로 바뀌므로 저장합니다.
+        if (!accessSettings.accounts.includes(account)) {
+            handleChangeAccessSettings({ ...accessSettings, accounts: accessSettings.accounts.map(a => a.id === account.id ? account : a) });
+        }
+        saveSessionUserId(account.id);
+        setSessionUserId(account.id);
+    }, [accessSettings, handleChangeAccessSettings]);
+
+    const handleCreateAdmin = useCallback(async (name, password) => {
+        const account = await createAccount({ id: safeCreateId(), name, password, role: 'admin' });
+        handleChangeAccessSettings({ ...accessSettings, accounts: [account] });
+        saveSessionUserId(account.id);
+        setSessionUserId(account.id);
+    }, [accessSettings, handleChangeAccessSettings]);
+
+    const handleLogout = useCallback(() => {
+        if (CLOUD_MODE) {
+            signOutFromCloud().catch(err => console.error("Cloud sign-out failed", err));
+            setCloudUser(null);
+        }
+        saveSessionUserId(null);
+        setSessionUserId(null);
+        setSelectedIds(new Set());
+        setModal({ isOpen: false });
+        setIsQaPanelOpen(false);
+    }, []);
+
+    // Firebase 설정이 있으면 클라우드 동기화를 시작합니다. 설정이 없으면 기존처럼 로컬 전용으로 동작합니다.
+    useEffect(() => {
+        if (!isMounted || !userId || !CLOUD_MODE) return;
+        const cloudSync = createCloudSync({
+            userId,
+            isAdmin: () => isAdminRef.current,
+            getAccessRules: () => cloudRulesRef.current,
+            getSpecs: () => specsRef.current,
+            onSpecsMerged: (merged) => {
+                specsRef.current = merged;
+                setSpecs(merged);
+                saveSpecsToLocalStorage(merged);
+            },
+            onStatusChange: (status, detail = '') => setSyncStatus({ status, detail }),
+            storage: {
+                loadFile: getFileFromDB,
+                loadText: getTextFromDB,
+                saveFile: saveFileToDB,
+                saveText: saveTextToDB,
+                deleteData: deleteSpecDataFromDB
+            }
+        });
+        cloudSyncRef.current = cloudSync;
+        cloudSync.start();
+        return () => {
+            cloudSync.stop();
+            cloudSyncRef.current = null;
+        };
+        // 관리자 여부에 따라 구독 범위가 달라지므로 역할이 바뀌면 다시 시작합니다.
+    }, [isMounted, userId, isAdmin]);
 
-            {uploadQueue.filter(item => item.fileName).length > 0 && (
-                <div className="mb-4">
-                    <button type="button" onClick={handleAnalyzeAll} disabled={isAnalyzing || isSaving} className="w-full py-2 bg-purple-600 text-white rounded text-sm flex justify-center items-center hover:bg-purple-700 disabled:bg-gray-400 transition">
-                        <Zap size={16} className="mr-2 pointer-events-none" /> 전체 분석
-                    </button>
-                </div>
-            )}
+    useEffect(() => {
+        if (cloudSyncRef.current) cloudSyncRef.current.schedulePush();
+    }, [specs]);
 
-            <div className="space-y-2 mb-4">
-                 {uploadQueue.filter(item => item.fileName).map((item, index) => (
-                    <UploadItem 
-                        key={item.id} 
-                        item={item} 
-                        index={index} 
-                        onChange={handleInputChange} 
-                        onDelete={handleRemoveItem}
-                        onAnalyze={handleAnalyzeItem}
-                        isAnalyzing={isAnalyzing}
-                    />
-                 ))}
-            </div>
+    // 저장하지 못하고 탭을 닫아도 다음에 열 때 서명이 다른 문서만 다시 색인하므로, 저장은 모아서 합니다.
+    const scheduleSearchIndexSave = useCallback(() => {
+        clearTimeout(indexSaveTimerRef.current);
+        indexSaveTimerRef.current = setTimeout(() => {
+            indexSyncRef.current = indexSyncRef.current
+                .then(() => saveSearchIndexToDB(searchIndexRef.current.serialize()))
+                .catch(err => console.error("Search index save failed", err));
+        }, SEARCH_INDEX_SAVE_DELAY_MS);
+    }, []);
 
-            <button
-                onClick={handleSubmit}
-                disabled={analyzedCount === 0 || isAnalyzing || isSaving}
-                className="w-full py-3 bg-green-600 text-white rounded font-bold hover:bg-green-700 disabled:bg-gray-400 flex justify-center items-center transition"
-            >
-                {isSaving ? <Loader2 size={18} className="mr-2 animate-spin pointer-events-none" /> : <Save size={18} className="mr-2 pointer-events-none" />}
-                {isSaving ? "저장 중..." : `저장 (${analyzedCount}개)`}
-            </button>
-        </div>
-    );
-};
+    useEffect(() => () => clearTimeout(indexSaveTimerRef.current), []);
 
-// --- Main App Component ---
-const ForgingSpecManager = () => {
-    const [isMounted, setIsMounted] = useState(false);
-    const [userId] = useState("Local_User"); 
-    const [specs, setSpecs] = useState([]);
-    const [searchTerm, setSearchTerm] = useState('');
-    const deferredSearchTerm = useDeferredValue(searchTerm); 
-    const [sortOption, setSortOption] = useState('date-desc');
-    const [modal, setModal] = useState({ isOpen: false, type: '', data: null });
-    const [error, setError] = useState('');
-    const [selectedIds, setSelectedIds] = useState(new Set());
-    const [confirmModal, setConfirmModal] = useState({ isOpen: false, message: '', onConfirm: null });
-    
-    const importInputRef = useRef(null); 
+    // 시방서 목록이 바뀔 때마다 전문 검색 색인을 순차적으로 동기화하고 IndexedDB에 보존합니다.
+    useEffect(() => {
+        if (!isMounted) return;
+        indexSyncRef.current = indexSyncRef.current.then(async () => {
+            if (!searchIndexRef.current) {
+                const stored = await getSearchIndexFromDB().catch(() => null);
+                searchIndexRef.current = createSearchIndex(stored);
+            }
+            const changed = await syncSearchIndex(searchIndexRef.current, activeSpecs, getTextFromDB);
+            if (changed) scheduleSearchIndexSave();
+            setIndexVersion(v => v + 1);
+        }).catch(err => console.error("Search index sync failed", err));
+    }, [isMounted, activeSpecs, scheduleSearchIndexSave]);
 
+    const aiProvider = useMemo(() => createAiProvider(aiSettings, { fetchImpl: fetchWithRetry, getAccessToken: () => getAiProxyToken(aiSettings.server?.accessToken) }), [aiSettings]);
+
+    // AI 설정을 저장한 적이 없고 서버 프록시가 설정되어 있으면 서버 프록시를 기본으로 사용합니다. (로그인 토큰이 있는 클라우드 모드)
+    const isRulesProvider = aiSettings.provider === 'rules';
     useEffect(() => {
-        setIsMounted(true);
-        const initialSpecs = loadSpecsFromLocalStorage();
-        setSpecs(initialSpecs);
-    }, []);
+        if (!userId || !CLOUD_MODE || hasSavedAiSettings() || !isRulesProvider) return;
+        getCloudIdToken()
+            .then(fetchAiProxyStatus)
+            .then(status => {
+                if (status.configured) setAiSettings(prev => ({ ...prev, provider: 'server' }));
+            })
+            .catch(() => {});
+    }, [userId, isRulesProvider]);
+
+    // signal: 분석 대기열에서 항목을 취소하면 진행 중인 요청을 중단합니다.
+    const generateSpecMetadata = useCallback((item, options) => aiProvider.analyze(item, options), [aiProvider]);
 
-    const generateSpecMetadata = useCallback(async (item) => {
-         if (!CURRENT_API_KEY) throw new Error("API Key Missing");
-         
-         const content = item.mockContent || `파일명: ${item.fileName}, 경로: ${item.filePath}, 타입: ${item.fileType}`;
-         
-         const systemPrompt = `당신은 전문적인 '단조 시방서' 분석 전문가입니다.`;
-         const payload = {
-            contents: [{ parts: [{ text: `파일명: ${item.fileName} 내용: ${content}` }] }],
-            systemInstruction: { parts: [{ text: systemPrompt }] },
-            generationConfig: { responseMimeType: "application/json", responseSchema: { type: "OBJECT", properties: { summary: {type: "STRING"}, keywords: {type: "ARRAY", items: {type: "STRING"}} } } }
-         };
-
-         try {
-             const response = await fetchWithRetry(`${API_URL}${CURRENT_API_KEY}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-             });
-             const result = await response.json();
-             const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
-             return JSON.parse(jsonText);
-         } catch(e) {
-             throw new Error("AI 분석 실패: " + e.message);
-         }
+    const handleSaveAiSettings = useCallback((next) => {
+        setAiSettings(next);
+        saveAiSettings(next);
+        setModal({ isOpen: false });
     }, []);
 
-    const handleSave = useCallback(async (newSpecs) => { 
-        const savePromises = newSpecs.map(spec => {
-            if (spec.file) {
-                return saveFileToDB(spec.id, spec.file).catch(err => console.error("File save failed", err));
-            }
-            return Promise.resolve();
+    const handleSave = useCallback(async (items) => { 
+        const now = new Date().toISOString();
+        const specById = new Map(specs.map(s => [s.id, s]));
+        const targetIdOf = (item) => item.saveMode === 'revision' ? item.revisionOf : item.saveMode === 'replace' ? item.duplicateOf : null;
+        const blocked = items.filter(item => {
+            const target = specById.get(targetIdOf(item));
+            return target && !canModifySpec(currentUser, target, accessRules, 'upload');
         });
+        if (blocked.length > 0) {
+            alert(`수정 권한이 없는 시방서에 대한 개정/교체 ${blocked.length}건은 저장하지 않았습니다.\n${blocked.map(item => item.fileName).join('\n')}`);
+        }
+        const newSpecs = items.filter(item => !blocked.includes(item));
+        const revisionItems = newSpecs.filter(item => item.saveMode === 'revision' && specById.has(item.revisionOf));
+        const replaceItems = newSpecs.filter(item => item.saveMode === 'replace' && specById.has(item.duplicateOf));
+        const newItems = newSpecs.filter(item => item.saveMode !== 'skip' && !revisionItems.includes(item) && !replaceItems.includes(item));
 
-        await Promise.all(savePromises); 
+        await Promise.all(newItems.map(item => saveItemDataToDB(item.id, item)));
 
-        const savedData = newSpecs.map(spec => ({
-             id: spec.id,
-             fileName: spec.fileName,
-             fileType: spec.fileType,
+        const savedData = newItems.map(item => ({
+             id: item.id,
+             ...toSpecFields(item),
              downloadLink: '#',
-             summary: spec.summary,
-             keywords: spec.keywords,
-             createdAt: new Date().toISOString()
+             createdAt: now
         }));
+        const auditEvents = savedData.map(spec => ({ action: 'create', specId: spec.id, after: toAuditSnapshot(spec) }));
+
+        // 기존 문서에 개정본 추가: 현재 파일/본문을 보관 키로 옮긴 뒤 새 파일을 spec.id 키에 저장합니다.
+        const revisedSpecs = new Map();
+
+        // 기존 항목 교체: 현재 개정본의 파일/본문과 메타데이터를 덮어씁니다.
+        for (const item of replaceItems) {
+            const existing = revisedSpecs.get(item.duplicateOf) || specById.get(item.duplicateOf);
+            if (!item.extractedText) await deleteTextFromDB(existing.id).catch(() => {});
+            await saveItemDataToDB(existing.id, item);
+
+            const fields = toSpecFields(item);
+            const replaced = { ...existing, ...fields, verification: clearAnalysisVerification(existing.verification), updatedAt: now };
+            if (existing.revisions && existing.revisions.length > 0) {
+                const current = existing.revisions[existing.revisions.length - 1];
+                replaced.revisions = [
+                    ...existing.revisions.slice(0, -1),
+                    createRevisionSnapshot(fields, { id: current.id, revision: current.revision, storageKey: existing.id, createdAt: now })
+                ];
+            }
+            revisedSpecs.set(existing.id, replaced);
+            auditEvents.push({ action: 'replace', specId: existing.id, before: toAuditSnapshot(existing), after: toAuditSnapshot(replaced) });
+        }
+
+        // 현재 원본을 보관하지 못하면 덮어쓰지 않고 그 항목의 개정을 건너뜁니다. (이전 개정본 원본이 사라지지 않도록)
+        const archiveFailures = [];
+        for (const item of revisionItems) {
+            const existing = revisedSpecs.get(item.revisionOf) || specById.get(item.revisionOf);
+            const revisions = getRevisions(existing);
+            const current = revisions[revisions.length - 1];
+            const archiveKey = createArchiveStorageKey(existing.id, current.revision);
+
+            try {
+                const [oldBlob, oldText] = await Promise.all([getFileFromDB(existing.id), getTextFromDB(existing.id)]);
+                if (oldBlob) await saveFileToDB(archiveKey, oldBlob);
+                if (oldText) await saveTextToDB(archiveKey, oldText);
+            } catch (err) {
+                console.error("Revision archive failed", err);
+                archiveFailures.push(item.fileName);
+                continue;
+            }
+            if (!item.extractedText) await deleteTextFromDB(existing.id).catch(() => {});
+            await saveItemDataToDB(existing.id, item);
+
+            const fields = toSpecFields(item);
+            const revised = {
+                ...existing,
+                ...fields,
+                verification: clearAnalysisVerification(existing.verification),
+                updatedAt: now,
+                revisions: [
+                    ...revisions.slice(0, -1),
+                    { ...current, storageKey: archiveKey },
+                    createRevisionSnapshot(fields, { id: item.id, revision: current.revision + 1, storageKey: existing.id, createdAt: now })
+                ]
+            };
+            revisedSpecs.set(existing.id, revised);
+            auditEvents.push({ action: 'revise', specId: existing.id, before: toAuditSnapshot(existing), after: toAuditSnapshot(revised), detail: `Rev.${current.revision + 1}` });
+        }
+        if (archiveFailures.length > 0) {
+            alert(`현재 개정본의 원본을 보관하지 못해 다음 ${archiveFailures.length}건은 개정본으로 저장하지 않았습니다. 저장 공간을 확인한 뒤 다시 시도하세요.\n${archiveFailures.join('\n')}`);
+        }
+        recordAudit(auditEvents);
         
         setSpecs(prevSpecs => {
-            const updatedSpecs = [...savedData, ...prevSpecs];
+            const updatedSpecs = [...savedData, ...prevSpecs.map(s => revisedSpecs.get(s.id) || s)];
             setTimeout(() => saveSpecsToLocalStorage(updatedSpecs), 0);
             return updatedSpecs;
         });
         setModal({ isOpen: false });
-    }, []);
+    }, [specs, currentUser, accessRules, recordAudit]);
 
     const handleDelete = useCallback((id) => {
-        deleteFileFromDB(id);
+        const target = specs.find(s => s.id === id);
+        if (!target || !canModifySpec(currentUser, target, accessRules, 'delete')) {
+            alert("이 시방서를 삭제할 권한이 없습니다.");
+            return;
+        }
+        const trashed = moveToTrash(target, currentUser);
+        recordAudit([{ action: 'trash', specId: id, before: toAuditSnapshot(target), after: toAuditSnapshot(trashed) }]);
         
         setSpecs(prevSpecs => {
-            const updated = prevSpecs.filter(s => s.id !== id);
+            const updated = prevSpecs.map(s => s.id === id ? trashed : s);
             setTimeout(() => saveSpecsToLocalStorage(updated), 0);
             return updated;
         });
@@ -652,58 +4224,96 @@ const ForgingSpecManager = () => {
             newSet.delete(id);
             return newSet;
         });
-    }, []);
+    }, [specs, currentUser, accessRules, recordAudit]);
 
-    const handleDownloadSpec = useCallback(async (spec) => {
+    // revision을 주면 그 개정본(spec.revisions[]의 항목)을, 없으면 최신 개정본을 내려받습니다.
+    const handleDownloadSpec = useCallback(async (spec, revision = null) => {
+        const target = revision ? { ...resolveRevisionView(spec, revision), id: spec.id } : spec;
+        const storageKey = revision ? revision.storageKey : spec.id;
+        const revisionNote = `Rev.${revision ? revision.revision : getCurrentRevisionNumber(spec)}`;
         try {
-            console.log(`[Download] ID 조회 시도: ${spec.id}`);
-            const fileBlob = await getFileFromDB(spec.id);
-            
+            const fileBlob = await getFileFromDB(storageKey);
+            recordAudit([{ action: 'download', specId: spec.id, fileName: target.fileName, detail: fileBlob ? `${revisionNote} 원본 파일` : `${revisionNote} 분석 결과 텍스트 (원본 없음)` }]);
+
             if (fileBlob) {
-                const url = URL.createObjectURL(fileBlob);
-                const link = document.createElement("a");
-                link.href = url;
-                link.download = spec.fileName;
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                URL.revokeObjectURL(url);
+                downloadBlob(fileBlob, target.fileName);
             } else {
                 alert("⚠️ 원본 파일을 데이터베이스에서 찾을 수 없습니다.\n브라우저 캐시가 삭제되었거나, 백업된 메타데이터일 수 있습니다.\n\n대신 분석 결과(텍스트)를 다운로드합니다.");
-                const content = `=== 단조 시방서 분석 결과 ===\n\n` +
-                                `파일명: ${spec.fileName}\n` +
-                                `파일 유형: ${spec.fileType}\n` +
-                                `등록일: ${new Date(spec.createdAt).toLocaleString()}\n\n` +
-                                `[핵심 요약]\n${spec.summary}\n\n` +
-                                `[주요 키워드]\n${spec.keywords ? spec.keywords.join(', ') : '없음'}`;
-                
-                const blob = new Blob([content], { type: "text/plain" });
-                const url = URL.createObjectURL(blob);
-                const link = document.createElement("a");
-                link.href = url;
-                link.download = `[분석결과]_${spec.fileName}.txt`;
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                URL.revokeObjectURL(url);
+                downloadBlob(new Blob([buildSpecSummaryText(target)], { type: "text/plain" }), `[분석결과]_${target.fileName}.txt`);
             }
         } catch (error) {
             console.error("Download failed:", error);
             alert("다운로드 중 오류가 발생했습니다.");
         }
-    }, []);
+    }, [recordAudit]);
+
+    // 선택한 시방서의 최신 원본을 폴더 구조 그대로 zip 하나로 내려받습니다. 원본이 없으면 분석 결과 텍스트로 대신합니다.
+    const handleDownloadSelected = useCallback(async () => {
+        if (transferProgress) return;
+        const targets = visibleSpecs.filter(s => selectedIds.has(s.id));
+        if (targets.length === 0) return;
+        const fileName = `specs_${new Date().toISOString().slice(0, 10)}_${targets.length}.zip`;
+        const saveTarget = await pickSaveFile(fileName);
+        if (!saveTarget) return;
+        const progressLabel = 'zip 파일 만드는 중';
+        setTransferProgress({ label: progressLabel, done: 0, total: targets.length });
+        try {
+            const { blob, missing } = await createSpecFilesArchive({
+                specs: targets,
+                loadFile: getFileFromDB,
+                writer: saveTarget.writable || undefined,
+                onProgress: (done, total) => setTransferProgress({ label: progressLabel, done, total }),
+            });
+            if (saveTarget.writable) await saveTarget.writable.close();
+            else downloadBlob(blob, fileName);
+            const missingIds = new Set(missing.map(m => m.id));
+            recordAudit(targets.map(spec => ({
+                action: 'download',
+                specId: spec.id,
+                fileName: spec.fileName,
+                detail: missingIds.has(spec.id) ? '일괄 다운로드 (zip) 분석 결과 텍스트 (원본 없음)' : '일괄 다운로드 (zip) 원본 파일',
+            })));
+            if (missing.length > 0) {
+                alert(`zip 파일을 만들었습니다.\n원본 파일이 없는 ${missing.length}개 항목은 분석 결과 텍스트로 대신 넣었습니다.\n\n${missing.slice(0, 10).map(m => `- ${m.fileName}`).join('\n')}${missing.length > 10 ? '\n...' : ''}`);
+            }
+        } catch (err) {
+            if (saveTarget.writable) await saveTarget.writable.abort().catch(() => {});
+            console.error("Bulk download failed:", err);
+            alert("일괄 다운로드 중 오류가 발생했습니다: " + err.message);
+        } finally {
+            setTransferProgress(null);
+        }
+    }, [transferProgress, visibleSpecs, selectedIds, recordAudit]);
 
     const handlePreviewFile = useCallback(async (spec) => {
-        if (spec.fileType !== 'PDF') {
-            alert("현재 PDF 파일만 미리보기가 지원됩니다.\n다른 형식의 파일은 다운로드하여 확인해주세요.");
+        if (spec.fileType !== 'PDF' && spec.fileType !== 'XLSX') {
+            alert("현재 PDF 및 엑셀 파일만 미리보기가 지원됩니다.\n다른 형식의 파일은 다운로드하여 확인해주세요.");
             return;
         }
 
         try {
+            if (spec.fileType === 'XLSX') {
+                const stored = await getTextFromDB(spec.id);
+                let sheets = stored?.sheets;
+                if (!sheets) {
+                    // 시트 데이터가 저장되기 전에 등록된 항목은 원본에서 다시 읽습니다.
+                    const fileBlob = await getFileFromDB(spec.id);
+                    if (!fileBlob) {
+                        alert("원본 파일을 찾을 수 없어 미리보기를 실행할 수 없습니다.");
+                        return;
+                    }
+                    sheets = await parseWorkbook(fileBlob);
+                }
+                recordAudit([{ action: 'preview', specId: spec.id, fileName: spec.fileName }]);
+                setModal({ isOpen: true, type: 'file-view', sheets, fileName: spec.fileName });
+                return;
+            }
+
             const fileBlob = await getFileFromDB(spec.id);
             if (fileBlob) {
-                const url = URL.createObjectURL(fileBlob);
-                setModal({ isOpen: true, type: 'file-view', url, fileName: spec.fileName });
+                recordAudit([{ action: 'preview', specId: spec.id, fileName: spec.fileName }]);
+                // 검색창에 입력해 둔 검색어로 문서 내 검색을 시작합니다.
+                setModal({ isOpen: true, type: 'file-view', file: fileBlob, fileName: spec.fileName, summary: spec.summary, query: searchTermRef.current });
             } else {
                 alert("원본 파일을 찾을 수 없어 미리보기를 실행할 수 없습니다.");
             }
@@ -711,12 +4321,97 @@ const ForgingSpecManager = () => {
             console.error("Preview failed:", e);
             alert("미리보기를 불러오는 중 오류가 발생했습니다.");
         }
-    }, []);
+    }, [recordAudit]);
+
+    const handleUpdateSpec = useCallback((id, patch, detail = '') => {
+        const target = specs.find(s => s.id === id);
+        if (!target || !canModifySpec(currentUser, target, accessRules, 'edit')) {
+            alert("이 시방서를 수정할 권한이 없습니다.");
+            return;
+        }
+        const updatedAt = new Date().toISOString();
+        recordAudit([{ action: 'edit', specId: id, before: toAuditSnapshot(target), after: toAuditSnapshot({ ...target, ...patch, updatedAt }), detail }]);
+        setSpecs(prevSpecs => {
+            const updated = prevSpecs.map(s => s.id === id ? { ...s, ...patch, updatedAt } : s);
+            setTimeout(() => saveSpecsToLocalStorage(updated), 0);
+            return updated;
+        });
+        setModal(prev => (prev.data && prev.data.id === id ? { ...prev, data: { ...prev.data, ...patch } } : prev));
+    }, [specs, currentUser, accessRules, recordAudit]);
+
+    // 저장된 본문(없으면 원본 파일에서 다시 추출)으로 AI 분석을 다시 실행하고, 검증된 필드와의 충돌을 계산합니다.
+    const handleReanalyzeSpec = useCallback(async (spec) => {
+        const stored = await getTextFromDB(spec.id).catch(() => null);
+        let extractedText = stored?.text || null;
+        let extractionPatch = {};
+        if (!extractedText) {
+            const file = await getFileFromDB(spec.id);
+            if (!file) throw new Error("저장된 원본 파일과 본문이 없어 재분석할 수 없습니다.");
+            const extracted = await extractFileContent({ fileType: spec.fileType, file }).catch(() => null);
+            if (extracted?.extractedText) {
+                extractedText = extracted.extractedText;
+                await saveTextToDB(spec.id, { text: extracted.extractedText, pages: extracted.pageTexts, sheets: extracted.sheets }).catch(err => console.error("Text save failed", err));
+                extractionPatch = { hasExtractedText: true, pageCount: extracted.pageCount || spec.pageCount || 0 };
+            }
+        }
+        const result = await generateSpecMetadata({ fileName: spec.fileName, filePath: spec.filePath, fileType: spec.fileType, extractedText, mockContent: '', skipCache: true });
+        const { patch, conflicts } = mergeReanalysis(spec, result);
+        return { patch: { ...extractionPatch, ...patch }, conflicts };
+    }, [generateSpecMetadata]);
 
     const handleView = useCallback((spec) => {
         setModal({ isOpen: true, type: 'preview', data: spec });
     }, []);
 
+    const handleAskLibrary = useCallback(async (question) => {
+        await indexSyncRef.current;
+        if (!searchIndexRef.current) throw new Error("검색 색인이 아직 준비되지 않았습니다.");
+        if (!aiProvider.answerProvider) throw new Error("현재 AI 설정으로는 질의응답을 사용할 수 없습니다.");
+        return askSpecLibrary({ question, index: searchIndexRef.current, specs: visibleSpecs, loadText: getTextFromDB, provider: aiProvider.answerProvider });
+    }, [visibleSpecs, aiProvider]);
+
+    const handleSaveInspection = useCallback(async (record) => {
+        await saveInspectionToDB(record);
+        recordAudit([{ action: 'inspect', specId: record.specId, fileName: record.specFileName, detail: `히트 로트 ${record.heatLot} ${INSPECTION_VERDICTS[record.verdict]} (Rev.${record.specRevision})` }]);
+    }, [recordAudit]);
+
+    const handlePrintInspection = useCallback((record) => {
+        if (!openPrintWindow(`검사성적서_${record.heatLot}`, buildConformanceReportHtml(record))) {
+            alert("팝업이 차단되어 성적서를 열 수 없습니다. 브라우저에서 이 사이트의 팝업을 허용해주세요.");
+        }
+    }, []);
+
+    // 선택한 시방서 중 열람 가능한 것만 비교합니다. 선택 순서가 아닌 목록 순서(최신 등록 순)로 열을 놓습니다.
+    const handleOpenComparison = useCallback(() => {
+        const targets = visibleSpecs.filter(s => selectedIds.has(s.id));
+        if (targets.length < MIN_COMPARE_SPECS) {
+            alert(`비교하려면 시방서를 ${MIN_COMPARE_SPECS}개 이상 선택하세요.`);
+            return;
+        }
+        if (targets.length > MAX_COMPARE_SPECS) {
+            alert(`한 번에 최대 ${MAX_COMPARE_SPECS}개까지 비교할 수 있습니다. (선택: ${targets.length}개)`);
+            return;
+        }
+        setModal({ isOpen: true, type: 'compare', data: targets });
+    }, [visibleSpecs, selectedIds]);
+
+    const handleSummarizeComparison = useCallback(async (targets, rows) => {
+        if (!aiProvider.answerProvider) throw new Error("현재 AI 설정으로는 차이 요약을 사용할 수 없습니다.");
+        return summarizeSpecDifferences({ specs: targets, rows, provider: aiProvider.answerProvider });
+    }, [aiProvider]);
+
+    const handleOpenCitedSpec = useCallback((id) => {
+        const spec = visibleSpecs.find(s => s.id === id);
+        if (spec) handleView(spec);
+        else alert("해당 시방서가 삭제되었습니다.");
+    }, [visibleSpecs, handleView]);
+
+    const handleOpenCitedFile = useCallback((id) => {
+        const spec = visibleSpecs.find(s => s.id === id);
+        if (spec) handlePreviewFile(spec);
+        else alert("해당 시방서가 삭제되었습니다.");
+    }, [visibleSpecs, handlePreviewFile]);
+
     const handleToggleSelect = useCallback((id) => {
         setSelectedIds(prev => {
             const newSet = new Set(prev);
@@ -727,58 +4422,261 @@ const ForgingSpecManager = () => {
     }, []);
 
     const handleSelectAll = useCallback(() => {
-        if (selectedIds.size === specs.length && specs.length > 0) {
+        if (selectedIds.size === visibleSpecs.length && visibleSpecs.length > 0) {
             setSelectedIds(new Set());
         } else {
-            setSelectedIds(new Set(specs.map(s => s.id)));
+            setSelectedIds(new Set(visibleSpecs.map(s => s.id)));
         }
-    }, [specs, selectedIds.size]);
+    }, [visibleSpecs, selectedIds.size]);
 
     const handleDeleteSelected = useCallback(() => {
         if (selectedIds.size === 0) return;
+        // 선택 항목 중 삭제 권한이 있는 시방서만 삭제합니다.
+        const deletable = specs.filter(s => selectedIds.has(s.id) && canModifySpec(currentUser, s, accessRules, 'delete'));
+        if (deletable.length === 0) {
+            alert("선택한 항목을 삭제할 권한이 없습니다.");
+            return;
+        }
+        const deletableIds = new Set(deletable.map(s => s.id));
+        const deniedCount = selectedIds.size - deletable.length;
         
         setConfirmModal({
             isOpen: true,
-            message: `선택한 ${selectedIds.size}개의 항목을 정말 삭제하시겠습니까?`,
+            message: (deniedCount > 0
+                ? `선택한 항목 중 권한이 있는 ${deletable.length}개를 휴지통으로 옮깁니다. (${deniedCount}개 제외)`
+                : `선택한 ${selectedIds.size}개의 항목을 휴지통으로 옮기시겠습니까?`) + ` ${trashRetentionDays}일 안에 휴지통에서 복원할 수 있습니다.`,
             onConfirm: () => {
                 setConfirmModal({ isOpen: false, message: '', onConfirm: null });
                 
                 setTimeout(() => {
-                    selectedIds.forEach(id => deleteFileFromDB(id));
+                    const now = new Date().toISOString();
+                    const trashedById = new Map(deletable.map(spec => [spec.id, moveToTrash(spec, currentUser, now)]));
+                    recordAudit(deletable.map(spec => ({ action: 'trash', specId: spec.id, before: toAuditSnapshot(spec), after: toAuditSnapshot(trashedById.get(spec.id)), detail: '일괄 삭제' })));
 
                     setSpecs(prevSpecs => {
-                        const updated = prevSpecs.filter(s => !selectedIds.has(s.id));
+                        const updated = prevSpecs.map(s => trashedById.get(s.id) || s);
                         setTimeout(() => saveSpecsToLocalStorage(updated), 0);
                         return updated;
                     });
-                    setSelectedIds(new Set());
+                    setSelectedIds(prev => new Set([...prev].filter(id => !deletableIds.has(id))));
                 }, 100);
             }
         });
-    }, [selectedIds]);
+    }, [selectedIds, specs, currentUser, accessRules, recordAudit, trashRetentionDays]);
+
+    // 시방서의 filePath를 바꿉니다. 수정 권한이 없는 항목은 건너뜁니다.
+    const applyFolderChanges = useCallback((changes, detail) => {
+        const now = new Date().toISOString();
+        const updatedById = new Map(changes.map(({ spec, filePath }) => [spec.id, { ...spec, filePath, updatedAt: now }]));
+        recordAudit(changes.map(({ spec }) => ({ action: 'edit', specId: spec.id, before: toAuditSnapshot(spec), after: toAuditSnapshot(updatedById.get(spec.id)), detail })));
+        setSpecs(prevSpecs => {
+            const updated = prevSpecs.map(s => updatedById.get(s.id) || s);
+            setTimeout(() => saveSpecsToLocalStorage(updated), 0);
+            return updated;
+        });
+    }, [recordAudit]);
+
+    const handleChangePartCatalog = useCallback((next) => {
+        setPartCatalog(next);
+        savePartCatalog(next);
+        if (CLOUD_MODE && userId) {
+            savePartCatalogToCloud(next, userId).catch(err => {
+                console.error("Part catalog sync failed", err);
+                alert(`품번·고객사 목록을 클라우드에 저장하지 못했습니다: ${err.message}`);
+            });
+        }
+    }, [userId]);
+
+    // 품번이나 고객사를 삭제하면 연결된 시방서에서도 연결을 해제합니다. 고객사를 지우면 그 고객사의 품번은 고객사 지정만 해제됩니다.
+    const handleRemoveCatalogEntry = useCallback((kind, id) => {
+        const field = kind === 'part' ? 'partIds' : 'customerIds';
+        const now = new Date().toISOString();
+        handleChangePartCatalog(kind === 'part'
+            ? { ...partCatalog, parts: partCatalog.parts.filter(p => p.id !== id) }
+            : {
+                customers: partCatalog.customers.filter(c => c.id !== id),
+                parts: partCatalog.parts.map(p => (p.customerId === id ? { ...p, customerId: null, updatedAt: now } : p)),
+            });
+
+        const linked = specs.filter(s => (s[field] || []).includes(id));
+        if (linked.length === 0) return;
+        const updatedById = new Map(linked.map(spec => [spec.id, { ...spec, [field]: spec[field].filter(v => v !== id), updatedAt: now }]));
+        const detail = kind === 'part' ? '품번 삭제로 연결 해제' : '고객사 삭제로 연결 해제';
+        recordAudit(linked.map(spec => ({ action: 'edit', specId: spec.id, before: toAuditSnapshot(spec), after: toAuditSnapshot(updatedById.get(spec.id)), detail })));
+        setSpecs(prevSpecs => {
+            const updated = prevSpecs.map(s => updatedById.get(s.id) || s);
+            setTimeout(() => saveSpecsToLocalStorage(updated), 0);
+            return updated;
+        });
+    }, [partCatalog, specs, recordAudit, handleChangePartCatalog]);
+
+    const handleMoveSelected = useCallback((targetPath) => {
+        const movable = specs.filter(s => selectedIds.has(s.id) && canModifySpec(currentUser, s, accessRules, 'edit'));
+        const skipped = selectedIds.size - movable.length;
+        const changes = movable.filter(s => (s.filePath || '') !== targetPath).map(spec => ({ spec, filePath: targetPath }));
+        if (changes.length > 0) applyFolderChanges(changes, `폴더 이동 → ${targetPath || '(최상위)'}`);
+        setModal({ isOpen: false });
+        setSelectedIds(new Set());
+        if (skipped > 0) alert(`수정 권한이 없는 ${skipped}개 항목은 옮기지 않았습니다.`);
+    }, [specs, selectedIds, currentUser, accessRules, applyFolderChanges]);
+
+    // 폴더 이름(경로)을 바꾸면 하위 폴더, 휴지통 항목, 폴더 접근 규칙도 함께 옮깁니다.
+    const handleRenameFolder = useCallback((path) => {
+        const input = window.prompt("새 폴더 경로를 입력하세요. (상위 폴더를 바꾸면 폴더가 이동합니다)", path);
+        if (input === null) return;
+        const nextPath = normalizeFolderPath(input);
+        if (!nextPath || nextPath === path) return;
+        if (!isValidFolderPath(nextPath) || isDescendantPath(nextPath, path)) {
+            alert("사용할 수 없는 폴더 경로입니다.");
+            return;
+        }
+        const affected = specs.filter(s => s.filePath && isDescendantPath(s.filePath, path));
+        if (affected.some(s => !canModifySpec(currentUser, s, accessRules, 'edit'))) {
+            alert("수정 권한이 없는 시방서가 포함되어 있어 폴더 이름을 바꿀 수 없습니다.");
+            return;
+        }
+        applyFolderChanges(affected.map(spec => ({ spec, filePath: replaceFolderPrefix(spec.filePath, path, nextPath) })), `폴더 이름 변경: ${path} → ${nextPath}`);
+
+        const folderRules = accessSettings.rules.filter(r => r.scope === 'folder' && isDescendantPath(normalizeFolderPath(r.value), path));
+        if (folderRules.length > 0) {
+            handleChangeAccessSettings({
+                ...accessSettings,
+                rules: accessSettings.rules.map(r => folderRules.includes(r) ? { ...r, value: replaceFolderPrefix(normalizeFolderPath(r.value), path, nextPath) } : r)
+            });
+        }
+        setSelectedFolder(prev => (prev !== null && prev !== ROOT_FOLDER_PATH && isDescendantPath(prev, path) ? replaceFolderPrefix(prev, path, nextPath) : prev));
+    }, [specs, currentUser, accessRules, accessSettings, applyFolderChanges, handleChangeAccessSettings]);
+
+    const handleRestoreFromTrash = useCallback((ids) => {
+        const targets = specs.filter(s => ids.includes(s.id) && isInTrash(s) && canModifySpec(currentUser, s, accessRules, 'delete'));
+        if (targets.length === 0) return;
+        const now = new Date().toISOString();
+        const restoredById = new Map(targets.map(spec => [spec.id, restoreFromTrash(spec, now)]));
+        recordAudit(targets.map(spec => ({ action: 'untrash', specId: spec.id, before: toAuditSnapshot(spec), after: toAuditSnapshot(restoredById.get(spec.id)) })));
+        setSpecs(prevSpecs => {
+            const updated = prevSpecs.map(s => restoredById.get(s.id) || s);
+            setTimeout(() => saveSpecsToLocalStorage(updated), 0);
+            return updated;
+        });
+    }, [specs, currentUser, accessRules, recordAudit]);
+
+    // 휴지통 항목을 원본 파일/본문과 함께 영구 삭제합니다.
+    const purgeSpecs = useCallback((targets, actor, detail) => {
+        if (targets.length === 0) return;
+        const purgeIds = new Set(targets.map(s => s.id));
+        targets.forEach(deleteSpecStorage);
+        auditLogRef.current.record(actor, targets.map(spec => ({ action: 'purge', specId: spec.id, before: toAuditSnapshot(spec), detail })));
+        setSpecs(prevSpecs => {
+            const updated = prevSpecs.filter(s => !purgeIds.has(s.id));
+            setTimeout(() => saveSpecsToLocalStorage(updated), 0);
+            return updated;
+        });
+    }, []);
+
+    const handlePurgeFromTrash = useCallback((ids) => {
+        if (!hasPermission(currentUser, 'purge')) return;
+        const targets = specs.filter(s => ids.includes(s.id) && isInTrash(s));
+        if (targets.length === 0) return;
+        setConfirmModal({
+            isOpen: true,
+            message: `휴지통의 ${targets.length}개 항목을 영구 삭제하시겠습니까? 원본 파일도 함께 삭제됩니다.`,
+            onConfirm: () => {
+                setConfirmModal({ isOpen: false, message: '', onConfirm: null });
+                purgeSpecs(targets, currentUser, ids.length === trashedSpecs.length ? '휴지통 비우기' : '');
+            }
+        });
+    }, [specs, trashedSpecs.length, currentUser, purgeSpecs]);
+
+    const handleChangeTrashRetention = useCallback((days) => {
+        setTrashRetentionDays(days);
+        saveTrashRetentionDays(days);
+    }, []);
+
+    // 보관 기간이 지난 휴지통 항목은 자동으로 영구 삭제합니다.
+    useEffect(() => {
+        if (!isMounted) return;
+        const expired = findExpiredTrash(specs, trashRetentionDays);
+        if (expired.length > 0) purgeSpecs(expired, TRASH_PURGE_ACTOR, `보관 기간 ${trashRetentionDays}일 경과`);
+    }, [isMounted, specs, trashRetentionDays, purgeSpecs]);
 
-    const handleExportData = () => {
-        const dataStr = JSON.stringify(specs, null, 2);
-        const blob = new Blob([dataStr], { type: "application/json" });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement("a");
-        link.href = url;
-        link.download = `spec_backup_${new Date().toISOString().slice(0,10)}.json`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    const handleExportData = async () => {
+        if (transferProgress) return;
+        setTransferProgress({ label: '백업 파일 생성 중', done: 0, total: 0 });
+        try {
+            const { blob, missingFiles } = await createBackupArchive({
+                specs,
+                catalog: partCatalog,
+                inspections: await getInspectionsFromDB(),
+                loadFile: getFileFromDB,
+                loadText: getTextFromDB,
+                onProgress: (done, total) => setTransferProgress({ label: '백업 파일 생성 중', done, total })
+            });
+            downloadBlob(blob, `spec_backup_${new Date().toISOString().slice(0,10)}.zip`);
+            recordAudit([{ action: 'backup', detail: `전체 백업 ${specs.length}건 (원본 누락 ${missingFiles.length}건)` }]);
+            if (missingFiles.length > 0) {
+                alert(`백업이 완료되었습니다.\n원본 파일이 없는 항목 ${missingFiles.length}개는 메타데이터만 포함되었습니다.`);
+            }
+        } catch (err) {
+            console.error("Backup failed:", err);
+            alert("백업 중 오류가 발생했습니다: " + err.message);
+        } finally {
+            setTransferProgress(null);
+        }
     };
 
-    const handleImportData = (e) => {
+    const handleRestoreBackup = useCallback(async (backup, strategy, onProgress) => {
+        const result = await restoreBackupArchive({
+            backup,
+            existingSpecs: specs,
+            existingCatalog: partCatalog,
+            existingInspections: await getInspectionsFromDB(),
+            strategy,
+            createId: safeCreateId,
+            saveFile: saveFileToDB,
+            saveText: saveTextToDB,
+            saveInspection: saveInspectionToDB,
+            onProgress
+        });
+        const existingById = new Map(specs.map(s => [s.id, s]));
+        const restoredIds = new Set(result.specs.slice(0, result.restored).map(s => s.id));
+        recordAudit(result.specs.filter(s => restoredIds.has(s.id)).map(spec => ({
+            action: 'import',
+            specId: spec.id,
+            before: toAuditSnapshot(existingById.get(spec.id)),
+            after: toAuditSnapshot(spec),
+            detail: `백업 복원 (${RESTORE_STRATEGIES[strategy]})`
+        })));
+        setSpecs(result.specs);
+        saveSpecsToLocalStorage(result.specs);
+        if (result.catalog !== partCatalog) handleChangePartCatalog(result.catalog);
+        return result;
+    }, [specs, partCatalog, recordAudit, handleChangePartCatalog]);
+
+    const handleImportData = async (e) => {
         const file = e.target.files[0];
         e.target.value = '';
         if (!file) return;
 
+        if (file.name.toLowerCase().endsWith('.zip')) {
+            try {
+                const backup = await openBackupArchive(file);
+                setModal({ isOpen: true, type: 'restore', data: backup, fileName: file.name });
+            } catch (err) {
+                console.error(err);
+                alert("백업 파일을 확인할 수 없습니다.\n" + err.message);
+            }
+            return;
+        }
+
         const reader = new FileReader();
         reader.onload = (event) => {
             try {
                 const importedData = JSON.parse(event.target.result);
                 if (Array.isArray(importedData)) {
+                    const existingById = new Map(specs.map(s => [s.id, s]));
+                    recordAudit(importedData.filter(spec => spec && spec.id).map(spec => ({
+                        action: 'import', specId: spec.id, before: toAuditSnapshot(existingById.get(spec.id)), after: toAuditSnapshot(spec), detail: `JSON 가져오기 (${file.name})`
+                    })));
                     setTimeout(() => {
                         setSpecs(prevSpecs => {
                             const mergedSpecs = [...importedData, ...prevSpecs];
@@ -799,10 +4697,19 @@ const ForgingSpecManager = () => {
         reader.readAsText(file);
     };
 
-    const filteredAndSortedSpecs = useMemo(() => {
-        let result = specs;
+    // 색인이 준비되기 전에는 아래의 단순 문자열 검색으로 대체합니다.
+    const searchResults = useMemo(() => {
+        if (!deferredSearchTerm || indexVersion === 0 || !searchIndexRef.current) return null;
+        return searchIndexRef.current.search(deferredSearchTerm);
+    }, [deferredSearchTerm, indexVersion]);
+
+    const textFilteredSpecs = useMemo(() => {
+        let result = visibleSpecs;
+        if (selectedFolder !== null) result = result.filter(s => isInFolder(s, selectedFolder));
         
-        if (deferredSearchTerm) {
+        if (searchResults) {
+            result = result.filter(s => searchResults.has(s.id));
+        } else if (deferredSearchTerm) {
             const term = deferredSearchTerm.toLowerCase();
             result = result.filter(s => 
                 s.fileName.toLowerCase().includes(term) || 
@@ -810,12 +4717,24 @@ const ForgingSpecManager = () => {
                 (s.keywords && s.keywords.some(k => k.toLowerCase().includes(term)))
             );
         }
+        return result;
+    }, [visibleSpecs, selectedFolder, deferredSearchTerm, searchResults]);
+
+    const folderTree = useMemo(() => buildFolderTree(visibleSpecs), [visibleSpecs]);
+
+    const facetCounts = useMemo(() => computeFacetCounts(textFilteredSpecs, facetFilters), [textFilteredSpecs, facetFilters]);
+
+    const filteredAndSortedSpecs = useMemo(() => {
+        const result = applyFacetFilters(textFilteredSpecs, facetFilters);
 
         return [...result].sort((a, b) => {
             const dateA = new Date(a.createdAt).getTime();
             const dateB = new Date(b.createdAt).getTime();
 
             switch (sortOption) {
+                case 'relevance':
+                    if (searchResults) return searchResults.get(b.id).score - searchResults.get(a.id).score;
+                    return dateB - dateA;
                 case 'date-desc': return dateB - dateA; 
                 case 'date-asc': return dateA - dateB;   
                 case 'name-asc': return a.fileName.localeCompare(b.fileName); 
@@ -823,9 +4742,73 @@ const ForgingSpecManager = () => {
                 default: return 0;
             }
         });
-    }, [specs, deferredSearchTerm, sortOption]);
+    }, [textFilteredSpecs, facetFilters, sortOption, searchResults]);
+
+    // 선택 범위는 현재 목록 순서를 따르며, 선택했더라도 지금 볼 수 없는 시방서는 제외합니다.
+    const handleExportRegister = useCallback(async (scope, format) => {
+        const targets = scope === 'selected'
+            ? visibleSpecs.filter(s => selectedIds.has(s.id))
+            : filteredAndSortedSpecs;
+        if (targets.length === 0) return;
+        const date = new Date().toISOString().slice(0, 10);
+        try {
+            if (format === 'pdf') {
+                const html = buildSpecReportHtml(targets, { catalog: partCatalog, generatedBy: currentUser.name });
+                if (!openPrintWindow(`시방서보고서_${date}`, html)) {
+                    alert("팝업이 차단되어 보고서를 열 수 없습니다. 브라우저에서 이 사이트의 팝업을 허용해주세요.");
+                    return;
+                }
+            } else {
+                downloadBlob(await createRegisterFile(targets, format, partCatalog), `spec_register_${date}.${format}`);
+            }
+            recordAudit([{ action: 'export', detail: `${REGISTER_FORMATS[format]} ${targets.length}건` }]);
+            setModal({ isOpen: false });
+        } catch (err) {
+            console.error("Register export failed:", err);
+            alert("내보내기 중 오류가 발생했습니다: " + err.message);
+        }
+    }, [visibleSpecs, selectedIds, filteredAndSortedSpecs, partCatalog, currentUser, recordAudit]);
+
+    // 색인에는 본문 원문이 없으므로 상위 결과의 추출 본문을 texts 저장소에서 읽어 둡니다. 바뀌지 않은 문서는 다시 읽지 않습니다.
+    useEffect(() => {
+        if (!searchResults) return;
+        let cancelled = false;
+        const targets = filteredAndSortedSpecs.slice(0, MAX_TEXT_SNIPPET_RESULTS).filter(spec => spec.hasExtractedText);
+        Promise.all(targets.map(async (spec) => {
+            const sig = getSpecIndexSignature(spec);
+            const cached = snippetTextsRef.current.get(spec.id);
+            if (cached?.sig === sig) return [spec.id, cached];
+            const stored = await getTextFromDB(spec.id).catch(() => null);
+            return [spec.id, { sig, text: (stored?.text || '').slice(0, MAX_INDEXED_TEXT_LENGTH) }];
+        })).then(entries => {
+            if (cancelled) return;
+            const next = new Map(entries);
+            snippetTextsRef.current = next;
+            setSnippetTexts(next);
+        });
+        return () => { cancelled = true; };
+    }, [filteredAndSortedSpecs, searchResults]);
+
+    const searchHighlights = useMemo(() => {
+        const highlights = new Map();
+        if (!searchResults || !searchIndexRef.current) return highlights;
+        filteredAndSortedSpecs.slice(0, MAX_HIGHLIGHTED_RESULTS).forEach(spec => {
+            const hit = searchResults.get(spec.id);
+            const highlight = buildResultHighlight(searchIndexRef.current.getFields(spec.id), hit.terms, { text: snippetTexts.get(spec.id)?.text });
+            if (highlight) highlights.set(spec.id, highlight);
+        });
+        return highlights;
+    }, [filteredAndSortedSpecs, searchResults, snippetTexts]);
+
+    const activeFacetCount = countActiveFacetFilters(facetFilters);
+
+    if (!isMounted || !isAuthReady) return null;
 
-    if (!isMounted) return null;
+    if (!currentUser) {
+        return <LoginScreen isCloud={CLOUD_MODE} hasAccounts={accessSettings.accounts.length > 0} onLogin={handleLogin} onCreateAdmin={handleCreateAdmin} onRegister={registerCloudAccount} />;
+    }
+
+    const canDeleteAny = hasPermission(currentUser, 'delete');
 
     return (
         <div className="min-h-screen bg-gray-50 p-4 sm:p-8 font-[Inter]">
@@ -833,18 +4816,54 @@ const ForgingSpecManager = () => {
                 <div>
                     <h1 className="text-2xl font-extrabold text-gray-900 tracking-tight">단조 시방서 관리</h1>
                     <div className="mt-1 flex items-center text-xs text-gray-500">
-                        <span className="bg-green-100 text-green-700 px-2 py-0.5 rounded-full mr-2">Local Mode</span>
-                        사용자: {userId}
+                        <span className={`px-2 py-0.5 rounded-full mr-2 ${SYNC_STATUS_BADGES[syncStatus.status].className}`} title={syncStatus.detail}>
+                            {SYNC_STATUS_BADGES[syncStatus.status].label}
+                        </span>
+                        사용자: {currentUser.name}
+                        <span className="ml-1.5 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600">{ROLES[currentUser.role]}</span>
                     </div>
                 </div>
                 <div className="flex gap-2 w-full md:w-auto">
-                    <button onClick={handleExportData} className="flex-1 md:flex-none flex items-center justify-center px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm shadow-sm">
-                        <Save size={16} className="mr-1.5" /> 백업
+                    <button onClick={() => setIsQaPanelOpen(v => !v)} className={`flex-1 md:flex-none flex items-center justify-center px-3 py-2 border rounded-lg transition text-sm shadow-sm ${isQaPanelOpen ? 'bg-indigo-50 border-indigo-300 text-indigo-700' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}>
+                        <MessageSquare size={16} className="mr-1.5" /> 질의응답
+                    </button>
+                    {hasPermission(currentUser, 'backup') && (
+                        <button onClick={handleExportData} disabled={Boolean(transferProgress)} className="flex-1 md:flex-none flex items-center justify-center px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm shadow-sm disabled:opacity-50">
+                            <Save size={16} className="mr-1.5" /> 백업
+                        </button>
+                    )}
+                    {hasPermission(currentUser, 'restore') && (
+                        <>
+                            <button onClick={() => importInputRef.current.click()} className="flex-1 md:flex-none flex items-center justify-center px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm shadow-sm">
+                                <RefreshCw size={16} className="mr-1.5" /> 복원
+                            </button>
+                            <input type="file" ref={importInputRef} onChange={handleImportData} accept=".zip,.json" className="hidden" />
+                        </>
+                    )}
+                    <button onClick={() => setModal({ isOpen: true, type: 'export-register' })} className="flex-1 md:flex-none flex items-center justify-center px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm shadow-sm">
+                        <Download size={16} className="mr-1.5" /> 대장
                     </button>
-                    <button onClick={() => importInputRef.current.click()} className="flex-1 md:flex-none flex items-center justify-center px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm shadow-sm">
-                        <RefreshCw size={16} className="mr-1.5" /> 복원
+                    <button onClick={() => setModal({ isOpen: true, type: 'parts' })} className="flex-1 md:flex-none flex items-center justify-center px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm shadow-sm">
+                        <Package size={16} className="mr-1.5" /> 품번
+                    </button>
+                    {hasPermission(currentUser, 'audit') && (
+                        <button onClick={() => setModal({ isOpen: true, type: 'audit' })} className="flex-1 md:flex-none flex items-center justify-center px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm shadow-sm">
+                            <ScrollText size={16} className="mr-1.5" /> 감사 로그
+                        </button>
+                    )}
+                    {hasPermission(currentUser, 'manage') && (
+                        <button onClick={() => setModal({ isOpen: true, type: 'ai-settings' })} className="flex-1 md:flex-none flex items-center justify-center px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm shadow-sm" title={`분석: ${aiProvider.label}`}>
+                            <Settings2 size={16} className="mr-1.5" /> AI 설정
+                        </button>
+                    )}
+                    {hasPermission(currentUser, 'manage') && (
+                        <button onClick={() => setModal({ isOpen: true, type: 'access' })} className="flex-1 md:flex-none flex items-center justify-center px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm shadow-sm">
+                            <Shield size={16} className="mr-1.5" /> 권한
+                        </button>
+                    )}
+                    <button onClick={handleLogout} className="flex-1 md:flex-none flex items-center justify-center px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm shadow-sm" title="로그아웃">
+                        <LogOut size={16} />
                     </button>
-                    <input type="file" ref={importInputRef} onChange={handleImportData} accept=".json" className="hidden" />
                 </div>
             </header>
             
@@ -855,14 +4874,23 @@ const ForgingSpecManager = () => {
                 </div>
             )}
 
+            {isQaPanelOpen && (
+                <SpecQaPanel
+                    onAsk={handleAskLibrary}
+                    onOpenSpec={handleOpenCitedSpec}
+                    onOpenFile={handleOpenCitedFile}
+                    isAvailable={Boolean(aiProvider.answerProvider)}
+                />
+            )}
+
             <div className="flex flex-col xl:flex-row space-y-3 xl:space-y-0 xl:space-x-3 mb-6">
                 <div className="relative flex-grow flex gap-2">
                     <button 
                         onClick={handleSelectAll}
-                        className={`flex-shrink-0 flex items-center justify-center w-10 rounded-lg border ${specs.length > 0 && selectedIds.size === specs.length ? 'border-indigo-500 bg-indigo-50 text-indigo-600' : 'border-gray-300 bg-white text-gray-400 hover:bg-gray-50'}`}
+                        className={`flex-shrink-0 flex items-center justify-center w-10 rounded-lg border ${visibleSpecs.length > 0 && selectedIds.size === visibleSpecs.length ? 'border-indigo-500 bg-indigo-50 text-indigo-600' : 'border-gray-300 bg-white text-gray-400 hover:bg-gray-50'}`}
                         title="전체 선택"
                     >
-                        {specs.length > 0 && selectedIds.size === specs.length ? <CheckSquare size={18} className="pointer-events-none" /> : <Square size={18} className="pointer-events-none" />}
+                        {visibleSpecs.length > 0 && selectedIds.size === visibleSpecs.length ? <CheckSquare size={18} className="pointer-events-none" /> : <Square size={18} className="pointer-events-none" />}
                     </button>
                     <SearchBar 
                         onSearchChange={setSearchTerm} 
@@ -871,7 +4899,48 @@ const ForgingSpecManager = () => {
                     />
                 </div>
                 <div className="flex gap-2">
-                    {selectedIds.size > 0 && (
+                    <button
+                        onClick={() => setIsFacetPanelOpen(v => !v)}
+                        className={`flex items-center justify-center px-3 py-2 rounded-lg border text-sm whitespace-nowrap transition-colors ${isFacetPanelOpen || activeFacetCount > 0 ? 'border-indigo-500 bg-indigo-50 text-indigo-600' : 'border-gray-300 bg-white text-gray-600 hover:bg-gray-50'}`}
+                        title="필터"
+                    >
+                        <Filter size={16} className="mr-1.5 pointer-events-none" /> 필터{activeFacetCount > 0 && ` (${activeFacetCount})`}
+                    </button>
+                    {canDeleteAny && (
+                        <button
+                            onClick={() => { setIsTrashView(v => !v); setSelectedIds(new Set()); }}
+                            className={`flex items-center justify-center px-3 py-2 rounded-lg border text-sm whitespace-nowrap transition-colors ${isTrashView ? 'border-red-400 bg-red-50 text-red-600' : 'border-gray-300 bg-white text-gray-600 hover:bg-gray-50'}`}
+                            title="휴지통"
+                        >
+                            <Trash2 size={16} className="mr-1.5 pointer-events-none" /> 휴지통{trashedSpecs.length > 0 && ` (${trashedSpecs.length})`}
+                        </button>
+                    )}
+                    {selectedIds.size >= MIN_COMPARE_SPECS && !isTrashView && (
+                        <button
+                            onClick={handleOpenComparison}
+                            className="flex items-center justify-center px-3 py-2 rounded-lg bg-white border border-gray-300 text-gray-600 hover:bg-gray-50 whitespace-nowrap transition-colors text-sm"
+                        >
+                            <GitCompare size={16} className="mr-1.5 pointer-events-none" /> 비교 ({selectedIds.size})
+                        </button>
+                    )}
+                    {selectedIds.size > 0 && hasPermission(currentUser, 'download') && !isTrashView && (
+                        <button
+                            onClick={handleDownloadSelected}
+                            disabled={Boolean(transferProgress)}
+                            className="flex items-center justify-center px-3 py-2 rounded-lg bg-white border border-gray-300 text-gray-600 hover:bg-gray-50 whitespace-nowrap transition-colors text-sm disabled:opacity-50"
+                        >
+                            <Download size={16} className="mr-1.5 pointer-events-none" /> 다운로드 ({selectedIds.size})
+                        </button>
+                    )}
+                    {selectedIds.size > 0 && hasPermission(currentUser, 'edit') && !isTrashView && (
+                        <button
+                            onClick={() => setModal({ isOpen: true, type: 'move-folder' })}
+                            className="flex items-center justify-center px-3 py-2 rounded-lg bg-white border border-gray-300 text-gray-600 hover:bg-gray-50 whitespace-nowrap transition-colors text-sm"
+                        >
+                            <FolderInput size={16} className="mr-1.5 pointer-events-none" /> 이동 ({selectedIds.size})
+                        </button>
+                    )}
+                    {selectedIds.size > 0 && canDeleteAny && !isTrashView && (
                         <button 
                             onClick={handleDeleteSelected} 
                             className="flex items-center justify-center px-4 py-2 rounded-lg bg-red-50 border border-red-200 text-red-600 font-medium hover:bg-red-100 whitespace-nowrap transition-colors text-sm"
@@ -879,27 +4948,65 @@ const ForgingSpecManager = () => {
                             <Trash2 size={16} className="mr-1.5 pointer-events-none" /> 삭제 ({selectedIds.size})
                         </button>
                     )}
-                    <button onClick={() => setModal({ isOpen: true, type: 'upload' })} className="flex-1 md:flex-none flex items-center justify-center px-5 py-2 rounded-lg bg-indigo-600 text-white font-medium hover:bg-indigo-700 whitespace-nowrap transition-colors text-sm shadow-sm">
-                        <Upload size={16} className="mr-1.5 pointer-events-none" /> 등록
-                    </button>
+                    {hasPermission(currentUser, 'upload') && (
+                        <button onClick={() => setModal({ isOpen: true, type: 'upload' })} className="flex-1 md:flex-none flex items-center justify-center px-5 py-2 rounded-lg bg-indigo-600 text-white font-medium hover:bg-indigo-700 whitespace-nowrap transition-colors text-sm shadow-sm">
+                            <Upload size={16} className="mr-1.5 pointer-events-none" /> 등록
+                            {savedUploadCount > 0 && (
+                                <span className="ml-1.5 px-1.5 rounded-full bg-amber-400 text-[10px] font-bold text-white" title="이어서 분석할 대기열 항목">{savedUploadCount}</span>
+                            )}
+                        </button>
+                    )}
                 </div>
             </div>
 
-            <SpecList 
-                specs={filteredAndSortedSpecs} 
-                selectedIds={selectedIds}
-                onToggleSelect={handleToggleSelect}
-                onDelete={handleDelete}
-                onDownload={handleDownloadSpec}
-                onPreviewFile={handlePreviewFile}
-                onView={handleView}
-            />
+            {isTrashView ? (
+                <TrashView
+                    specs={trashedSpecs}
+                    retentionDays={trashRetentionDays}
+                    currentUser={currentUser}
+                    accessRules={accessRules}
+                    onRestore={handleRestoreFromTrash}
+                    onPurge={handlePurgeFromTrash}
+                    onChangeRetention={handleChangeTrashRetention}
+                />
+            ) : (
+            <div className="flex flex-col lg:flex-row gap-4">
+                {visibleSpecs.length > 0 && (
+                    <FolderTreePanel
+                        tree={folderTree}
+                        selectedPath={selectedFolder}
+                        onSelect={setSelectedFolder}
+                        onRename={hasPermission(currentUser, 'edit') ? handleRenameFolder : null}
+                    />
+                )}
+                {isFacetPanelOpen && visibleSpecs.length > 0 && (
+                    <FacetPanel facets={facetCounts} filters={facetFilters} onChange={setFacetFilters} />
+                )}
+                <div className="flex-grow min-w-0">
+                    {(deferredSearchTerm || activeFacetCount > 0 || selectedFolder !== null) && (
+                        <p className="text-xs text-gray-500 mb-2">검색 결과 {filteredAndSortedSpecs.length.toLocaleString()}건 / 전체 {visibleSpecs.length.toLocaleString()}건</p>
+                    )}
+                    <SpecList 
+                        specs={filteredAndSortedSpecs} 
+                        highlights={searchHighlights}
+                        currentUser={currentUser}
+                        accessRules={accessRules}
+                        selectedIds={selectedIds}
+                        onToggleSelect={handleToggleSelect}
+                        onDelete={handleDelete}
+                        onDownload={handleDownloadSpec}
+                        onPreviewFile={handlePreviewFile}
+                        onView={handleView}
+                    />
+                </div>
+            </div>
+            )}
 
             {modal.isOpen && (
                 <div className="fixed inset-0 z-50 overflow-y-auto bg-gray-900/50 backdrop-blur-sm flex justify-center items-center p-4">
-                    <div className={`bg-white rounded-xl shadow-2xl relative border border-gray-200 ${modal.type === 'file-view' ? 'w-full max-w-5xl h-[85vh]' : 'max-w-lg w-full'}`}>
+                    <div className={`bg-white rounded-xl shadow-2xl relative border border-gray-200 ${modal.type === 'file-view' || modal.type === 'revision-diff' || modal.type === 'audit' || modal.type === 'parts' || modal.type === 'inspection' ? 'w-full max-w-5xl h-[85vh]' : modal.type === 'compare' ? 'w-full max-w-6xl h-[85vh]' : modal.type === 'access' ? 'w-full max-w-2xl h-[80vh]' : 'max-w-lg w-full'}`}>
                         {modal.type === 'upload' && (
-                            <SpecUploadModal onClose={() => setModal({ isOpen: false })} onSave={handleSave} analyzeFunction={generateSpecMetadata} />
+                            <SpecUploadModal onClose={() => setModal({ isOpen: false })} onSave={handleSave} analyzeFunction={generateSpecMetadata} analysisProvider={aiProvider} existingSpecs={visibleSpecs} targetFolder={selectedFolder || ''} />
                         )}
                         {modal.type === 'preview' && modal.data && (
                             <div className="p-6">
@@ -909,28 +5016,142 @@ const ForgingSpecManager = () => {
                                     <span>{new Date(modal.data.createdAt).toLocaleString()}</span>
                                 </div>
                                 
-                                <div className="bg-gray-50 p-4 rounded-lg border border-gray-200 max-h-80 overflow-y-auto mb-4 text-sm text-gray-700 leading-relaxed">
-                                    <p className="whitespace-pre-wrap">{modal.data.summary}</p>
-                                </div>
-                                
-                                <div className="flex flex-wrap gap-1.5 mb-6">
-                                    {modal.data.keywords?.map((k, i) => (
-                                        <span key={i} className="px-2 py-1 bg-white border border-gray-200 text-gray-600 text-xs rounded-md shadow-sm">#{k}</span>
-                                    ))}
-                                </div>
+                                <SpecMetadataEditor
+                                    key={`meta-${modal.data.id}`}
+                                    spec={modal.data}
+                                    canEdit={canModifySpec(currentUser, modal.data, accessRules, 'edit')}
+                                    canReanalyze={canModifySpec(currentUser, modal.data, accessRules, 'edit')}
+                                    onSave={(changes) => handleUpdateSpec(modal.data.id, createManualEditPatch(modal.data, changes, currentUser))}
+                                    onReanalyze={handleReanalyzeSpec}
+                                    onApplyReanalysis={(patch) => handleUpdateSpec(modal.data.id, patch, 'AI 재분석')}
+                                />
+
+                                <SpecAttributesPanel
+                                    key={modal.data.id}
+                                    attributes={modal.data.attributes}
+                                    verification={modal.data.verification?.attributes}
+                                    canEdit={canModifySpec(currentUser, modal.data, accessRules, 'edit')}
+                                    onSave={(attributes) => handleUpdateSpec(modal.data.id, createManualEditPatch(modal.data, { attributes }, currentUser))}
+                                />
+
+                                <SpecLinksPanel
+                                    key={`links-${modal.data.id}`}
+                                    spec={modal.data}
+                                    catalog={partCatalog}
+                                    canEdit={canModifySpec(currentUser, modal.data, accessRules, 'edit')}
+                                    onSave={(links) => handleUpdateSpec(modal.data.id, links, '품번/고객사 연결')}
+                                />
+
+                                <RevisionHistory
+                                    key={`rev-${modal.data.id}-${getRevisions(modal.data).length}`}
+                                    spec={modal.data}
+                                    onDownload={(rev) => handleDownloadSpec(modal.data, rev)}
+                                    onCompare={(fromId, toId) => setModal({ isOpen: true, type: 'revision-diff', data: modal.data, fromId, toId })}
+                                />
+                                <button onClick={() => setModal({ isOpen: true, type: 'inspection', data: modal.data })} className="w-full mb-2 py-2.5 flex items-center justify-center bg-indigo-50 text-indigo-700 font-medium rounded-lg hover:bg-indigo-100 transition text-sm">
+                                    <ListChecks size={16} className="mr-1.5 pointer-events-none" /> 검사 체크리스트 · 성적서
+                                </button>
                                 <button onClick={() => setModal({ isOpen: false })} className="w-full py-2.5 bg-gray-100 text-gray-700 font-medium rounded-lg hover:bg-gray-200 transition text-sm">닫기</button>
                             </div>
                         )}
+                        {modal.type === 'move-folder' && (
+                            <MoveFolderDialog
+                                count={selectedIds.size}
+                                folders={listFolderPaths(visibleSpecs)}
+                                initialPath={selectedFolder || ''}
+                                onMove={handleMoveSelected}
+                                onClose={() => setModal({ isOpen: false })}
+                            />
+                        )}
+                        {modal.type === 'export-register' && (
+                            <ExportRegisterDialog
+                                selectedCount={visibleSpecs.filter(s => selectedIds.has(s.id)).length}
+                                viewCount={filteredAndSortedSpecs.length}
+                                onExport={handleExportRegister}
+                                onClose={() => setModal({ isOpen: false })}
+                            />
+                        )}
+                        {modal.type === 'audit' && (
+                            <AuditLogViewer loadEntries={loadAuditEntries} onClose={() => setModal({ isOpen: false })} />
+                        )}
+                        {modal.type === 'inspection' && modal.data && (
+                            <InspectionChecklist
+                                key={modal.data.id}
+                                spec={modal.data}
+                                inspectorName={currentUser.name}
+                                canInspect={hasPermission(currentUser, 'inspect')}
+                                loadRecords={getInspectionsFromDB}
+                                onSave={handleSaveInspection}
+                                onPrint={handlePrintInspection}
+                                onBack={() => setModal({ isOpen: true, type: 'preview', data: modal.data })}
+                            />
+                        )}
+                        {modal.type === 'compare' && modal.data && (
+                            <SpecComparisonView
+                                specs={modal.data}
+                                onSummarize={handleSummarizeComparison}
+                                isSummaryAvailable={Boolean(aiProvider.answerProvider)}
+                                onOpenSpec={handleView}
+                                onClose={() => setModal({ isOpen: false })}
+                            />
+                        )}
+                        {modal.type === 'parts' && (
+                            <PartCatalogModal
+                                catalog={partCatalog}
+                                specs={visibleSpecs}
+                                canEdit={hasPermission(currentUser, 'edit')}
+                                canDownload={hasPermission(currentUser, 'download')}
+                                onChange={handleChangePartCatalog}
+                                onRemove={handleRemoveCatalogEntry}
+                                onOpenSpec={handleView}
+                                onDownloadRevision={(spec, rev) => handleDownloadSpec(spec, rev)}
+                                onClose={() => setModal({ isOpen: false })}
+                            />
+                        )}
+                        {modal.type === 'ai-settings' && (
+                            <AiSettingsDialog settings={aiSettings} onSave={handleSaveAiSettings} onClose={() => setModal({ isOpen: false })} />
+                        )}
+                        {modal.type === 'access' && (
+                            <AccessManager
+                                isCloud={CLOUD_MODE}
+                                settings={accessSettings}
+                                currentUser={currentUser}
+                                specs={specs}
+                                onChange={handleChangeAccessSettings}
+                                onClose={() => setModal({ isOpen: false })}
+                            />
+                        )}
+                        {modal.type === 'restore' && modal.data && (
+                            <RestoreDialog
+                                backup={modal.data}
+                                fileName={modal.fileName}
+                                existingSpecs={specs}
+                                onRestore={handleRestoreBackup}
+                                onClose={() => setModal({ isOpen: false })}
+                            />
+                        )}
+                        {modal.type === 'revision-diff' && modal.data && (
+                            <RevisionDiffView
+                                spec={modal.data}
+                                fromId={modal.fromId}
+                                toId={modal.toId}
+                                onBack={() => setModal({ isOpen: true, type: 'preview', data: modal.data })}
+                            />
+                        )}
                         {modal.type === 'file-view' && (
                             <div className="flex flex-col h-full">
                                 <div className="flex justify-between items-center p-4 border-b border-gray-200 bg-gray-50 rounded-t-xl">
                                     <h3 className="text-base font-bold text-gray-800 truncate pr-4">{modal.fileName}</h3>
-                                    <button onClick={() => { URL.revokeObjectURL(modal.url); setModal({ isOpen: false }); }} className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-200 transition">
+                                    <button onClick={() => setModal({ isOpen: false })} className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-200 transition">
                                         <XCircle size={20} />
                                     </button>
                                 </div>
-                                <div className="flex-grow bg-gray-100 p-0 overflow-hidden rounded-b-xl">
-                                    <iframe src={modal.url} className="w-full h-full border-none" title="PDF Preview" />
+                                <div className="flex-grow min-h-0 bg-gray-100 p-0 overflow-hidden rounded-b-xl">
+                                    {modal.sheets ? (
+                                        <SheetViewer sheets={modal.sheets} />
+                                    ) : (
+                                        <PdfViewer file={modal.file} initialQuery={modal.query} summary={modal.summary} />
+                                    )}
                                 </div>
                             </div>
                         )}
@@ -938,6 +5159,17 @@ const ForgingSpecManager = () => {
                 </div>
             )}
             
+            {transferProgress && (
+                <div className="fixed bottom-4 right-4 z-[70] bg-white border border-gray-200 rounded-lg shadow-lg p-3 w-72">
+                    <div className="flex items-center text-xs text-gray-700 mb-2">
+                        <Loader2 size={14} className="animate-spin mr-1.5 pointer-events-none" />
+                        {transferProgress.label}
+                        {transferProgress.total > 0 && <span className="ml-auto text-gray-400">{transferProgress.done}/{transferProgress.total}</span>}
+                    </div>
+                    <ProgressBar done={transferProgress.done} total={transferProgress.total} />
+                </div>
+            )}
+
             {confirmModal.isOpen && (
                 <div className="fixed inset-0 z-[60] overflow-y-auto bg-gray-900/50 backdrop-blur-sm flex justify-center items-center p-4">
                      <div className="bg-white rounded-xl max-w-sm w-full shadow-2xl p-6 text-center border border-gray-200">
@@ -945,7 +5177,7 @@ const ForgingSpecManager = () => {
                             <Trash2 className="text-red-600 pointer-events-none" size={24} />
                         </div>
                         <h3 className="text-lg font-bold text-gray-900 mb-2">항목 삭제</h3>
-                        <p className="text-gray-600 mb-6 text-sm">선택한 항목을 삭제하시겠습니까?<br/>이 작업은 되돌릴 수 없습니다.</p>
+                        <p className="text-gray-600 mb-6 text-sm">{confirmModal.message}</p>
                         <div className="flex gap-3 justify-center">
                             <button 
                                 onClick={() => setConfirmModal({ isOpen: false, message: '', onConfirm: null })}